@@ -5,6 +5,7 @@ import paystackWebhook from './src/webhooks/paystack.js';
 import whatsappWebhook from './src/webhooks/whatsapp.js';
 import { connectToDB, getDB } from './src/db/connection.js';
 import { startDailyScheduler } from './src/services/scheduler.js';
+import { startRecurringScheduler } from './src/services/QueueService.js';
 import { configureWhatsappCommands } from './src/services/whatsappSetup.js'; 
 import redis from './src/db/redisClient.js'; // [FIX] Import singleton to close it
 
@@ -31,6 +32,7 @@ async function startServer() {
       
       // Start Background Services
       startDailyScheduler();
+      await startRecurringScheduler();
       
       // Setup WhatsApp Menu (Runs once on startup)
       configureWhatsappCommands();
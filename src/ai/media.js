@@ -4,7 +4,7 @@ import config from '../config/index.js';
 import logger from '../utils/logger.js';
 import { openai } from './providers.js'; // Uses the shared instance
 
-async function downloadWhatsAppMedia(mediaId) {
+export async function downloadWhatsAppMedia(mediaId) {
     try {
         const urlRes = await axios.get(`https://graph.facebook.com/v20.0/${mediaId}`, {
             headers: { 'Authorization': `Bearer ${config.whatsapp.token}` }
@@ -39,28 +39,46 @@ export async function transcribeAudio(mediaId) {
     }
 }
 
-export async function analyzeImage(mediaId, caption = "") {
+/**
+ * Reads a photo into structured JSON: what kind of document it is, the vendor, date, line items,
+ * tax and total. Anything that isn't a receipt or invoice comes back as OTHER with a one-line summary.
+ * Pass `imageBuffer` when the photo has already been downloaded (e.g. to keep it as a receipt).
+ * @returns {Promise<object|null>} Raw model output; run it through `normalizeReceipt`.
+ */
+export async function extractReceipt(mediaId, caption = "", imageBuffer = null) {
     try {
-        const imageBuffer = await downloadWhatsAppMedia(mediaId);
+        imageBuffer = imageBuffer || await downloadWhatsAppMedia(mediaId);
         const base64Image = Buffer.from(imageBuffer).toString('base64');
         const dataUrl = `data:image/jpeg;base64,${base64Image}`;
 
+        const instructions = `Extract bookkeeping details from this image. Respond ONLY with JSON:
+        {"documentType": "RECEIPT" | "SUPPLIER_INVOICE" | "OTHER", "vendor": "...", "date": "YYYY-MM-DD", "currency": "ISO code",
+         "items": [{"description": "...", "quantity": 1, "unitPrice": 0, "amount": 0}], "tax": 0, "total": 0, "summary": "..."}
+        RULES:
+        1. RECEIPT = something the business paid for and used up (fuel, food, services, utilities).
+           SUPPLIER_INVOICE = goods bought to resell (bags of rice, cartons, phones in quantity).
+           OTHER = anything else (a product photo, a handwritten note); describe it in "summary".
+        2. Numbers must be plain numbers without currency symbols or commas.
+        3. "tax" is VAT/sales tax printed on the document, 0 if none. Leave "date" and "currency" empty if not printed.
+        User caption: "${caption || ''}"`;
+
         const response = await openai.chat.completions.create({
             model: "gpt-4o", // Use GPT-4o for vision
+            response_format: { type: "json_object" },
             messages: [
                 {
                     role: "user",
                     content: [
-                        { type: "text", text: `Extract relevant bookkeeping details from this image. If it's a receipt, list items, total amount, and date. If it's a product, describe it. User caption: "${caption}"` },
+                        { type: "text", text: instructions },
                         { type: "image_url", image_url: { url: dataUrl } },
                     ],
                 },
             ],
-            max_tokens: 300,
+            max_tokens: 800,
         });
-        return response.choices[0].message.content;
+        return JSON.parse(response.choices[0].message.content);
     } catch (error) {
-        logger.error('Image analysis failed:', error.message);
+        logger.error('Receipt extraction failed:', error.message);
         return null;
     }
 }
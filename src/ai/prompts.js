@@ -1,6 +1,6 @@
 import { callDeepSeek } from './providers.js';
 import logger from '../utils/logger.js';
-import { INTENTS } from '../utils/constants.js';
+import { INTENTS, EXPENSE_CATEGORIES } from '../utils/constants.js';
 
 // --- HELPERS ---
 const parsePrice = (priceInput) => {
@@ -28,12 +28,40 @@ function getFallbackIntent(text) {
     
     // Strict Keywords to prevent Hallucinations
     if (t.includes('add bank') || t.includes('new bank')) return { intent: INTENTS.ADD_BANK_ACCOUNT, context: {} };
+    if (t.includes('show receipt') || t.includes('receipt for')) {
+        return { intent: INTENTS.SHOW_RECEIPT, context: { search: t.split(/receipt(?: for)?/)[1]?.trim() || null } };
+    }
+    if (t.includes('activity log') || t.includes('audit') || t.includes('who changed')) return { intent: INTENTS.SHOW_ACTIVITY_LOG, context: {} };
+    if (t.includes('variant') || (t.includes('size') && t.includes('colour'))) return { intent: INTENTS.ADD_PRODUCT_VARIANT, context: {} };
+    if (t.includes('pack size') || t.includes('unit of measure') || t.includes('sold per')) return { intent: INTENTS.SET_PRODUCT_UNITS, context: {} };
+    if (t.includes('fifo') || t.includes('costing method') || t.includes('weighted average')) {
+        return { intent: INTENTS.SET_COSTING_METHOD, context: { costingMethod: t.includes('fifo') ? 'FIFO' : (t.includes('average') ? 'AVERAGE' : null) } };
+    }
+    if (/^(move|transfer)\b/.test(t) && !t.includes('bank') && /\bto (the )?\w+/.test(t) && /\d/.test(t) && /shop|warehouse|store|branch/.test(t)) {
+        return { intent: INTENTS.TRANSFER_STOCK, context: {} };
+    }
+    if (/\b(add|new|show|my) (a )?(location|branch)|\blocations\b|works at/.test(t)) return { intent: INTENTS.MANAGE_LOCATIONS, context: {} };
+    if (/stock[- ]?(take|count)|count (my |the )?stock|shrinkage/.test(t)) return { intent: INTENTS.START_STOCK_TAKE, context: {} };
     if (t.includes('pay') && t.includes('subscription')) return { intent: INTENTS.UPGRADE_SUBSCRIPTION, context: {} };
     if (t.includes('renew') || t.includes('upgrade plan') || t.includes('buy premium')) return { intent: INTENTS.UPGRADE_SUBSCRIPTION, context: {} };
     if (t.includes('subscription') || t.includes('my plan')) return { intent: INTENTS.CHECK_SUBSCRIPTION, context: {} };
     if (t.includes('insight') || t.includes('tip') || t.includes('advice')) return { intent: INTENTS.GET_FINANCIAL_INSIGHT, context: {} };
+    if (t.includes('returned') || t.includes('refund')) return { intent: INTENTS.LOG_RETURN, context: {} };
     if (t.includes('sold') || t.includes('sale') || t.includes('sell')) return { intent: INTENTS.LOG_SALE, context: {} };
     
+    if (t.includes('who do i owe') || t.includes('supplier balance')) return { intent: INTENTS.GET_SUPPLIER_BALANCES, context: {} };
+    if (t.includes('paid') && t.includes('supplier')) return { intent: INTENTS.LOG_SUPPLIER_PAYMENT, context: {} };
+    if (t.includes('purchase order') || t.startsWith('order ')) return { intent: INTENTS.CREATE_PURCHASE_ORDER, context: {} };
+    if (t.includes('goods received') || t.includes('goods arrived') || t.includes('delivery arrived')) return { intent: INTENTS.RECEIVE_PURCHASE_ORDER, context: {} };
+    if (t.includes('exchange rate') || t.includes('dollar rate')) return { intent: INTENTS.SET_EXCHANGE_RATE, context: {} };
+    if (t.includes('every') && (t.includes('month') || t.includes('week') || t.includes('day'))) return { intent: INTENTS.CREATE_RECURRING_EXPENSE, context: {} };
+    if (t.includes('recurring') || t.includes('schedules')) return { intent: INTENTS.MANAGE_RECURRING, context: {} };
+    if (t.includes('loan') && (t.includes('repaid') || t.includes('repay'))) return { intent: INTENTS.LOG_LOAN_REPAYMENT, context: {} };
+    if (t.includes('loan')) return { intent: INTENTS.LOG_LOAN_RECEIVED, context: {} };
+    if (t.includes('capital') || t.includes('invested')) return { intent: INTENTS.LOG_CAPITAL_INJECTION, context: {} };
+    if (t.includes('personal') || t.includes('drawing')) return { intent: INTENTS.LOG_OWNER_DRAWING, context: {} };
+    if (t.startsWith('moved') || t.startsWith('transfer') || (t.includes('deposit') && t.includes('cash'))) return { intent: INTENTS.TRANSFER_FUNDS, context: {} };
+
     if (t.includes('paid debt') || t.includes('paid credit') || (t.includes('paid') && t.includes('owe')) || t.includes('customer payment')) {
         return { intent: INTENTS.LOG_CUSTOMER_PAYMENT, context: {} };
     }
@@ -41,6 +69,7 @@ function getFallbackIntent(text) {
     if (t.includes('bought') || t.includes('expense') || t.includes('spent') || t.includes('paid')) return { intent: INTENTS.LOG_EXPENSE, context: {} };
     if (t.includes('stock') || t.includes('inventory') || t.includes('count')) return { intent: INTENTS.CHECK_STOCK, context: {} };
     if (t.includes('menu') || t.includes('start') || t.includes('hi') || t.includes('options')) return { intent: INTENTS.SHOW_MAIN_MENU, context: {} };
+    if (t.includes('trial balance') || t.includes('ledger')) return { intent: INTENTS.GET_TRIAL_BALANCE, context: {} };
     if (t.includes('balance') || t.includes('how much in')) return { intent: INTENTS.CHECK_BANK_BALANCE, context: {} };
     
     if (t.includes('owe') || t.includes('debt') || t.includes('customer balance') || t.includes('who is owing')) return { intent: INTENTS.GET_CUSTOMER_BALANCES, context: {} };
@@ -80,6 +109,9 @@ export async function getIntent(text) {
     if ((t.includes('pay') || t.includes('renew')) && (t.includes('subscription') || t.includes('fynax'))) {
         return { intent: INTENTS.UPGRADE_SUBSCRIPTION, context: {} };
     }
+    if (t.includes('trial balance') || t === 'ledger' || t === 'check ledger') {
+        return { intent: INTENTS.GET_TRIAL_BALANCE, context: {} };
+    }
     if (t.includes('balance') && t.length < 20) {
         return { intent: INTENTS.CHECK_BANK_BALANCE, context: {} };
     }
@@ -92,6 +124,31 @@ export async function getIntent(text) {
     if (t === 'generate p&l report') return { intent: INTENTS.GENERATE_REPORT, context: { reportType: 'PNL' } };
     if (t === 'generate cogs report') return { intent: INTENTS.GENERATE_REPORT, context: { reportType: 'COGS' } };
     if (t === 'generate inventory report') return { intent: INTENTS.GENERATE_REPORT, context: { reportType: 'INVENTORY' } };
+    if (t === 'generate balance sheet') return { intent: INTENTS.GENERATE_REPORT, context: { reportType: 'BALANCE_SHEET' } };
+    if (t === 'generate cash flow') return { intent: INTENTS.GENERATE_REPORT, context: { reportType: 'CASHFLOW' } };
+    if (t === 'generate payables report') return { intent: INTENTS.GENERATE_REPORT, context: { reportType: 'PAYABLES' } };
+    if (t === 'generate vat report') return { intent: INTENTS.GENERATE_REPORT, context: { reportType: 'VAT' } };
+
+    if (t.includes('who do i owe') || t === 'suppliers' || t === 'my creditors') {
+        return { intent: INTENTS.GET_SUPPLIER_BALANCES, context: {} };
+    }
+
+    if (t === 'exchange rates' || t === 'my rates' || t === 'fx rates') {
+        return { intent: INTENTS.SET_EXCHANGE_RATE, context: {} };
+    }
+
+    if (t === 'receive goods' || t === 'goods received' || t === 'receive purchase order') {
+        return { intent: INTENTS.RECEIVE_PURCHASE_ORDER, context: {} };
+    }
+
+    if (t.includes('returned') || t.startsWith('refund') || t === 'log return') {
+        return { intent: INTENTS.LOG_RETURN, context: {} };
+    }
+
+    // [NEW] A bare "undo" takes back the sender's last change; other "undo ..." phrases still open the editor
+    if (t === 'undo' || t === 'undo that' || t.startsWith('undo last')) {
+        return { intent: INTENTS.UNDO_LAST_ACTION, context: {} };
+    }
 
     const editKeywords = ['edit', 'delete', 'correct', 'change', 'remove', 'mistake', 'undo'];
     if (editKeywords.some(keyword => t.includes(keyword))) {
@@ -114,7 +171,8 @@ export async function getIntent(text) {
         - ${INTENTS.LOG_SALE}: "Sold 5 rice", "Credit sale to John"
         - ${INTENTS.LOG_EXPENSE}: "Bought fuel 500", "Paid shop rent"
         - ${INTENTS.LOG_CUSTOMER_PAYMENT}: "John paid his debt", "Received 5000 from Mary"
-        - ${INTENTS.ADD_PRODUCT}: "Restock rice", "New item indomie" (Use ONLY for a SINGLE product addition).
+        - ${INTENTS.LOG_RETURN}: "John returned 2 bags of rice", "Refund Mary for the shoe she brought back"
+        - ${INTENTS.ADD_PRODUCT}: "Restock rice", "New item indomie", "Bought 20 bags of rice from Alhaji on credit" (Use ONLY for a SINGLE product addition).
         - ADD_PRODUCTS_FROM_LIST: "Samsung 10 units 220k, Infinix 6 units", "5 rice 2000, 10 beans 500" (Use ONLY when the user provides a list of MULTIPLE products at once).
         - ${INTENTS.ADD_BANK_ACCOUNT}: "Add bank", "Add new bank"
         - ${INTENTS.GENERATE_REPORT}: "Send me a PDF", "Sales report"
@@ -122,21 +180,57 @@ export async function getIntent(text) {
         - ${INTENTS.GET_FINANCIAL_SUMMARY}: "Total sales today", "How much did I spend?"
         - ${INTENTS.CHECK_BANK_BALANCE}: "Check my balance", "How much in Opay?"
         - ${INTENTS.GET_CUSTOMER_BALANCES}: "Who owes me?", "How much does John owe me?"
+        - ${INTENTS.GET_SUPPLIER_BALANCES}: "Who do I owe?", "How much do I owe Alhaji?"
+        - ${INTENTS.LOG_SUPPLIER_PAYMENT}: "Paid Alhaji 50k for the rice I took on credit", "Settled my supplier"
+        - ${INTENTS.CREATE_PURCHASE_ORDER}: "Order 50 bags of rice from Alhaji at 20k each", "Raise a purchase order for Dangote"
+        - ${INTENTS.RECEIVE_PURCHASE_ORDER}: "Goods received from Alhaji", "The rice I ordered has arrived"
         - ${INTENTS.GENERAL_CONVERSATION}: "Hello", "Thanks", "Hi"
         - ${INTENTS.CHECK_SUBSCRIPTION}: "My plan", "When do I expire?"
         - ${INTENTS.UPGRADE_SUBSCRIPTION}: "Renew Fynax", "Upgrade to premium"
         - ${INTENTS.RECONCILE_TRANSACTION}: "Edit last sale", "Delete transaction"
+        - ${INTENTS.GET_TRIAL_BALANCE}: "Show trial balance", "Are my books balanced?"
+        - ${INTENTS.SET_TAX_SETTINGS}: "Charge 7.5% VAT", "My prices include VAT", "My tax ID is 1234-5678", "Bread is VAT exempt", "Turn off VAT"
+        - ${INTENTS.SET_EXCHANGE_RATE}: "1 USD = 1550 naira", "Dollar rate is 1600 today", "Show my exchange rates"
+        - ${INTENTS.SET_BANK_CURRENCY}: "My Payoneer account is in dollars", "Domiciliary account holds USD"
+        - ${INTENTS.TRANSFER_FUNDS}: "Moved 50k from Opay to GTBank", "Deposited today's cash into Access", "Withdrew 20k from Kuda"
+        - ${INTENTS.LOG_OWNER_DRAWING}: "Took 30k for personal use", "Withdrew 50k for my rent at home"
+        - ${INTENTS.LOG_CAPITAL_INJECTION}: "Put 200k of my own money into the business", "Added capital of 1m"
+        - ${INTENTS.LOG_LOAN_RECEIVED}: "Got a 500k loan from LAPO", "Borrowed 100k from my brother"
+        - ${INTENTS.LOG_LOAN_REPAYMENT}: "Repaid 50k of the LAPO loan", "Paid back my brother 20k"
+        - ${INTENTS.CREATE_RECURRING_EXPENSE}: "Pay rent 150k every 1st of the month from GTBank", "Salaries 300k every month end", "Internet 15k every Monday"
+        - ${INTENTS.MANAGE_RECURRING}: "Show my recurring payments", "Stop the rent schedule", "What's scheduled?"
+        - ${INTENTS.SHOW_RECEIPT}: "Show receipt for the fuel expense", "Send me the receipt for Mary's sale" (include "search": the words that identify the entry)
+        - ${INTENTS.UNDO_LAST_ACTION}: "Undo", "Undo that", "Undo my last entry"
+        - ${INTENTS.SHOW_ACTIVITY_LOG}: "Show activity log", "Who changed the rice stock?", "What did my staff do today?"
+        - ${INTENTS.SET_PRODUCT_UNITS}: "1 carton of Indomie is 40 packs", "I also sell rice by the bag, 1 bag = 50 kg at 60k" (include "productName", "unitName" (the bigger unit), "factor", "baseUnit" (the smaller unit) and "sellingPrice" only if a price for the bigger unit was given)
+        - ${INTENTS.ADD_PRODUCT_VARIANT}: "Add a red large T-shirt", "T-shirt now comes in blue, size M" (include "productName", "size" and "colour")
+        - ${INTENTS.SET_COSTING_METHOD}: "Use FIFO costing", "Switch back to weighted average cost", "How is my stock costed?" (include "costingMethod": "FIFO" or "AVERAGE" only if the user chose one)
+        - ${INTENTS.MANAGE_LOCATIONS}: "Add a location called Warehouse", "I opened a second shop in Ikeja", "Show my locations", "Musa works at the Ikeja shop" (include "locationName" for a new or named location and "staffName" when assigning a staff member)
+        - ${INTENTS.TRANSFER_STOCK}: "Move 20 bags of rice from the warehouse to the Ikeja shop", "Transfer 5 Indomie cartons to Lekki branch" (include "productName", "quantity", "unit" if a pack was named, "fromLocation" and "toLocation")
+        - ${INTENTS.START_STOCK_TAKE}: "Let's do a stock-take", "I want to count my stock", "Some rice got damaged, let me recount the shelves", "Count the warehouse stock" (include "locationName" if a location is named)
 
         CRITICAL RULES:
         1. "Add Bank" or "Add New Bank" = ${INTENTS.ADD_BANK_ACCOUNT}.
         2. "Pay for Subscription" = ${INTENTS.UPGRADE_SUBSCRIPTION}.
-        3. "Generate Report" = ${INTENTS.GENERATE_REPORT}. Context MUST include "reportType".
-        4. "Edit" or "Delete" = ${INTENTS.RECONCILE_TRANSACTION}.
+        3. "Generate Report" = ${INTENTS.GENERATE_REPORT}. Context MUST include "reportType" (SALES, EXPENSES, PNL, COGS, INVENTORY, BALANCE_SHEET, CASHFLOW, PAYABLES or VAT).
+           Questions like "where did my money go" or "why did my bank balance drop" are CASHFLOW.
+           For BALANCE_SHEET, set both startDate and endDate to the "as of" date (default TODAY).
+        4. "Edit" or "Delete" = ${INTENTS.RECONCILE_TRANSACTION}. A customer bringing goods back is ${INTENTS.LOG_RETURN}, NOT a deletion.
         5. **SINGLE vs MULTIPLE PRODUCTS**: If the user sends a text block containing 2 or more distinct products with quantities and prices, you MUST classify it as "ADD_PRODUCTS_FROM_LIST", NOT "ADD_PRODUCT".
         6. **CUSTOMER DEBTS**: If the user asks about a SPECIFIC person's debt, include "customerName".
+           Money the business owes to a supplier is ${INTENTS.GET_SUPPLIER_BALANCES} (include "supplierName" if one is named). Paying a supplier is ${INTENTS.LOG_SUPPLIER_PAYMENT}, NOT an expense.
+           Goods ORDERED but not yet delivered are ${INTENTS.CREATE_PURCHASE_ORDER}; goods already bought and in the shop are ${INTENTS.ADD_PRODUCT}.
         7. **DATE INTELLIGENCE**: Calculate Start Date and End Date.
+        8. **TAX**: For ${INTENTS.SET_TAX_SETTINGS}, include only what the user stated: "vatEnabled" (true/false), "vatRate" (number, percent), "pricesIncludeVat" (true/false), "taxId", and "productName" when the rate is for one product only (exempt = 0).
+        9. **CURRENCY**: For ${INTENTS.SET_EXCHANGE_RATE}, "currency" is the FOREIGN currency as an ISO code and "rate" is how much of the user's own currency buys 1 unit of it; add "date" (YYYY-MM-DD) only if the user gave one. For ${INTENTS.SET_BANK_CURRENCY}, include "bankName" and "currency".
+           A sale or expense quoted in a foreign currency is still ${INTENTS.LOG_SALE} / ${INTENTS.LOG_EXPENSE}.
+        10. **TRANSFERS**: Money moved between the business's OWN accounts (bank to bank, cash to bank, bank withdrawal to cash) is ${INTENTS.TRANSFER_FUNDS}, NEVER a sale or expense.
+            Context MUST include "fromAccount", "toAccount" (bank names, or "cash") and "amount". A withdrawal goes to "cash"; a cash deposit comes from "cash".
+        11. **OWNER & LOANS**: Money the owner takes for PERSONAL use is ${INTENTS.LOG_OWNER_DRAWING}; the owner putting their own money in is ${INTENTS.LOG_CAPITAL_INJECTION}. Borrowing is ${INTENTS.LOG_LOAN_RECEIVED} and paying a loan back is ${INTENTS.LOG_LOAN_REPAYMENT}.
+            These are NEVER expenses or sales. Withdrawing business cash for the shop is a transfer, not a drawing.
+        12. **RECURRING**: An expense that repeats ("every month", "weekly", "every 1st") is ${INTENTS.CREATE_RECURRING_EXPENSE}, NOT ${INTENTS.LOG_EXPENSE}.
         
-        Return JSON format: {"intent": "...", "context": {"customerName": "...", "reportType": "...", "startDate": "YYYY-MM-DD", "endDate": "YYYY-MM-DD"}}
+        Return JSON format: {"intent": "...", "context": {"customerName": "...", "supplierName": "...", "productName": "...", "bankName": "...", "reportType": "...", "startDate": "YYYY-MM-DD", "endDate": "YYYY-MM-DD", "vatEnabled": null, "vatRate": null, "pricesIncludeVat": null, "taxId": null, "currency": null, "rate": null, "date": null, "fromAccount": null, "toAccount": null, "amount": null, "search": null}}
         `;
 
         const messages = [{ role: 'system', content: systemPrompt }, { role: 'user', content: text }];
@@ -148,6 +242,9 @@ export async function getIntent(text) {
             if (result.context.amountPerUnit) result.context.amountPerUnit = parsePrice(result.context.amountPerUnit);
             if (result.context.unitsSold) result.context.unitsSold = parseInt(result.context.unitsSold, 10) || 1;
             if (result.context.openingBalance) result.context.openingBalance = parsePrice(result.context.openingBalance);
+            if (result.context.rate) result.context.rate = parsePrice(String(result.context.rate));
+            if (result.context.factor) result.context.factor = parseFloat(result.context.factor);
+            if (result.context.sellingPrice) result.context.sellingPrice = parsePrice(String(result.context.sellingPrice));
         }
         
         return result;
@@ -207,6 +304,7 @@ export async function parseBulkProductList(text) {
         3. If price is missing, set to 0.
         4. If quantity is missing, set to 1.
         5. Clean up product names (remove emoji, capitalize).
+        6. Add "expiryDate" (YYYY-MM-DD) to an item ONLY if the text gives its expiry date ("exp 03/2026", "expires 12/05/26").
         `;
 
         const messages = [{ role: 'system', content: systemPrompt }, { role: 'user', content: text }];
@@ -218,12 +316,17 @@ export async function parseBulkProductList(text) {
     }
 }
 
+// [NEW] " Also sold per carton (40 units) at 9000." for products with pack sizes
+const describeUnitPrices = (product) => (product.units || [])
+    .map(u => ` Also sold per ${u.name} (${u.factor} ${product.baseUnit || 'unit'}s)${u.sellingPrice ? ` at ${u.sellingPrice}` : ''}.`)
+    .join('');
+
 export async function gatherSaleDetails(conversationHistory, existingProduct = null, isService = false) { 
     try {
         const today = new Date().toISOString().split('T')[0];
         const productInfo = isService 
             ? "The user confirmed this is a service." 
-            : (existingProduct ? `Existing product: "${existingProduct.productName}", Price: ${existingProduct.sellingPrice}.` : 'New product/service.');
+            : (existingProduct ? `Existing product: "${existingProduct.productName}", Price: ${existingProduct.sellingPrice} per ${existingProduct.baseUnit || 'unit'}.${describeUnitPrices(existingProduct)}` : 'New product/service.');
 
         const systemPrompt = `You are a bookkeeping assistant logging a sale. TODAY: ${today}.
         CONTEXT: ${productInfo}
@@ -235,9 +338,15 @@ export async function gatherSaleDetails(conversationHistory, existingProduct = n
         3. AMBIGUOUS PRICE: If the user provides a quantity > 1 and a price (e.g., "3 bread for 600"), and it is unclear if 600 is the total or per unit, you MUST return status 'incomplete' and ask: "Did you mean 600 per unit, or 600 in total?".
         4. NEVER ask for the customer name. If the user didn't mention it, just leave "customerName" empty.
         5. NEVER ask for the payment method (Cash/Bank/Credit). If it is missing, just leave "saleType" empty.
+           If the user says the customer paid in parts or with more than one method (e.g. "half by transfer, rest on credit"), set "saleType" to "split".
         6. If items and prices are successfully resolved, return status "complete" even if customerName or saleType are empty. The system will handle asking for them later.
-        7. Return JSON format:
-        {"status": "complete"/"incomplete", "data": {"items": [], "customerName": "...", "saleType": "..."}, "reply": "Question to user..."}`;
+        7. DISCOUNTS: "pricePerUnit" is the price BEFORE any discount. A discount on one item goes in that item's "discount"; a discount on the whole sale goes in the top-level "discount". Write amounts as numbers (2000) and percentages with a % sign ("10%"). Never ask about discounts.
+        8. CURRENCY: Set 'currency' (ISO code, e.g. USD) ONLY if the user stated a foreign currency or symbol ($, £, €, "dollars"). Otherwise leave it empty. Never ask about currency.
+        9. DATE: Set 'date' (YYYY-MM-DD) ONLY if the user said when it happened ("yesterday", "last Friday", "on the 3rd"). Otherwise leave it empty. Never ask for it.
+        10. UNITS & VARIANTS: If the user sold by a pack size ("3 cartons of Indomie"), put the bare product name in "productName", the pack in "unit" ("carton") and the number of packs in "quantity"; "pricePerUnit" is then the price of one pack. If they named a size or colour ("red T-shirt, large"), put it in "variant" ("red large"). Otherwise leave both empty.
+        11. LOCATION: Set 'locationName' ONLY if the user said which shop or branch the sale was made at ("at the Ikeja shop", "from the warehouse"). Otherwise leave it empty. Never ask for it.
+        12. Return JSON format:
+        {"status": "complete"/"incomplete", "data": {"items": [{"productName": "...", "quantity": 1, "pricePerUnit": 0, "discount": null, "unit": null, "variant": null}], "customerName": "...", "saleType": "...", "discount": null, "currency": null, "date": null, "locationName": null}, "reply": "Question to user..."}`;
 
         const messages = [{ role: 'system', content: systemPrompt }, ...conversationHistory];
         let response = await callDeepSeek(messages, 0.5);
@@ -246,8 +355,15 @@ export async function gatherSaleDetails(conversationHistory, existingProduct = n
             response.data.items = response.data.items.map(item => ({
                 ...item,
                 pricePerUnit: parsePrice(item.pricePerUnit),
-                quantity: item.quantity ? parseInt(item.quantity, 10) : 1
+                quantity: item.quantity ? parseInt(item.quantity, 10) : 1,
+                discount: item.discount || null,
+                unit: item.unit || null,
+                variant: item.variant || null
             }));
+            response.data.discount = response.data.discount || null;
+            response.data.currency = response.data.currency || null;
+            response.data.date = response.data.date || null;
+            response.data.locationName = response.data.locationName || null;
         }
         return { ...response, memory: [...conversationHistory, { role: 'assistant', content: JSON.stringify(response) }] };
     } catch (e) {
@@ -257,14 +373,18 @@ export async function gatherSaleDetails(conversationHistory, existingProduct = n
 
 export async function gatherExpenseDetails(conversationHistory) {
     try {
-        const systemPrompt = `You are a smart bookkeeping assistant. Goal: Log expense(s).
+        const today = new Date().toISOString().split('T')[0];
+        const systemPrompt = `You are a smart bookkeeping assistant. Goal: Log expense(s). TODAY: ${today}.
         INPUT: "Paid 5000 for fuel and 10000 for rent"
         
         CRITICAL RULES (NO GUESSING):
         1. If 'amount' is missing, return status 'incomplete' and ask "How much was the expense?".
         2. If 'description' is too vague (e.g., "I spent money"), ask "What was the money for?".
         3. Auto-Categorize if details are sufficient.
-        4. Return JSON: { "status": "complete", "data": { "expenses": [...] } } OR { "status": "incomplete", "reply": "..." }`;
+        4. If the user says the amount includes VAT, set "includesVat": true on that expense. If they state the VAT amount itself, put it in "vatAmount". Never ask about VAT.
+        5. Set 'currency' on that expense (ISO code, e.g. USD) ONLY if the user stated a foreign currency or symbol ($, £, €, "dollars"). Otherwise leave it empty. Never ask about currency.
+        6. Set 'date' (YYYY-MM-DD) ONLY if the user said when it happened ("yesterday", "last Friday", "on the 3rd"). Otherwise leave it empty. Never ask for it. Put it on each expense it applies to.
+        7. Return JSON: { "status": "complete", "data": { "expenses": [...] } } OR { "status": "incomplete", "reply": "..." }`;
 
         const messages = [{ role: 'system', content: systemPrompt }, ...conversationHistory];
         let response = await callDeepSeek(messages, 0.5);
@@ -274,12 +394,17 @@ export async function gatherExpenseDetails(conversationHistory) {
                 response.data.expenses = [{
                     category: response.data.category,
                     amount: parsePrice(response.data.amount),
-                    description: response.data.description
+                    description: response.data.description,
+                    includesVat: !!response.data.includesVat,
+                    vatAmount: response.data.vatAmount ? parsePrice(response.data.vatAmount) : 0,
+                    currency: response.data.currency || null,
+                    date: response.data.date || null
                 }];
             } else {
                 response.data.expenses = response.data.expenses.map(e => ({
                     ...e,
-                    amount: parsePrice(e.amount)
+                    amount: parsePrice(e.amount),
+                    vatAmount: e.vatAmount ? parsePrice(e.vatAmount) : 0
                 }));
             }
         }
@@ -292,11 +417,11 @@ export async function gatherExpenseDetails(conversationHistory) {
 export async function gatherProductDetails(conversationHistory, existingProduct = null) {
     try {
         const existingDataInfo = existingProduct 
-            ? `Existing product: Cost ${existingProduct.costPrice}, Sell ${existingProduct.sellingPrice}.`
+            ? `Existing product: Cost ${existingProduct.costPrice}, Sell ${existingProduct.sellingPrice} per ${existingProduct.baseUnit || 'unit'}.${describeUnitPrices(existingProduct)}`
             : 'New product.';
 
         const systemPrompt = `Inventory Manager. Add/Update product.
-        FIELDS: productName, quantityAdded, costPrice, sellingPrice, reorderLevel.
+        FIELDS: productName, quantityAdded, costPrice, sellingPrice, reorderLevel, supplierName, paymentType, currency, unit, expiryDate, batchNumber, locationName.
         CONTEXT: ${existingDataInfo}
         
         CRITICAL RULES (NO GUESSING):
@@ -304,12 +429,20 @@ export async function gatherProductDetails(conversationHistory, existingProduct
         2. If 'costPrice' is missing, return status 'incomplete' and ask "What is the Cost Price?".
         3. If 'sellingPrice' is missing, return status 'incomplete' and ask "What is the Selling Price?".
         4. If 'quantity' is missing, ask "How many are you adding?".
-        5. Return JSON: {"status": "complete"/"incomplete", "data": {...}, "reply": "..."}`;
+        5. Extract 'supplierName' ONLY if the user said who they bought from (e.g. "from Alhaji"). Never ask for it.
+        6. Set 'paymentType' to "credit" if the stock was bought on credit / not yet paid for, otherwise leave it empty.
+        7. Set 'currency' (ISO code, e.g. USD) ONLY if the COST was stated in a foreign currency or symbol ($, £, €, "dollars"). Otherwise leave it empty. Never ask about currency. The selling price is always in the local currency.
+        8. Set 'unit' ONLY if the stock was counted in packs of an existing product's unit (e.g. "10 cartons of Indomie" -> "carton"); 'quantityAdded' and 'costPrice' are then per pack. Otherwise leave it empty.
+        9. Set 'expiryDate' (YYYY-MM-DD) and 'batchNumber' ONLY if the user gave them ("expires 12/05/2026", "batch B123"). A month and year alone means the last day of that month. Never ask for them.
+        10. Set 'locationName' ONLY if the user said which shop or warehouse the stock is going to ("at the Ikeja shop"). Never ask for it.
+        11. Return JSON: {"status": "complete"/"incomplete", "data": {...}, "reply": "..."}`;
 
         const messages = [{ role: 'system', content: systemPrompt }, ...conversationHistory];
         let response = await callDeepSeek(messages, 0.5);
 
         if (response.status === 'complete' && response.data) {
+             response.data.unit = response.data.unit || null;
+             response.data.locationName = response.data.locationName || null;
              response.data.costPrice = parsePrice(response.data.costPrice);
              response.data.sellingPrice = parsePrice(response.data.sellingPrice);
              response.data.quantityAdded = parseInt(response.data.quantityAdded, 10);
@@ -323,11 +456,13 @@ export async function gatherProductDetails(conversationHistory, existingProduct
 
 export async function gatherPaymentDetails(conversationHistory, userCurrency) {
     try {
-        const systemPrompt = `Log Customer Payment. Need: "customerName", "amount". Currency: ${userCurrency}.
+        const today = new Date().toISOString().split('T')[0];
+        const systemPrompt = `Log Customer Payment. Need: "customerName", "amount". Currency: ${userCurrency}. TODAY: ${today}.
         CRITICAL RULES:
         1. If 'customerName' is missing, ask "Who made the payment?".
         2. If 'amount' is missing, ask "How much did they pay?".
-        Return JSON: {"status": "complete"/"incomplete", "data": {"customerName": "...", "amount": "..."}, "reply": "Question to ask user..."}`;
+        3. Set 'date' (YYYY-MM-DD) ONLY if the user said when it happened ("yesterday", "last Friday", "on the 3rd"). Otherwise leave it empty. Never ask for it.
+        Return JSON: {"status": "complete"/"incomplete", "data": {"customerName": "...", "amount": "...", "date": null}, "reply": "Question to ask user..."}`;
 
         const messages = [{ role: 'system', content: systemPrompt }, ...conversationHistory];
         let response = await callDeepSeek(messages, 0.5);
@@ -341,6 +476,142 @@ export async function gatherPaymentDetails(conversationHistory, userCurrency) {
     }
 }
 
+export async function gatherReturnDetails(conversationHistory, userCurrency) {
+    try {
+        const systemPrompt = `Log a Sales Return (a customer brought goods back). Currency: ${userCurrency}.
+        GOAL: Collect 'items' (array of {productName, quantity}) and 'customerName' if mentioned.
+        CRITICAL RULES:
+        1. If no product is mentioned, ask "Which item was returned, and how many?".
+        2. Default quantity is 1.
+        3. NEVER ask for prices. The system uses the price from the original sale.
+        4. NEVER ask how the refund was paid. Leave "customerName" empty if it was not mentioned.
+        Return JSON: {"status": "complete"/"incomplete", "data": {"items": [], "customerName": "..."}, "reply": "Question to ask user..."}`;
+
+        const messages = [{ role: 'system', content: systemPrompt }, ...conversationHistory];
+        let response = await callDeepSeek(messages, 0.5);
+
+        if (response.status === 'complete' && response.data && response.data.items) {
+            response.data.items = response.data.items.map(item => ({
+                ...item,
+                quantity: item.quantity ? parseFloat(item.quantity) : 1
+            }));
+        }
+        return { ...response, memory: [...conversationHistory, { role: 'assistant', content: JSON.stringify(response) }] };
+    } catch (e) {
+        return { status: "incomplete", reply: "System busy. Please try again.", memory: conversationHistory };
+    }
+}
+
+export async function gatherSupplierPaymentDetails(conversationHistory, userCurrency) {
+    try {
+        const systemPrompt = `Log a Payment TO a Supplier (settling what the business owes). Need: "supplierName", "amount". Currency: ${userCurrency}.
+        CRITICAL RULES:
+        1. If 'supplierName' is missing, ask "Which supplier did you pay?".
+        2. If 'amount' is missing, ask "How much did you pay them?".
+        Return JSON: {"status": "complete"/"incomplete", "data": {"supplierName": "...", "amount": "..."}, "reply": "Question to ask user..."}`;
+
+        const messages = [{ role: 'system', content: systemPrompt }, ...conversationHistory];
+        let response = await callDeepSeek(messages, 0.5);
+
+        if (response.status === 'complete' && response.data) {
+            response.data.amount = parsePrice(response.data.amount);
+        }
+        return { ...response, memory: [...conversationHistory, { role: 'assistant', content: JSON.stringify(response) }] };
+    } catch (e) {
+        return { status: "incomplete", reply: "System busy. Please try again.", memory: conversationHistory };
+    }
+}
+
+// [NEW] "Pay rent 150k every 1st of the month from GTBank"
+export async function gatherRecurringExpenseDetails(conversationHistory, userCurrency) {
+    try {
+        const systemPrompt = `Set up a RECURRING expense that repeats on a schedule. Currency: ${userCurrency}.
+        Need: "description", "amount", "frequency" (DAILY, WEEKLY or MONTHLY).
+        CRITICAL RULES:
+        1. If 'amount' is missing, ask "How much is it each time?".
+        2. If the frequency or day is unclear, ask "How often should I log it, and on which day?".
+        3. MONTHLY needs "dayOfMonth" (1-31; "month end" = 31). WEEKLY needs "dayOfWeek" (0 = Sunday ... 6 = Saturday).
+        4. "category" must be one of: ${EXPENSE_CATEGORIES.join(', ')}.
+        5. "bankName" is the account it is paid from, ONLY if stated ("cash" if paid in cash). Never ask for it.
+        6. "autoPost" is true ONLY if the user asked for it to be logged automatically / without asking. Otherwise false.
+        7. Set 'currency' (ISO code) ONLY if the user stated a foreign currency or symbol. Never ask about currency.
+        Return JSON: {"status": "complete"/"incomplete", "data": {"description": "...", "category": "...", "amount": 0, "frequency": "MONTHLY", "dayOfMonth": null, "dayOfWeek": null, "bankName": null, "autoPost": false, "currency": null}, "reply": "Question to ask user..."}`;
+
+        const messages = [{ role: 'system', content: systemPrompt }, ...conversationHistory];
+        let response = await callDeepSeek(messages, 0.5);
+
+        if (response.status === 'complete' && response.data) {
+            response.data.amount = parsePrice(String(response.data.amount));
+            response.data.frequency = String(response.data.frequency || 'MONTHLY').toUpperCase();
+            if (response.data.dayOfMonth !== null && response.data.dayOfMonth !== undefined) response.data.dayOfMonth = parseInt(response.data.dayOfMonth, 10) || 1;
+            if (response.data.dayOfWeek !== null && response.data.dayOfWeek !== undefined) response.data.dayOfWeek = parseInt(response.data.dayOfWeek, 10) || 0;
+            response.data.autoPost = response.data.autoPost === true;
+        }
+        return { ...response, memory: [...conversationHistory, { role: 'assistant', content: JSON.stringify(response) }] };
+    } catch (e) {
+        return { status: "incomplete", reply: "System busy. Please try again.", memory: conversationHistory };
+    }
+}
+
+const FINANCING_QUESTIONS = {
+    OWNER_DRAWING: "How much did you take out for personal use?",
+    CAPITAL_INJECTION: "How much did you put into the business?",
+    LOAN_RECEIVED: "How much was the loan, and who lent it?",
+    LOAN_REPAYMENT: "How much did you repay, and to which lender?"
+};
+
+// [NEW] Owner drawings, capital and loans. "financingType" is fixed by the intent, so only the money details are gathered.
+export async function gatherFinancingDetails(conversationHistory, userCurrency, financingType) {
+    try {
+        const needsLender = financingType === 'LOAN_RECEIVED' || financingType === 'LOAN_REPAYMENT';
+        const systemPrompt = `Log a ${financingType.replace('_', ' ').toLowerCase()} (owner or lender money, NOT a sale or expense). Need: "amount"${needsLender ? ', "lenderName"' : ''}. Currency: ${userCurrency}.
+        CRITICAL RULES:
+        1. If 'amount' is missing, ask "${FINANCING_QUESTIONS[financingType]}".
+        2. ${needsLender ? "If 'lenderName' is missing, ask who the loan is from (a bank, cooperative or person)." : "Do not ask about lenders."}
+        3. Put any reason the user gave in 'description'. Never ask for it.
+        4. Set 'currency' (ISO code, e.g. USD) ONLY if the user stated a foreign currency or symbol. Otherwise leave it empty. Never ask about currency.
+        Return JSON: {"status": "complete"/"incomplete", "data": {"amount": "...", "lenderName": null, "description": null, "currency": null}, "reply": "Question to ask user..."}`;
+
+        const messages = [{ role: 'system', content: systemPrompt }, ...conversationHistory];
+        let response = await callDeepSeek(messages, 0.5);
+
+        if (response.status === 'complete' && response.data) {
+            response.data.amount = parsePrice(response.data.amount);
+            response.data.type = financingType;
+        }
+        return { ...response, memory: [...conversationHistory, { role: 'assistant', content: JSON.stringify(response) }] };
+    } catch (e) {
+        return { status: "incomplete", reply: "System busy. Please try again.", memory: conversationHistory };
+    }
+}
+
+export async function gatherPurchaseOrderDetails(conversationHistory, userCurrency) {
+    try {
+        const systemPrompt = `Draft a Purchase Order to a Supplier (goods ordered, NOT yet received). Need: "supplierName", "items". Currency: ${userCurrency}.
+        Each item needs "productName", "quantity" and "unitCost" (cost per unit, not the line total).
+        CRITICAL RULES:
+        1. If 'supplierName' is missing, ask "Which supplier are you ordering from?".
+        2. If any item is missing a quantity or unit cost, ask for it by product name.
+        3. Extract 'expectedDate' (YYYY-MM-DD) ONLY if the user said when delivery is expected. Never ask for it.
+        4. Set 'currency' (ISO code, e.g. USD) ONLY if the user stated a foreign currency or symbol ($, £, €, "dollars"). Otherwise leave it empty. Never ask about currency.
+        Return JSON: {"status": "complete"/"incomplete", "data": {"supplierName": "...", "items": [{"productName": "...", "quantity": 0, "unitCost": 0}], "expectedDate": null, "currency": null}, "reply": "Question to ask user..."}`;
+
+        const messages = [{ role: 'system', content: systemPrompt }, ...conversationHistory];
+        let response = await callDeepSeek(messages, 0.5);
+
+        if (response.status === 'complete' && response.data) {
+            response.data.items = (response.data.items || []).map(item => ({
+                ...item,
+                quantity: parseInt(item.quantity, 10) || 0,
+                unitCost: parsePrice(item.unitCost)
+            }));
+        }
+        return { ...response, memory: [...conversationHistory, { role: 'assistant', content: JSON.stringify(response) }] };
+    } catch (e) {
+        return { status: "incomplete", reply: "System busy. Please try again.", memory: conversationHistory };
+    }
+}
+
 export async function gatherBankAccountDetails(conversationHistory, userCurrency) {
     try {
         const systemPrompt = `Add Bank Account. Need: "bankName", "openingBalance". Currency: ${userCurrency}.
@@ -44,10 +44,10 @@ export async function setTypingIndicator(to, action, messageId = null) {
     }
 }
 
-export async function uploadMedia(buffer, mimeType) {
+export async function uploadMedia(buffer, mimeType, filename = 'report.pdf') {
     try {
         const form = new FormData();
-        form.append('file', buffer, { contentType: mimeType, filename: 'report.pdf' });
+        form.append('file', buffer, { contentType: mimeType, filename });
         form.append('messaging_product', 'whatsapp');
 
         const response = await axios.post(`${WHATSAPP_GRAPH_URL}/${config.whatsapp.phoneNumberId}/media`, form, {
@@ -93,6 +93,19 @@ export async function sendDocument(to, mediaId, filename, caption) {
     await sendMessage(data);
 }
 
+export async function sendImage(to, mediaId, caption) {
+    const data = {
+        messaging_product: 'whatsapp',
+        to,
+        type: 'image',
+        image: {
+            id: mediaId,
+            caption
+        }
+    };
+    await sendMessage(data);
+}
+
 export async function sendInteractiveButtons(to, bodyText, buttons) {
   const formattedButtons = buttons.slice(0, 3).map(btn => ({ 
     type: 'reply',
@@ -255,6 +268,10 @@ export async function sendReportMenu(to) {
                 { id: 'generate p&l report', title: 'Profit & Loss Report', description: 'See your revenue, costs, and profit.' },
                 { id: 'generate cogs report', title: 'Cost of Sales Report', description: 'View cost of goods sold.' },
                 { id: 'generate inventory report', title: 'Inventory Report', description: 'Get a PDF of your current stock.' },
+                { id: 'generate balance sheet', title: 'Balance Sheet', description: 'Assets, liabilities and equity.' },
+                { id: 'generate cash flow', title: 'Cash Flow', description: 'Where your cash came from and went.' },
+                { id: 'generate payables report', title: 'Aged Payables', description: 'What you owe suppliers, by age.' },
+                { id: 'generate vat report', title: 'VAT Report', description: 'Output tax minus input tax.' },
             ]
         }
     ];
@@ -44,6 +44,23 @@ const config = {
     channelLink: process.env.SUPPORT_CHANNEL_LINK || 'https://whatsapp.com/channel/your_channel_id',
     salesPhone: process.env.SALES_PHONE_NUMBER || '+2348000000000'
   },
+  // [NEW] Where receipt photos and documents are kept: 'local' (disk) or 's3' (any S3-compatible store)
+  attachments: {
+    driver: process.env.ATTACHMENT_STORE || 'local',
+    localDir: process.env.ATTACHMENT_DIR || './storage/attachments',
+    publicBaseUrl: process.env.ATTACHMENT_PUBLIC_URL, // Optional, used to turn stored keys into links in exports
+    s3: {
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT, // e.g. Cloudflare R2, MinIO, DigitalOcean Spaces
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    }
+  },
+  // [NEW] How far back "undo" reaches, in minutes
+  undoWindowMinutes: parseInt(process.env.UNDO_WINDOW_MINUTES, 10) || 15,
+  // [NEW] How many days ahead the daily job warns about expiring batches
+  expiryAlertDays: parseInt(process.env.EXPIRY_ALERT_DAYS, 10) || 30,
   logLevel: process.env.LOG_LEVEL || 'info',
 };
 
@@ -0,0 +1,48 @@
+import { getDB } from './connection.js';
+import { ObjectId } from 'mongodb';
+
+const attachmentsCollection = () => getDB().collection('attachments');
+
+// How long a photo waits for the sale or expense it belongs to
+const PENDING_WINDOW_MS = 30 * 60 * 1000;
+
+export async function createAttachment(attachmentData) {
+    const doc = { ...attachmentData, transactionId: null, createdAt: new Date() };
+    const result = await attachmentsCollection().insertOne(doc);
+    return { ...doc, _id: result.insertedId };
+}
+
+export async function findAttachmentById(attachmentId) {
+    const validId = typeof attachmentId === 'string' ? new ObjectId(attachmentId) : attachmentId;
+    return await attachmentsCollection().findOne({ _id: validId });
+}
+
+/**
+ * Links the sender's most recent unlinked upload to the entry it turned into.
+ * @param {ObjectId} userId - The business.
+ * @param {string} whatsappId - Who sent the photo (owner or staff).
+ * @returns {Promise<object|null>} The linked attachment, if there was one waiting.
+ */
+export async function linkPendingAttachment(userId, whatsappId, transactionId, options = {}) {
+    const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+    return await attachmentsCollection().findOneAndUpdate(
+        { userId: validUserId, uploadedBy: whatsappId, transactionId: null, createdAt: { $gte: new Date(Date.now() - PENDING_WINDOW_MS) } },
+        { $set: { transactionId, linkedAt: new Date() } },
+        { sort: { createdAt: -1 }, returnDocument: 'after', ...options }
+    );
+}
+
+export async function getAttachmentsForTransactions(transactionIds) {
+    if (transactionIds.length === 0) return [];
+    return await attachmentsCollection().find({ transactionId: { $in: transactionIds } }).toArray();
+}
+
+// Newest linked attachments, for picking which receipt to show
+export async function getRecentLinkedAttachments(userId, limit = 10) {
+    const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+    return await attachmentsCollection()
+        .find({ userId: validUserId, transactionId: { $ne: null } })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .toArray();
+}
@@ -0,0 +1,45 @@
+import { getDB } from './connection.js';
+import { ObjectId } from 'mongodb';
+import { getAuditContext, auditSnapshot } from '../utils/audit.js';
+
+const auditCollection = () => getDB().collection('audit_logs');
+
+/**
+ * Appends an entry to a business's audit trail. Entries are only ever inserted, never changed.
+ * Pass the caller's session so the entry commits or rolls back with the write it describes.
+ * @param {ObjectId|string} userId - The business (owner) the record belongs to.
+ * @param {{action: string, entity: string, entityId?: ObjectId, before?: object, after?: object, note?: string}} entry
+ */
+export async function recordAudit(userId, { action, entity, entityId = null, before = null, after = null, note = null }, options = {}) {
+    const { actor, sourceMessageId } = getAuditContext();
+    await auditCollection().insertOne({
+        userId: typeof userId === 'string' ? new ObjectId(userId) : userId,
+        actor,
+        action,
+        entity,
+        entityId,
+        before: auditSnapshot(before),
+        after: auditSnapshot(after),
+        note,
+        sourceMessageId,
+        createdAt: new Date()
+    }, { session: options.session });
+}
+
+// Newest first. `whatsappId` narrows it to what one person (owner or staff) did.
+export async function getAuditLog(userId, { startDate, endDate, whatsappId, limit = 20 } = {}) {
+    const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+    const query = { userId: validUserId };
+    if (whatsappId) query['actor.whatsappId'] = whatsappId;
+    if (startDate || endDate) {
+        query.createdAt = {};
+        if (startDate) query.createdAt.$gte = startDate;
+        if (endDate) query.createdAt.$lte = endDate;
+    }
+    return await auditCollection().find(query).sort({ createdAt: -1 }).limit(limit).toArray();
+}
+
+export async function getAuditEntriesForMessage(userId, sourceMessageId, options = {}) {
+    const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+    return await auditCollection().find({ userId: validUserId, sourceMessageId }, options).sort({ createdAt: 1 }).toArray();
+}
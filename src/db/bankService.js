@@ -2,9 +2,15 @@ import { getDB } from './connection.js';
 import logger from '../utils/logger.js';
 import { ObjectId } from 'mongodb';
 import { escapeRegex } from '../utils/helpers.js'; // [FIX] Import Helper
+import { postJournalEntry, getAccountBalance } from './ledgerService.js';
+import { buildOpeningBalanceLines } from '../utils/ledgerUtils.js';
+import { LEDGER_ACCOUNTS } from '../utils/constants.js';
+import { recordAudit } from './auditService.js';
 
 const banksCollection = () => getDB().collection('banks');
 
+export const CASH_ACCOUNT_NAME = 'Cash in Hand';
+
 export async function createBankAccount(userId, bankName, openingBalance) {
     try {
         const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
@@ -27,7 +33,20 @@ export async function createBankAccount(userId, bankName, openingBalance) {
 
         const result = await banksCollection().insertOne(newBank);
         logger.info(`Bank account "${bankName}" created for user ${validUserId} with ID: ${result.insertedId}`);
-        return await banksCollection().findOne({ _id: result.insertedId });
+
+        // Opening balances are treated as capital the owner brought into the business
+        if (openingBalance > 0) {
+            await postJournalEntry(validUserId, {
+                description: `Opening balance: ${newBank.bankName}`,
+                sourceType: 'OPENING_BALANCE',
+                sourceId: result.insertedId,
+                lines: buildOpeningBalanceLines(openingBalance, result.insertedId)
+            });
+        }
+
+        const created = await banksCollection().findOne({ _id: result.insertedId });
+        await recordAudit(validUserId, { action: 'CREATE', entity: 'BANK_ACCOUNT', entityId: created._id, after: created });
+        return created;
     } catch (error) {
         logger.error(`Error creating bank account for user ${userId}:`, error);
         throw error;
@@ -37,7 +56,8 @@ export async function createBankAccount(userId, bankName, openingBalance) {
 export async function getAllBankAccounts(userId) {
     try {
         const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
-        const banks = await banksCollection().find({ userId: validUserId }).toArray();
+        // Cash in hand lives in the same collection but is never offered as a bank
+        const banks = await banksCollection().find({ userId: validUserId, isCash: { $ne: true } }).toArray();
         return banks;
     } catch (error) {
         logger.error(`Error fetching bank accounts for user ${userId}:`, error);
@@ -59,9 +79,73 @@ export async function findBankAccountByName(userId, bankName) {
     }
 }
 
+// [NEW] Cash in hand is a bank-like record (isCash) so its balance is tracked like any account.
+// Transactions paid in cash still leave linkedBankId empty; that is how the ledger books them to Cash.
+export async function getCashAccount(userId, options = {}) {
+    try {
+        const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+        const existing = await banksCollection().findOne({ userId: validUserId, isCash: true }, options);
+        if (existing) return existing;
+
+        // Cash has been moving through the ledger all along, so the record starts from that balance
+        const openingBalance = await getAccountBalance(validUserId, LEDGER_ACCOUNTS.CASH.code, options);
+        const result = await banksCollection().updateOne(
+            { userId: validUserId, isCash: true },
+            { $setOnInsert: { userId: validUserId, bankName: CASH_ACCOUNT_NAME, isCash: true, balance: openingBalance, createdAt: new Date(), updatedAt: new Date() } },
+            { upsert: true, ...options }
+        );
+        const cash = await banksCollection().findOne({ userId: validUserId, isCash: true }, options);
+        if (result.upsertedId) await recordAudit(validUserId, { action: 'CREATE', entity: 'BANK_ACCOUNT', entityId: cash._id, after: cash }, options);
+        return cash;
+    } catch (error) {
+        logger.error(`Error getting cash account for user ${userId}:`, error);
+        throw new Error('Could not retrieve cash in hand.');
+    }
+}
+
+export async function updateCashBalance(userId, amountChange, options = {}) {
+    const cash = await getCashAccount(userId, options);
+    return await updateBankBalance(cash._id, amountChange, options);
+}
+
+// Money either moves through a linked bank or, when there is none, through cash in hand
+export async function updateMoneyBalance(userId, bankId, amountChange, options = {}) {
+    if (bankId) return await updateBankBalance(bankId, amountChange, options);
+    return await updateCashBalance(userId, amountChange, options);
+}
+
+export async function findBankAccountById(bankId, options = {}) {
+    try {
+        const validBankId = typeof bankId === 'string' ? new ObjectId(bankId) : bankId;
+        return await banksCollection().findOne({ _id: validBankId }, options);
+    } catch (error) {
+        logger.error(`Error finding bank account ${bankId}:`, error);
+        throw new Error('Could not retrieve bank account.');
+    }
+}
+
+// Banks without a currency hold the business's base currency.
+export async function updateBankCurrency(bankId, currency) {
+    try {
+        const validBankId = typeof bankId === 'string' ? new ObjectId(bankId) : bankId;
+        const before = await banksCollection().findOne({ _id: validBankId });
+        const updated = await banksCollection().findOneAndUpdate(
+            { _id: validBankId },
+            { $set: { currency: currency.toUpperCase(), updatedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        if (updated) await recordAudit(updated.userId, { action: 'UPDATE', entity: 'BANK_ACCOUNT', entityId: validBankId, before, after: updated, note: 'CURRENCY' });
+        return updated;
+    } catch (error) {
+        logger.error(`Error updating currency for bank ${bankId}:`, error);
+        throw new Error('Could not update bank currency.');
+    }
+}
+
 export async function updateBankBalance(bankId, amountChange, options = {}) {
     try {
         const validBankId = typeof bankId === 'string' ? new ObjectId(bankId) : bankId;
+        const before = await banksCollection().findOne({ _id: validBankId }, options);
         const result = await banksCollection().findOneAndUpdate(
             { _id: validBankId },
             { 
@@ -70,6 +154,7 @@ export async function updateBankBalance(bankId, amountChange, options = {}) {
             },
             { returnDocument: 'after', ...options }
         );
+        await recordAudit(result.userId, { action: 'UPDATE', entity: 'BANK_ACCOUNT', entityId: validBankId, before, after: result, note: 'BALANCE' }, options);
         logger.info(`Balance updated for bank ${validBankId}. Change: ${amountChange}. New balance: ${result.balance}`);
         return result;
     } catch (error) {
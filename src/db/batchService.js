@@ -0,0 +1,95 @@
+import { getDB } from './connection.js';
+import { ObjectId } from 'mongodb';
+import { allocateFefo, allocateFifo } from '../utils/batches.js';
+
+const batchesCollection = () => getDB().collection('stock_batches');
+
+const toId = (id) => typeof id === 'string' ? new ObjectId(id) : id;
+
+/**
+ * Records a lot of incoming stock.
+ * @param {{userId, productId, productName: string, quantity: number, costPrice: number,
+ *   expiryDate?: Date|null, batchNumber?: string|null, linkedTransactionId?: ObjectId|null}} batchData
+ */
+export async function createBatch(batchData, options = {}) {
+    const doc = {
+        ...batchData,
+        productId: toId(batchData.productId),
+        initialQuantity: batchData.quantity,
+        expiryDate: batchData.expiryDate ? new Date(batchData.expiryDate) : null,
+        batchNumber: batchData.batchNumber || null,
+        linkedTransactionId: batchData.linkedTransactionId || null,
+        expiryAlertedAt: null,
+        createdAt: new Date()
+    };
+    const result = await batchesCollection().insertOne(doc, options);
+    return { ...doc, _id: result.insertedId };
+}
+
+// A product's batches that still hold stock
+export async function getOpenBatches(productId, options = {}) {
+    return await batchesCollection().find({ productId: toId(productId), quantity: { $gt: 0 } }, options).toArray();
+}
+
+/**
+ * Takes stock out of a product's batches. A named batch goes first, then batches the same
+ * transaction brought in (so a reversed purchase removes its own lot), then FEFO. With `fifo`
+ * the rest follows FIFO instead, using up `fifo.untracked` stock outside the batches first.
+ * @returns {Promise<Array<{batchId: ObjectId, quantity: number}>>}
+ */
+export async function drawFromBatches(productId, quantity, { batchId = null, linkedTransactionId = null, fifo = null } = {}, options = {}) {
+    const open = await getOpenBatches(productId, options);
+    const isPreferred = (b) => (batchId && b._id.toString() === batchId.toString()) ||
+        (linkedTransactionId && b.linkedTransactionId?.toString() === linkedTransactionId.toString());
+
+    const first = allocateFefo(open.filter(isPreferred), quantity);
+    const others = open.filter(b => !isPreferred(b));
+    const rest = fifo ? allocateFifo(others, first.shortfall, fifo.untracked) : allocateFefo(others, first.shortfall);
+    const allocations = [...first.allocations, ...rest.allocations];
+
+    for (const part of allocations) {
+        await batchesCollection().updateOne({ _id: part.batchId }, { $inc: { quantity: -part.quantity } }, options);
+    }
+    return allocations;
+}
+
+// Puts reversed or refunded stock back into the batches it was drawn from (see netBatchUsage)
+export async function returnToBatches(heldBatches, quantity, options = {}) {
+    const { allocations, shortfall } = allocateFefo(heldBatches, quantity);
+    for (const part of allocations) {
+        await batchesCollection().updateOne({ _id: part.batchId }, { $inc: { quantity: part.quantity } }, options);
+    }
+    return { allocations, shortfall };
+}
+
+// Batches still holding stock that have an expiry date, soonest first
+export async function getExpiringBatches(userId, expiringBefore = null, options = {}) {
+    const expiryDate = expiringBefore ? { $ne: null, $lte: expiringBefore } : { $ne: null };
+    return await batchesCollection()
+        .find({ userId: toId(userId), quantity: { $gt: 0 }, expiryDate }, options)
+        .sort({ expiryDate: 1 })
+        .toArray();
+}
+
+/**
+ * Batches the daily job should warn about: each one once when it comes within the alert
+ * window, and once more when it has actually expired.
+ */
+export async function getBatchesDueForExpiryAlert(userId, alertDays) {
+    const now = new Date();
+    const windowEnd = new Date(now.getTime() + alertDays * 24 * 60 * 60 * 1000);
+    return await batchesCollection().find({
+        userId: toId(userId),
+        quantity: { $gt: 0 },
+        expiryDate: { $ne: null, $lte: windowEnd },
+        $or: [
+            { expiryAlertedAt: null },
+            { expiryDate: { $lte: now }, $expr: { $lt: ['$expiryAlertedAt', '$expiryDate'] } }
+        ]
+    }).sort({ expiryDate: 1 }).toArray();
+}
+
+export async function markExpiryAlerted(batchIds) {
+    if (batchIds.length === 0) return;
+    await batchesCollection().updateMany({ _id: { $in: batchIds } }, { $set: { expiryAlertedAt: new Date() } });
+}
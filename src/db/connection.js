@@ -22,7 +22,23 @@ export async function connectToDB() {
         await db.collection('transactions').createIndex({ userId: 1, type: 1 });
         await db.collection('products').createIndex({ userId: 1, productName: 1 });
         await db.collection('customers').createIndex({ userId: 1, customerName: 1 });
+        await db.collection('suppliers').createIndex({ userId: 1, supplierName: 1 });
+        await db.collection('purchase_orders').createIndex({ userId: 1, status: 1 });
+        await db.collection('recurring_schedules').createIndex({ isActive: 1, nextRunAt: 1 });
+        await db.collection('exchange_rates').createIndex({ userId: 1, currency: 1, effectiveDate: -1 });
+        await db.collection('banks').createIndex({ userId: 1, isCash: 1 }, { unique: true, partialFilterExpression: { isCash: true } });
         await db.collection('users').createIndex({ whatsappId: 1 }, { unique: true });
+        await db.collection('audit_logs').createIndex({ userId: 1, createdAt: -1 });
+        await db.collection('audit_logs').createIndex({ userId: 1, sourceMessageId: 1 });
+        await db.collection('attachments').createIndex({ userId: 1, uploadedBy: 1, createdAt: -1 });
+        await db.collection('attachments').createIndex({ transactionId: 1 });
+        await db.collection('stock_batches').createIndex({ productId: 1, quantity: 1 });
+        await db.collection('stock_batches').createIndex({ userId: 1, expiryDate: 1 });
+        await db.collection('inventory_logs').createIndex({ productId: 1, linkedTransactionId: 1 });
+        await db.collection('locations').createIndex({ userId: 1, name: 1 });
+        await db.collection('journal_entries').createIndex({ userId: 1, date: -1 });
+        await db.collection('journal_entries').createIndex({ userId: 1, sourceId: 1 });
+        await db.collection('accounts').createIndex({ userId: 1, code: 1 }, { unique: true });
         logger.info('Database indexes verified.');
     } catch (idxError) {
         logger.warn('Index creation warning (safe to ignore):', idxError.message);
@@ -2,6 +2,7 @@ import { getDB } from './connection.js';
 import logger from '../utils/logger.js';
 import { ObjectId } from 'mongodb';
 import { escapeRegex } from '../utils/helpers.js'; 
+import { recordAudit } from './auditService.js';
 
 const customersCollection = () => getDB().collection('customers');
 
@@ -32,6 +33,7 @@ export async function findOrCreateCustomer(userId, customerName, options = {}) {
             };
             const result = await customersCollection().insertOne(newCustomer, options);
             customer = await customersCollection().findOne({ _id: result.insertedId }, options);
+            await recordAudit(validUserId, { action: 'CREATE', entity: 'CUSTOMER', entityId: customer._id, after: customer }, options);
         }
         return customer;
     } catch (error) {
@@ -56,6 +58,7 @@ export async function findCustomerByName(userId, customerName, options = {}) {
 export async function updateBalanceOwed(customerId, amountChange, options = {}) {
     try {
         const validCustId = typeof customerId === 'string' ? new ObjectId(customerId) : customerId;
+        const before = await customersCollection().findOne({ _id: validCustId }, options);
         const result = await customersCollection().findOneAndUpdate(
             { _id: validCustId },
             { 
@@ -64,6 +67,7 @@ export async function updateBalanceOwed(customerId, amountChange, options = {})
             },
             { returnDocument: 'after', ...options }
         );
+        if (result) await recordAudit(result.userId, { action: 'UPDATE', entity: 'CUSTOMER', entityId: validCustId, before, after: result, note: 'BALANCE_OWED' }, options);
         return result;
     } catch (error) {
         logger.error(`Error updating balance:`, error);
@@ -71,6 +75,27 @@ export async function updateBalanceOwed(customerId, amountChange, options = {})
     }
 }
 
+// [NEW] Store credit is money we hold for the customer after a return
+export async function updateStoreCredit(customerId, amountChange, options = {}) {
+    try {
+        const validCustId = typeof customerId === 'string' ? new ObjectId(customerId) : customerId;
+        const before = await customersCollection().findOne({ _id: validCustId }, options);
+        const result = await customersCollection().findOneAndUpdate(
+            { _id: validCustId },
+            { 
+                $inc: { storeCredit: amountChange },
+                $set: { updatedAt: new Date() }
+            },
+            { returnDocument: 'after', ...options }
+        );
+        if (result) await recordAudit(result.userId, { action: 'UPDATE', entity: 'CUSTOMER', entityId: validCustId, before, after: result, note: 'STORE_CREDIT' }, options);
+        return result;
+    } catch (error) {
+        logger.error(`Error updating store credit:`, error);
+        throw new Error('Could not update customer store credit.');
+    }
+}
+
 export async function findCustomerById(customerId, options = {}) {
     try {
         const validCustId = typeof customerId === 'string' ? new ObjectId(customerId) : customerId;
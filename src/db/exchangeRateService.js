@@ -0,0 +1,64 @@
+import { getDB } from './connection.js';
+import logger from '../utils/logger.js';
+import { ObjectId } from 'mongodb';
+
+const exchangeRatesCollection = () => getDB().collection('exchange_rates');
+
+// One document per currency per day; rate is how many base-currency units buy 1 unit of `currency`.
+export async function setExchangeRate(userId, currency, rate, effectiveDate = new Date(), source = 'MANUAL') {
+    try {
+        const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+        const day = new Date(effectiveDate);
+        day.setHours(0, 0, 0, 0);
+
+        return await exchangeRatesCollection().findOneAndUpdate(
+            { userId: validUserId, currency: currency.toUpperCase(), effectiveDate: day },
+            {
+                $set: { rate: Number(rate), source, updatedAt: new Date() },
+                $setOnInsert: { createdAt: new Date() }
+            },
+            { upsert: true, returnDocument: 'after' }
+        );
+    } catch (error) {
+        logger.error(`Error setting exchange rate for user ${userId}:`, error);
+        throw new Error('Could not save exchange rate.');
+    }
+}
+
+// The rate in force on `date`: the most recent one entered on or before that day.
+export async function getExchangeRate(userId, currency, date = new Date(), options = {}) {
+    try {
+        const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+        return await exchangeRatesCollection().findOne(
+            { userId: validUserId, currency: currency.toUpperCase(), effectiveDate: { $lte: new Date(date) } },
+            { sort: { effectiveDate: -1 }, ...options }
+        );
+    } catch (error) {
+        logger.error(`Error fetching exchange rate for user ${userId}:`, error);
+        throw new Error('Could not retrieve exchange rate.');
+    }
+}
+
+export async function getLatestExchangeRates(userId) {
+    try {
+        const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+        return await exchangeRatesCollection().aggregate([
+            { $match: { userId: validUserId } },
+            { $sort: { effectiveDate: -1 } },
+            { $group: { _id: "$currency", rate: { $first: "$rate" }, effectiveDate: { $first: "$effectiveDate" } } },
+            { $sort: { _id: 1 } }
+        ]).toArray();
+    } catch (error) {
+        logger.error(`Error fetching exchange rates for user ${userId}:`, error);
+        throw new Error('Could not retrieve exchange rates.');
+    }
+}
+
+export async function importExchangeRates(userId, rates) {
+    let imported = 0;
+    for (const { currency, rate, date } of rates) {
+        await setExchangeRate(userId, currency, rate, date || new Date(), 'IMPORT');
+        imported++;
+    }
+    return imported;
+}
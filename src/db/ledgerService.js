@@ -0,0 +1,165 @@
+import { getDB } from './connection.js';
+import logger from '../utils/logger.js';
+import { ObjectId } from 'mongodb';
+import { LEDGER_ACCOUNTS } from '../utils/constants.js';
+import { buildTransactionLines, assertBalanced, reverseLines, roundAmount } from '../utils/ledgerUtils.js';
+import { getAuditContext } from '../utils/audit.js';
+
+const accountsCollection = () => getDB().collection('accounts');
+const journalCollection = () => getDB().collection('journal_entries');
+
+// Businesses whose chart of accounts has already been seeded by this process
+const seededBusinesses = new Set();
+
+// Seeding is idempotent, so it deliberately runs outside any caller session:
+// an aborted posting must not leave the cache believing the accounts exist.
+export async function ensureChartOfAccounts(userId) {
+    const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+    if (seededBusinesses.has(validUserId.toString())) return;
+
+    const ops = Object.values(LEDGER_ACCOUNTS).map(account => ({
+        updateOne: {
+            filter: { userId: validUserId, code: account.code },
+            update: { $setOnInsert: { userId: validUserId, ...account, createdAt: new Date() } },
+            upsert: true
+        }
+    }));
+    await accountsCollection().bulkWrite(ops);
+    seededBusinesses.add(validUserId.toString());
+}
+
+export async function getChartOfAccounts(userId) {
+    const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+    await ensureChartOfAccounts(validUserId);
+    return await accountsCollection().find({ userId: validUserId }).sort({ code: 1 }).toArray();
+}
+
+export async function postJournalEntry(userId, entry, options = {}) {
+    const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+    const lines = (entry.lines || []).filter(line => line.debit || line.credit);
+    if (lines.length === 0) return null;
+
+    assertBalanced(lines);
+    await ensureChartOfAccounts(validUserId);
+
+    const doc = {
+        userId: validUserId,
+        date: entry.date || new Date(),
+        description: entry.description || '',
+        sourceType: entry.sourceType,
+        sourceId: entry.sourceId || null,
+        lines,
+        sourceMessageId: getAuditContext().sourceMessageId,
+        createdAt: new Date()
+    };
+    if (entry.reversalOf) doc.reversalOf = entry.reversalOf;
+
+    const result = await journalCollection().insertOne(doc, options);
+    return { ...doc, _id: result.insertedId };
+}
+
+export async function postTransactionJournal(transaction, options = {}) {
+    return await postJournalEntry(transaction.userId, {
+        date: transaction.date,
+        description: transaction.description,
+        sourceType: transaction.type,
+        sourceId: transaction._id,
+        lines: buildTransactionLines(transaction)
+    }, options);
+}
+
+// Cancels every live entry matching `filter` with an opposite entry,
+// so the history stays in the journal instead of being deleted.
+async function reverseMatchingEntries(userId, filter, options, { backdate = false } = {}) {
+    const entries = await journalCollection().find({
+        userId,
+        ...filter,
+        reversalOf: { $exists: false },
+        reversedAt: null
+    }, options).toArray();
+
+    for (const entry of entries) {
+        await postJournalEntry(userId, {
+            date: backdate ? entry.date : new Date(),
+            description: `Reversal: ${entry.description}`,
+            sourceType: 'REVERSAL',
+            sourceId: entry.sourceId,
+            reversalOf: entry._id,
+            lines: reverseLines(entry.lines)
+        }, options);
+        await journalCollection().updateOne({ _id: entry._id }, { $set: { reversedAt: new Date() } }, options);
+    }
+    return entries.length;
+}
+
+// Reverses every entry posted for a source document.
+// With `backdate`, each reversal carries the date of the entry it cancels (used when
+// an entry is re-dated, so the old period nets to zero rather than today's).
+export async function reverseJournalEntries(userId, sourceId, options = {}, { backdate = false } = {}) {
+    const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+    const validSourceId = typeof sourceId === 'string' ? new ObjectId(sourceId) : sourceId;
+    return await reverseMatchingEntries(validUserId, { sourceId: validSourceId }, options, { backdate });
+}
+
+// [NEW] Reverses the entries of one type posted while handling a given WhatsApp message
+export async function reverseMessageJournalEntries(userId, sourceMessageId, sourceType, options = {}) {
+    const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+    return await reverseMatchingEntries(validUserId, { sourceMessageId, sourceType }, options);
+}
+
+// Net debit balance of one ledger account, e.g. to seed a balance record from the books
+export async function getAccountBalance(userId, accountCode, options = {}) {
+    const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+    const rows = await journalCollection().aggregate([
+        { $match: { userId: validUserId, 'lines.accountCode': accountCode } },
+        { $unwind: '$lines' },
+        { $match: { 'lines.accountCode': accountCode } },
+        { $group: { _id: null, net: { $sum: { $subtract: ['$lines.debit', '$lines.credit'] } } } }
+    ], options).toArray();
+    return roundAmount(rows[0]?.net || 0);
+}
+
+export async function getTrialBalance(userId, asOfDate = new Date()) {
+    try {
+        const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+        const chart = await getChartOfAccounts(validUserId);
+
+        const rows = await journalCollection().aggregate([
+            { $match: { userId: validUserId, date: { $lte: asOfDate } } },
+            { $unwind: '$lines' },
+            {
+                $group: {
+                    _id: '$lines.accountCode',
+                    debit: { $sum: '$lines.debit' },
+                    credit: { $sum: '$lines.credit' }
+                }
+            },
+            { $sort: { _id: 1 } }
+        ]).toArray();
+
+        const accounts = rows.map(row => {
+            const account = chart.find(a => a.code === row._id);
+            return {
+                code: row._id,
+                name: account ? account.name : 'Unknown Account',
+                type: account ? account.type : null,
+                debit: roundAmount(row.debit),
+                credit: roundAmount(row.credit),
+                balance: roundAmount(row.debit - row.credit)
+            };
+        });
+
+        const totalDebits = roundAmount(accounts.reduce((sum, a) => sum + a.debit, 0));
+        const totalCredits = roundAmount(accounts.reduce((sum, a) => sum + a.credit, 0));
+
+        return {
+            accounts,
+            totalDebits,
+            totalCredits,
+            isBalanced: Math.abs(totalDebits - totalCredits) < 0.01
+        };
+    } catch (error) {
+        logger.error(`Error building trial balance for user ${userId}:`, error);
+        throw new Error('Could not build trial balance.');
+    }
+}
@@ -0,0 +1,65 @@
+import { getDB } from './connection.js';
+import logger from '../utils/logger.js';
+import { ObjectId } from 'mongodb';
+import { escapeRegex } from '../utils/helpers.js';
+import { recordAudit } from './auditService.js';
+import { matchLocation } from '../utils/locations.js';
+
+const locationsCollection = () => getDB().collection('locations');
+
+const toId = (id) => typeof id === 'string' ? new ObjectId(id) : id;
+
+// Shops and warehouses a business keeps stock in. The first one added is the main location
+// (see utils/locations.js), which holds all the stock counted before locations were set up.
+export async function createLocation(userId, name, options = {}) {
+    try {
+        const validUserId = toId(userId);
+        const safeName = name.trim();
+        const existing = await findLocationByName(validUserId, safeName, options);
+        if (existing) return existing;
+
+        const count = await locationsCollection().countDocuments({ userId: validUserId }, options);
+        const doc = { userId: validUserId, name: safeName, isMain: count === 0, createdAt: new Date() };
+        const result = await locationsCollection().insertOne(doc, options);
+        const location = { ...doc, _id: result.insertedId };
+        await recordAudit(validUserId, { action: 'CREATE', entity: 'LOCATION', entityId: location._id, after: location }, options);
+        return location;
+    } catch (error) {
+        logger.error('Error creating location:', error);
+        throw new Error('Could not create location.');
+    }
+}
+
+// Main location first, then in the order they were added
+export async function getLocations(userId, options = {}) {
+    return await locationsCollection()
+        .find({ userId: toId(userId) }, options)
+        .sort({ isMain: -1, createdAt: 1 })
+        .toArray();
+}
+
+export async function findLocationByName(userId, name, options = {}) {
+    const query = { userId: toId(userId), name: { $regex: new RegExp(`^${escapeRegex(name.trim())}$`, 'i') } };
+    return await locationsCollection().findOne(query, options);
+}
+
+export async function findLocationById(locationId, options = {}) {
+    if (!locationId) return null;
+    return await locationsCollection().findOne({ _id: toId(locationId) }, options);
+}
+
+/**
+ * Where something happens: the location named, else the staff member's own location, else the
+ * main location (null). Businesses without locations always get null.
+ */
+export async function resolveLocation(user, name = null, options = {}) {
+    const locations = await getLocations(user._id, options);
+    if (locations.length === 0) return null;
+    if (name) {
+        const match = matchLocation(locations, name);
+        if (!match) throw new Error(`I don't have a location called "${name}". Your locations: ${locations.map(l => l.name).join(', ')}.`);
+        return match;
+    }
+    if (user.locationId) return locations.find(l => l._id.toString() === user.locationId.toString()) || null;
+    return null;
+}
@@ -2,6 +2,13 @@ import { getDB } from './connection.js';
 import logger from '../utils/logger.js';
 import { ObjectId } from 'mongodb';
 import { escapeRegex } from '../utils/helpers.js';
+import { recordAudit } from './auditService.js';
+import { getAuditContext } from '../utils/audit.js';
+import { findUnit, sameUnit, splitUnitFromName, variantName } from '../utils/units.js';
+import { netBatchUsage, layerCost, untrackedStock } from '../utils/batches.js';
+import { stockAt } from '../utils/locations.js';
+import { COSTING_METHODS } from '../utils/constants.js';
+import { createBatch, drawFromBatches, returnToBatches, getOpenBatches } from './batchService.js';
 
 const productsCollection = () => getDB().collection('products');
 const inventoryLogsCollection = () => getDB().collection('inventory_logs');
@@ -13,6 +20,26 @@ export async function findProductByName(userId, productName, options = {}) {
     return await productsCollection().findOne(query, options);
 }
 
+/**
+ * [NEW] Finds a product named with or without a unit: "Indomie", "Indomie carton", "cartons of Indomie".
+ * `unitHint` is a unit the AI already split off the name.
+ * @returns {Promise<{product: object, unit: object|null}|null>} `unit` is null when the product
+ *   was found but isn't sold in the unit asked for.
+ */
+export async function findProductWithUnit(userId, text, unitHint = null, options = {}) {
+    const exact = await findProductByName(userId, text, options);
+    if (exact) {
+        const unit = findUnit(exact, unitHint);
+        if (unit) return { product: exact, unit };
+    }
+    for (const reading of splitUnitFromName(text)) {
+        const product = await findProductByName(userId, reading.name, options);
+        const unit = product && findUnit(product, reading.unit);
+        if (unit) return { product, unit };
+    }
+    return exact ? { product: exact, unit: null } : null;
+}
+
 export async function findProductById(productId, options = {}) {
     try {
         const validProdId = typeof productId === 'string' ? new ObjectId(productId) : productId;
@@ -34,7 +61,17 @@ export async function findProductFuzzy(userId, searchText) {
     return await productsCollection().find(query).limit(5).toArray();
 }
 
-export async function upsertProduct(userId, productName, quantityAdded, newCostPrice, sellingPrice, reorderLevel = 5) {
+// [NEW] Stock held away from the main location is also counted under locationStock.<locationId>
+// (see utils/locations.js); this is the pipeline $set for moving it by `change`.
+const locationStockChange = (locationId, change) => {
+    if (!locationId || !change) return {};
+    const field = `locationStock.${locationId.toString()}`;
+    return { [field]: { $add: [{ $ifNull: [`$${field}`, 0] }, change] } };
+};
+
+// Pass options.batch ({ expiryDate, batchNumber }) to date the lot being restocked
+export async function upsertProduct(userId, productName, quantityAdded, newCostPrice, sellingPrice, reorderLevel = 5, options = {}) {
+    const { batch, locationId, ...dbOptions } = options;
     const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
     const safeName = escapeRegex(productName.trim());
     const query = { userId: validUserId, productName: { $regex: new RegExp(`^${safeName}$`, 'i') } };
@@ -66,60 +103,291 @@ export async function upsertProduct(userId, productName, quantityAdded, newCostP
                     }
                 },
                 quantity: { $add: [{ $ifNull: ["$quantity", 0] }, quantityAdded] },
-                createdAt: { $ifNull: ["$createdAt", new Date()] } 
+                createdAt: { $ifNull: ["$createdAt", new Date()] },
+                ...locationStockChange(locationId, quantityAdded)
             }
         }
     ];
 
+    const before = await productsCollection().findOne(query, dbOptions);
     const result = await productsCollection().findOneAndUpdate(
         query, 
         update, 
-        { upsert: true, returnDocument: 'after' }
+        { upsert: true, returnDocument: 'after', ...dbOptions }
     );
+    await recordAudit(validUserId, { action: before ? 'UPDATE' : 'CREATE', entity: 'PRODUCT', entityId: result._id, before, after: result, note: 'STOCK_ADJUSTMENT' }, dbOptions);
     
     if (quantityAdded !== 0) {
+        const batches = await moveBatchStock(result, quantityAdded, null, { batch, unitCost: newCostPrice }, dbOptions);
         await inventoryLogsCollection().insertOne({
             userId: validUserId,
             productId: result._id,
             quantityChange: quantityAdded,
             reason: 'STOCK_ADJUSTMENT',
             costAtTime: result.costPrice, 
+            batches,
+            locationId: locationId || null,
+            sourceMessageId: getAuditContext().sourceMessageId,
             createdAt: new Date()
-        });
+        }, dbOptions);
     }
     
     return result;
 }
 
+/**
+ * [NEW] Keeps a product's batches in step with a stock movement. Stock going out is drawn FEFO (FIFO with `fifo`);
+ * stock coming back for a transaction returns to the batches that transaction drew from, and
+ * anything else coming in opens a new batch.
+ * @returns {Promise<Array<{batchId: ObjectId, quantity: number}>>} What moved, for the inventory log.
+ */
+async function moveBatchStock(product, quantityChange, linkedTransactionId, { batch, batchId, batchSourceId, unitCost, fifo }, options) {
+    if (quantityChange < 0) {
+        return await drawFromBatches(product._id, -quantityChange, { batchId, linkedTransactionId, fifo }, options);
+    }
+
+    let allocations = [];
+    let remaining = quantityChange;
+    const sourceId = batchSourceId || linkedTransactionId;
+    if (sourceId && !batch) {
+        const logs = await inventoryLogsCollection().find({ productId: product._id, linkedTransactionId: sourceId, batches: { $exists: true } }, options).toArray();
+        const returned = await returnToBatches(netBatchUsage(logs), remaining, options);
+        allocations = returned.allocations;
+        remaining = returned.shortfall;
+    }
+    if (remaining > 0) {
+        const created = await createBatch({
+            userId: product.userId,
+            productId: product._id,
+            productName: product.productName,
+            quantity: remaining,
+            costPrice: unitCost ?? product.costPrice ?? 0,
+            expiryDate: batch?.expiryDate,
+            batchNumber: batch?.batchNumber,
+            linkedTransactionId
+        }, options);
+        allocations.push({ batchId: created._id, quantity: remaining, costPrice: created.costPrice });
+    }
+    return allocations;
+}
+
+/**
+ * Moves a product's stock and batches and logs the movement.
+ * Pass options.unitCost with incoming stock to re-average the cost price (same formula as upsertProduct).
+ * options.batch dates incoming stock; options.batchId names the batch outgoing stock is taken from;
+ * options.batchSourceId is the sale whose batches returned stock goes back to.
+ * With options.costing FIFO, outgoing stock is costed at its own layers and the returned product
+ * carries that as `drawnUnitCost`. options.locationId is where the stock moves (omit for the main location).
+ */
 export async function updateStock(productId, quantityChange, reason, linkedTransactionId, options = {}) {
+    const { unitCost, batch, batchId, batchSourceId, costing, locationId, ...dbOptions } = options;
     const validProdId = typeof productId === 'string' ? new ObjectId(productId) : productId;
     
     const filter = { _id: validProdId };
+
+    let update = { 
+        $inc: { quantity: quantityChange, ...(locationId && { [`locationStock.${locationId.toString()}`]: quantityChange }) },
+        $set: { updatedAt: new Date() }
+    };
+
+    if (unitCost !== undefined && quantityChange > 0) {
+        const currentQty = { $max: [{ $ifNull: ["$quantity", 0] }, 0] };
+        update = [{
+            $set: {
+                costPrice: {
+                    $divide: [
+                        { $add: [{ $multiply: [currentQty, { $ifNull: ["$costPrice", 0] }] }, quantityChange * unitCost] },
+                        { $add: [currentQty, quantityChange] }
+                    ]
+                },
+                quantity: { $add: [{ $ifNull: ["$quantity", 0] }, quantityChange] },
+                updatedAt: new Date(),
+                ...locationStockChange(locationId, quantityChange)
+            }
+        }];
+    }
     
-    const updatedProduct = await productsCollection().findOneAndUpdate(
+    const before = await productsCollection().findOne(filter, dbOptions);
+    let updatedProduct = await productsCollection().findOneAndUpdate(
         filter,
-        { 
-            $inc: { quantity: quantityChange },
-            $set: { updatedAt: new Date() }
-        },
-        { returnDocument: 'after', ...options }
+        update,
+        { returnDocument: 'after', ...dbOptions }
     );
 
     if (!updatedProduct) {
         throw new Error('Product not found for stock update.');
     }
 
+    const validTxId = typeof linkedTransactionId === 'string' ? new ObjectId(linkedTransactionId) : linkedTransactionId;
+    // [NEW] FIFO: stock on hand before batches were tracked is the oldest layer and leaves first
+    const fifoOut = costing === COSTING_METHODS.FIFO && quantityChange < 0;
+    const untracked = fifoOut ? untrackedStock(before, await getOpenBatches(validProdId, dbOptions)) : null;
+    const batches = quantityChange !== 0
+        ? await moveBatchStock(updatedProduct, quantityChange, validTxId, { batch, batchId, batchSourceId, unitCost, fifo: untracked && { untracked: untracked.quantity } }, dbOptions)
+        : [];
+
+    // [NEW] FIFO: what leaves takes its own layers' cost, so what's left is valued at the later layers
+    let drawnUnitCost;
+    if (fifoOut) {
+        drawnUnitCost = layerCost(batches, -quantityChange, untracked.unitCost);
+        const remainingValue = Math.max(before.quantity || 0, 0) * (before.costPrice || 0) + quantityChange * drawnUnitCost;
+        if (updatedProduct.quantity > 0 && remainingValue > 0) {
+            updatedProduct = await productsCollection().findOneAndUpdate(
+                filter,
+                { $set: { costPrice: remainingValue / updatedProduct.quantity } },
+                { returnDocument: 'after', ...dbOptions }
+            );
+        }
+    }
+    await recordAudit(updatedProduct.userId, { action: 'UPDATE', entity: 'PRODUCT', entityId: validProdId, before, after: updatedProduct, note: reason }, dbOptions);
+
     await inventoryLogsCollection().insertOne({
         userId: updatedProduct.userId,
         productId: validProdId,
         quantityChange,
         reason,
         costAtTime: updatedProduct.costPrice || 0,
-        linkedTransactionId: typeof linkedTransactionId === 'string' ? new ObjectId(linkedTransactionId) : linkedTransactionId,
+        batches,
+        linkedTransactionId: validTxId,
+        locationId: locationId || null,
+        sourceMessageId: getAuditContext().sourceMessageId,
+        createdAt: new Date()
+    }, dbOptions);
+
+    return drawnUnitCost === undefined ? updatedProduct : { ...updatedProduct, drawnUnitCost };
+}
+
+/**
+ * [NEW] Moves stock between two locations (null is the main location). The product's total is
+ * unchanged; each side gets an inventory log so the movement shows in that location's history.
+ */
+export async function transferStock(productId, quantity, fromLocationId, toLocationId, options = {}) {
+    const validProdId = typeof productId === 'string' ? new ObjectId(productId) : productId;
+    const before = await productsCollection().findOne({ _id: validProdId }, options);
+    if (!before) throw new Error('Product not found for stock transfer.');
+    const available = stockAt(before, fromLocationId);
+    if (available < quantity) throw new Error(`There are only ${available} ${before.productName} there to move.`);
+
+    const inc = {};
+    if (fromLocationId) inc[`locationStock.${fromLocationId.toString()}`] = -quantity;
+    if (toLocationId) inc[`locationStock.${toLocationId.toString()}`] = quantity;
+    const updated = await productsCollection().findOneAndUpdate(
+        { _id: validProdId },
+        { $inc: inc, $set: { updatedAt: new Date() } },
+        { returnDocument: 'after', ...options }
+    );
+    await recordAudit(updated.userId, { action: 'UPDATE', entity: 'PRODUCT', entityId: validProdId, before, after: updated, note: 'STOCK_TRANSFER' }, options);
+
+    const log = (quantityChange, locationId, reason) => ({
+        userId: updated.userId,
+        productId: validProdId,
+        quantityChange,
+        reason,
+        costAtTime: updated.costPrice || 0,
+        linkedTransactionId: null,
+        locationId: locationId || null,
+        sourceMessageId: getAuditContext().sourceMessageId,
         createdAt: new Date()
-    }, options);
+    });
+    await inventoryLogsCollection().insertMany([
+        log(-quantity, fromLocationId, 'TRANSFER_OUT'),
+        log(quantity, toLocationId, 'TRANSFER_IN')
+    ], options);
+
+    return updated;
+}
+
+// [NEW] Per-product VAT override; null falls back to the business rate, 0 marks the product exempt
+export async function updateProductTaxRate(productId, taxRate) {
+    const validProdId = typeof productId === 'string' ? new ObjectId(productId) : productId;
+    const before = await productsCollection().findOne({ _id: validProdId });
+    const updated = await productsCollection().findOneAndUpdate(
+        { _id: validProdId },
+        { $set: { taxRate: taxRate === null ? null : Number(taxRate), updatedAt: new Date() } },
+        { returnDocument: 'after' }
+    );
+    if (updated) await recordAudit(updated.userId, { action: 'UPDATE', entity: 'PRODUCT', entityId: validProdId, before, after: updated, note: 'TAX_RATE' });
+    return updated;
+}
+
+/**
+ * [NEW] Adds or updates a unit a product is sold in, e.g. { name: 'carton', factor: 40 } for
+ * 40 packs. Pass `baseUnit` to name the unit stock is counted in (defaults to 'unit').
+ */
+export async function defineProductUnit(productId, { name, factor, sellingPrice = null }, baseUnit = null, options = {}) {
+    const validProdId = typeof productId === 'string' ? new ObjectId(productId) : productId;
+    const before = await productsCollection().findOne({ _id: validProdId }, options);
+    if (!before) throw new Error('Product not found.');
+
+    const unitName = name.trim().toLowerCase();
+    const units = (before.units || []).filter(u => !sameUnit(u.name, unitName));
+    units.push({ name: unitName, factor: Number(factor), ...(sellingPrice && { sellingPrice: Number(sellingPrice) }) });
+
+    const updated = await productsCollection().findOneAndUpdate(
+        { _id: validProdId },
+        { $set: { units, ...(baseUnit && { baseUnit: baseUnit.trim().toLowerCase() }), updatedAt: new Date() } },
+        { returnDocument: 'after', ...options }
+    );
+    await recordAudit(updated.userId, { action: 'UPDATE', entity: 'PRODUCT', entityId: validProdId, before, after: updated, note: 'UNITS' }, options);
+    return updated;
+}
+
+/**
+ * [NEW] Creates a size/colour variant of a product. It starts with no stock and the parent's
+ * prices and units; the parent is flagged so sales of it ask which variant was sold.
+ * @param {{size?: string, colour?: string}} variant
+ */
+export async function createProductVariant(parent, variant, options = {}) {
+    const productName = variantName(parent.productName, variant);
+    const existing = await findProductByName(parent.userId, productName, options);
+    if (existing) return existing;
+
+    const doc = {
+        userId: parent.userId,
+        productName,
+        parentProductId: parent._id,
+        variant: { ...(variant.size && { size: variant.size }), ...(variant.colour && { colour: variant.colour }) },
+        quantity: 0,
+        costPrice: parent.costPrice || 0,
+        sellingPrice: parent.sellingPrice || 0,
+        reorderLevel: parent.reorderLevel || 5,
+        baseUnit: parent.baseUnit,
+        units: parent.units || [],
+        createdAt: new Date(),
+        updatedAt: new Date()
+    };
+    const result = await productsCollection().insertOne(doc, options);
+    const created = { ...doc, _id: result.insertedId };
+    await recordAudit(parent.userId, { action: 'CREATE', entity: 'PRODUCT', entityId: created._id, after: created, note: 'VARIANT' }, options);
+
+    if (!parent.hasVariants) {
+        await productsCollection().updateOne({ _id: parent._id }, { $set: { hasVariants: true, updatedAt: new Date() } }, options);
+    }
+    return created;
+}
 
-    return updatedProduct;
+export async function getProductVariants(parentProductId, options = {}) {
+    const validId = typeof parentProductId === 'string' ? new ObjectId(parentProductId) : parentProductId;
+    return await productsCollection().find({ parentProductId: validId }, options).sort({ productName: 1 }).toArray();
+}
+
+// [NEW] Puts back the average cost a product had before a restock that is being undone
+export async function restoreCostPrice(productId, costPrice, options = {}) {
+    const validProdId = typeof productId === 'string' ? new ObjectId(productId) : productId;
+    const before = await productsCollection().findOne({ _id: validProdId }, options);
+    const updated = await productsCollection().findOneAndUpdate(
+        { _id: validProdId },
+        { $set: { costPrice, updatedAt: new Date() } },
+        { returnDocument: 'after', ...options }
+    );
+    if (updated) await recordAudit(updated.userId, { action: 'UPDATE', entity: 'PRODUCT', entityId: validProdId, before, after: updated, note: 'UNDO' }, options);
+    return updated;
+}
+
+// Stock added by upsertProduct (restocks, bulk imports) while handling one message
+export async function getStockAdjustmentsForMessage(userId, sourceMessageId, options = {}) {
+    const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+    return await inventoryLogsCollection().find({ userId: validUserId, sourceMessageId, reason: 'STOCK_ADJUSTMENT' }, options).toArray();
 }
 
 export async function getAllProducts(userId) {
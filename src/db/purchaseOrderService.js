@@ -0,0 +1,99 @@
+import { getDB } from './connection.js';
+import logger from '../utils/logger.js';
+import { ObjectId } from 'mongodb';
+
+const purchaseOrdersCollection = () => getDB().collection('purchase_orders');
+
+// DRAFT -> SENT -> PARTIALLY_RECEIVED -> RECEIVED (or CANCELLED)
+export const PO_STATUS = {
+    DRAFT: 'DRAFT',
+    SENT: 'SENT',
+    PARTIALLY_RECEIVED: 'PARTIALLY_RECEIVED',
+    RECEIVED: 'RECEIVED',
+    CANCELLED: 'CANCELLED'
+};
+
+const statusFor = (items) => {
+    const received = items.reduce((sum, i) => sum + (i.quantityReceived || 0), 0);
+    if (received === 0) return null;
+    return items.every(i => (i.quantityReceived || 0) >= i.quantity) ? PO_STATUS.RECEIVED : PO_STATUS.PARTIALLY_RECEIVED;
+};
+
+export async function createPurchaseOrder(userId, poData, options = {}) {
+    try {
+        const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+        const count = await purchaseOrdersCollection().countDocuments({ userId: validUserId }, options);
+
+        const doc = {
+            userId: validUserId,
+            poNumber: `PO-${String(count + 1).padStart(4, '0')}`,
+            supplierId: poData.supplierId ? new ObjectId(poData.supplierId) : null,
+            supplierName: poData.supplierName,
+            items: poData.items.map(item => ({
+                productId: item.productId ? new ObjectId(item.productId) : null,
+                productName: item.productName.trim(),
+                quantity: Number(item.quantity) || 0,
+                unitCost: Number(item.unitCost) || 0,
+                quantityReceived: 0
+            })),
+            totalAmount: poData.items.reduce((sum, i) => sum + (Number(i.quantity) || 0) * (Number(i.unitCost) || 0), 0),
+            currency: poData.currency || null,
+            status: PO_STATUS.DRAFT,
+            expectedDate: poData.expectedDate ? new Date(poData.expectedDate) : null,
+            createdBy: poData.createdBy || 'Owner',
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        const result = await purchaseOrdersCollection().insertOne(doc, options);
+        return { ...doc, _id: result.insertedId };
+    } catch (error) {
+        logger.error('Error creating purchase order:', error);
+        throw new Error('Could not create purchase order.');
+    }
+}
+
+export async function findPurchaseOrderById(poId, options = {}) {
+    const validId = typeof poId === 'string' ? new ObjectId(poId) : poId;
+    return await purchaseOrdersCollection().findOne({ _id: validId }, options);
+}
+
+export async function getOpenPurchaseOrders(userId) {
+    const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+    return await purchaseOrdersCollection().find({
+        userId: validUserId,
+        status: { $in: [PO_STATUS.DRAFT, PO_STATUS.SENT, PO_STATUS.PARTIALLY_RECEIVED] }
+    }).sort({ createdAt: -1 }).toArray();
+}
+
+export async function updatePurchaseOrderStatus(poId, status, options = {}) {
+    const validId = typeof poId === 'string' ? new ObjectId(poId) : poId;
+    return await purchaseOrdersCollection().findOneAndUpdate(
+        { _id: validId },
+        { $set: { status, updatedAt: new Date() } },
+        { returnDocument: 'after', ...options }
+    );
+}
+
+/**
+ * Adds (or, with negative quantities, removes) received quantities on a PO
+ * and moves its status along.
+ * @param {Array<{productName: string, quantity: number}>} lines
+ */
+export async function recordPurchaseOrderReceipt(poId, lines, options = {}) {
+    const po = await findPurchaseOrderById(poId, options);
+    if (!po) throw new Error('Purchase order not found.');
+
+    const items = po.items.map(item => {
+        const line = lines.find(l => l.productName.toLowerCase() === item.productName.toLowerCase());
+        if (!line) return item;
+        return { ...item, quantityReceived: Math.max((item.quantityReceived || 0) + line.quantity, 0) };
+    });
+
+    const status = statusFor(items) || PO_STATUS.SENT;
+    return await purchaseOrdersCollection().findOneAndUpdate(
+        { _id: po._id },
+        { $set: { items, status, updatedAt: new Date() } },
+        { returnDocument: 'after', ...options }
+    );
+}
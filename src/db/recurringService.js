@@ -0,0 +1,112 @@
+import { getDB } from './connection.js';
+import logger from '../utils/logger.js';
+import { ObjectId } from 'mongodb';
+import { computeNextRun } from '../utils/recurrence.js';
+
+const recurringCollection = () => getDB().collection('recurring_schedules');
+
+/**
+ * Saves a recurring expense (rent, salaries, internet...). The recurring job posts it
+ * on each due date, either straight away (autoPost) or after the owner confirms.
+ */
+export async function createRecurringSchedule(userId, scheduleData) {
+    try {
+        const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+        const doc = {
+            userId: validUserId,
+            category: scheduleData.category || 'Miscellaneous',
+            description: scheduleData.description,
+            amount: Number(scheduleData.amount),
+            currency: scheduleData.currency || null,
+            linkedBankId: scheduleData.linkedBankId ? new ObjectId(scheduleData.linkedBankId) : null,
+            frequency: scheduleData.frequency,
+            dayOfMonth: scheduleData.dayOfMonth ?? null,
+            dayOfWeek: scheduleData.dayOfWeek ?? null,
+            autoPost: !!scheduleData.autoPost,
+            isActive: true,
+            nextRunAt: computeNextRun(scheduleData),
+            lastRunAt: null,
+            pendingRunAt: null,
+            createdBy: scheduleData.createdBy || 'Owner',
+            createdAt: new Date()
+        };
+        const result = await recurringCollection().insertOne(doc);
+        return { ...doc, _id: result.insertedId };
+    } catch (error) {
+        logger.error('Error creating recurring schedule:', error);
+        throw new Error('Could not save the recurring schedule.');
+    }
+}
+
+export async function findRecurringScheduleById(scheduleId) {
+    const validId = typeof scheduleId === 'string' ? new ObjectId(scheduleId) : scheduleId;
+    return await recurringCollection().findOne({ _id: validId });
+}
+
+export async function getRecurringSchedules(userId) {
+    const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+    return await recurringCollection().find({ userId: validUserId, isActive: true }).sort({ nextRunAt: 1 }).toArray();
+}
+
+// Every active schedule whose run date has passed and isn't waiting on the owner, across all businesses
+export async function getDueSchedules(now = new Date()) {
+    return await recurringCollection().find({ isActive: true, nextRunAt: { $lte: now }, pendingRunAt: null }).toArray();
+}
+
+/**
+ * Moves a schedule on by one period. Matching on the old nextRunAt makes this a claim:
+ * if two workers pick up the same schedule only one of them gets it back.
+ * Schedules that need confirming keep the run as pending until the owner answers, and a schedule
+ * with a run still pending isn't claimed again, so an unanswered run is never overwritten.
+ * @returns {Promise<object|null>} The schedule as it was, or null if it was already advanced.
+ */
+export async function claimScheduleRun(schedule, now = new Date()) {
+    return await recurringCollection().findOneAndUpdate(
+        { _id: schedule._id, nextRunAt: schedule.nextRunAt, pendingRunAt: null },
+        { $set: { nextRunAt: computeNextRun(schedule, schedule.nextRunAt), lastRunAt: now, pendingRunAt: schedule.autoPost ? null : schedule.nextRunAt } },
+        { returnDocument: 'before' }
+    );
+}
+
+/**
+ * Claims a schedule's runs one at a time until its next run is in the future, so runs missed
+ * while the worker was down are each booked on their own date. `bookRun` gets each claimed
+ * schedule and returns true once the run is posted; a run left waiting for the owner stops the
+ * catch-up, and the next missed run is claimed after it has been answered.
+ */
+export async function catchUpSchedule(schedule, bookRun, now = new Date()) {
+    let current = schedule;
+    while (current.nextRunAt <= now) {
+        const claimed = await claimScheduleRun(current, now);
+        if (!claimed) return; // Another run already picked it up, or one is waiting for the owner
+        if (!(await bookRun(claimed))) return;
+        current = { ...claimed, nextRunAt: computeNextRun(claimed, claimed.nextRunAt), pendingRunAt: null };
+    }
+}
+
+// Clears a pending confirmation so a double tap on the button can't post twice
+export async function takePendingRun(userId, scheduleId) {
+    const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+    const validId = typeof scheduleId === 'string' ? new ObjectId(scheduleId) : scheduleId;
+    return await recurringCollection().findOneAndUpdate(
+        { _id: validId, userId: validUserId, pendingRunAt: { $ne: null } },
+        { $set: { pendingRunAt: null } },
+        { returnDocument: 'before' }
+    );
+}
+
+// Puts a run back as pending when posting it failed, so it isn't lost and the owner can retry it
+export async function restorePendingRun(scheduleId, pendingRunAt) {
+    const validId = typeof scheduleId === 'string' ? new ObjectId(scheduleId) : scheduleId;
+    return await recurringCollection().updateOne({ _id: validId, isActive: true }, { $set: { pendingRunAt } });
+}
+
+export async function deactivateRecurringSchedule(userId, scheduleId) {
+    const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+    const validId = typeof scheduleId === 'string' ? new ObjectId(scheduleId) : scheduleId;
+    return await recurringCollection().findOneAndUpdate(
+        { _id: validId, userId: validUserId },
+        { $set: { isActive: false, pendingRunAt: null, stoppedAt: new Date() } },
+        { returnDocument: 'after' }
+    );
+}
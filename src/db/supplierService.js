@@ -0,0 +1,111 @@
+import { getDB } from './connection.js';
+import logger from '../utils/logger.js';
+import { ObjectId } from 'mongodb';
+import { escapeRegex } from '../utils/helpers.js'; 
+
+const suppliersCollection = () => getDB().collection('suppliers');
+
+// Suppliers mirror customers, but balanceOwed here is what WE owe THEM.
+export async function findOrCreateSupplier(userId, supplierName, options = {}) {
+    try {
+        const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+
+        let safeName = "Unknown Supplier";
+        if (supplierName && typeof supplierName === 'string' && supplierName.trim().length > 0) {
+            safeName = supplierName.trim();
+        }
+
+        const cleanRegex = escapeRegex(safeName);
+        const query = { userId: validUserId, supplierName: { $regex: new RegExp(`^${cleanRegex}$`, 'i') } };
+        
+        let supplier = await suppliersCollection().findOne(query, options);
+
+        if (!supplier) {
+            logger.info(`Supplier "${safeName}" not found. Creating new record.`);
+            const newSupplier = {
+                userId: validUserId,
+                supplierName: safeName, 
+                contactInfo: null,
+                balanceOwed: 0,
+                createdAt: new Date(),
+                updatedAt: new Date(),
+            };
+            const result = await suppliersCollection().insertOne(newSupplier, options);
+            supplier = await suppliersCollection().findOne({ _id: result.insertedId }, options);
+        }
+        return supplier;
+    } catch (error) {
+        logger.error(`Error in findOrCreateSupplier:`, error);
+        throw new Error('Could not find or create supplier.');
+    }
+}
+
+export async function findSupplierByName(userId, supplierName, options = {}) {
+    try {
+        const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+        const cleanRegex = escapeRegex(supplierName.trim());
+        const query = { userId: validUserId, supplierName: { $regex: new RegExp(`^${cleanRegex}$`, 'i') } };
+        return await suppliersCollection().findOne(query, options);
+    } catch (error) {
+        logger.error(`Error in findSupplierByName:`, error);
+        return null;
+    }
+}
+
+export async function findSupplierById(supplierId, options = {}) {
+    try {
+        const validId = typeof supplierId === 'string' ? new ObjectId(supplierId) : supplierId;
+        return await suppliersCollection().findOne({ _id: validId }, options);
+    } catch (error) {
+        throw new Error('Could not find supplier.');
+    }
+}
+
+// Foreign-currency suppliers keep balanceOwed in their own currency and
+// balanceOwedBase at the rates the purchases were booked at.
+export async function updateSupplierBalance(supplierId, amountChange, options = {}) {
+    try {
+        const { baseAmountChange, ...dbOptions } = options;
+        const validId = typeof supplierId === 'string' ? new ObjectId(supplierId) : supplierId;
+        const inc = { balanceOwed: amountChange };
+        if (baseAmountChange !== undefined) inc.balanceOwedBase = baseAmountChange;
+
+        return await suppliersCollection().findOneAndUpdate(
+            { _id: validId },
+            { 
+                $inc: inc,
+                $set: { updatedAt: new Date() }
+            },
+            { returnDocument: 'after', ...dbOptions }
+        );
+    } catch (error) {
+        logger.error(`Error updating supplier balance:`, error);
+        throw new Error('Could not update supplier balance.');
+    }
+}
+
+export async function updateSupplierCurrency(supplierId, currency, options = {}) {
+    try {
+        const validId = typeof supplierId === 'string' ? new ObjectId(supplierId) : supplierId;
+        return await suppliersCollection().findOneAndUpdate(
+            { _id: validId },
+            { $set: { currency, balanceOwedBase: 0, updatedAt: new Date() } },
+            { returnDocument: 'after', ...options }
+        );
+    } catch (error) {
+        logger.error(`Error updating supplier currency:`, error);
+        throw new Error('Could not update supplier currency.');
+    }
+}
+
+export async function getSuppliersWithBalance(userId) {
+    try {
+        const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+        return await suppliersCollection().find({ 
+            userId: validUserId, 
+            balanceOwed: { $gt: 0 } 
+        }).sort({ balanceOwed: -1 }).toArray();
+    } catch (error) {
+        throw new Error('Could not retrieve suppliers with balances.');
+    }
+}
@@ -1,9 +1,18 @@
 import { getDB } from './connection.js';
 import logger from '../utils/logger.js';
 import { ObjectId } from 'mongodb';
+import { escapeRegex } from '../utils/helpers.js';
+import { recordAudit } from './auditService.js';
 
 const transactionsCollection = () => getDB().collection('transactions');
 
+// [NEW] Reads a newly inserted transaction back and records it in the audit trail
+async function readBackCreated(insertedId, options) {
+    const created = await transactionsCollection().findOne({ _id: insertedId }, options);
+    await recordAudit(created.userId, { action: 'CREATE', entity: 'TRANSACTION', entityId: created._id, after: created }, options);
+    return created;
+}
+
 function validateTransactionData(data, type) {
     const errors = [];
     if (!data.userId) errors.push("Missing User ID");
@@ -24,42 +33,122 @@ function validateTransactionData(data, type) {
     if (errors.length > 0) throw new Error(`Validation Failed: ${errors.join(', ')}`);
 }
 
-export async function createSaleTransaction(saleData, options = {}) {
-    try {
-        const sanitizedItems = saleData.items.map(item => ({
-            productId: item.productId ? new ObjectId(item.productId) : null,
-            productName: item.productName || 'Unknown',
-            quantity: Number(item.quantity) || 0,
-            pricePerUnit: Number(item.pricePerUnit) || 0,
-            costPrice: Number(item.costPrice) || 0,
-            isService: item.isService || false
+// [NEW] Pricing breakdown is only stored on lines that had tax or a discount applied
+const itemPricingFields = (item) => {
+    const fields = {};
+    if (item.netAmount !== undefined) fields.netAmount = Number(item.netAmount) || 0;
+    if (item.taxAmount !== undefined) {
+        fields.taxRate = Number(item.taxRate) || 0;
+        fields.taxAmount = Number(item.taxAmount) || 0;
+    }
+    if (item.discountAmount > 0) {
+        fields.lineDiscount = Number(item.lineDiscount) || 0;
+        fields.discountAmount = Number(item.discountAmount);
+        fields.netDiscount = Number(item.netDiscount) || 0;
+    }
+    return fields;
+};
+
+// Lines sold or bought in a bigger unit (a carton of 40) keep its factor so stock moves in base units
+const itemUnitFields = (item) => Number(item.unitFactor) > 1 ? { unit: item.unit, unitFactor: Number(item.unitFactor) } : {};
+
+// [NEW] Foreign-currency transactions keep their own amount plus the rate they were booked at;
+// bankAmount is what actually moved in a bank held in yet another currency
+const currencyFields = (data) => {
+    const fields = {};
+    if (data.exchangeRate && Number(data.exchangeRate) !== 1) {
+        fields.currency = data.currency;
+        fields.exchangeRate = Number(data.exchangeRate);
+        fields.baseAmount = Number(data.baseAmount) || 0;
+    }
+    if (data.bankAmount !== undefined) fields.bankAmount = Number(data.bankAmount) || 0;
+    return fields;
+};
+
+// Shapes a sale into its stored form; shared by new sales and edits
+function buildSaleDoc(saleData) {
+    const sanitizedItems = saleData.items.map(item => ({
+        productId: item.productId ? new ObjectId(item.productId) : null,
+        productName: item.productName || 'Unknown',
+        quantity: Number(item.quantity) || 0,
+        pricePerUnit: Number(item.pricePerUnit) || 0,
+        costPrice: Number(item.costPrice) || 0,
+        isService: item.isService || false,
+        ...itemUnitFields(item),
+        ...itemPricingFields(item)
+    }));
+
+    const transactionDoc = {
+        userId: new ObjectId(saleData.userId),
+        type: 'SALE',
+        amount: Number(saleData.totalAmount) || 0,
+        date: saleData.date || new Date(),
+        description: saleData.description || 'Sale',
+        items: sanitizedItems,
+        linkedCustomerId: saleData.linkedCustomerId ? new ObjectId(saleData.linkedCustomerId) : null,
+        linkedBankId: saleData.linkedBankId ? new ObjectId(saleData.linkedBankId) : null,
+        paymentMethod: saleData.paymentMethod ? saleData.paymentMethod.toUpperCase() : 'CASH',
+        dueDate: saleData.dueDate ? new Date(saleData.dueDate) : null,
+        loggedBy: saleData.loggedBy || 'Owner',
+        createdAt: new Date()
+    };
+    // [NEW] Sales away from the main location record where the stock left from
+    if (saleData.locationId) transactionDoc.locationId = new ObjectId(saleData.locationId);
+
+    // [NEW] Split / part payments keep each leg and whatever is still owed
+    if (saleData.payments && saleData.payments.length > 0) {
+        transactionDoc.payments = saleData.payments.map(leg => ({
+            method: leg.method,
+            bankId: leg.bankId ? new ObjectId(leg.bankId) : null,
+            amount: Number(leg.amount) || 0,
+            ...(leg.bankAmount !== undefined && { bankAmount: Number(leg.bankAmount) || 0 })
         }));
+        transactionDoc.balanceDue = Number(saleData.balanceDue) || 0;
+    }
 
-        const transactionDoc = {
-            userId: new ObjectId(saleData.userId),
-            type: 'SALE',
-            amount: Number(saleData.totalAmount) || 0,
-            date: saleData.date || new Date(),
-            description: saleData.description || 'Sale',
-            items: sanitizedItems,
-            linkedCustomerId: saleData.linkedCustomerId ? new ObjectId(saleData.linkedCustomerId) : null,
-            linkedBankId: saleData.linkedBankId ? new ObjectId(saleData.linkedBankId) : null,
-            paymentMethod: saleData.paymentMethod ? saleData.paymentMethod.toUpperCase() : 'CASH',
-            dueDate: saleData.dueDate ? new Date(saleData.dueDate) : null,
-            loggedBy: saleData.loggedBy || 'Owner',
-            createdAt: new Date()
-        };
+    if (saleData.subtotal !== undefined) transactionDoc.subtotal = Number(saleData.subtotal) || 0;
+    if (saleData.taxAmount !== undefined) transactionDoc.taxAmount = Number(saleData.taxAmount) || 0;
+    if (saleData.discountTotal > 0) {
+        transactionDoc.orderDiscount = Number(saleData.orderDiscount) || 0;
+        transactionDoc.discountTotal = Number(saleData.discountTotal);
+    }
 
-        validateTransactionData(transactionDoc, 'SALE');
+    Object.assign(transactionDoc, currencyFields(saleData));
 
+    validateTransactionData(transactionDoc, 'SALE');
+    return transactionDoc;
+}
+
+export async function createSaleTransaction(saleData, options = {}) {
+    try {
+        const transactionDoc = buildSaleDoc(saleData);
         const result = await transactionsCollection().insertOne(transactionDoc, options);
-        return await transactionsCollection().findOne({ _id: result.insertedId }, options);
+        return await readBackCreated(result.insertedId, options);
     } catch (error) {
         logger.error('Error creating sale transaction:', error);
         throw error;
     }
 }
 
+/**
+ * [NEW] Rewrites an edited sale in place so its id (and anything pointing at it) stays the same.
+ */
+export async function replaceSaleTransaction(transactionId, saleData, options = {}) {
+    try {
+        const id = typeof transactionId === 'string' ? new ObjectId(transactionId) : transactionId;
+        const original = await transactionsCollection().findOne({ _id: id }, options);
+        if (!original) throw new Error('Sale not found.');
+
+        const transactionDoc = { ...buildSaleDoc(saleData), createdAt: original.createdAt, editedAt: new Date() };
+        const replaced = await transactionsCollection().findOneAndReplace({ _id: id }, transactionDoc, { returnDocument: 'after', ...options });
+        await recordAudit(replaced.userId, { action: 'UPDATE', entity: 'TRANSACTION', entityId: id, before: original, after: replaced }, options);
+        return replaced;
+    } catch (error) {
+        logger.error(`Error replacing sale ${transactionId}:`, error);
+        throw error;
+    }
+}
+
 export async function createExpenseTransaction(expenseData, options = {}) {
     try {
         const doc = {
@@ -74,10 +163,13 @@ export async function createExpenseTransaction(expenseData, options = {}) {
             createdAt: new Date()
         };
 
+        if (expenseData.taxAmount > 0) doc.taxAmount = Number(expenseData.taxAmount);
+        Object.assign(doc, currencyFields(expenseData));
+
         validateTransactionData(doc, 'EXPENSE');
 
         const result = await transactionsCollection().insertOne(doc, options);
-        return await transactionsCollection().findOne({ _id: result.insertedId }, options);
+        return await readBackCreated(result.insertedId, options);
     } catch (error) {
         logger.error('Error creating expense transaction:', error);
         throw error;
@@ -97,22 +189,189 @@ export async function createCustomerPaymentTransaction(paymentData, options = {}
             linkedCustomerId: paymentData.linkedCustomerId ? new ObjectId(paymentData.linkedCustomerId) : null,
             linkedBankId: paymentData.linkedBankId ? new ObjectId(paymentData.linkedBankId) : null,
             loggedBy: paymentData.loggedBy || 'Owner',
-            createdAt: new Date()
+            createdAt: new Date(),
+            ...currencyFields(paymentData)
         };
         const result = await transactionsCollection().insertOne(doc, options);
-        return await transactionsCollection().findOne({ _id: result.insertedId }, options);
+        return await readBackCreated(result.insertedId, options);
     } catch (error) {
         logger.error('Error creating customer payment transaction:', error);
         throw error;
     }
 }
 
+export async function createReturnTransaction(returnData, options = {}) {
+    try {
+        if (!returnData.items || returnData.items.length === 0) throw new Error("Return must have items");
+
+        const doc = {
+            userId: new ObjectId(returnData.userId),
+            type: 'RETURN',
+            amount: Number(returnData.amount) || 0,
+            date: returnData.date || new Date(),
+            description: returnData.description || 'Sales return',
+            items: returnData.items.map(item => ({
+                productId: item.productId ? new ObjectId(item.productId) : null,
+                productName: item.productName || 'Unknown',
+                quantity: Number(item.quantity) || 0,
+                pricePerUnit: Number(item.pricePerUnit) || 0,
+                costPrice: Number(item.costPrice) || 0,
+                isService: item.isService || false,
+                ...itemUnitFields(item),
+                ...itemPricingFields(item)
+            })),
+            linkedSaleId: returnData.linkedSaleId ? new ObjectId(returnData.linkedSaleId) : null,
+            linkedCustomerId: returnData.linkedCustomerId ? new ObjectId(returnData.linkedCustomerId) : null,
+            linkedBankId: returnData.linkedBankId ? new ObjectId(returnData.linkedBankId) : null,
+            refundMethod: returnData.refundMethod || 'CASH',
+            loggedBy: returnData.loggedBy || 'Owner',
+            createdAt: new Date()
+        };
+        if (returnData.taxAmount > 0) doc.taxAmount = Number(returnData.taxAmount);
+        if (returnData.locationId) doc.locationId = new ObjectId(returnData.locationId);
+        Object.assign(doc, currencyFields(returnData));
+        const result = await transactionsCollection().insertOne(doc, options);
+        return await readBackCreated(result.insertedId, options);
+    } catch (error) {
+        logger.error('Error creating return transaction:', error);
+        throw error;
+    }
+}
+
+// [NEW] Most recent sale that contains any of the given product names (optionally for one customer)
+export async function findSaleForReturn(userId, productNames, customerId = null, options = {}) {
+    const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+    const nameRegexes = productNames.map(name => new RegExp(`^${escapeRegex(name.trim())}$`, 'i'));
+
+    const query = { userId: validUserId, type: 'SALE', voidedAt: null, 'items.productName': { $in: nameRegexes } };
+    if (customerId) query.linkedCustomerId = typeof customerId === 'string' ? new ObjectId(customerId) : customerId;
+
+    return await transactionsCollection().find(query, options).sort({ date: -1 }).limit(1).next();
+}
+
+export async function getReturnsForSale(saleId, options = {}) {
+    const validSaleId = typeof saleId === 'string' ? new ObjectId(saleId) : saleId;
+    return await transactionsCollection().find({ type: 'RETURN', linkedSaleId: validSaleId, voidedAt: null }, options).toArray();
+}
+
+// [NEW] Stock bought from a named supplier (paid now or on credit)
+export async function createPurchaseTransaction(purchaseData, options = {}) {
+    try {
+        const doc = {
+            userId: new ObjectId(purchaseData.userId),
+            type: 'PURCHASE',
+            amount: Number(purchaseData.amount) || 0,
+            date: purchaseData.date || new Date(),
+            description: purchaseData.description || 'Stock purchase',
+            items: (purchaseData.items || []).map(item => ({
+                productId: item.productId ? new ObjectId(item.productId) : null,
+                productName: item.productName || 'Unknown',
+                quantity: Number(item.quantity) || 0,
+                unitCost: Number(item.unitCost) || 0,
+                ...itemUnitFields(item)
+            })),
+            linkedSupplierId: purchaseData.linkedSupplierId ? new ObjectId(purchaseData.linkedSupplierId) : null,
+            linkedBankId: purchaseData.linkedBankId ? new ObjectId(purchaseData.linkedBankId) : null,
+            paymentMethod: purchaseData.paymentMethod || 'CASH',
+            dueDate: purchaseData.dueDate ? new Date(purchaseData.dueDate) : null,
+            linkedPurchaseOrderId: purchaseData.linkedPurchaseOrderId ? new ObjectId(purchaseData.linkedPurchaseOrderId) : null,
+            loggedBy: purchaseData.loggedBy || 'Owner',
+            createdAt: new Date(),
+            ...currencyFields(purchaseData)
+        };
+        if (purchaseData.locationId) doc.locationId = new ObjectId(purchaseData.locationId);
+        const result = await transactionsCollection().insertOne(doc, options);
+        return await readBackCreated(result.insertedId, options);
+    } catch (error) {
+        logger.error('Error creating purchase transaction:', error);
+        throw error;
+    }
+}
+
+export async function createSupplierPaymentTransaction(paymentData, options = {}) {
+    try {
+        if (!paymentData.amount || isNaN(paymentData.amount)) throw new Error("Invalid Payment Amount");
+
+        const doc = {
+            userId: new ObjectId(paymentData.userId),
+            type: 'SUPPLIER_PAYMENT',
+            amount: Number(paymentData.amount),
+            date: paymentData.date || new Date(),
+            description: paymentData.description,
+            linkedSupplierId: paymentData.linkedSupplierId ? new ObjectId(paymentData.linkedSupplierId) : null,
+            linkedBankId: paymentData.linkedBankId ? new ObjectId(paymentData.linkedBankId) : null,
+            loggedBy: paymentData.loggedBy || 'Owner',
+            createdAt: new Date(),
+            ...currencyFields(paymentData)
+        };
+        // Paying off a foreign-currency balance realises the exchange difference
+        if (paymentData.settledBaseAmount !== undefined) {
+            doc.settledBaseAmount = Number(paymentData.settledBaseAmount);
+            doc.fxGainLoss = Number(paymentData.fxGainLoss) || 0;
+        }
+        const result = await transactionsCollection().insertOne(doc, options);
+        return await readBackCreated(result.insertedId, options);
+    } catch (error) {
+        logger.error('Error creating supplier payment transaction:', error);
+        throw error;
+    }
+}
+
+// [NEW] Money moved between two of the business's accounts; a null side is cash in hand
+export async function createTransferTransaction(transferData, options = {}) {
+    try {
+        if (!transferData.amount || isNaN(transferData.amount)) throw new Error("Invalid Transfer Amount");
+
+        const doc = {
+            userId: new ObjectId(transferData.userId),
+            type: 'TRANSFER',
+            amount: Number(transferData.amount),
+            date: transferData.date || new Date(),
+            description: transferData.description,
+            fromBankId: transferData.fromBankId ? new ObjectId(transferData.fromBankId) : null,
+            toBankId: transferData.toBankId ? new ObjectId(transferData.toBankId) : null,
+            loggedBy: transferData.loggedBy || 'Owner',
+            createdAt: new Date(),
+            ...currencyFields(transferData)
+        };
+        const result = await transactionsCollection().insertOne(doc, options);
+        return await readBackCreated(result.insertedId, options);
+    } catch (error) {
+        logger.error('Error creating transfer transaction:', error);
+        throw error;
+    }
+}
+
+export async function createFinancingTransaction(financingData, options = {}) {
+    try {
+        if (!financingData.amount || isNaN(financingData.amount)) throw new Error("Invalid Amount");
+
+        const doc = {
+            userId: new ObjectId(financingData.userId),
+            type: financingData.type,
+            amount: Number(financingData.amount),
+            date: financingData.date || new Date(),
+            description: financingData.description,
+            lenderName: financingData.lenderName || null,
+            linkedBankId: financingData.linkedBankId ? new ObjectId(financingData.linkedBankId) : null,
+            loggedBy: financingData.loggedBy || 'Owner',
+            createdAt: new Date(),
+            ...currencyFields(financingData)
+        };
+        const result = await transactionsCollection().insertOne(doc, options);
+        return await readBackCreated(result.insertedId, options);
+    } catch (error) {
+        logger.error('Error creating financing transaction:', error);
+        throw error;
+    }
+}
+
 export async function getSummaryByDateRange(userId, type, startDate, endDate) {
     try {
         const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
         const pipeline = [
-            { $match: { userId: validUserId, type, date: { $gte: startDate, $lte: endDate } } },
-            { $group: { _id: null, total: { $sum: "$amount" } } }
+            { $match: { userId: validUserId, type, voidedAt: null, date: { $gte: startDate, $lte: endDate } } },
+            { $group: { _id: null, total: { $sum: { $ifNull: ["$baseAmount", "$amount"] } } } }
         ];
         const result = await transactionsCollection().aggregate(pipeline).toArray();
         return result.length > 0 ? result[0].total : 0;
@@ -126,7 +385,7 @@ export async function getRecentTransactions(userId, limit = 5) {
     try {
         const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
         return await transactionsCollection()
-            .find({ userId: validUserId })
+            .find({ userId: validUserId, voidedAt: null })
             .sort({ date: -1 })
             .limit(limit)
             .toArray();
@@ -136,14 +395,17 @@ export async function getRecentTransactions(userId, limit = 5) {
     }
 }
 
-export async function getTransactionsByDateRange(userId, type, startDate, endDate) {
+// Voided entries are left out unless asked for (e.g. the export lists them, marked as voided)
+export async function getTransactionsByDateRange(userId, type, startDate, endDate, { includeVoided = false } = {}) {
     try {
         const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
-        return await transactionsCollection().find({
+        const query = {
             userId: validUserId,
             type,
             date: { $gte: startDate, $lte: endDate }
-        }).sort({ date: 1 }).toArray();
+        };
+        if (!includeVoided) query.voidedAt = null;
+        return await transactionsCollection().find(query).sort({ date: 1 }).toArray();
     } catch (error) {
         logger.error(`Error getting transactions for user ${userId}:`, error);
         throw new Error('Could not retrieve transactions.');
@@ -151,7 +413,7 @@ export async function getTransactionsByDateRange(userId, type, startDate, endDat
 }
 
 // [NEW] Efficient counting for PDF/Excel Limits
-export async function countTransactionsByDateRange(userId, type, startDate, endDate) {
+export async function countTransactionsByDateRange(userId, type, startDate, endDate, { includeVoided = false } = {}) {
     try {
         const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
         
@@ -161,6 +423,7 @@ export async function countTransactionsByDateRange(userId, type, startDate, endD
             date: { $gte: startDate, $lte: endDate }
         };
         if (type && type !== 'ALL') query.type = type;
+        if (!includeVoided) query.voidedAt = null;
 
         return await transactionsCollection().countDocuments(query);
     } catch (error) {
@@ -175,7 +438,8 @@ export async function getDueTransactions(userId, startDate, endDate) {
         return await transactionsCollection().find({
             userId: validUserId,
             type: 'SALE',
-            paymentMethod: 'CREDIT',
+            paymentMethod: { $in: ['CREDIT', 'PART_PAYMENT'] },
+            voidedAt: null,
             dueDate: { $gte: startDate, $lte: endDate }
         }).toArray();
     } catch (error) {
@@ -184,37 +448,59 @@ export async function getDueTransactions(userId, startDate, endDate) {
     }
 }
 
-export async function findTransactionById(transactionId) {
+export async function findTransactionById(transactionId, options = {}) {
     try {
         const id = typeof transactionId === 'string' ? new ObjectId(transactionId) : transactionId;
-        return await transactionsCollection().findOne({ _id: id });
+        return await transactionsCollection().findOne({ _id: id }, options);
     } catch (error) {
         logger.error(`Error finding transaction by ID ${transactionId}:`, error);
         throw new Error('Could not find transaction.');
     }
 }
 
-export async function updateTransactionById(transactionId, updateData) {
+export async function updateTransactionById(transactionId, updateData, options = {}) {
     try {
         const id = typeof transactionId === 'string' ? new ObjectId(transactionId) : transactionId;
-        return await transactionsCollection().findOneAndUpdate(
+        const before = await transactionsCollection().findOne({ _id: id }, options);
+        const updated = await transactionsCollection().findOneAndUpdate(
             { _id: id },
             { $set: updateData },
-            { returnDocument: 'after' }
+            { returnDocument: 'after', ...options }
         );
+        if (updated) await recordAudit(updated.userId, { action: 'UPDATE', entity: 'TRANSACTION', entityId: id, before, after: updated }, options);
+        return updated;
     } catch (error) {
         logger.error(`Error updating transaction ${transactionId}:`, error);
         throw new Error('Could not update transaction.');
     }
 }
 
-export async function deleteTransactionById(transactionId) {
+// [NEW] FIFO line costs are only known once stock has been drawn, just after the sale is saved.
+// Part of creating the sale, so it isn't audited as a separate change.
+export async function setSaleItemCosts(transactionId, costs, options = {}) {
+    const $set = {};
+    costs.forEach((cost, idx) => { $set[`items.${idx}.costPrice`] = Number(cost) || 0; });
+    return await transactionsCollection().findOneAndUpdate({ _id: transactionId }, { $set }, { returnDocument: 'after', ...options });
+}
+
+/**
+ * [NEW] Voids an entry instead of deleting it: it stays on file (and in exports) marked with
+ * who voided it and when, and every other read leaves it out. Matching on `voidedAt: null`
+ * means a double tap can't void the same entry twice.
+ */
+export async function voidTransactionById(transactionId, voidedBy, options = {}) {
     try {
         const id = typeof transactionId === 'string' ? new ObjectId(transactionId) : transactionId;
-        const result = await transactionsCollection().deleteOne({ _id: id });
-        return result.deletedCount === 1;
+        const before = await transactionsCollection().findOne({ _id: id, voidedAt: null }, options);
+        const voided = await transactionsCollection().findOneAndUpdate(
+            { _id: id, voidedAt: null },
+            { $set: { voidedAt: new Date(), voidedBy: voidedBy || 'Owner' } },
+            { returnDocument: 'after', ...options }
+        );
+        if (voided) await recordAudit(voided.userId, { action: 'VOID', entity: 'TRANSACTION', entityId: id, before, after: voided }, options);
+        return voided;
     } catch (error) {
-        logger.error(`Error deleting transaction by ID ${transactionId}:`, error);
+        logger.error(`Error voiding transaction ${transactionId}:`, error);
         throw new Error('Could not delete transaction.');
     }
 }
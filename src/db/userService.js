@@ -3,12 +3,19 @@ import logger from '../utils/logger.js';
 import { USER_STATES } from '../utils/constants.js';
 import { ObjectId } from 'mongodb';
 import redis from './redisClient.js'; // [FIX] Use Singleton
+import { recordAudit } from './auditService.js';
 
 const usersCollection = () => getDB().collection('users');
 const CACHE_TTL = 600; 
 
 const getKey = (type, id) => `user:${type}:${id.toString()}`;
 
+// Staff records are audited under the business they work for
+const businessIdOf = (user) => user.linkedAccountId || user._id;
+
+// updateUserState runs on every message; only changes beyond the chat state are audited
+const isStateOnly = (updateData) => Object.keys(updateData).every(key => key === 'state' || key === 'stateContext');
+
 export function checkSubscriptionAccess(user) {
     const now = new Date();
     const getValidDate = (dateVal) => dateVal ? new Date(dateVal) : null;
@@ -70,6 +77,7 @@ export async function findOrCreateUser(whatsappId) {
       };
       const result = await usersCollection().insertOne(newUser);
       user = await usersCollection().findOne({ _id: result.insertedId });
+      await recordAudit(user._id, { action: 'CREATE', entity: 'USER', entityId: user._id, after: user });
     }
 
     if (user) {
@@ -125,11 +133,16 @@ export async function getSystemStats() {
 
 export async function updateUser(whatsappId, updateData) {
     try {
+        const audited = !isStateOnly(updateData);
+        const before = audited ? await usersCollection().findOne({ whatsappId }) : null;
         const result = await usersCollection().findOneAndUpdate(
             { whatsappId },
             { $set: { ...updateData, updatedAt: new Date() } },
             { returnDocument: 'after' }
         );
+        if (result && audited) {
+            await recordAudit(businessIdOf(result), { action: 'UPDATE', entity: 'USER', entityId: result._id, before, after: result });
+        }
 
         if (result) {
             const waKey = getKey('wa', whatsappId);
@@ -164,6 +177,7 @@ export async function createJoinCode(userId) {
     const code = Math.random().toString(36).substring(2, 8).toUpperCase();
     
     await usersCollection().updateOne({ _id: id }, { $set: { joinCode: code } });
+    await recordAudit(id, { action: 'UPDATE', entity: 'USER', entityId: id, note: 'JOIN_CODE_CREATED' });
     
     // Clear cache to force refresh
     const idKey = getKey('id', id);
@@ -176,9 +190,15 @@ export async function findOwnerByJoinCode(code) {
     return await usersCollection().findOne({ joinCode: code, role: 'OWNER' });
 }
 
+export async function getStaffMembers(ownerId) {
+    const validOwnerId = typeof ownerId === 'string' ? new ObjectId(ownerId) : ownerId;
+    return await usersCollection().find({ linkedAccountId: validOwnerId, role: 'STAFF' }).toArray();
+}
+
 export async function linkStaffToOwner(staffWhatsappId, ownerId) {
     const validOwnerId = typeof ownerId === 'string' ? new ObjectId(ownerId) : ownerId;
 
+    const before = await usersCollection().findOne({ whatsappId: staffWhatsappId });
     const result = await usersCollection().findOneAndUpdate(
         { whatsappId: staffWhatsappId },
         { 
@@ -192,6 +212,7 @@ export async function linkStaffToOwner(staffWhatsappId, ownerId) {
         { returnDocument: 'after' }
     );
     if (result) {
+        await recordAudit(validOwnerId, { action: 'UPDATE', entity: 'USER', entityId: result._id, before, after: result, note: 'STAFF_JOINED' });
         const waKey = getKey('wa', staffWhatsappId);
         const idKey = getKey('id', result._id);
         const userStr = JSON.stringify(result);
@@ -1,17 +1,33 @@
 import { updateUserState } from '../db/userService.js';
-import { getAllBankAccounts } from '../db/bankService.js';
+import { getAllBankAccounts, findBankAccountByName } from '../db/bankService.js';
 import { sendTextMessage, sendInteractiveButtons, sendInteractiveList, sendMainMenu, sendAddBankFlow } from '../api/whatsappService.js';
-import { USER_STATES, INTENTS } from '../utils/constants.js';
-import { gatherSaleDetails, gatherExpenseDetails, gatherProductDetails, gatherPaymentDetails } from '../ai/prompts.js';
+import { USER_STATES, INTENTS, FINANCING_TYPES, STOCK_ADJUSTMENT_REASONS } from '../utils/constants.js';
+import { parseBulkProductList, gatherSaleDetails, gatherExpenseDetails, gatherProductDetails, gatherPaymentDetails, gatherReturnDetails, gatherSupplierPaymentDetails, gatherPurchaseOrderDetails, gatherFinancingDetails, gatherRecurringExpenseDetails } from '../ai/prompts.js';
 
 import { parseExcelImport } from '../services/FileImportService.js';
 import * as TransactionManager from '../services/TransactionManager.js';
 import * as InventoryManager from '../services/InventoryManager.js';
-import { findProductByName, findProductFuzzy } from '../db/productService.js'; 
+import { findProductByName, findProductFuzzy, findProductWithUnit, getProductVariants, getAllProducts } from '../db/productService.js'; 
 import { executeTask } from './taskHandler.js';
 import logger from '../utils/logger.js';
 import { ObjectId } from 'mongodb';
-import { parsePrice } from '../utils/helpers.js';
+import { findOrCreateSupplier } from '../db/supplierService.js';
+import { createPurchaseOrder, getOpenPurchaseOrders, findPurchaseOrderById } from '../db/purchaseOrderService.js';
+import { parsePrice, parsePaymentLegs, parseReceivedQuantities } from '../utils/helpers.js';
+import { normalizeCurrencyCode } from '../utils/currency.js';
+import { resolveExchangeRate } from '../services/CurrencyManager.js';
+import { importExchangeRates } from '../db/exchangeRateService.js';
+import { createRecurringSchedule } from '../db/recurringService.js';
+import { RECURRENCE_FREQUENCIES, describeSchedule } from '../utils/recurrence.js';
+import { parseEntryDate, describeEntryDate, isSameDay } from '../utils/dateUtils.js';
+import { findCustomerById } from '../db/customerService.js';
+import { findTransactionById } from '../db/transactionService.js';
+import { saleToDraft, describeDraftItems, describeDraftPayment, draftListTotal } from '../utils/saleDraft.js';
+import { RECEIPT_KINDS, describeReceipt, applyProductListToReceipt } from '../utils/receipt.js';
+import { matchVariant } from '../utils/units.js';
+import { parseStockCounts, matchSheetCounts, mergeCounts, computeVariances, describeVariances, detectAdjustmentReason } from '../utils/stockTake.js';
+import { getLocations, resolveLocation } from '../db/locationService.js';
+import { stockLocationId } from '../utils/locations.js';
 
 const limitMemory = (memory, maxDepth = 12) => {
     if (memory.length > maxDepth) return memory.slice(-maxDepth);
@@ -57,7 +73,30 @@ export async function handleManageBanks(user) {
 export async function handleDocumentImport(user, document) {
     await sendTextMessage(user.whatsappId, "Receiving your file... 📂");
     try {
-        const { products, errors } = await parseExcelImport(document.id);
+        const { products, exchangeRates, counts, errors } = await parseExcelImport(document.id);
+        // [NEW] Count sheets feed a stock-take; mid-count, a plain Name/Qty sheet is read as counts too
+        const countRows = counts.length > 0 || user.state !== USER_STATES.AWAITING_STOCK_COUNT
+            ? counts
+            : products.map(p => ({ productName: p.productName, counted: p.quantityAdded }));
+        if (countRows.length > 0) {
+            if (user.isStaff) {
+                await sendTextMessage(user.whatsappId, "⛔ Access Denied. Only the Business Owner can post a stock-take.");
+                return;
+            }
+            await importStockCountSheet(user, countRows, errors);
+            return;
+        }
+        if (exchangeRates.length > 0) {
+            if (user.isStaff) {
+                await sendTextMessage(user.whatsappId, "⛔ Access Denied. Only the Business Owner can set exchange rates.");
+                return;
+            }
+            const imported = await importExchangeRates(user._id, exchangeRates);
+            const errorMsg = errors.length > 0 ? `\n⚠️ ${errors.length} rows skipped (missing info).` : "";
+            await sendTextMessage(user.whatsappId, `💱 Imported ${imported} exchange rates.${errorMsg}`);
+            await sendMainMenu(user.whatsappId);
+            return;
+        }
         if (products.length === 0) {
             await sendTextMessage(user.whatsappId, "I couldn't find any valid products in that file. Check the columns: Name, Qty, Cost, Sell.");
             return;
@@ -76,17 +115,120 @@ export async function handleDocumentImport(user, document) {
 
 // --- SMART SALE PROCESSING ---
 
+// The dates an entry was given, one per expense for expense batches
+const entryDates = (flow, entryData) => flow === 'EXPENSE'
+    ? entryData.expenses.map(e => e.date).filter(Boolean)
+    : [entryData.date].filter(Boolean);
+
+/**
+ * [NEW] Reads a back- or future-dated entry back to the user before it is saved.
+ * @returns {Promise<boolean>} true when the flow can carry on; false when it has asked and parked the entry.
+ */
+export async function confirmEntryDate(user, flow, entryData) {
+    if (entryData.dateConfirmed) return true;
+    const dates = entryDates(flow, entryData);
+    if (dates.length === 0) return true;
+
+    const parsed = dates.map(d => parseEntryDate(d));
+    if (parsed.some(d => !d)) {
+        await updateUserState(user.whatsappId, USER_STATES.AWAITING_ENTRY_DATE, { flow, entryData });
+        await sendTextMessage(user.whatsappId, "I couldn't work out the date for this entry. What date did it happen? (e.g. 2025-03-01, 01/03 or yesterday)");
+        return false;
+    }
+
+    const now = new Date();
+    const otherDay = parsed.find(d => !isSameDay(d, now));
+    if (!otherDay) return true;
+
+    await updateUserState(user.whatsappId, USER_STATES.AWAITING_ENTRY_DATE_CONFIRMATION, { flow, entryData });
+    await sendInteractiveButtons(user.whatsappId,
+        `📅 This will be recorded on *${describeEntryDate(otherDay, now)}*${otherDay > now ? ' (a future date)' : ''}. Is that right?`,
+        [{ id: 'entry_date:confirm', title: 'Yes, save it' }, { id: 'entry_date:change', title: 'Change date' }]
+    );
+    return false;
+}
+
+// Picks a parked entry back up where it stopped once its date is settled
+async function resumeDatedEntry(user, flow, entryData) {
+    const confirmed = { ...entryData, dateConfirmed: true };
+    if (flow === 'SALE') await processSaleItems(user, confirmed);
+    else if (flow === 'EXPENSE') await completeExpenses(user, confirmed);
+    else if (flow === 'CUSTOMER_PAYMENT') await completeCustomerPayment(user, confirmed);
+}
+
+export async function handleEntryDateChoice(user, choice) {
+    const { flow, entryData } = user.stateContext;
+    if (choice === 'confirm') {
+        await resumeDatedEntry(user, flow, entryData);
+        return;
+    }
+    await updateUserState(user.whatsappId, USER_STATES.AWAITING_ENTRY_DATE, { flow, entryData });
+    await sendTextMessage(user.whatsappId, "What date should it be? (e.g. 2025-03-01, 01/03 or yesterday)");
+}
+
+export async function handleEntryDateInput(user, text) {
+    const { flow, entryData } = user.stateContext;
+    const date = parseEntryDate(text);
+    if (!date) {
+        await sendTextMessage(user.whatsappId, "⚠️ I couldn't read that date. Try something like 2025-03-01, 01/03 or yesterday.");
+        return;
+    }
+
+    if (flow === 'EXPENSE') entryData.expenses = entryData.expenses.map(e => ({ ...e, date }));
+    else entryData.date = date;
+
+    // A date the user has just typed still gets read back, unless it is today
+    if (await confirmEntryDate(user, flow, entryData)) await resumeDatedEntry(user, flow, entryData);
+}
+
+// [NEW] Which size/colour was sold; the answer comes back through the product confirmation buttons
+async function askForVariant(user, saleData, itemIndex, product, variants) {
+    await updateUserState(user.whatsappId, USER_STATES.AWAITING_PRODUCT_CONFIRMATION, {
+        saleData,
+        currentItemIndex: itemIndex,
+        potentialMatches: variants
+    });
+
+    const rows = variants.slice(0, 9).map(v => ({
+        id: `confirm_prod:${v._id}`,
+        title: v.productName.substring(0, 24),
+        description: `${v.quantity} in stock`
+    }));
+    rows.push({ id: 'confirm_prod:none', title: 'None of these' });
+
+    await sendInteractiveList(user.whatsappId, "Choose Variant", `Which "${product.productName}" was sold?`, "Show Variants", [{ title: "Variants", rows }]);
+}
+
 export async function processSaleItems(user, saleData, startIndex = 0) {
+    if (startIndex === 0 && !(await confirmEntryDate(user, 'SALE', saleData))) return;
     const items = saleData.items;
 
     for (let i = startIndex; i < items.length; i++) {
         const item = items[i];
         if (item.isService || item.productId) continue;
 
-        const exactProduct = await findProductByName(user._id, item.productName);
-        if (exactProduct) {
-            item.productId = exactProduct._id;
-            item.productName = exactProduct.productName; 
+        // [NEW] "3 cartons of Indomie" resolves to Indomie sold by the carton
+        const exactMatch = await findProductWithUnit(user._id, item.productName, item.unit);
+        if (exactMatch) {
+            const { product, unit } = exactMatch;
+            if (unit && unit.factor !== 1) item.unit = unit.name;
+
+            if (product.hasVariants) {
+                const variants = await getProductVariants(product._id);
+                const variant = matchVariant(variants, item.variant || item.productName);
+                if (variant) {
+                    item.productId = variant._id;
+                    item.productName = variant.productName;
+                    continue;
+                }
+                if (variants.length > 0) {
+                    await askForVariant(user, saleData, i, product, variants);
+                    return;
+                }
+            }
+
+            item.productId = product._id;
+            item.productName = product.productName; 
             continue; 
         }
 
@@ -135,23 +277,37 @@ export async function processSaleItems(user, saleData, startIndex = 0) {
         return;
     }
 
-    // 2. EXPLICIT PAYMENT METHOD BUTTONS!
-    const validSaleTypes = ['cash', 'bank', 'credit', 'transfer'];
+    // 2. EXPLICIT PAYMENT METHOD LIST!
+    const validSaleTypes = ['cash', 'bank', 'credit', 'transfer', 'split'];
     const currentSaleType = saleData.saleType ? saleData.saleType.toLowerCase() : '';
     const hasValidSaleType = validSaleTypes.some(t => currentSaleType.includes(t));
 
     if (!hasValidSaleType) {
-        await updateUserState(user.whatsappId, 'AWAITING_PAYMENT_METHOD', { saleData });
-        await sendInteractiveButtons(user.whatsappId, "How is the customer paying for this?", [
-            { id: 'payment_method_sel:cash', title: '💵 Cash' },
-            { id: 'payment_method_sel:bank', title: '🏦 Bank Transfer' },
-            { id: 'payment_method_sel:credit', title: '📝 Credit (Unpaid)' }
-        ]);
+        await updateUserState(user.whatsappId, USER_STATES.AWAITING_PAYMENT_METHOD, { saleData });
+        await sendInteractiveList(user.whatsappId, "Payment Method", "How is the customer paying for this?", "Choose Method", [{
+            title: "Payment Method",
+            rows: [
+                { id: 'payment_method_sel:cash', title: '💵 Cash' },
+                { id: 'payment_method_sel:bank', title: '🏦 Bank Transfer' },
+                { id: 'payment_method_sel:credit', title: '📝 Credit (Unpaid)' },
+                { id: 'payment_method_sel:split', title: '➗ Split / Part Payment', description: 'Several methods, or part now and the rest on credit.' }
+            ]
+        }]);
         return;
     }
 
     if (user.isStaff) saleData.loggedBy = user.staffName;
 
+    // [NEW] Split / part payment: collect the legs before saving
+    if (currentSaleType.includes('split') && !saleData.payments) {
+        const { total } = await TransactionManager.previewSaleTotals(user, saleData.items, saleData.discount);
+        await updateUserState(user.whatsappId, USER_STATES.AWAITING_SPLIT_PAYMENT, { saleData, saleTotal: total });
+        await sendTextMessage(user.whatsappId, 
+            `The total is *${normalizeCurrencyCode(saleData.currency) || user.currency} ${total.toLocaleString()}*.\n\nHow did they pay? Tell me each part, e.g.\n_"20k cash, 30k Opay, rest on credit"_`
+        );
+        return;
+    }
+
     const banks = await getAllBankAccounts(user._id);
     const isCredit = saleData.saleType && saleData.saleType.toLowerCase().includes('credit');
     const isBank = saleData.saleType && (saleData.saleType.toLowerCase().includes('bank') || saleData.saleType.toLowerCase().includes('transfer'));
@@ -164,7 +320,7 @@ export async function processSaleItems(user, saleData, startIndex = 0) {
 
     try {
         const txn = await TransactionManager.logSale(user, saleData);
-        await sendTextMessage(user.whatsappId, `✅ Sale logged! Amount: ${user.currency} ${txn.amount.toLocaleString()}`);
+        await sendTextMessage(user.whatsappId, `✅ Sale logged! Amount: ${txn.currency || user.currency} ${txn.amount.toLocaleString()}${txn.discountTotal ? ` (after ${txn.currency || user.currency} ${txn.discountTotal.toLocaleString()} discount)` : ''}`);
         await updateUserState(user.whatsappId, USER_STATES.AWAITING_INVOICE_CONFIRMATION, { transaction: txn });
         await sendInteractiveButtons(user.whatsappId, 'Generate Invoice?', [{ id: 'invoice_yes', title: 'Yes' }, { id: 'invoice_no', title: 'No' }]);
     } catch (e) {
@@ -173,6 +329,38 @@ export async function processSaleItems(user, saleData, startIndex = 0) {
     }
 }
 
+// [NEW] HANDLER FOR SPLIT PAYMENT INPUT
+export async function handleSplitPaymentInput(user, text) {
+    const { saleData, saleTotal } = user.stateContext;
+    const banks = await getAllBankAccounts(user._id);
+
+    let parsed;
+    try {
+        parsed = parsePaymentLegs(text, saleTotal, banks);
+    } catch (e) {
+        await sendTextMessage(user.whatsappId, `⚠️ ${e.message}`);
+        return;
+    }
+
+    if (parsed.creditAmount > 0 && (!saleData.customerName || saleData.customerName.toLowerCase().includes('walk-in'))) {
+        await sendTextMessage(user.whatsappId, `⚠️ ${user.currency} ${parsed.creditAmount.toLocaleString()} is still unpaid, so I need the customer's name to record their debt. Please log the sale again with a name.`);
+        await updateUserState(user.whatsappId, USER_STATES.IDLE);
+        return;
+    }
+
+    if (parsed.legs.length === 0) {
+        // Nothing paid yet, so this is a plain credit sale
+        saleData.saleType = 'credit';
+    } else {
+        saleData.payments = parsed.legs;
+    }
+    const summary = parsed.legs.map(l => `• ${l.bankName || (l.method === 'CASH' ? 'Cash' : 'Bank')}: ${user.currency} ${l.amount.toLocaleString()}`);
+    if (parsed.creditAmount > 0) summary.push(`• On credit: ${user.currency} ${parsed.creditAmount.toLocaleString()}`);
+    await sendTextMessage(user.whatsappId, `Got it:\n${summary.join('\n')}`);
+
+    await processSaleItems(user, saleData);
+}
+
 // HANDLER FOR CUSTOMER NAME INPUT
 export async function handleCustomerNameInput(user, text) {
     const { saleData } = user.stateContext;
@@ -212,28 +400,62 @@ export async function handleLoggingExpense(user, text) {
         await updateUserState(user.whatsappId, USER_STATES.LOGGING_EXPENSE, { memory: limitMemory(aiResponse.memory) });
         await sendTextMessage(user.whatsappId, aiResponse.reply);
     } else {
-        try {
-            const expenses = aiResponse.data.expenses || [aiResponse.data];
-            if (user.isStaff) {
-                expenses.forEach(e => e.loggedBy = user.staffName);
-            }
+        const expenses = aiResponse.data.expenses || [aiResponse.data];
+        if (user.isStaff) {
+            expenses.forEach(e => e.loggedBy = user.staffName);
+        }
+        await completeExpenses(user, { expenses });
+    }
+}
 
-            const banks = await getAllBankAccounts(user._id);
-            if (banks.length > 0) {
-                 await askForBankSelection(user, { expenses }, USER_STATES.AWAITING_BANK_SELECTION_EXPENSE, 'Paid from which account?');
-                 return;
-            }
-            
-            for (const exp of expenses) {
-                await TransactionManager.logExpense(user, exp);
-            }
-            await sendTextMessage(user.whatsappId, `✅ ${expenses.length} expense(s) logged.`);
-            await updateUserState(user.whatsappId, USER_STATES.IDLE);
-            await sendMainMenu(user.whatsappId);
-        } catch (e) {
-             await sendTextMessage(user.whatsappId, `Error: ${e.message}`);
+export async function completeExpenses(user, expenseData) {
+    try {
+        if (!(await confirmEntryDate(user, 'EXPENSE', expenseData))) return;
+        const { expenses } = expenseData;
+
+        const banks = await getAllBankAccounts(user._id);
+        if (banks.length > 0) {
+             await askForBankSelection(user, { expenses }, USER_STATES.AWAITING_BANK_SELECTION_EXPENSE, 'Paid from which account?');
+             return;
+        }
+        
+        for (const exp of expenses) {
+            await TransactionManager.logExpense(user, exp);
         }
+        await sendTextMessage(user.whatsappId, `✅ ${expenses.length} expense(s) logged.`);
+        await updateUserState(user.whatsappId, USER_STATES.IDLE);
+        await sendMainMenu(user.whatsappId);
+    } catch (e) {
+         await sendTextMessage(user.whatsappId, `Error: ${e.message}`);
+    }
+}
+
+// --- RECEIPTS ---
+
+// [NEW] Reads a photographed receipt or supplier invoice back before anything is saved
+export async function showReceiptCard(user, receipt) {
+    const asStock = receipt.kind === RECEIPT_KINDS.SUPPLIER_INVOICE;
+    const question = asStock
+        ? 'Add these items to your stock?'
+        : `Save this as ${Math.max(receipt.items.length, 1)} expense(s)?`;
+
+    await updateUserState(user.whatsappId, USER_STATES.AWAITING_RECEIPT_CONFIRMATION, { receipt });
+    await sendInteractiveButtons(user.whatsappId, `${describeReceipt(receipt, user.currency)}\n\n${question}`, [
+        { id: 'receipt:save', title: asStock ? '✅ Add to Stock' : '✅ Save' },
+        { id: 'receipt:edit', title: '✏️ Edit' },
+        { id: 'receipt:switch', title: asStock ? "It's an expense" : "It's stock" }
+    ]);
+}
+
+// A corrected item list for a supplier invoice, e.g. "10 Rice 20000"
+export async function handleReceiptEditInput(user, text) {
+    const { receipt } = user.stateContext;
+    const products = await parseBulkProductList(text);
+    if (products.length === 0) {
+        await sendTextMessage(user.whatsappId, "I couldn't read that list. Send one item per line, e.g. '10 Rice 20000' (quantity, name, cost each).");
+        return;
     }
+    await showReceiptCard(user, applyProductListToReceipt(receipt, products));
 }
 
 export async function handleAddingProduct(user, text) {
@@ -247,7 +469,9 @@ export async function handleAddingProduct(user, text) {
     } else {
         try {
             const productData = aiResponse.data;
-            if (parseInt(productData.quantityAdded) > 0) {
+            if (user.isStaff) productData.loggedBy = user.staffName;
+            const isCreditPurchase = productData.paymentType && productData.paymentType.toLowerCase().includes('credit');
+            if (parseInt(productData.quantityAdded) > 0 && !isCreditPurchase) {
                  const banks = await getAllBankAccounts(user._id);
                  if (banks.length > 0) {
                      await askForBankSelection(user, productData, USER_STATES.AWAITING_BANK_SELECTION_PURCHASE, 'Paid for stock from which account?');
@@ -255,7 +479,9 @@ export async function handleAddingProduct(user, text) {
                  }
             }
             const product = await InventoryManager.addProduct(user, productData);
-            await sendTextMessage(user.whatsappId, `✅ Product "${product.productName}" updated. New Qty: ${product.quantity}`);
+            let msg = `✅ Product "${product.productName}" updated. New Qty: ${product.quantity}`;
+            if (isCreditPurchase) msg += `\n📝 Added ${normalizeCurrencyCode(productData.currency) || user.currency} ${(productData.quantityAdded * productData.costPrice).toLocaleString()} to what you owe ${product.supplierName}.`;
+            await sendTextMessage(user.whatsappId, msg);
             await updateUserState(user.whatsappId, USER_STATES.IDLE);
             await sendMainMenu(user.whatsappId);
         } catch (e) {
@@ -272,32 +498,487 @@ export async function handleLoggingCustomerPayment(user, text) {
     if (aiResponse.status === 'incomplete') {
         await updateUserState(user.whatsappId, USER_STATES.LOGGING_CUSTOMER_PAYMENT, { memory: limitMemory(aiResponse.memory) });
         await sendTextMessage(user.whatsappId, aiResponse.reply || "Could you provide the payment details?");
+    } else {
+        const paymentData = aiResponse.data;
+        if (user.isStaff) paymentData.loggedBy = user.staffName;
+        await completeCustomerPayment(user, paymentData);
+    }
+}
+
+async function completeCustomerPayment(user, paymentData) {
+    try {
+        if (!(await confirmEntryDate(user, 'CUSTOMER_PAYMENT', paymentData))) return;
+        const banks = await getAllBankAccounts(user._id);
+        if (banks.length > 0) {
+            await askForBankSelection(user, paymentData, USER_STATES.AWAITING_BANK_SELECTION_CUST_PAYMENT, 'Which account received the payment?');
+            return;
+        }
+        await TransactionManager.logCustomerPayment(user, paymentData);
+        await sendTextMessage(user.whatsappId, "✅ Payment recorded.");
+        await updateUserState(user.whatsappId, USER_STATES.IDLE);
+        await sendMainMenu(user.whatsappId);
+    } catch (e) {
+        await sendTextMessage(user.whatsappId, `Error: ${e.message}`);
+    }
+}
+
+export async function handleLoggingSupplierPayment(user, text) {
+    let { memory } = user.stateContext;
+    if (memory.length === 0 || memory[memory.length - 1].content !== text) memory.push({ role: 'user', content: text });
+    memory = limitMemory(memory);
+    const aiResponse = await gatherSupplierPaymentDetails(memory, user.currency);
+    if (aiResponse.status === 'incomplete') {
+        await updateUserState(user.whatsappId, USER_STATES.LOGGING_SUPPLIER_PAYMENT, { memory: limitMemory(aiResponse.memory) });
+        await sendTextMessage(user.whatsappId, aiResponse.reply || "Which supplier did you pay, and how much?");
     } else {
         try {
             const paymentData = aiResponse.data;
             if (user.isStaff) paymentData.loggedBy = user.staffName;
             const banks = await getAllBankAccounts(user._id);
             if (banks.length > 0) {
-                await askForBankSelection(user, paymentData, USER_STATES.AWAITING_BANK_SELECTION_CUST_PAYMENT, 'Which account received the payment?');
+                await askForBankSelection(user, paymentData, USER_STATES.AWAITING_BANK_SELECTION_SUPPLIER_PAYMENT, 'Paid the supplier from which account?');
                 return;
             }
-            await TransactionManager.logCustomerPayment(user, paymentData);
-            await sendTextMessage(user.whatsappId, "✅ Payment recorded.");
+            const { updatedSupplier } = await TransactionManager.logSupplierPayment(user, paymentData);
+            await sendTextMessage(user.whatsappId, `✅ Supplier payment recorded. You now owe ${updatedSupplier.supplierName} ${updatedSupplier.currency || user.currency} ${updatedSupplier.balanceOwed.toLocaleString()}.`);
             await updateUserState(user.whatsappId, USER_STATES.IDLE);
             await sendMainMenu(user.whatsappId);
         } catch (e) {
             await sendTextMessage(user.whatsappId, `Error: ${e.message}`);
+            await updateUserState(user.whatsappId, USER_STATES.IDLE);
+        }
+    }
+}
+
+// [NEW] Owner drawings, capital and loans share one flow; the type is fixed when the state is entered
+export async function handleLoggingFinancing(user, text) {
+    let { memory, financingType } = user.stateContext;
+    if (memory.length === 0 || memory[memory.length - 1].content !== text) memory.push({ role: 'user', content: text });
+    memory = limitMemory(memory);
+    const aiResponse = await gatherFinancingDetails(memory, user.currency, financingType);
+    if (aiResponse.status === 'incomplete') {
+        await updateUserState(user.whatsappId, USER_STATES.LOGGING_FINANCING, { memory: limitMemory(aiResponse.memory), financingType });
+        await sendTextMessage(user.whatsappId, aiResponse.reply || "What was the amount?");
+    } else {
+        try {
+            const financingData = aiResponse.data;
+            if (user.isStaff) financingData.loggedBy = user.staffName;
+            const banks = await getAllBankAccounts(user._id);
+            if (banks.length > 0) {
+                const moneyIn = FINANCING_TYPES[financingType].direction > 0;
+                await askForBankSelection(user, financingData, USER_STATES.AWAITING_BANK_SELECTION_FINANCING, moneyIn ? 'Which account did the money go into?' : 'Which account did the money come from?');
+                return;
+            }
+            const txn = await TransactionManager.logFinancing(user, financingData);
+            await sendTextMessage(user.whatsappId, `✅ ${FINANCING_TYPES[txn.type].label} of ${txn.currency || user.currency} ${txn.amount.toLocaleString()} recorded. It won't affect your profit.`);
+            await updateUserState(user.whatsappId, USER_STATES.IDLE);
+            await sendMainMenu(user.whatsappId);
+        } catch (e) {
+            await sendTextMessage(user.whatsappId, `Error: ${e.message}`);
+            await updateUserState(user.whatsappId, USER_STATES.IDLE);
+        }
+    }
+}
+
+// [NEW] Recurring expenses (rent, salaries, internet) posted by the recurring job on each due date
+export async function handleCreatingRecurringExpense(user, text) {
+    let { memory } = user.stateContext;
+    if (memory.length === 0 || memory[memory.length - 1].content !== text) memory.push({ role: 'user', content: text });
+    memory = limitMemory(memory);
+    const aiResponse = await gatherRecurringExpenseDetails(memory, user.currency);
+    if (aiResponse.status === 'incomplete' || !RECURRENCE_FREQUENCIES.includes(aiResponse.data?.frequency)) {
+        await updateUserState(user.whatsappId, USER_STATES.CREATING_RECURRING_EXPENSE, { memory: limitMemory(aiResponse.memory) });
+        await sendTextMessage(user.whatsappId, aiResponse.reply || "How often should I log it, and on which day?");
+        return;
+    }
+
+    try {
+        const scheduleData = aiResponse.data;
+        const { bankName } = scheduleData;
+        if (bankName && !/\bcash\b/i.test(bankName)) {
+            const bank = await findBankAccountByName(user._id, bankName);
+            if (!bank) throw new Error(`I couldn't find a bank called "${bankName}".`);
+            scheduleData.linkedBankId = bank.isCash ? null : bank._id;
+        } else if (!bankName) {
+            const banks = await getAllBankAccounts(user._id);
+            if (banks.length > 0) {
+                await askForBankSelection(user, scheduleData, USER_STATES.AWAITING_BANK_SELECTION_RECURRING, 'Which account will it be paid from?');
+                return;
+            }
+        }
+        await saveRecurringExpense(user, scheduleData);
+    } catch (e) {
+        await sendTextMessage(user.whatsappId, `Error: ${e.message}`);
+        await updateUserState(user.whatsappId, USER_STATES.IDLE);
+    }
+}
+
+export async function saveRecurringExpense(user, scheduleData) {
+    // Checked now so a missing exchange rate doesn't only surface on the due date
+    const { currency, exchangeRate } = await resolveExchangeRate(user, scheduleData.currency);
+    const schedule = await createRecurringSchedule(user._id, {
+        ...scheduleData,
+        currency: exchangeRate !== 1 ? currency : null,
+        createdBy: user.isStaff ? user.staffName : 'Owner'
+    });
+
+    const label = schedule.description || schedule.category;
+    await sendTextMessage(user.whatsappId,
+        `🔁 Scheduled *${label}*: ${schedule.currency || user.currency} ${schedule.amount.toLocaleString()} ${describeSchedule(schedule)}.\n\n` +
+        `Next due: ${schedule.nextRunAt.toDateString()}. ${schedule.autoPost ? "I'll log it automatically." : "I'll ask you to confirm before logging it."}`
+    );
+    await updateUserState(user.whatsappId, USER_STATES.IDLE);
+    await sendMainMenu(user.whatsappId);
+}
+
+export async function handleCreatingPurchaseOrder(user, text) {
+    let { memory } = user.stateContext;
+    if (memory.length === 0 || memory[memory.length - 1].content !== text) memory.push({ role: 'user', content: text });
+    memory = limitMemory(memory);
+    const aiResponse = await gatherPurchaseOrderDetails(memory, user.currency);
+    if (aiResponse.status === 'incomplete') {
+        await updateUserState(user.whatsappId, USER_STATES.CREATING_PURCHASE_ORDER, { memory: limitMemory(aiResponse.memory) });
+        await sendTextMessage(user.whatsappId, aiResponse.reply || "Which supplier are you ordering from, and what items?");
+        return;
+    }
+
+    try {
+        const { supplierName, items, expectedDate } = aiResponse.data;
+        const validItems = (items || []).filter(i => i.productName && i.quantity > 0);
+        if (validItems.length === 0) throw new Error("I need at least one item with a quantity.");
+
+        // Checked now so a missing exchange rate is caught before the order is sent
+        const { currency, exchangeRate } = await resolveExchangeRate(user, aiResponse.data.currency);
+
+        const supplier = await findOrCreateSupplier(user._id, supplierName);
+        const po = await createPurchaseOrder(user._id, {
+            supplierId: supplier._id,
+            supplierName: supplier.supplierName,
+            items: validItems,
+            expectedDate,
+            currency: exchangeRate !== 1 ? currency : null,
+            createdBy: user.isStaff ? user.staffName : 'Owner'
+        });
+
+        const poCurrency = po.currency || user.currency;
+        const lines = po.items.map(i => `• ${i.quantity} x ${i.productName} @ ${poCurrency} ${i.unitCost.toLocaleString()}`).join('\n');
+        await updateUserState(user.whatsappId, USER_STATES.IDLE);
+        await sendInteractiveButtons(user.whatsappId,
+            `📝 *${po.poNumber}* drafted for ${po.supplierName}\n\n${lines}\n\nTotal: *${poCurrency} ${po.totalAmount.toLocaleString()}*`,
+            [
+                { id: `po_action:send:${po._id}`, title: 'Send PDF' },
+                { id: `po_action:draft:${po._id}`, title: 'Keep as Draft' },
+                { id: `po_action:discard:${po._id}`, title: 'Discard' }
+            ]
+        );
+    } catch (e) {
+        await sendTextMessage(user.whatsappId, `⚠️ ${e.message}`);
+        await updateUserState(user.whatsappId, USER_STATES.IDLE);
+    }
+}
+
+// Lists purchase orders still waiting on goods; optionally narrowed to one supplier.
+export async function handleReceivingPurchaseOrder(user, supplierName) {
+    let orders = await getOpenPurchaseOrders(user._id);
+    if (supplierName) {
+        const named = orders.filter(po => po.supplierName.toLowerCase().includes(supplierName.toLowerCase()));
+        if (named.length > 0) orders = named;
+    }
+
+    if (orders.length === 0) {
+        await sendTextMessage(user.whatsappId, "You have no open purchase orders. To raise one, say e.g. *\"Order 50 bags of rice from Alhaji at 20k each\"*.");
+        await updateUserState(user.whatsappId, USER_STATES.IDLE);
+        return;
+    }
+
+    if (orders.length === 1) {
+        await askForPurchaseOrderReceipt(user, orders[0]._id.toString());
+        return;
+    }
+
+    const sections = [{
+        title: "Open Orders",
+        rows: orders.slice(0, 10).map(po => ({
+            id: `receive_po:${po._id}`,
+            title: po.poNumber,
+            description: `${po.supplierName} - ${po.currency || user.currency} ${po.totalAmount.toLocaleString()}`.substring(0, 72)
+        }))
+    }];
+    await updateUserState(user.whatsappId, USER_STATES.IDLE);
+    await sendInteractiveList(user.whatsappId, "Receive Goods", "Which order has arrived?", "Show Orders", sections);
+}
+
+export async function askForPurchaseOrderReceipt(user, poId) {
+    const po = await findPurchaseOrderById(poId);
+    if (!po || po.userId.toString() !== user._id.toString()) {
+        await sendTextMessage(user.whatsappId, "I couldn't find that purchase order.");
+        return;
+    }
+
+    const outstanding = po.items
+        .filter(i => i.quantity > (i.quantityReceived || 0))
+        .map(i => `• ${i.productName}: ${i.quantity - (i.quantityReceived || 0)} expected`)
+        .join('\n');
+
+    await updateUserState(user.whatsappId, USER_STATES.AWAITING_PO_RECEIPT_PAYMENT, { poId });
+    await sendInteractiveButtons(user.whatsappId,
+        `📦 *${po.poNumber}* from ${po.supplierName}\n\n${outstanding}\n\nDid everything arrive?`,
+        [
+            { id: 'po_receive:all', title: 'All Arrived' },
+            { id: 'po_receive:part', title: 'Only Part' }
+        ]
+    );
+}
+
+export async function handlePurchaseOrderQuantities(user, text) {
+    const { poId } = user.stateContext;
+    try {
+        const po = await findPurchaseOrderById(poId);
+        if (!po || po.userId.toString() !== user._id.toString()) throw new Error("I couldn't find that purchase order.");
+        const lines = parseReceivedQuantities(text, po.items);
+        await askForPurchaseOrderPayment(user, poId, lines);
+    } catch (e) {
+        await sendTextMessage(user.whatsappId, `⚠️ ${e.message}\n\nPlease reply like: *rice 30, beans 10*`);
+    }
+}
+
+export async function askForPurchaseOrderPayment(user, poId, lines) {
+    await updateUserState(user.whatsappId, USER_STATES.AWAITING_PO_RECEIPT_PAYMENT, { poId, lines });
+    await sendInteractiveButtons(user.whatsappId, 'Have you paid the supplier for these goods?', [
+        { id: 'po_pay:credit', title: 'On Credit' },
+        { id: 'po_pay:paid', title: 'Paid Now' }
+    ]);
+}
+
+// --- STOCK-TAKE ---
+
+const STOCK_TAKE_LIST_LIMIT = 15;
+
+const listProductNames = (products) => {
+    const names = products.slice(0, STOCK_TAKE_LIST_LIMIT).map(p => `• ${p.productName}`).join('\n');
+    return products.length > STOCK_TAKE_LIST_LIMIT ? `${names}\n…and ${products.length - STOCK_TAKE_LIST_LIMIT} more` : names;
+};
+
+// Products that hold stock of their own (a variant's parent is counted through its variants)
+async function getStockTakeProducts(user) {
+    return (await getAllProducts(user._id)).filter(p => !p.hasVariants);
+}
+
+// Where a stock-take counts: carried in the state so variances and postings use that location's stock
+const stockTakePlace = (location) => ({ locationId: stockLocationId(location), locationName: location ? location.name : null });
+const countingPlace = ({ locationId = null, locationName = null } = {}) => ({ locationId, locationName });
+const atPlace = ({ locationName } = {}) => (locationName ? ` at ${locationName}` : '');
+
+// A count sheet sent without starting a stock-take counts the sender's own location, else the main one
+async function defaultStockTakePlace(user) {
+    const location = await resolveLocation(user) || (await getLocations(user._id)).find(l => l.isMain);
+    return stockTakePlace(location);
+}
+
+// The location named, else the counter's own location; with several locations and neither, ask which
+export async function handleStartStockTake(user, locationName = null) {
+    const products = await getStockTakeProducts(user);
+    if (products.length === 0) {
+        await sendTextMessage(user.whatsappId, "You don't have any products to count yet.");
+        await sendMainMenu(user.whatsappId);
+        return;
+    }
+    let location;
+    try {
+        location = await resolveLocation(user, locationName);
+    } catch (e) {
+        await sendTextMessage(user.whatsappId, `⚠️ ${e.message}`);
+        return;
+    }
+    if (!location) {
+        const locations = await getLocations(user._id);
+        if (locations.length > 1) {
+            await updateUserState(user.whatsappId, USER_STATES.AWAITING_STOCK_TAKE_LOCATION);
+            const rows = locations.slice(0, 9).map(l => ({ id: `stock_take_location:${l._id}`, title: l.name.slice(0, 24) }));
+            rows.push({ id: 'stock_take:cancel', title: 'Cancel Stock-take' });
+            await sendInteractiveList(user.whatsappId, 'Stock-take', "📋 Which location are you counting?", 'Choose Location', [{ title: 'Locations', rows }]);
+            return;
         }
+        location = locations[0] || null;
+    }
+    const place = stockTakePlace(location);
+    await updateUserState(user.whatsappId, USER_STATES.AWAITING_STOCK_COUNT, { counts: [], ...place });
+    await sendTextMessage(user.whatsappId,
+        `📋 *Stock-take${atPlace(place)}*\n\nCount what is on your shelves and reply with the numbers, e.g. *rice 45, beans 22*. ` +
+        `If you know why something is short, add it: *rice 45 damaged*.\n\n` +
+        `You can also send a count sheet (Excel with *Name* and *Counted* columns).\n\n` +
+        `To count (${products.length}):\n${listProductNames(products)}`
+    );
+}
+
+export async function handleStockTakeLocationChoice(user, locationId) {
+    const location = (await getLocations(user._id)).find(l => l._id.toString() === locationId);
+    if (!location) {
+        await sendTextMessage(user.whatsappId, "I couldn't find that location. Please start the stock-take again.");
+        await updateUserState(user.whatsappId, USER_STATES.IDLE);
+        return;
+    }
+    await handleStartStockTake(user, location.name);
+}
+
+async function recordStockCounts(user, products, counts, place, note = '') {
+    await updateUserState(user.whatsappId, USER_STATES.AWAITING_STOCK_COUNT, { counts, ...place });
+    const counted = new Set(counts.map(c => c.productId.toString()));
+    const remaining = products.filter(p => !counted.has(p._id.toString()));
+    const next = remaining.length > 0
+        ? `\n\nStill to count:\n${listProductNames(remaining)}\n\nSend more counts, or review what you have.`
+        : '\n\nEverything is counted.';
+    await sendInteractiveButtons(user.whatsappId, `✅ ${counts.length} of ${products.length} products counted${atPlace(place)}.${note}${next}`, [
+        { id: 'stock_take:review', title: 'Review Variances' },
+        { id: 'stock_take:cancel', title: 'Cancel' }
+    ]);
+}
+
+export async function handleStockCountInput(user, text) {
+    const counts = user.stateContext.counts || [];
+    if (/^(done|finish(ed)?|review)$/i.test(text.trim())) {
+        await showStockTakeVariances(user, counts);
+        return;
+    }
+    try {
+        const products = await getStockTakeProducts(user);
+        await recordStockCounts(user, products, mergeCounts(counts, parseStockCounts(text, products)), countingPlace(user.stateContext));
+    } catch (e) {
+        await sendTextMessage(user.whatsappId, `⚠️ ${e.message}\n\nPlease reply like: *rice 45, beans 22*`);
+    }
+}
+
+async function importStockCountSheet(user, rows, errors = []) {
+    const products = await getStockTakeProducts(user);
+    const { counts, unmatched } = matchSheetCounts(rows, products);
+    const counting = user.state === USER_STATES.AWAITING_STOCK_COUNT;
+    const earlier = counting ? user.stateContext.counts || [] : [];
+    const place = counting ? countingPlace(user.stateContext) : await defaultStockTakePlace(user);
+    let note = '';
+    if (unmatched.length > 0) note += `\n⚠️ Not in your stock: ${unmatched.slice(0, 5).join(', ')}${unmatched.length > 5 ? '…' : ''}`;
+    if (errors.length > 0) note += `\n⚠️ ${errors.length} rows skipped (missing info).`;
+    await recordStockCounts(user, products, mergeCounts(earlier, counts), place, note);
+}
+
+export async function showStockTakeVariances(user, counts = []) {
+    if (counts.length === 0) {
+        await sendTextMessage(user.whatsappId, "You haven't counted anything yet. Reply like: *rice 45, beans 22*");
+        return;
+    }
+    const place = countingPlace(user.stateContext);
+    const variances = computeVariances(await getStockTakeProducts(user), counts, place.locationId);
+    if (variances.length === 0) {
+        await sendTextMessage(user.whatsappId, "✅ Everything you counted matches the books. Nothing to adjust.");
+        await updateUserState(user.whatsappId, USER_STATES.IDLE);
+        await sendMainMenu(user.whatsappId);
+        return;
+    }
+
+    await updateUserState(user.whatsappId, USER_STATES.AWAITING_STOCK_TAKE_REASON, { counts, variances, ...place });
+    const shown = describeVariances(variances.slice(0, 10), user.currency);
+    const more = variances.length > 10 ? `\n…and ${variances.length - 10} more` : '';
+    const net = variances.reduce((sum, v) => sum - v.value, 0);
+    const total = net >= 0
+        ? `Shrinkage: ${user.currency} ${net.toLocaleString()}`
+        : `Found over the books: ${user.currency} ${(-net).toLocaleString()}`;
+    const summary = `📋 *Stock-take Variances${atPlace(place)}*\n\n${shown}${more}\n\n${total}`;
+
+    if (variances.some(v => !v.reason)) {
+        const rows = Object.entries(STOCK_ADJUSTMENT_REASONS).map(([reason, label]) => ({ id: `stock_take_reason:${reason}`, title: label }));
+        rows.push({ id: 'stock_take:cancel', title: 'Cancel Stock-take' });
+        await sendInteractiveList(user.whatsappId, 'Stock-take', `${summary}\n\nWhy is the rest of the stock short?`, 'Choose Reason', [{ title: 'Reason', rows }]);
+    } else {
+        await sendInteractiveButtons(user.whatsappId, summary, [
+            { id: 'stock_take:post', title: '✅ Post Adjustments' },
+            { id: 'stock_take:cancel', title: '❌ Cancel' }
+        ]);
+    }
+}
+
+// A reason typed instead of picked from the list
+export async function handleStockTakeReasonInput(user, text) {
+    const reason = detectAdjustmentReason(text);
+    if (!reason) {
+        await sendTextMessage(user.whatsappId, "Please pick a reason from the list: damaged, expired, theft or count correction.");
+        return;
+    }
+    await completeStockTake(user, reason);
+}
+
+export async function completeStockTake(user, defaultReason) {
+    const { variances, locationId = null } = user.stateContext;
+    if (!variances || variances.length === 0) {
+        await sendTextMessage(user.whatsappId, "Session expired. Please start the stock-take again.");
+        await updateUserState(user.whatsappId, USER_STATES.IDLE);
+        return;
+    }
+    try {
+        const { adjusted, shrinkage } = await InventoryManager.postStockTake(user, variances, { defaultReason, locationId });
+        let msg = `✅ Stock-take posted. ${adjusted} product${adjusted === 1 ? '' : 's'} adjusted.`;
+        if (shrinkage > 0) msg += `\n${user.currency} ${shrinkage.toLocaleString()} written off as shrinkage.`;
+        else if (shrinkage < 0) msg += `\n${user.currency} ${(-shrinkage).toLocaleString()} of stock added back to the books.`;
+        await sendTextMessage(user.whatsappId, msg);
+    } catch (error) {
+        logger.error('Error posting stock-take:', error);
+        await sendTextMessage(user.whatsappId, `⚠️ ${error.message}`);
+    }
+    await updateUserState(user.whatsappId, USER_STATES.IDLE);
+    await sendMainMenu(user.whatsappId);
+}
+
+export async function handleLoggingReturn(user, text) {
+    let { memory } = user.stateContext;
+    if (memory.length === 0 || memory[memory.length - 1].content !== text) memory.push({ role: 'user', content: text });
+    memory = limitMemory(memory);
+    const aiResponse = await gatherReturnDetails(memory, user.currency);
+    if (aiResponse.status === 'incomplete') {
+        await updateUserState(user.whatsappId, USER_STATES.LOGGING_RETURN, { memory: limitMemory(aiResponse.memory) });
+        await sendTextMessage(user.whatsappId, aiResponse.reply || "Which item was returned, and how many?");
+        return;
+    }
+
+    try {
+        const returnData = await TransactionManager.prepareReturn(user, aiResponse.data);
+        if (user.isStaff) returnData.loggedBy = user.staffName;
+        await askForRefundMethod(user, returnData);
+    } catch (e) {
+        await sendTextMessage(user.whatsappId, `⚠️ ${e.message}`);
+        await updateUserState(user.whatsappId, USER_STATES.IDLE);
     }
 }
 
+async function askForRefundMethod(user, returnData) {
+    const itemsText = returnData.items.map(i => `• ${i.quantity}x ${i.productName}`).join('\n');
+    const saleDate = new Date(returnData.saleDate).toLocaleDateString();
+
+    const options = [{ id: 'refund_method:MONEY', title: 'Refund Money 💵' }];
+    if (returnData.linkedCustomerId && returnData.customerBalanceOwed > 0) {
+        options.push({ id: 'refund_method:DEBT', title: 'Reduce Their Debt' });
+    }
+    if (returnData.linkedCustomerId) {
+        options.push({ id: 'refund_method:STORE_CREDIT', title: 'Give Store Credit' });
+    }
+
+    await updateUserState(user.whatsappId, USER_STATES.AWAITING_REFUND_METHOD, { returnData });
+    await sendInteractiveButtons(user.whatsappId, 
+        `↩️ *Return from ${returnData.customerName}*\n(Sale on ${saleDate})\n\n${itemsText}\n\nValue: *${returnData.currency || user.currency} ${returnData.amount.toLocaleString()}*\n\nHow should we settle it?`,
+        options
+    );
+}
+
 export async function handleEditValue(user, text) {
     const { transaction, fieldToEdit } = user.stateContext;
     let newValue = text;
 
     const numericFields = ['amount', 'quantity', 'costPrice', 'sellingPrice', 'unitsSold', 'amountPerUnit', 'pricePerUnit'];
 
-    if (numericFields.includes(fieldToEdit) || fieldToEdit.toLowerCase().includes('amount') || fieldToEdit.toLowerCase().includes('price')) {
+    if (fieldToEdit === 'date') {
+        newValue = parseEntryDate(text);
+        if (!newValue) {
+            await sendTextMessage(user.whatsappId, "⚠️ I couldn't read that date. Try something like 2025-03-01, 01/03 or yesterday.");
+            return;
+        }
+    } else if (numericFields.includes(fieldToEdit) || fieldToEdit.toLowerCase().includes('amount') || fieldToEdit.toLowerCase().includes('price')) {
         const parsed = parsePrice(text);
         if (isNaN(parsed)) {
             await sendTextMessage(user.whatsappId, "⚠️ That doesn't look like a valid number. Please try again.");
@@ -314,3 +995,208 @@ export async function handleEditValue(user, text) {
         changes 
     });
 }
+
+// --- [NEW] SALE EDITING ---
+// The sale is edited as a draft in stateContext.transactionData and booked in one go on Save.
+
+const SALE_EDIT_ITEM_ROWS = 5;
+const trimTitle = (text, max = 24) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+export async function startSaleEdit(user, transaction) {
+    const sale = await findTransactionById(transaction._id);
+    if (!sale) {
+        await sendTextMessage(user.whatsappId, "Transaction not found.");
+        await updateUserState(user.whatsappId, USER_STATES.IDLE);
+        return;
+    }
+    const customer = sale.linkedCustomerId ? await findCustomerById(sale.linkedCustomerId) : null;
+    await showSaleEditMenu(user, saleToDraft(sale, customer?.customerName));
+}
+
+export async function showSaleEditMenu(user, draft, note = '') {
+    await updateUserState(user.whatsappId, USER_STATES.AWAITING_SALE_EDIT_MENU, { transactionData: draft });
+
+    const currency = draft.currency || user.currency;
+    const summary = `${note ? `${note}\n\n` : ''}✏️ *Editing Sale*\n${describeDraftItems(draft)}\n\nCustomer: ${draft.customerName}\nPayment: ${describeDraftPayment(draft)}\nBefore VAT/discounts: ${currency} ${draftListTotal(draft).toLocaleString()}`;
+    const hint = draft.items.length > SALE_EDIT_ITEM_ROWS ? '\n\nType an item number to change an item not shown in the list.' : '';
+
+    const itemRows = draft.items.slice(0, SALE_EDIT_ITEM_ROWS).map((item, idx) => ({
+        id: `sale_edit:item:${idx}`,
+        title: trimTitle(`${idx + 1}. ${item.productName}`),
+        description: `${item.quantity} x ${Number(item.pricePerUnit).toLocaleString()}`
+    }));
+    const sections = [
+        { title: 'Items', rows: itemRows },
+        {
+            title: 'Sale',
+            rows: [
+                { id: 'sale_edit:add', title: '➕ Add Item' },
+                { id: 'sale_edit:customer', title: '👤 Change Customer' },
+                { id: 'sale_edit:payment', title: '💳 Change Payment' },
+                { id: 'sale_edit:save', title: '✅ Save Changes', description: 'Re-books stock, money and customer balances.' },
+                { id: 'sale_edit:discard', title: '✖️ Discard Changes' }
+            ]
+        }
+    ];
+    await sendInteractiveList(user.whatsappId, 'Edit Sale', `${summary}${hint}`, 'Choose', sections);
+}
+
+async function showSaleEditItem(user, draft, itemIndex) {
+    const item = draft.items[itemIndex];
+    if (!item) {
+        await showSaleEditMenu(user, draft, "⚠️ There's no item with that number.");
+        return;
+    }
+    await updateUserState(user.whatsappId, USER_STATES.AWAITING_SALE_EDIT_MENU, { transactionData: draft, editItemIndex: itemIndex });
+    await sendInteractiveList(user.whatsappId, 'Edit Item', `*${item.quantity} x ${item.productName}* @ ${Number(item.pricePerUnit).toLocaleString()}\n\nWhat would you like to change?`, 'Choose', [{
+        title: 'Item',
+        rows: [
+            { id: 'sale_edit:field:quantity', title: 'Quantity' },
+            { id: 'sale_edit:field:pricePerUnit', title: 'Price' },
+            { id: 'sale_edit:field:product', title: 'Product', description: 'Swap for another product in your inventory.' },
+            { id: 'sale_edit:remove', title: '🗑️ Remove Item' },
+            { id: 'sale_edit:back', title: '⬅️ Back' }
+        ]
+    }]);
+}
+
+const SALE_EDIT_PROMPTS = {
+    quantity: 'How many were sold?',
+    pricePerUnit: 'What was the price per unit?',
+    product: 'Which product was it? Type the name as it is in your inventory.',
+    add: "What should I add? (e.g. '2 Rice at 1500')",
+    customer: 'Who was the customer?'
+};
+
+// Buttons and list rows from the sale edit menus ("sale_edit:...")
+export async function handleSaleEditChoice(user, choiceId) {
+    const { transactionData: draft, editItemIndex } = user.stateContext;
+    const [, action, value] = choiceId.split(':');
+
+    switch (action) {
+        case 'item':
+            await showSaleEditItem(user, draft, Number(value));
+            return;
+        case 'field':
+            await updateUserState(user.whatsappId, USER_STATES.AWAITING_SALE_EDIT_VALUE, { transactionData: draft, editItemIndex, editField: value });
+            await sendTextMessage(user.whatsappId, SALE_EDIT_PROMPTS[value]);
+            return;
+        case 'remove':
+            if (draft.items.length === 1) {
+                await showSaleEditMenu(user, draft, "⚠️ A sale needs at least one item. To remove it completely, delete the sale instead.");
+                return;
+            }
+            draft.items.splice(editItemIndex, 1);
+            await showSaleEditMenu(user, draft);
+            return;
+        case 'back':
+            await showSaleEditMenu(user, draft);
+            return;
+        case 'add':
+        case 'customer':
+            await updateUserState(user.whatsappId, USER_STATES.AWAITING_SALE_EDIT_VALUE, { transactionData: draft, editField: action, memory: [] });
+            await sendTextMessage(user.whatsappId, SALE_EDIT_PROMPTS[action]);
+            return;
+        case 'payment':
+            await sendInteractiveButtons(user.whatsappId, 'How did the customer pay?', [
+                { id: 'sale_edit:pay:cash', title: '💵 Cash' },
+                { id: 'sale_edit:pay:bank', title: '🏦 Bank Transfer' },
+                { id: 'sale_edit:pay:credit', title: '📝 Credit (Unpaid)' }
+            ]);
+            return;
+        case 'pay':
+            if (value === 'bank') {
+                await askForBankSelection(user, draft, USER_STATES.AWAITING_BANK_SELECTION_SALE_EDIT, 'Which account received the money?');
+                return;
+            }
+            await showSaleEditMenu(user, { ...draft, saleType: value, linkedBankId: null, payments: [] });
+            return;
+        case 'save':
+            await saveSaleEdit(user, draft);
+            return;
+        case 'discard':
+            await updateUserState(user.whatsappId, USER_STATES.IDLE);
+            await sendTextMessage(user.whatsappId, 'Changes discarded. The sale is unchanged.');
+            await sendMainMenu(user.whatsappId);
+            return;
+    }
+}
+
+export async function handleSaleEditBankSelection(user, buttonId) {
+    const [action, bankIdStr] = buttonId.split(':');
+    if (action !== 'select_bank') return;
+    const draft = user.stateContext.transactionData;
+    const linkedBankId = bankIdStr === 'none' ? null : new ObjectId(bankIdStr);
+    await showSaleEditMenu(user, { ...draft, saleType: linkedBankId ? 'bank' : 'cash', linkedBankId, payments: [] });
+}
+
+// Typed replies while editing a sale: an item number on the menu, or the new value asked for
+export async function handleSaleEditInput(user, text) {
+    const { transactionData: draft, editItemIndex, editField } = user.stateContext;
+
+    if (user.state === USER_STATES.AWAITING_SALE_EDIT_MENU) {
+        const itemNumber = parseInt(text, 10);
+        if (isNaN(itemNumber)) {
+            await sendTextMessage(user.whatsappId, 'Please pick an option from the list, or type an item number.');
+            return;
+        }
+        await showSaleEditItem(user, draft, itemNumber - 1);
+        return;
+    }
+
+    if (editField === 'quantity' || editField === 'pricePerUnit') {
+        const parsed = parsePrice(text);
+        if (isNaN(parsed) || parsed < 0 || (editField === 'quantity' && parsed === 0)) {
+            await sendTextMessage(user.whatsappId, "⚠️ That doesn't look like a valid number. Please try again.");
+            return;
+        }
+        draft.items[editItemIndex][editField] = parsed;
+    } else if (editField === 'product') {
+        const product = await findProductByName(user._id, text.trim());
+        if (!product) {
+            await sendTextMessage(user.whatsappId, `I couldn't find "${text.trim()}" in your inventory. Please type the exact product name.`);
+            return;
+        }
+        draft.items[editItemIndex] = {
+            ...draft.items[editItemIndex],
+            productId: product._id,
+            productName: product.productName,
+            pricePerUnit: product.sellingPrice ?? draft.items[editItemIndex].pricePerUnit,
+            isService: false
+        };
+    } else if (editField === 'customer') {
+        draft.customerName = text.trim();
+    } else if (editField === 'add') {
+        const memory = limitMemory([...(user.stateContext.memory || []), { role: 'user', content: text }]);
+        const aiResponse = await gatherSaleDetails(memory);
+        if (aiResponse.status === 'incomplete') {
+            await updateUserState(user.whatsappId, USER_STATES.AWAITING_SALE_EDIT_VALUE, { ...user.stateContext, memory: limitMemory(aiResponse.memory) });
+            await sendTextMessage(user.whatsappId, aiResponse.reply);
+            return;
+        }
+        for (const item of aiResponse.data.items || []) {
+            const product = await findProductByName(user._id, item.productName.trim());
+            if (!product) {
+                await sendTextMessage(user.whatsappId, `⛔ "${item.productName}" is not in your inventory. Add it first by typing *"Restock ${item.productName}..."*`);
+                await showSaleEditMenu(user, draft);
+                return;
+            }
+            draft.items.push({ productId: product._id, productName: product.productName, quantity: item.quantity || 1, pricePerUnit: item.pricePerUnit ?? product.sellingPrice, isService: false, discount: item.discount || null });
+        }
+    }
+
+    await showSaleEditMenu(user, draft);
+}
+
+async function saveSaleEdit(user, draft) {
+    await sendTextMessage(user.whatsappId, 'Updating the sale... 📝');
+    try {
+        const txn = await TransactionManager.editSale(user, draft.saleId, draft);
+        await updateUserState(user.whatsappId, USER_STATES.IDLE);
+        await sendTextMessage(user.whatsappId, `✅ Sale updated! New amount: ${txn.currency || user.currency} ${txn.amount.toLocaleString()}\nStock, balances and the books have been adjusted.`);
+        await sendMainMenu(user.whatsappId);
+    } catch (error) {
+        // The draft stays open so the problem can be fixed and saved again
+        await showSaleEditMenu(user, draft, `❌ Couldn't save: ${error.message}`);
+    }
+}
@@ -1,13 +1,16 @@
 import { findOrCreateUser, updateUserState } from '../db/userService.js';
 import { findTransactionById } from '../db/transactionService.js';
 import { findCustomerById } from '../db/customerService.js';
-import { generateInvoice } from '../services/pdfService.js';
+import { generateInvoice, generatePurchaseOrder } from '../services/pdfService.js';
+import { findPurchaseOrderById, updatePurchaseOrderStatus, PO_STATUS } from '../db/purchaseOrderService.js';
 import { uploadMedia, sendDocument, sendTextMessage, sendInteractiveButtons, sendInteractiveList, sendMainMenu, setTypingIndicator, sendAddBankFlow, sendReportMenu } from '../api/whatsappService.js';
-import { USER_STATES, INTENTS } from '../utils/constants.js';
+import { USER_STATES, INTENTS, FINANCING_TYPES } from '../utils/constants.js';
 import logger from '../utils/logger.js';
 import { handleMessage } from './messageHandler.js';
-import { askForBankSelection, processSaleItems, handleLoggingSale, handleLoggingExpense, handleAddingProduct } from './actionHandler.js'; 
+import { askForBankSelection, completeExpenses, showReceiptCard, saveRecurringExpense, handleEntryDateChoice, startSaleEdit, handleSaleEditChoice, handleSaleEditBankSelection, processSaleItems, handleLoggingSale, handleLoggingExpense, handleAddingProduct, askForPurchaseOrderReceipt, askForPurchaseOrderPayment, showStockTakeVariances, completeStockTake, handleStockTakeLocationChoice } from './actionHandler.js'; 
 import { getAllBankAccounts } from '../db/bankService.js'; 
+import { findProductByName } from '../db/productService.js';
+import { takePendingRun, restorePendingRun, deactivateRecurringSchedule } from '../db/recurringService.js';
 import { createDedicatedAccount, initializePayment } from '../services/paymentService.js'; 
 import { ObjectId } from 'mongodb';
 import config from '../config/index.js';
@@ -15,8 +18,11 @@ import config from '../config/index.js';
 import * as TransactionManager from '../services/TransactionManager.js';
 import * as InventoryManager from '../services/InventoryManager.js';
 import { executeTask } from './taskHandler.js'; 
+import { sendAttachment } from '../services/AttachmentManager.js';
 
 import { getDateRange } from '../utils/dateUtils.js';
+import { setAuditActor } from '../utils/audit.js';
+import { RECEIPT_KINDS, describeReceipt, receiptToExpenses, receiptToProducts } from '../utils/receipt.js';
 import { queueReportGeneration } from '../services/QueueService.js';
 
 export async function handleInteractiveMessage(message) {
@@ -27,6 +33,7 @@ export async function handleInteractiveMessage(message) {
     await setTypingIndicator(whatsappId, 'on', messageId);
 
     const user = await findOrCreateUser(whatsappId);
+    setAuditActor({ role: user.role || 'OWNER', name: user.businessName || user.whatsappId });
 
     try {
         if (interactive.type === 'button_reply') {
@@ -56,6 +63,8 @@ async function handleButtonReply(user, buttonId, originalMessage) {
 
     // [NEW] Handle Explicit Payment Method Selection
     if (buttonId.startsWith('payment_method_sel:')) {
+        // A tap on an old list after the sale was saved or cancelled has nothing to resume
+        if (user.state !== USER_STATES.AWAITING_PAYMENT_METHOD || !user.stateContext?.saleData) return;
         const type = buttonId.split(':')[1];
         const { saleData } = user.stateContext;
         saleData.saleType = type;
@@ -90,6 +99,57 @@ async function handleButtonReply(user, buttonId, originalMessage) {
         return;
     }
 
+    // [NEW] Sales Return settlement
+    if (buttonId.startsWith('refund_method:') && user.state === USER_STATES.AWAITING_REFUND_METHOD) {
+        await handleRefundMethodSelection(user, buttonId.split(':')[1]);
+        return;
+    }
+
+    // [NEW] Purchase order actions (send / keep draft / discard)
+    if (buttonId.startsWith('po_action:')) {
+        const [, action, poId] = buttonId.split(':');
+        await handlePurchaseOrderAction(user, action, poId);
+        return;
+    }
+
+    if (buttonId.startsWith('sale_edit:') && user.state === USER_STATES.AWAITING_SALE_EDIT_MENU) {
+        await handleSaleEditChoice(user, buttonId);
+        return;
+    }
+
+    if (buttonId.startsWith('receipt:') && user.state === USER_STATES.AWAITING_RECEIPT_CONFIRMATION) {
+        await handleReceiptChoice(user, buttonId.split(':')[1]);
+        return;
+    }
+
+    if (buttonId.startsWith('entry_date:') && user.state === USER_STATES.AWAITING_ENTRY_DATE_CONFIRMATION) {
+        await handleEntryDateChoice(user, buttonId.split(':')[1]);
+        return;
+    }
+
+    // [NEW] Confirmation for a recurring expense that came due
+    if (buttonId.startsWith('recurring_run:')) {
+        const [, action, scheduleId] = buttonId.split(':');
+        await handleRecurringRun(user, action, scheduleId);
+        return;
+    }
+
+    if (buttonId.startsWith('receive_po:')) {
+        await askForPurchaseOrderReceipt(user, buttonId.split(':')[1]);
+        return;
+    }
+
+    if (user.state === USER_STATES.AWAITING_PO_RECEIPT_PAYMENT && (buttonId.startsWith('po_receive:') || buttonId.startsWith('po_pay:'))) {
+        await handlePurchaseOrderReceiptChoice(user, buttonId);
+        return;
+    }
+
+    // [NEW] Stock-take: review the counts, post them, or drop the whole count
+    if (buttonId.startsWith('stock_take') && [USER_STATES.AWAITING_STOCK_TAKE_LOCATION, USER_STATES.AWAITING_STOCK_COUNT, USER_STATES.AWAITING_STOCK_TAKE_REASON].includes(user.state)) {
+        await handleStockTakeChoice(user, buttonId);
+        return;
+    }
+
     switch (user.state) {
         case USER_STATES.AWAITING_BANK_MENU_SELECTION:
             if (buttonId === 'bank_action:add') {
@@ -129,7 +189,8 @@ async function handleButtonReply(user, buttonId, originalMessage) {
                         ]
                     );
                 } else {
-                    const matched = potentialMatches.find(p => p._id === prodId);
+                    // [FIX] Ids come back from the state as ObjectIds, the button id is a string
+                    const matched = potentialMatches.find(p => p._id.toString() === prodId);
                     if (matched) {
                         saleData.items[currentItemIndex].productId = matched._id;
                         saleData.items[currentItemIndex].productName = matched.productName;
@@ -189,6 +250,24 @@ async function handleButtonReply(user, buttonId, originalMessage) {
         case USER_STATES.AWAITING_BANK_SELECTION_BULK:
             await handleBankSelection(user, buttonId, INTENTS.ADD_PRODUCTS_FROM_LIST);
             break;
+        case USER_STATES.AWAITING_BANK_SELECTION_RETURN:
+            await handleBankSelection(user, buttonId, INTENTS.LOG_RETURN);
+            break;
+        case USER_STATES.AWAITING_BANK_SELECTION_SUPPLIER_PAYMENT:
+            await handleBankSelection(user, buttonId, INTENTS.LOG_SUPPLIER_PAYMENT);
+            break;
+        case USER_STATES.AWAITING_BANK_SELECTION_PO_RECEIPT:
+            await handleBankSelection(user, buttonId, INTENTS.RECEIVE_PURCHASE_ORDER);
+            break;
+        case USER_STATES.AWAITING_BANK_SELECTION_RECURRING:
+            await handleBankSelection(user, buttonId, INTENTS.CREATE_RECURRING_EXPENSE);
+            break;
+        case USER_STATES.AWAITING_BANK_SELECTION_FINANCING:
+            await handleBankSelection(user, buttonId, FINANCING_TYPES[user.stateContext.transactionData.type].intent);
+            break;
+        case USER_STATES.AWAITING_BANK_SELECTION_SALE_EDIT:
+            await handleSaleEditBankSelection(user, buttonId);
+            break;
 
         case USER_STATES.AWAITING_SALE_TYPE_CONFIRMATION:
             await handleSaleTypeConfirmation(user, buttonId);
@@ -211,7 +290,30 @@ async function handleButtonReply(user, buttonId, originalMessage) {
 }
 
 async function handleListReply(user, listId, originalMessage) {
+    // [NEW] Payment method now comes from a list (it has more than 3 options)
+    if (listId.startsWith('payment_method_sel:')) {
+        await handleButtonReply(user, listId, originalMessage);
+        return;
+    }
     
+    // [NEW] Sale edit menus
+    if (listId.startsWith('sale_edit:') && user.state === USER_STATES.AWAITING_SALE_EDIT_MENU) {
+        await handleSaleEditChoice(user, listId);
+        return;
+    }
+
+    // [NEW] Variants are offered as a list when there are more than the buttons can hold
+    if (listId.startsWith('confirm_prod:') && user.state === USER_STATES.AWAITING_PRODUCT_CONFIRMATION) {
+        await handleButtonReply(user, listId, originalMessage);
+        return;
+    }
+
+    // [NEW] Shortfall reasons and the location to count come from a list (there can be more than 3)
+    if (listId.startsWith('stock_take')) {
+        await handleButtonReply(user, listId, originalMessage);
+        return;
+    }
+
     // --- MAIN MENU ROUTING ---
     switch (listId) {
         case 'log a sale':
@@ -277,7 +379,7 @@ async function handleListReply(user, listId, originalMessage) {
         const bank = banks.find(b => b._id.toString() === bankId);
         
         if (bank) {
-            await sendTextMessage(user.whatsappId, `🏦 *${bank.bankName}*\n\nBalance: *${user.currency} ${bank.balance.toLocaleString()}*`);
+            await sendTextMessage(user.whatsappId, `🏦 *${bank.bankName}*\n\nBalance: *${bank.currency || user.currency} ${bank.balance.toLocaleString()}*`);
         } else {
             await sendTextMessage(user.whatsappId, "Bank not found.");
         }
@@ -286,6 +388,11 @@ async function handleListReply(user, listId, originalMessage) {
         return;
     }
 
+    if (listId.startsWith('select_bank:') && user.state === USER_STATES.AWAITING_BANK_SELECTION_SALE_EDIT) {
+        await handleSaleEditBankSelection(user, listId);
+        return;
+    }
+
     if (listId.startsWith('select_bank:')) {
         let intent;
         if (user.state === USER_STATES.AWAITING_BANK_SELECTION_SALE) intent = INTENTS.LOG_SALE;
@@ -293,6 +400,11 @@ async function handleListReply(user, listId, originalMessage) {
         else if (user.state === USER_STATES.AWAITING_BANK_SELECTION_PURCHASE) intent = INTENTS.ADD_PRODUCT;
         else if (user.state === USER_STATES.AWAITING_BANK_SELECTION_CUST_PAYMENT) intent = INTENTS.LOG_CUSTOMER_PAYMENT;
         else if (user.state === USER_STATES.AWAITING_BANK_SELECTION_BULK) intent = INTENTS.ADD_PRODUCTS_FROM_LIST;
+        else if (user.state === USER_STATES.AWAITING_BANK_SELECTION_RETURN) intent = INTENTS.LOG_RETURN;
+        else if (user.state === USER_STATES.AWAITING_BANK_SELECTION_SUPPLIER_PAYMENT) intent = INTENTS.LOG_SUPPLIER_PAYMENT;
+        else if (user.state === USER_STATES.AWAITING_BANK_SELECTION_PO_RECEIPT) intent = INTENTS.RECEIVE_PURCHASE_ORDER;
+        else if (user.state === USER_STATES.AWAITING_BANK_SELECTION_RECURRING) intent = INTENTS.CREATE_RECURRING_EXPENSE;
+        else if (user.state === USER_STATES.AWAITING_BANK_SELECTION_FINANCING) intent = FINANCING_TYPES[user.stateContext.transactionData.type].intent;
 
         if (intent) {
             await handleBankSelection(user, listId, intent);
@@ -300,6 +412,24 @@ async function handleListReply(user, listId, originalMessage) {
         }
     }
 
+    if (listId.startsWith('receive_po:')) {
+        await askForPurchaseOrderReceipt(user, listId.split(':')[1]);
+        return;
+    }
+
+    if (listId.startsWith('show_receipt:')) {
+        await sendAttachment(user, listId.split(':')[1], '🧾 Here is the receipt.');
+        return;
+    }
+
+    if (listId.startsWith('recurring_stop:')) {
+        const stopped = await deactivateRecurringSchedule(user._id, listId.split(':')[1]);
+        await sendTextMessage(user.whatsappId, stopped ? `🛑 Stopped *${stopped.description || stopped.category}*. It won't be logged again.` : "I couldn't find that schedule.");
+        await updateUserState(user.whatsappId, USER_STATES.IDLE);
+        await sendMainMenu(user.whatsappId);
+        return;
+    }
+
     if (user.state === USER_STATES.AWAITING_TRANSACTION_SELECTION) {
         await handleTransactionSelection(user, listId);
         return;
@@ -312,6 +442,10 @@ async function handleListReply(user, listId, originalMessage) {
         if (listId === 'generate p&l report') reportType = 'PNL';
         if (listId === 'generate cogs report') reportType = 'COGS';
         if (listId === 'generate inventory report') reportType = 'INVENTORY';
+        if (listId === 'generate balance sheet') reportType = 'BALANCE_SHEET';
+        if (listId === 'generate cash flow') reportType = 'CASHFLOW';
+        if (listId === 'generate payables report') reportType = 'PAYABLES';
+        if (listId === 'generate vat report') reportType = 'VAT';
 
         const extractedDates = user.stateContext?.extractedDates || {};
         
@@ -381,7 +515,7 @@ async function handleBankSelection(user, buttonId, intent) {
     try {
         if (intent === INTENTS.LOG_SALE) {
             const txn = await TransactionManager.logSale(user, transactionData);
-            await sendTextMessage(user.whatsappId, `✅ Sale logged! Amount: ${user.currency} ${txn.amount.toLocaleString()}`);
+            await sendTextMessage(user.whatsappId, `✅ Sale logged! Amount: ${txn.currency || user.currency} ${txn.amount.toLocaleString()}${txn.discountTotal ? ` (after ${txn.currency || user.currency} ${txn.discountTotal.toLocaleString()} discount)` : ''}`);
             await updateUserState(user.whatsappId, USER_STATES.AWAITING_INVOICE_CONFIRMATION, { transaction: txn });
             await sendInteractiveButtons(user.whatsappId, 'Generate Invoice?', [{ id: 'invoice_yes', title: 'Yes' }, { id: 'invoice_no', title: 'No' }]);
             return; 
@@ -401,6 +535,26 @@ async function handleBankSelection(user, buttonId, intent) {
             await TransactionManager.logCustomerPayment(user, transactionData);
             await sendTextMessage(user.whatsappId, "✅ Payment recorded.");
 
+        } else if (intent === INTENTS.LOG_SUPPLIER_PAYMENT) {
+            const { updatedSupplier } = await TransactionManager.logSupplierPayment(user, transactionData);
+            await sendTextMessage(user.whatsappId, `✅ Supplier payment recorded. You now owe ${updatedSupplier.supplierName} ${updatedSupplier.currency || user.currency} ${updatedSupplier.balanceOwed.toLocaleString()}.`);
+
+        } else if (intent === INTENTS.CREATE_RECURRING_EXPENSE) {
+            await saveRecurringExpense(user, transactionData);
+            return;
+
+        } else if (FINANCING_TYPES[transactionData.type]?.intent === intent) {
+            const txn = await TransactionManager.logFinancing(user, transactionData);
+            await sendTextMessage(user.whatsappId, `✅ ${FINANCING_TYPES[txn.type].label} of ${txn.currency || user.currency} ${txn.amount.toLocaleString()} recorded. It won't affect your profit.`);
+
+        } else if (intent === INTENTS.RECEIVE_PURCHASE_ORDER) {
+            await receiveGoods(user, transactionData.poId, transactionData.lines, 'PAID', linkedBankId);
+            return;
+
+        } else if (intent === INTENTS.LOG_RETURN) {
+            const txn = await TransactionManager.logReturn(user, { ...transactionData, refundMethod: linkedBankId ? 'BANK' : 'CASH' });
+            await sendTextMessage(user.whatsappId, `✅ Return logged. Refunded ${txn.currency || user.currency} ${txn.amount.toLocaleString()} and stock updated.`);
+
         } else if (intent === INTENTS.ADD_PRODUCT) {
             const product = await InventoryManager.addProduct(user, transactionData);
             await sendTextMessage(user.whatsappId, `✅ Stock updated for "${product.productName}".`);
@@ -418,11 +572,7 @@ async function handleBankSelection(user, buttonId, intent) {
             await sendTextMessage(user.whatsappId, "Adding products... 📦");
             const result = await InventoryManager.addBulkProducts(user, enrichedProducts);
             
-            if (result.errors.length > 0) {
-                await sendTextMessage(user.whatsappId, `✅ Added ${result.added.length} items.\n⚠️ Failed to add: ${result.errors.join(', ')}`);
-            } else {
-                await sendTextMessage(user.whatsappId, `✅ Successfully added all ${result.added.length} products!`);
-            }
+            await sendTextMessage(user.whatsappId, `✅ Successfully added all ${result.added.length} products!`);
         }
 
         await updateUserState(user.whatsappId, USER_STATES.IDLE);
@@ -435,6 +585,166 @@ async function handleBankSelection(user, buttonId, intent) {
     }
 }
 
+async function handleRecurringRun(user, action, scheduleId) {
+    const schedule = await takePendingRun(user._id, scheduleId);
+    if (!schedule) {
+        await sendTextMessage(user.whatsappId, "That one has already been handled.");
+        return;
+    }
+
+    const label = schedule.description || schedule.category;
+    if (action === 'post') {
+        try {
+            const txn = await TransactionManager.logExpense(user, {
+                category: schedule.category,
+                amount: schedule.amount,
+                description: label,
+                linkedBankId: schedule.linkedBankId,
+                currency: schedule.currency,
+                date: schedule.pendingRunAt,
+                loggedBy: 'Recurring'
+            });
+            await sendTextMessage(user.whatsappId, `✅ ${label} logged: ${txn.currency || user.currency} ${txn.amount.toLocaleString()}.`);
+        } catch (error) {
+            await restorePendingRun(schedule._id, schedule.pendingRunAt);
+            await sendTextMessage(user.whatsappId, `⚠️ I couldn't log ${label}: ${error.message}\n\nTap *Yes, log it* again once that's sorted.`);
+        }
+    } else {
+        await sendTextMessage(user.whatsappId, `⏭️ Skipped ${label} this time. I'll remind you again on ${schedule.nextRunAt.toDateString()}.`);
+    }
+}
+
+async function handleRefundMethodSelection(user, method) {
+    const { returnData } = user.stateContext;
+    if (!returnData) {
+        await sendTextMessage(user.whatsappId, "Session expired. Please log the return again.");
+        await updateUserState(user.whatsappId, USER_STATES.IDLE);
+        return;
+    }
+
+    if (method === 'MONEY') {
+        const banks = await getAllBankAccounts(user._id);
+        if (banks.length > 0) {
+            await askForBankSelection(user, returnData, USER_STATES.AWAITING_BANK_SELECTION_RETURN, 'Refund paid from which account?');
+            return;
+        }
+    }
+
+    try {
+        const txn = await TransactionManager.logReturn(user, { ...returnData, refundMethod: method === 'MONEY' ? 'CASH' : method });
+        let msg = `✅ Return logged and stock updated.`;
+        if (method === 'DEBT') msg += `\n${returnData.customerName}'s debt reduced by ${txn.currency || user.currency} ${txn.amount.toLocaleString()}.`;
+        else if (method === 'STORE_CREDIT') msg += `\n${returnData.customerName} now has ${txn.currency || user.currency} ${txn.amount.toLocaleString()} store credit.`;
+        else msg += `\nRefunded ${txn.currency || user.currency} ${txn.amount.toLocaleString()} in cash.`;
+        await sendTextMessage(user.whatsappId, msg);
+    } catch (error) {
+        logger.error('Error logging return:', error);
+        await sendTextMessage(user.whatsappId, `⚠️ ${error.message}`);
+    }
+    await updateUserState(user.whatsappId, USER_STATES.IDLE);
+    await sendMainMenu(user.whatsappId);
+}
+
+async function handlePurchaseOrderAction(user, action, poId) {
+    const po = await findPurchaseOrderById(poId);
+    if (!po || po.userId.toString() !== user._id.toString()) {
+        await sendTextMessage(user.whatsappId, "I couldn't find that purchase order.");
+        return;
+    }
+
+    if (action === 'discard') {
+        await updatePurchaseOrderStatus(po._id, PO_STATUS.CANCELLED);
+        await sendTextMessage(user.whatsappId, `🗑️ ${po.poNumber} discarded.`);
+    } else if (action === 'send') {
+        await sendTextMessage(user.whatsappId, "Preparing your purchase order... 🧾");
+        try {
+            const pdfBuffer = await generatePurchaseOrder(user, po);
+            const mediaId = await uploadMedia(pdfBuffer, 'application/pdf');
+            if (mediaId) {
+                await sendDocument(user.whatsappId, mediaId, `${po.poNumber}.pdf`, `Forward this to ${po.supplierName}. When the goods arrive, just say "Goods received".`);
+                if (po.status === PO_STATUS.DRAFT) await updatePurchaseOrderStatus(po._id, PO_STATUS.SENT);
+            } else {
+                await sendTextMessage(user.whatsappId, "Created the purchase order but the upload failed.");
+            }
+        } catch (e) {
+            logger.error("Purchase Order PDF Error:", e);
+            await sendTextMessage(user.whatsappId, "Error generating the purchase order.");
+        }
+    } else {
+        await sendTextMessage(user.whatsappId, `👍 ${po.poNumber} saved as a draft.`);
+    }
+    await updateUserState(user.whatsappId, USER_STATES.IDLE);
+    await sendMainMenu(user.whatsappId);
+}
+
+async function handlePurchaseOrderReceiptChoice(user, buttonId) {
+    const { poId, lines } = user.stateContext;
+    const [action, choice] = buttonId.split(':');
+
+    if (action === 'po_receive') {
+        if (choice === 'part') {
+            await updateUserState(user.whatsappId, USER_STATES.AWAITING_PO_RECEIPT_QUANTITIES, { poId });
+            await sendTextMessage(user.whatsappId, "What arrived? Reply like: *rice 30, beans 10*");
+            return;
+        }
+        const po = await findPurchaseOrderById(poId);
+        if (!po || po.userId.toString() !== user._id.toString()) {
+            await sendTextMessage(user.whatsappId, "I couldn't find that purchase order.");
+            return;
+        }
+        const outstanding = po.items
+            .filter(i => i.quantity > (i.quantityReceived || 0))
+            .map(i => ({ productName: i.productName, quantity: i.quantity - (i.quantityReceived || 0) }));
+        await askForPurchaseOrderPayment(user, poId, outstanding);
+        return;
+    }
+
+    if (choice === 'paid') {
+        const banks = await getAllBankAccounts(user._id);
+        if (banks.length > 0) {
+            await askForBankSelection(user, { poId, lines }, USER_STATES.AWAITING_BANK_SELECTION_PO_RECEIPT, 'Paid the supplier from which account?');
+            return;
+        }
+    }
+    await receiveGoods(user, poId, lines, choice === 'paid' ? 'PAID' : 'CREDIT', null);
+}
+
+async function receiveGoods(user, poId, lines, paymentMethod, linkedBankId) {
+    try {
+        const { purchaseOrder, transaction } = await InventoryManager.receivePurchaseOrder(user, poId, lines, {
+            paymentMethod,
+            linkedBankId,
+            loggedBy: user.isStaff ? user.staffName : 'Owner'
+        });
+        let msg = `✅ Goods received on ${purchaseOrder.poNumber} and stock updated.\nValue: ${transaction.currency || user.currency} ${transaction.amount.toLocaleString()}`;
+        msg += paymentMethod === 'CREDIT' ? `\nAdded to what you owe ${purchaseOrder.supplierName}.` : `\nPaid to ${purchaseOrder.supplierName}.`;
+        if (purchaseOrder.status === PO_STATUS.PARTIALLY_RECEIVED) msg += `\n\n⏳ Some items are still outstanding on this order.`;
+        await sendTextMessage(user.whatsappId, msg);
+    } catch (error) {
+        logger.error('Error receiving purchase order:', error);
+        await sendTextMessage(user.whatsappId, `⚠️ ${error.message}`);
+    }
+    await updateUserState(user.whatsappId, USER_STATES.IDLE);
+    await sendMainMenu(user.whatsappId);
+}
+
+async function handleStockTakeChoice(user, buttonId) {
+    const [action, value] = buttonId.split(':');
+    if (action === 'stock_take_location') {
+        await handleStockTakeLocationChoice(user, value);
+    } else if (action === 'stock_take_reason') {
+        await completeStockTake(user, value);
+    } else if (value === 'review') {
+        await showStockTakeVariances(user, user.stateContext.counts);
+    } else if (value === 'post') {
+        await completeStockTake(user, 'COUNT_CORRECTION');
+    } else {
+        await sendTextMessage(user.whatsappId, "Stock-take cancelled. Nothing was changed.");
+        await updateUserState(user.whatsappId, USER_STATES.IDLE);
+        await sendMainMenu(user.whatsappId);
+    }
+}
+
 async function handleBulkProductConfirmation(user, buttonId) {
     if (buttonId === 'confirm_bulk_add') {
         const productsToAdd = user.stateContext.products;
@@ -452,12 +762,11 @@ async function handleBulkProductConfirmation(user, buttonId) {
             }
 
             await sendTextMessage(user.whatsappId, "Adding products... 📦");
-            const result = await InventoryManager.addBulkProducts(user, productsToAdd);
-            
-            if (result.errors.length > 0) {
-                await sendTextMessage(user.whatsappId, `✅ Added ${result.added.length} items.\n⚠️ Failed to add: ${result.errors.join(', ')}`);
-            } else {
+            try {
+                const result = await InventoryManager.addBulkProducts(user, productsToAdd);
                 await sendTextMessage(user.whatsappId, `✅ Successfully added all ${result.added.length} products!`);
+            } catch (error) {
+                await sendTextMessage(user.whatsappId, `⚠️ ${error.message}`);
             }
         } else {
             await sendTextMessage(user.whatsappId, "Session expired. Please send the list again.");
@@ -469,6 +778,53 @@ async function handleBulkProductConfirmation(user, buttonId) {
     await sendMainMenu(user.whatsappId);
 }
 
+// [NEW] Save / edit / re-classify a photographed receipt
+async function handleReceiptChoice(user, choice) {
+    const { receipt } = user.stateContext;
+
+    if (choice === 'switch') {
+        const kind = receipt.kind === RECEIPT_KINDS.SUPPLIER_INVOICE ? RECEIPT_KINDS.RECEIPT : RECEIPT_KINDS.SUPPLIER_INVOICE;
+        if (kind === RECEIPT_KINDS.SUPPLIER_INVOICE && receipt.items.length === 0) {
+            await sendTextMessage(user.whatsappId, "I couldn't read any items on it to add to stock. Please log the restock by typing it instead.");
+            return;
+        }
+        await showReceiptCard(user, { ...receipt, kind });
+        return;
+    }
+
+    if (choice === 'edit') {
+        if (receipt.kind === RECEIPT_KINDS.SUPPLIER_INVOICE) {
+            const list = receiptToProducts(receipt).map(p => `${p.quantityAdded} ${p.productName} ${p.costPrice}`).join('\n');
+            await updateUserState(user.whatsappId, USER_STATES.AWAITING_RECEIPT_EDIT, { receipt });
+            await sendTextMessage(user.whatsappId, `Send me the corrected list, one item per line (quantity, name, cost each):\n\n${list}`);
+            return;
+        }
+        // The expense assistant picks up from the receipt, so a short correction is enough
+        const memory = [
+            { role: 'user', content: `Log the expenses on this receipt:\n${describeReceipt(receipt, user.currency)}` },
+            { role: 'assistant', content: 'What would you like to change before I save it?' }
+        ];
+        await updateUserState(user.whatsappId, USER_STATES.LOGGING_EXPENSE, { memory });
+        await sendTextMessage(user.whatsappId, "What should I change? e.g. 'the fuel was 4,000' or 'it was yesterday'.");
+        return;
+    }
+
+    if (receipt.kind === RECEIPT_KINDS.SUPPLIER_INVOICE) {
+        // Invoices carry our cost, not our selling price; keep the one already set
+        const products = [];
+        for (const line of receiptToProducts(receipt)) {
+            const existing = await findProductByName(user._id, line.productName);
+            products.push({ ...line, sellingPrice: existing?.sellingPrice || 0 });
+        }
+        await handleBulkProductConfirmation({ ...user, stateContext: { products } }, 'confirm_bulk_add');
+        return;
+    }
+
+    const expenses = receiptToExpenses(receipt);
+    if (user.isStaff) expenses.forEach(e => e.loggedBy = user.staffName);
+    await completeExpenses(user, { expenses });
+}
+
 async function handleInvoiceConfirmation(user, buttonId) {
     if (buttonId === 'invoice_yes') {
         const { transaction } = user.stateContext;
@@ -554,8 +910,10 @@ async function handleReconcileAction(user, buttonId) {
         ]);
     } else if (buttonId === 'action_edit') {
         let buttons = [];
-        if (transaction.type === 'SALE') buttons = [{ id: 'edit_field:unitsSold', title: 'Edit Quantity' }, { id: 'edit_field:amountPerUnit', title: 'Edit Price' }];
+        // [NEW] Sales are edited as a whole: items, customer and payment
+        if (transaction.type === 'SALE') buttons = [{ id: 'edit_field:sale', title: 'Items & Payment' }];
         else buttons = [{ id: 'edit_field:amount', title: 'Edit Amount' }];
+        buttons.push({ id: 'edit_field:date', title: 'Edit Date' });
         
         await updateUserState(user.whatsappId, USER_STATES.AWAITING_EDIT_FIELD_SELECTION, { transaction });
         await sendInteractiveButtons(user.whatsappId, "What to edit?", buttons);
@@ -567,7 +925,16 @@ async function handleEditFieldSelection(user, buttonId) {
     const [action, fieldToEdit] = buttonId.split(':');
     if (action !== 'edit_field') return;
 
+    if (fieldToEdit === 'sale') {
+        await startSaleEdit(user, transaction);
+        return;
+    }
+
     await updateUserState(user.whatsappId, USER_STATES.AWAITING_EDIT_VALUE, { transaction, fieldToEdit });
+    if (fieldToEdit === 'date') {
+        await sendTextMessage(user.whatsappId, `It's currently dated ${new Date(transaction.date).toDateString()}. What date should it be? (e.g. 2025-03-01 or yesterday)`);
+        return;
+    }
     await sendTextMessage(user.whatsappId, `Please type the new value for ${fieldToEdit}:`);
 }
 
@@ -1,25 +1,29 @@
 import { findOrCreateUser, updateUserState, createJoinCode, findOwnerByJoinCode, linkStaffToOwner, checkSubscriptionAccess } from '../db/userService.js';
-import { findProductByName } from '../db/productService.js';
+import { findProductWithUnit } from '../db/productService.js';
 import { getAllBankAccounts } from '../db/bankService.js';
 import { getIntent, parseBulkProductList } from '../ai/prompts.js';
-import { transcribeAudio, analyzeImage } from '../ai/media.js'; 
+import { transcribeAudio, extractReceipt, downloadWhatsAppMedia } from '../ai/media.js'; 
 import config from '../config/index.js'; 
 
 import { 
     sendTextMessage, sendInteractiveButtons, sendInteractiveList, sendMainMenu, sendReportMenu, 
     setTypingIndicator, uploadMedia, sendDocument, sendOnboardingFlow, sendAddBankFlow, sendPaymentOptions 
 } from '../api/whatsappService.js';
-import { USER_STATES, INTENTS } from '../utils/constants.js';
+import { USER_STATES, INTENTS, FINANCING_TYPES } from '../utils/constants.js';
 import { getDateRange } from '../utils/dateUtils.js';
 import { queueReportGeneration } from '../services/QueueService.js';
 import { generateDataExport } from '../services/exportService.js';
+import { saveAttachment } from '../services/AttachmentManager.js';
 import { executeTask } from './taskHandler.js';
 import logger from '../utils/logger.js';
+import { setAuditActor } from '../utils/audit.js';
+import { normalizeReceipt, describeReceipt, RECEIPT_KINDS } from '../utils/receipt.js';
 
 import { handleFlowResponse, handleOtpVerification } from './flowHandler.js';
 import { 
-    handleLoggingSale, handleLoggingExpense, handleAddingProduct, handleLoggingCustomerPayment, 
-    handleEditValue, handleDocumentImport, handleManageBanks, handleCustomerNameInput, processSaleItems 
+    handleLoggingSale, handleLoggingExpense, handleAddingProduct, handleLoggingCustomerPayment, handleLoggingSupplierPayment, handleLoggingFinancing, handleCreatingRecurringExpense, handleLoggingReturn, handleCreatingPurchaseOrder, handleReceivingPurchaseOrder, handlePurchaseOrderQuantities, 
+    handleEditValue, handleSaleEditInput, handleEntryDateInput, handleDocumentImport, handleManageBanks, handleCustomerNameInput, handleSplitPaymentInput, processSaleItems, showReceiptCard, handleReceiptEditInput, 
+    handleStartStockTake, handleStockCountInput, handleStockTakeReasonInput 
 } from './actionHandler.js'; 
 import { handleAdminCommand, handleBroadcast } from './adminHandler.js'; 
 
@@ -37,6 +41,7 @@ const extractDateRange = (context, defaultPeriod = 'this_month') => {
 
 // Helper: If user is Staff, switch context to Owner's account
 async function getEffectiveUser(user) {
+    setAuditActor({ role: user.role || 'OWNER', name: user.businessName || user.whatsappId });
     if (user.role === 'STAFF' && user.linkedAccountId) {
         return {
             ...user,
@@ -59,6 +64,8 @@ export async function handleMessage(message) {
     await setTypingIndicator(whatsappId, 'on', messageId);
     
     let userInputText = "";
+    let incomingMedia = null; // [NEW] Receipt photo to keep once we know whose business it is
+    let receipt = null;
 
     // A. Handle Text
     if (message.type === 'text') {
@@ -70,7 +77,11 @@ export async function handleMessage(message) {
     }
     // C. Handle Images (Receipts/Invoices)
     else if (message.type === 'image') {
-        userInputText = await analyzeImage(message.image.id, message.image.caption) || ""; 
+        const imageBuffer = await downloadWhatsAppMedia(message.image.id);
+        // [NEW] Receipts are read into figures and confirmed on a card; other photos are handled as text
+        receipt = normalizeReceipt(await extractReceipt(message.image.id, message.image.caption, imageBuffer));
+        userInputText = receipt ? (message.image.caption || receipt.summary || receipt.kind) : ""; 
+        incomingMedia = { buffer: imageBuffer, mimeType: message.image.mime_type || 'image/jpeg', mediaId: message.image.id };
     }
     // D. Handle Documents (CSV, Excel)
     else if (message.type === 'document') {
@@ -96,8 +107,14 @@ export async function handleMessage(message) {
         if (isSpreadsheet) {
             await handleDocumentImport(user, message.document); 
             return;
+        } else if (mime === 'application/pdf' || mime.startsWith('image/')) {
+            // [NEW] Invoices and receipts sent as files are kept for the next sale or expense
+            const buffer = await downloadWhatsAppMedia(message.document.id);
+            await saveAttachment(user, { buffer, mimeType: mime, filename: message.document.filename, mediaId: message.document.id });
+            await sendTextMessage(whatsappId, "📎 Got it. Now log the sale or expense this document is for and I'll attach it.");
+            return;
         } else {
-            await sendTextMessage(whatsappId, "I can only read Excel (.xlsx) or CSV files for inventory imports. 📁");
+            await sendTextMessage(whatsappId, "I can only read Excel (.xlsx) or CSV files for inventory imports, or keep PDF and image receipts. 📁");
             return;
         }
     }
@@ -114,6 +131,11 @@ export async function handleMessage(message) {
     const user = await getEffectiveUser(rawUser);
     const lowerCaseText = userInputText.trim().toLowerCase();
 
+    if (incomingMedia) {
+        const isReceipt = receipt && receipt.kind !== RECEIPT_KINDS.OTHER;
+        await saveAttachment(user, { ...incomingMedia, extractedText: isReceipt ? describeReceipt(receipt, user.currency) : userInputText });
+    }
+
     // 0. ADMIN COMMANDS CHECK
     if (config.adminPhones && config.adminPhones.includes(whatsappId)) {
         if (lowerCaseText === '!stats') {
@@ -164,6 +186,11 @@ export async function handleMessage(message) {
         return;
     }
 
+    if (receipt && receipt.kind !== RECEIPT_KINDS.OTHER) {
+        await showReceiptCard(user, receipt);
+        return;
+    }
+
     // 3. CANCELLATION
     if (CANCEL_KEYWORDS.includes(lowerCaseText)) {
         if (user.state !== USER_STATES.IDLE) {
@@ -191,28 +218,70 @@ export async function handleMessage(message) {
       case USER_STATES.LOGGING_CUSTOMER_PAYMENT: 
           await handleLoggingCustomerPayment(user, userInputText); 
           break;
+      case USER_STATES.LOGGING_SUPPLIER_PAYMENT: 
+          await handleLoggingSupplierPayment(user, userInputText); 
+          break;
+      case USER_STATES.LOGGING_FINANCING: 
+          await handleLoggingFinancing(user, userInputText); 
+          break;
+      case USER_STATES.CREATING_RECURRING_EXPENSE: 
+          await handleCreatingRecurringExpense(user, userInputText); 
+          break;
+      case USER_STATES.AWAITING_ENTRY_DATE: 
+          await handleEntryDateInput(user, userInputText); 
+          break;
+      case USER_STATES.LOGGING_RETURN: 
+          await handleLoggingReturn(user, userInputText); 
+          break;
+      case USER_STATES.CREATING_PURCHASE_ORDER: 
+          await handleCreatingPurchaseOrder(user, userInputText); 
+          break;
+      case USER_STATES.AWAITING_PO_RECEIPT_QUANTITIES: 
+          await handlePurchaseOrderQuantities(user, userInputText); 
+          break;
+      case USER_STATES.AWAITING_RECEIPT_EDIT:
+          await handleReceiptEditInput(user, userInputText);
+          break;
+      case USER_STATES.AWAITING_STOCK_TAKE_LOCATION:
+          await handleStartStockTake(user, userInputText);
+          break;
+      case USER_STATES.AWAITING_STOCK_COUNT:
+          await handleStockCountInput(user, userInputText);
+          break;
+      case USER_STATES.AWAITING_STOCK_TAKE_REASON:
+          await handleStockTakeReasonInput(user, userInputText);
+          break;
       case USER_STATES.AWAITING_EDIT_VALUE:
           await handleEditValue(user, userInputText);
           break;
+      case USER_STATES.AWAITING_SALE_EDIT_MENU:
+      case USER_STATES.AWAITING_SALE_EDIT_VALUE:
+          await handleSaleEditInput(user, userInputText);
+          break;
       case 'AWAITING_CUSTOMER_NAME': 
           await handleCustomerNameInput(user, userInputText);
           break;
 
       // [FIX] Handle manual text input for Payment Method
-      case 'AWAITING_PAYMENT_METHOD':
+      case USER_STATES.AWAITING_PAYMENT_METHOD:
           const textLower = userInputText.toLowerCase();
-          const validTypes = ['cash', 'bank', 'credit', 'transfer'];
+          const validTypes = ['split', 'part', 'cash', 'bank', 'credit', 'transfer'];
           let matchedType = validTypes.find(t => textLower.includes(t));
           
           if (matchedType) {
               if (matchedType === 'transfer') matchedType = 'bank';
+              if (matchedType === 'part') matchedType = 'split';
               user.stateContext.saleData.saleType = matchedType;
               await processSaleItems(user, user.stateContext.saleData);
           } else {
-              await sendTextMessage(whatsappId, "Please select a payment method using the buttons, or type Cash, Bank, or Credit.");
+              await sendTextMessage(whatsappId, "Please select a payment method from the list, or type Cash, Bank, Credit or Split.");
           }
           break;
 
+      case USER_STATES.AWAITING_SPLIT_PAYMENT:
+          await handleSplitPaymentInput(user, userInputText);
+          break;
+
       case USER_STATES.AWAITING_BANK_MENU_SELECTION:
           if (lowerCaseText.includes('add')) {
               await sendAddBankFlow(user.whatsappId);
@@ -259,7 +328,11 @@ async function handleIdleState(user, text) {
     const PAID_INTENTS = [
         INTENTS.LOG_SALE, 
         INTENTS.LOG_EXPENSE, 
+        INTENTS.LOG_RETURN, 
         INTENTS.ADD_PRODUCT, 
+        INTENTS.CREATE_PURCHASE_ORDER, 
+        INTENTS.RECEIVE_PURCHASE_ORDER, 
+        INTENTS.START_STOCK_TAKE,
         INTENTS.ADD_PRODUCTS_FROM_LIST, 
         INTENTS.GENERATE_REPORT, 
         INTENTS.EXPORT_DATA
@@ -281,7 +354,25 @@ async function handleIdleState(user, text) {
             INTENTS.ADD_BANK_ACCOUNT, 
             'EXPORT_DATA',
             INTENTS.CHECK_BANK_BALANCE,    // Prevents staff from checking bank balance
-            INTENTS.GET_CUSTOMER_BALANCES  // Prevents staff from seeing all business debtors
+            INTENTS.GET_CUSTOMER_BALANCES, // Prevents staff from seeing all business debtors
+            INTENTS.GET_SUPPLIER_BALANCES,
+            INTENTS.LOG_SUPPLIER_PAYMENT,
+            INTENTS.GET_TRIAL_BALANCE,
+            INTENTS.SET_TAX_SETTINGS,
+            INTENTS.SET_EXCHANGE_RATE,
+            INTENTS.SET_BANK_CURRENCY,
+            INTENTS.TRANSFER_FUNDS,
+            INTENTS.LOG_OWNER_DRAWING,
+            INTENTS.LOG_CAPITAL_INJECTION,
+            INTENTS.LOG_LOAN_RECEIVED,
+            INTENTS.LOG_LOAN_REPAYMENT,
+            INTENTS.CREATE_RECURRING_EXPENSE,
+            INTENTS.MANAGE_RECURRING,
+            INTENTS.SHOW_ACTIVITY_LOG,
+            INTENTS.SET_COSTING_METHOD,
+            INTENTS.START_STOCK_TAKE,
+            INTENTS.MANAGE_LOCATIONS,
+            INTENTS.TRANSFER_STOCK
         ];
 
         if (RESTRICTED.includes(intent) || (intent === 'EXPORT_DATA')) {
@@ -292,6 +383,10 @@ async function handleIdleState(user, text) {
             await sendTextMessage(user.whatsappId, "⛔ Access Denied. Staff cannot view Profit & Loss.");
             return;
         }
+        if (intent === INTENTS.GENERATE_REPORT && ['BALANCE_SHEET', 'CASHFLOW', 'PAYABLES', 'VAT'].includes(context.reportType)) {
+            await sendTextMessage(user.whatsappId, "⛔ Access Denied. Staff cannot view financial statements.");
+            return;
+        }
     }
 
     // --- Intent Handling ---
@@ -357,7 +452,7 @@ async function handleIdleState(user, text) {
     // State Transitions
     if (intent === INTENTS.LOG_SALE) {
         const initialMemory = [{ role: 'user', content: text }];
-        const existingProduct = context.productName ? await findProductByName(user._id, context.productName) : null;
+        const existingProduct = context.productName ? (await findProductWithUnit(user._id, context.productName))?.product || null : null;
         await updateUserState(user.whatsappId, USER_STATES.LOGGING_SALE, { 
             memory: initialMemory, 
             saleData: { items: [], customerName: context.customerName, saleType: context.saleType }, 
@@ -370,7 +465,7 @@ async function handleIdleState(user, text) {
         await handleLoggingExpense({ ...user, stateContext: { memory: [{ role: 'user', content: text }] } }, text);
 
     } else if (intent === INTENTS.ADD_PRODUCT) {
-        const existingProduct = context.productName ? await findProductByName(user._id, context.productName) : null;
+        const existingProduct = context.productName ? (await findProductWithUnit(user._id, context.productName))?.product || null : null;
         await updateUserState(user.whatsappId, USER_STATES.ADDING_PRODUCT, { memory: [{ role: 'user', content: text }], existingProduct });
         await handleAddingProduct({ ...user, stateContext: { memory: [{ role: 'user', content: text }], existingProduct } }, text);
 
@@ -378,6 +473,33 @@ async function handleIdleState(user, text) {
         await updateUserState(user.whatsappId, USER_STATES.LOGGING_CUSTOMER_PAYMENT, { memory: [{ role: 'user', content: text }] });
         await handleLoggingCustomerPayment({ ...user, stateContext: { memory: [{ role: 'user', content: text }] } }, text);
 
+    } else if (intent === INTENTS.LOG_SUPPLIER_PAYMENT) {
+        await updateUserState(user.whatsappId, USER_STATES.LOGGING_SUPPLIER_PAYMENT, { memory: [{ role: 'user', content: text }] });
+        await handleLoggingSupplierPayment({ ...user, stateContext: { memory: [{ role: 'user', content: text }] } }, text);
+
+    } else if (intent === INTENTS.CREATE_RECURRING_EXPENSE) {
+        await updateUserState(user.whatsappId, USER_STATES.CREATING_RECURRING_EXPENSE, { memory: [{ role: 'user', content: text }] });
+        await handleCreatingRecurringExpense({ ...user, stateContext: { memory: [{ role: 'user', content: text }] } }, text);
+
+    } else if (Object.values(FINANCING_TYPES).some(f => f.intent === intent)) {
+        const financingType = Object.keys(FINANCING_TYPES).find(type => FINANCING_TYPES[type].intent === intent);
+        await updateUserState(user.whatsappId, USER_STATES.LOGGING_FINANCING, { memory: [{ role: 'user', content: text }], financingType });
+        await handleLoggingFinancing({ ...user, stateContext: { memory: [{ role: 'user', content: text }], financingType } }, text);
+
+    } else if (intent === INTENTS.CREATE_PURCHASE_ORDER) {
+        await updateUserState(user.whatsappId, USER_STATES.CREATING_PURCHASE_ORDER, { memory: [{ role: 'user', content: text }] });
+        await handleCreatingPurchaseOrder({ ...user, stateContext: { memory: [{ role: 'user', content: text }] } }, text);
+
+    } else if (intent === INTENTS.RECEIVE_PURCHASE_ORDER) {
+        await handleReceivingPurchaseOrder(user, context.supplierName);
+
+    } else if (intent === INTENTS.START_STOCK_TAKE) {
+        await handleStartStockTake(user, context.locationName);
+
+    } else if (intent === INTENTS.LOG_RETURN) {
+        await updateUserState(user.whatsappId, USER_STATES.LOGGING_RETURN, { memory: [{ role: 'user', content: text }] });
+        await handleLoggingReturn({ ...user, stateContext: { memory: [{ role: 'user', content: text }] } }, text);
+
     } else if (intent === INTENTS.ADD_PRODUCTS_FROM_LIST || intent === INTENTS.ADD_MULTIPLE_PRODUCTS) {
         await sendTextMessage(user.whatsappId, "To add many products at once, the fastest way is to **send me an Excel file**! 📁\n\nEnsure it has columns: *Name, Qty, Cost, Sell*.\n\nOr, you can just paste the list here.");
         if (text.length > 20) { 
@@ -1,15 +1,34 @@
-import { findProductByName, updateStock, findProductById } from '../db/productService.js'; 
-import { getSummaryByDateRange, getRecentTransactions, findTransactionById, deleteTransactionById, updateTransactionById } from '../db/transactionService.js';
-import { getAllBankAccounts, findBankAccountByName, updateBankBalance } from '../db/bankService.js';
-import { getCustomersWithBalance, updateBalanceOwed, findCustomerById, findCustomerByName } from '../db/customerService.js';
-import { updateUserState } from '../db/userService.js';
+import { findProductByName, updateProductTaxRate, findProductWithUnit, defineProductUnit, createProductVariant, getProductVariants } from '../db/productService.js'; 
+import { getSummaryByDateRange, getRecentTransactions, findTransactionById } from '../db/transactionService.js';
+import { getAllBankAccounts, findBankAccountByName, updateBankCurrency, getCashAccount } from '../db/bankService.js';
+import { setExchangeRate, getLatestExchangeRates } from '../db/exchangeRateService.js';
+import { getCustomersWithBalance, findCustomerById, findCustomerByName } from '../db/customerService.js';
+import { getSuppliersWithBalance, findSupplierByName } from '../db/supplierService.js';
+import { getRecurringSchedules } from '../db/recurringService.js';
+import { getAuditLog } from '../db/auditService.js';
+import { getRecentLinkedAttachments } from '../db/attachmentService.js';
+import { updateUserState, updateUser, getStaffMembers } from '../db/userService.js';
+import { createLocation, getLocations } from '../db/locationService.js';
+import { getTrialBalance } from '../db/ledgerService.js';
 import { sendTextMessage, sendMainMenu, sendInteractiveList } from '../api/whatsappService.js';
 import { getFinancialInsight } from '../ai/prompts.js';
 
-import { INTENTS, USER_STATES } from '../utils/constants.js';
-import { getDateRange } from '../utils/dateUtils.js';
-import { getPnLData } from '../services/ReportManager.js';
+import { INTENTS, USER_STATES, FINANCING_TYPES, COSTING_METHODS } from '../utils/constants.js';
+import { getDateRange, describeEntryDate } from '../utils/dateUtils.js';
+import { DEFAULT_VAT_RATE } from '../utils/pricing.js';
+import { normalizeCurrencyCode } from '../utils/currency.js';
+import { getPnLData, getAgedPayables } from '../services/ReportManager.js';
+import { logTransfer, editSale, voidTransaction, amendTransaction, redateTransaction, undoLastAction } from '../services/TransactionManager.js';
+import { transferStock } from '../services/InventoryManager.js';
+import { parsePrice } from '../utils/helpers.js';
+import { describeSchedule } from '../utils/recurrence.js';
+import { saleToDraft } from '../utils/saleDraft.js';
+import { sendAttachment } from '../services/AttachmentManager.js';
+import { describeAuditEntry } from '../utils/audit.js';
+import { describeQuantity } from '../utils/units.js';
+import { stockByLocation, matchLocation, locationName } from '../utils/locations.js';
 import logger from '../utils/logger.js';
+import config from '../config/index.js';
 import { ObjectId } from 'mongodb';
 
 export async function executeTask(intent, user, data) {
@@ -31,6 +50,51 @@ export async function executeTask(intent, user, data) {
                 // [FIX] Passes the data containing the potential customerName
                 await executeGetCustomerBalances(user, data);
                 break;
+            case INTENTS.GET_SUPPLIER_BALANCES:
+                await executeGetSupplierBalances(user, data);
+                break;
+            case INTENTS.GET_TRIAL_BALANCE:
+                await executeGetTrialBalance(user);
+                break;
+            case INTENTS.SET_TAX_SETTINGS:
+                await executeSetTaxSettings(user, data);
+                break;
+            case INTENTS.SET_EXCHANGE_RATE:
+                await executeSetExchangeRate(user, data);
+                break;
+            case INTENTS.SET_BANK_CURRENCY:
+                await executeSetBankCurrency(user, data);
+                break;
+            case INTENTS.TRANSFER_FUNDS:
+                await executeTransfer(user, data);
+                break;
+            case INTENTS.MANAGE_RECURRING:
+                await executeManageRecurring(user);
+                break;
+            case INTENTS.SHOW_RECEIPT:
+                await executeShowReceipt(user, data);
+                break;
+            case INTENTS.UNDO_LAST_ACTION:
+                await executeUndoLastAction(user);
+                break;
+            case INTENTS.SHOW_ACTIVITY_LOG:
+                await executeShowActivityLog(user);
+                break;
+            case INTENTS.SET_PRODUCT_UNITS:
+                await executeSetProductUnits(user, data);
+                break;
+            case INTENTS.ADD_PRODUCT_VARIANT:
+                await executeAddProductVariant(user, data);
+                break;
+            case INTENTS.SET_COSTING_METHOD:
+                await executeSetCostingMethod(user, data);
+                break;
+            case INTENTS.MANAGE_LOCATIONS:
+                await executeManageLocations(user, data);
+                break;
+            case INTENTS.TRANSFER_STOCK:
+                await executeTransferStock(user, data);
+                break;
             case INTENTS.RECONCILE_TRANSACTION:
                 if (data.action === 'delete') await executeDeleteTransaction(user, data);
                 else if (data.action === 'edit') await executeUpdateTransaction(user, data);
@@ -52,15 +116,76 @@ async function executeCheckStock(user, data) {
         await sendTextMessage(user.whatsappId, "Which product are you checking?");
         return;
     }
-    const product = await findProductByName(user._id, productName);
+    const product = (await findProductWithUnit(user._id, productName))?.product;
     if (product) {
-        await sendTextMessage(user.whatsappId, `📦 Stock: ${product.quantity} units of "${product.productName}".`);
+        let msg = `📦 Stock: ${describeQuantity(product, product.quantity)} of "${product.productName}".`;
+        // [NEW] A product sold in sizes/colours keeps its stock on the variants
+        if (product.hasVariants) {
+            const variants = await getProductVariants(product._id);
+            msg += '\n' + variants.map(v => `• ${v.productName}: ${describeQuantity(v, v.quantity)}`).join('\n');
+        }
+        // [NEW] Businesses with several shops see where the stock is
+        const locations = await getLocations(user._id);
+        if (locations.length > 1 && !product.hasVariants) {
+            msg += '\n' + stockByLocation(product, locations).map(l => `• ${l.name}: ${describeQuantity(product, l.quantity)}`).join('\n');
+        }
+        await sendTextMessage(user.whatsappId, msg);
     } else {
         await sendTextMessage(user.whatsappId, `Product "${productName}" not found.`);
     }
     await sendMainMenu(user.whatsappId);
 }
 
+// [NEW] "1 carton of Indomie is 40 packs": stock stays in packs, cartons can be sold and restocked
+async function executeSetProductUnits(user, data) {
+    const { productName, unitName, baseUnit } = data;
+    const factor = parseFloat(data.factor);
+    if (!productName || !unitName || !(factor > 1)) {
+        await sendTextMessage(user.whatsappId, "Tell me the pack size, e.g. *\"1 carton of Indomie is 40 packs\"*.");
+        return;
+    }
+
+    const product = await findProductByName(user._id, productName);
+    if (!product) {
+        await sendTextMessage(user.whatsappId, `Product "${productName}" not found. Add it first.`);
+        return;
+    }
+
+    const sellingPrice = parsePrice(data.sellingPrice);
+    const updated = await defineProductUnit(product._id, { name: unitName, factor, sellingPrice: sellingPrice > 0 ? sellingPrice : null }, product.baseUnit ? null : baseUnit);
+    const unit = updated.units.find(u => u.name === unitName.trim().toLowerCase());
+    const base = updated.baseUnit || 'unit';
+    const price = unit.sellingPrice || updated.sellingPrice * unit.factor;
+
+    await sendTextMessage(user.whatsappId,
+        `✅ *${updated.productName}*: 1 ${unit.name} = ${unit.factor} ${base}s, sold at ${user.currency} ${price.toLocaleString()} per ${unit.name}.\n\nIn stock: ${describeQuantity(updated, updated.quantity)}.`);
+    await sendMainMenu(user.whatsappId);
+}
+
+// [NEW] Adds a size/colour of an existing product; restock it like any other product
+async function executeAddProductVariant(user, data) {
+    const { productName, size, colour } = data;
+    if (!productName || (!size && !colour)) {
+        await sendTextMessage(user.whatsappId, "Which product, and what size or colour? e.g. *\"Add a red large T-shirt\"*.");
+        return;
+    }
+
+    const product = await findProductByName(user._id, productName);
+    if (!product) {
+        await sendTextMessage(user.whatsappId, `Product "${productName}" not found. Add it first.`);
+        return;
+    }
+    if (product.parentProductId) {
+        await sendTextMessage(user.whatsappId, `"${product.productName}" is already a variant. Name the main product instead.`);
+        return;
+    }
+
+    const variant = await createProductVariant(product, { size, colour });
+    await sendTextMessage(user.whatsappId,
+        `✅ Added *${variant.productName}*.\n\nRestock it with *"Restock 10 ${variant.productName}"*.`);
+    await sendMainMenu(user.whatsappId);
+}
+
 async function executeGetFinancialSummary(user, data) {
     const { metric, period, dateRange } = data;
     const { startDate, endDate } = getDateRange(dateRange || period || 'this_month');
@@ -74,18 +199,19 @@ async function executeGetFinancialSummary(user, data) {
 
 async function executeCheckBankBalance(user, data) {
     const { bankName } = data;
-    if (bankName) {
+    if (bankName && isCashName(bankName)) {
+        const cash = await getCashAccount(user._id);
+        await sendTextMessage(user.whatsappId, `💵 ${cash.bankName}: ${user.currency} ${cash.balance.toLocaleString()}`);
+    } else if (bankName) {
         const bank = await findBankAccountByName(user._id, bankName);
-        if (bank) await sendTextMessage(user.whatsappId, `🏦 ${bank.bankName}: ${user.currency} ${bank.balance.toLocaleString()}`);
+        if (bank) await sendTextMessage(user.whatsappId, `🏦 ${bank.bankName}: ${bank.currency || user.currency} ${bank.balance.toLocaleString()}`);
         else await sendTextMessage(user.whatsappId, `Bank "${bankName}" not found.`);
     } else {
         const banks = await getAllBankAccounts(user._id);
-        if (banks.length === 0) {
-            await sendTextMessage(user.whatsappId, "No bank accounts found.");
-        } else {
-            const summary = banks.map(b => `*${b.bankName}*: ${user.currency} ${b.balance.toLocaleString()}`).join('\n');
-            await sendTextMessage(user.whatsappId, `Current Balances:\n${summary}`);
-        }
+        const cash = await getCashAccount(user._id);
+        const summary = banks.map(b => `*${b.bankName}*: ${b.currency || user.currency} ${b.balance.toLocaleString()}`);
+        summary.push(`*${cash.bankName}*: ${user.currency} ${cash.balance.toLocaleString()}`);
+        await sendTextMessage(user.whatsappId, `Current Balances:\n${summary.join('\n')}`);
     }
     await sendMainMenu(user.whatsappId);
 }
@@ -131,6 +257,373 @@ async function executeGetCustomerBalances(user, data) {
     await sendMainMenu(user.whatsappId);
 }
 
+async function executeGetSupplierBalances(user, data) {
+    const { supplierName } = data || {};
+
+    if (supplierName) {
+        const supplier = await findSupplierByName(user._id, supplierName);
+        if (supplier && supplier.balanceOwed > 0) {
+            await sendTextMessage(user.whatsappId, `You currently owe *${supplier.supplierName}*: ${supplier.currency || user.currency} ${supplier.balanceOwed.toLocaleString()}`);
+        } else if (supplier) {
+            await sendTextMessage(user.whatsappId, `You don't owe *${supplier.supplierName}* any money. (Balance is 0)`);
+        } else {
+            await sendTextMessage(user.whatsappId, `I don't have any records for a supplier called "${supplierName}".`);
+        }
+    } else {
+        const aged = await getAgedPayables(user._id);
+        if (aged.suppliers.length === 0) {
+            await sendTextMessage(user.whatsappId, "You don't owe any suppliers right now. 🎉");
+        } else {
+            const list = aged.suppliers.map(s => {
+                const overdue = s.days61to90 + s.over90;
+                return `*${s.supplierName}*: ${user.currency} ${s.total.toLocaleString()}${overdue > 0 ? ` (⚠️ ${overdue.toLocaleString()} over 60 days)` : ''}`;
+            }).join('\n');
+            await sendTextMessage(user.whatsappId, `📦 *What You Owe Suppliers*\n\n${list}\n\nTotal: *${user.currency} ${aged.totals.total.toLocaleString()}*`);
+        }
+    }
+
+    await sendMainMenu(user.whatsappId);
+}
+
+// [NEW] Business-wide VAT settings, or a per-product rate when a product is named
+async function executeSetTaxSettings(user, data) {
+    const { vatEnabled, vatRate, pricesIncludeVat, taxId, productName } = data;
+
+    if (productName) {
+        const product = await findProductByName(user._id, productName);
+        if (!product) {
+            await sendTextMessage(user.whatsappId, `Product "${productName}" not found.`);
+            return;
+        }
+        const rate = parseFloat(vatRate) || 0;
+        await updateProductTaxRate(product._id, rate);
+        await sendTextMessage(user.whatsappId, rate === 0
+            ? `✅ "${product.productName}" is now VAT exempt.`
+            : `✅ "${product.productName}" will be taxed at ${rate}%.`);
+        await sendMainMenu(user.whatsappId);
+        return;
+    }
+
+    const current = user.taxSettings || { enabled: false, rate: DEFAULT_VAT_RATE, inclusive: false, taxId: null };
+    const taxSettings = { ...current };
+    if (vatEnabled !== null && vatEnabled !== undefined) taxSettings.enabled = !!vatEnabled;
+    if (!isNaN(parseFloat(vatRate))) {
+        taxSettings.rate = parseFloat(vatRate);
+        if (vatEnabled === null || vatEnabled === undefined) taxSettings.enabled = taxSettings.rate > 0;
+    }
+    if (pricesIncludeVat !== null && pricesIncludeVat !== undefined) taxSettings.inclusive = !!pricesIncludeVat;
+    if (taxId) taxSettings.taxId = String(taxId).trim();
+
+    await updateUser(user.whatsappId, { taxSettings });
+
+    let msg = `🧾 *Tax Settings*\n\nVAT: ${taxSettings.enabled ? `On at ${taxSettings.rate}%` : 'Off'}`;
+    msg += `\nPrices: ${taxSettings.inclusive ? 'include VAT' : 'VAT added on top'}`;
+    if (taxSettings.taxId) msg += `\nTax ID: ${taxSettings.taxId}`;
+    await sendTextMessage(user.whatsappId, msg);
+    await sendMainMenu(user.whatsappId);
+}
+
+// [NEW] Weighted average (default) or FIFO. Only sales made after the switch are costed the new way.
+async function executeSetCostingMethod(user, data) {
+    const current = user.costingMethod || COSTING_METHODS.AVERAGE;
+    const chosen = COSTING_METHODS[String(data.costingMethod || '').toUpperCase()];
+    const labels = {
+        [COSTING_METHODS.AVERAGE]: 'Weighted average: every unit of a product costs the average of what you paid',
+        [COSTING_METHODS.FIFO]: 'FIFO: each sale uses up the oldest stock first, at the price you paid for it'
+    };
+
+    if (!chosen || chosen === current) {
+        await sendTextMessage(user.whatsappId, `📦 *Stock Costing*\n\n${labels[current]}.\n\nSay *"Use FIFO costing"* or *"Use weighted average"* to change it.`);
+        return;
+    }
+
+    await updateUser(user.whatsappId, { costingMethod: chosen });
+    let msg = `✅ Stock costing is now *${chosen === COSTING_METHODS.FIFO ? 'FIFO' : 'weighted average'}*.\n\n${labels[chosen]}.`;
+    if (chosen === COSTING_METHODS.FIFO) msg += `\n\nStock you already have keeps its current average cost until it is sold; new restocks are costed batch by batch.`;
+    msg += `\nPast sales keep the cost they were booked at.`;
+    await sendTextMessage(user.whatsappId, msg);
+    await sendMainMenu(user.whatsappId);
+}
+
+// [NEW] Adds a shop or warehouse, links a staff member to one, or lists them
+async function executeManageLocations(user, data) {
+    const { locationName: name, staffName } = data;
+    const locations = await getLocations(user._id);
+
+    if (staffName) {
+        const location = name ? matchLocation(locations, name) : null;
+        if (!location) {
+            await sendTextMessage(user.whatsappId, `Which location does ${staffName} work at? Your locations: ${locations.map(l => l.name).join(', ') || 'none yet'}.`);
+            return;
+        }
+        const search = staffName.toLowerCase();
+        const staff = (await getStaffMembers(user._id))
+            .find(s => (s.businessName || '').toLowerCase().includes(search) || s.whatsappId.includes(search));
+        if (!staff) {
+            await sendTextMessage(user.whatsappId, `I couldn't find a staff member called "${staffName}" on your team.`);
+            return;
+        }
+        await updateUser(staff.whatsappId, { locationId: location._id });
+        await sendTextMessage(user.whatsappId, `✅ ${staff.businessName || staff.whatsappId} now works at *${location.name}*. Their sales and restocks will come from that location's stock.`);
+        await sendMainMenu(user.whatsappId);
+        return;
+    }
+
+    if (name) {
+        const location = await createLocation(user._id, name);
+        let msg = `✅ Added *${location.name}*.`;
+        if (location.isMain) {
+            msg += `\n\nAs your first location, all the stock you already have is counted here. Add your other shops or warehouse the same way, then move stock between them.`;
+        } else {
+            msg += `\n\nIt starts empty. Move stock in with *"Move 20 rice to ${location.name}"* or restock it directly with *"Restock 20 rice at ${location.name}"*.`;
+        }
+        await sendTextMessage(user.whatsappId, msg);
+        await sendMainMenu(user.whatsappId);
+        return;
+    }
+
+    if (locations.length === 0) {
+        await sendTextMessage(user.whatsappId, `📍 You haven't added any locations.\n\nSay *"Add a location called Main Shop"* to start; your current stock will be counted there.`);
+        return;
+    }
+    const staff = await getStaffMembers(user._id);
+    const lines = locations.map(l => {
+        const team = staff.filter(s => locationName(locations, s.locationId) === l.name && s.locationId).map(s => s.businessName || s.whatsappId);
+        return `• *${l.name}*${l.isMain ? ' (main)' : ''}${team.length ? ` — ${team.join(', ')}` : ''}`;
+    });
+    await sendTextMessage(user.whatsappId, `📍 *Your Locations*\n\n${lines.join('\n')}\n\nSay *"Musa works at ${locations[0].name}"* to link a staff member to a location.`);
+}
+
+// [NEW] "Move 20 rice from the warehouse to the Ikeja shop"
+async function executeTransferStock(user, data) {
+    const { productName, quantity, unit, fromLocation, toLocation } = data;
+    if (!productName || !quantity || (!fromLocation && !toLocation)) {
+        await sendTextMessage(user.whatsappId, 'Tell me what to move and where, e.g. *"Move 20 rice from Warehouse to Ikeja Shop"*.');
+        return;
+    }
+
+    const { product, quantity: moved, from, to } = await transferStock(user, { productName, quantity, unit, fromLocation, toLocation });
+    const locations = await getLocations(user._id);
+    const levels = stockByLocation(product, locations)
+        .filter(l => l.name === from.name || l.name === to.name)
+        .map(l => `${l.name}: ${describeQuantity(product, l.quantity)}`)
+        .join('\n');
+    await sendTextMessage(user.whatsappId, `✅ Moved ${describeQuantity(product, moved)} of *${product.productName}* from ${from.name} to ${to.name}.\n\n${levels}`);
+    await sendMainMenu(user.whatsappId);
+}
+
+// [NEW] "1 USD = 1550 NGN" saves a rate; with no rate given, lists the latest ones
+async function executeSetExchangeRate(user, data) {
+    const currency = normalizeCurrencyCode(data.currency);
+    const rate = parseFloat(data.rate);
+
+    if (!currency || isNaN(rate) || rate <= 0) {
+        const rates = await getLatestExchangeRates(user._id);
+        const list = rates.length > 0
+            ? rates.map(r => `*1 ${r._id}* = ${user.currency} ${r.rate.toLocaleString()} (${new Date(r.effectiveDate).toLocaleDateString()})`).join('\n')
+            : 'No exchange rates saved yet.';
+        await sendTextMessage(user.whatsappId, `💱 *Exchange Rates*\n\n${list}\n\nTo add one, say e.g. "1 USD = 1550 ${user.currency}" or upload a sheet with Currency, Rate and Date columns.`);
+        await sendMainMenu(user.whatsappId);
+        return;
+    }
+
+    if (currency === user.currency) {
+        await sendTextMessage(user.whatsappId, `${currency} is your base currency, so it doesn't need a rate.`);
+        return;
+    }
+
+    let effectiveDate = data.date ? new Date(data.date) : new Date();
+    if (isNaN(effectiveDate)) effectiveDate = new Date();
+
+    await setExchangeRate(user._id, currency, rate, effectiveDate);
+    await sendTextMessage(user.whatsappId, `✅ Saved: 1 ${currency} = ${user.currency} ${rate.toLocaleString()} from ${effectiveDate.toLocaleDateString()}.`);
+    await sendMainMenu(user.whatsappId);
+}
+
+async function executeSetBankCurrency(user, data) {
+    const { bankName } = data;
+    const currency = normalizeCurrencyCode(data.currency);
+    const bank = bankName ? await findBankAccountByName(user._id, bankName) : null;
+
+    if (!bank) {
+        await sendTextMessage(user.whatsappId, `Bank "${bankName || ''}" not found.`);
+        return;
+    }
+    if (!currency) {
+        await sendTextMessage(user.whatsappId, "Which currency is this account in? e.g. USD, GBP, EUR.");
+        return;
+    }
+    // The opening balance was booked in the base currency, so only empty accounts can switch
+    if (bank.balance !== 0 && (bank.currency || user.currency) !== currency) {
+        await sendTextMessage(user.whatsappId, `⛔ ${bank.bankName} still has a balance. Its currency can only be changed while it is empty.`);
+        return;
+    }
+
+    await updateBankCurrency(bank._id, currency);
+    await sendTextMessage(user.whatsappId, `✅ ${bank.bankName} now holds ${currency}.`);
+    await sendMainMenu(user.whatsappId);
+}
+
+const isCashName = (name) => /\bcash\b/i.test(name);
+
+// [NEW] "Moved 50k from Opay to GTBank" / "Deposited 20k cash into Access"
+async function executeTransfer(user, data) {
+    const { fromAccount, toAccount } = data;
+    const amount = parsePrice(String(data.amount ?? ''));
+    if (!fromAccount || !toAccount || isNaN(amount) || amount <= 0) {
+        await sendTextMessage(user.whatsappId, 'Tell me the amount and both accounts, e.g. "Moved 50k from Opay to GTBank" or "Deposited 20k cash into Access".');
+        return;
+    }
+
+    // Cash in hand has no bank id; anything else must be a bank the user has added
+    const resolveAccount = async (name) => {
+        if (isCashName(name)) return { bankId: null };
+        const bank = await findBankAccountByName(user._id, name);
+        return bank ? { bankId: bank.isCash ? null : bank._id } : null;
+    };
+    const from = await resolveAccount(fromAccount);
+    const to = await resolveAccount(toAccount);
+    if (!from || !to) {
+        await sendTextMessage(user.whatsappId, `I couldn't find the account "${!from ? fromAccount : toAccount}". Check the name under Manage Banks.`);
+        return;
+    }
+
+    const result = await logTransfer(user, {
+        fromBankId: from.bankId,
+        toBankId: to.bankId,
+        amount,
+        loggedBy: user.isStaff ? user.staffName : 'Owner'
+    });
+
+    const { fromAccount: sent, toAccount: received } = result;
+    await sendTextMessage(user.whatsappId,
+        `✅ Moved ${sent.currency || user.currency} ${amount.toLocaleString()} from ${sent.bankName} to ${received.bankName}.\n\n` +
+        `${sent.bankName}: ${sent.currency || user.currency} ${sent.balance.toLocaleString()}\n` +
+        `${received.bankName}: ${received.currency || user.currency} ${received.balance.toLocaleString()}`
+    );
+    await sendMainMenu(user.whatsappId);
+}
+
+// [NEW] Sends back the photo or document kept with a sale or expense
+async function executeShowReceipt(user, data) {
+    const attachments = await getRecentLinkedAttachments(user._id, 30);
+    const search = (data.search || '').trim().toLowerCase();
+
+    const matches = [];
+    for (const attachment of attachments) {
+        const tx = await findTransactionById(attachment.transactionId);
+        if (!tx || tx.voidedAt) continue;
+        if (search && !`${tx.description} ${tx.category || ''}`.toLowerCase().includes(search)) continue;
+        matches.push({ attachment, tx });
+    }
+
+    if (matches.length === 0) {
+        await sendTextMessage(user.whatsappId, search
+            ? `I couldn't find a receipt for "${data.search}". Receipts are kept when you send a photo before logging the sale or expense.`
+            : "You have no saved receipts yet. Send a photo of a receipt and then log the sale or expense it's for.");
+        await sendMainMenu(user.whatsappId);
+        return;
+    }
+
+    if (matches.length === 1) {
+        const { attachment, tx } = matches[0];
+        await sendAttachment(user, attachment._id, `🧾 ${tx.description} (${new Date(tx.date).toDateString()})`);
+        return;
+    }
+
+    const sections = [{
+        title: "Entries with receipts",
+        rows: matches.slice(0, 10).map(({ attachment, tx }) => ({
+            id: `show_receipt:${attachment._id}`,
+            title: (tx.description || tx.type).substring(0, 24),
+            description: `${tx.type} • ${new Date(tx.date).toLocaleDateString('en-GB')} • ${tx.currency || user.currency} ${tx.amount.toLocaleString()}`.substring(0, 72)
+        }))
+    }];
+    await sendInteractiveList(user.whatsappId, "Receipts", "Which receipt would you like to see?", "Show Receipts", sections);
+}
+
+// [NEW] Takes back the sender's last sale, expense, payment, restock or import
+async function executeUndoLastAction(user) {
+    try {
+        const result = await undoLastAction(user, { windowMinutes: config.undoWindowMinutes });
+        if (!result) {
+            await sendTextMessage(user.whatsappId, `There's nothing from you in the last ${config.undoWindowMinutes} minutes to undo. For older entries, use 'Edit a transaction'.`);
+        } else {
+            const lines = [
+                ...result.voided.map(tx => `• ${tx.type.replace(/_/g, ' ').toLowerCase()}: ${tx.description} (${tx.currency || user.currency} ${tx.amount.toLocaleString()})`),
+                ...result.restocks.map(r => `• restock: ${r.quantity} x ${r.productName} removed`)
+            ];
+            await sendTextMessage(user.whatsappId, `↩️ *Undone*\n\n${lines.join('\n')}\n\nStock, bank and customer balances are back to how they were.`);
+        }
+    } catch (error) {
+        await sendTextMessage(user.whatsappId, `⛔ ${error.message}`);
+    }
+    await sendMainMenu(user.whatsappId);
+}
+
+// [NEW] Most recent changes to the books and who made them (owner only)
+async function executeShowActivityLog(user) {
+    const entries = await getAuditLog(user._id, { limit: 15 });
+    if (entries.length === 0) {
+        await sendTextMessage(user.whatsappId, "Nothing has been changed yet. Every sale, edit and delete will show up here.");
+        await sendMainMenu(user.whatsappId);
+        return;
+    }
+
+    await sendTextMessage(user.whatsappId,
+        `🕵️ *Activity Log* (latest ${entries.length})\n\n${entries.map(describeAuditEntry).join('\n')}\n\n_The full log is in the Excel export._`
+    );
+    await sendMainMenu(user.whatsappId);
+}
+
+// [NEW] Lists recurring expenses; picking one from the list stops it
+async function executeManageRecurring(user) {
+    const schedules = await getRecurringSchedules(user._id);
+    if (schedules.length === 0) {
+        await sendTextMessage(user.whatsappId, 'You have no recurring expenses. Try "Pay rent 150k every 1st of the month from GTBank".');
+        await sendMainMenu(user.whatsappId);
+        return;
+    }
+
+    const lines = schedules.map(sc =>
+        `• *${sc.description || sc.category}*: ${sc.currency || user.currency} ${sc.amount.toLocaleString()} ${describeSchedule(sc)} (next ${new Date(sc.nextRunAt).toDateString()})${sc.autoPost ? ' — auto' : ''}`
+    );
+    await sendTextMessage(user.whatsappId, `🔁 *Recurring Expenses*\n\n${lines.join('\n')}`);
+
+    const sections = [{
+        title: "Stop a schedule",
+        rows: schedules.slice(0, 10).map(sc => ({
+            id: `recurring_stop:${sc._id}`,
+            title: (sc.description || sc.category).substring(0, 24),
+            description: `${sc.amount.toLocaleString()} ${describeSchedule(sc)}`.substring(0, 72)
+        }))
+    }];
+    await sendInteractiveList(user.whatsappId, "Recurring", "Pick one to stop it, or carry on as normal.", "Stop a schedule", sections);
+}
+
+async function executeGetTrialBalance(user) {
+    const trialBalance = await getTrialBalance(user._id);
+    if (trialBalance.accounts.length === 0) {
+        await sendTextMessage(user.whatsappId, "Your ledger is empty. Log a sale, expense or restock to start it.");
+        await sendMainMenu(user.whatsappId);
+        return;
+    }
+
+    const rows = trialBalance.accounts.map(a => 
+        `*${a.code} ${a.name}*\nDr ${a.debit.toLocaleString()} | Cr ${a.credit.toLocaleString()}`
+    ).join('\n');
+    const status = trialBalance.isBalanced
+        ? '✅ Books are balanced.'
+        : '⚠️ Books are OUT of balance. Please contact support.';
+
+    await sendTextMessage(user.whatsappId, 
+        `📒 *Trial Balance* (${new Date().toLocaleDateString()})\n\n${rows}\n\n` +
+        `Total Debits: ${user.currency} ${trialBalance.totalDebits.toLocaleString()}\n` +
+        `Total Credits: ${user.currency} ${trialBalance.totalCredits.toLocaleString()}\n\n${status}`
+    );
+    await sendMainMenu(user.whatsappId);
+}
+
 async function executeListTransactionsForReconcile(user) {
     const transactions = await getRecentTransactions(user._id, 8);
     if (transactions.length === 0) {
@@ -155,36 +648,22 @@ async function executeListTransactionsForReconcile(user) {
 }
 
 async function executeDeleteTransaction(user, data) {
-    const { transactionId } = data;
-    const tx = await findTransactionById(transactionId);
-    if (!tx) {
-        await sendTextMessage(user.whatsappId, "Transaction not found.");
-        await sendMainMenu(user.whatsappId);
-        return;
+    try {
+        await voidTransaction(user, data.transactionId);
+        await sendTextMessage(user.whatsappId, "✅ Transaction deleted and balances reversed. It stays in your export, marked as voided.");
+    } catch (error) {
+        await sendTextMessage(user.whatsappId, `⛔ ${error.message}`);
     }
+    await sendMainMenu(user.whatsappId);
+}
 
-    if (tx.type === 'SALE') {
-        if (tx.items) {
-            for (const item of tx.items) {
-                if (item.productId && !item.isService) {
-                    await updateStock(item.productId, item.quantity, 'SALE_DELETED', tx._id);
-                }
-            }
-        }
-        if (tx.paymentMethod === 'CREDIT' && tx.linkedCustomerId) {
-            await updateBalanceOwed(tx.linkedCustomerId, -tx.amount);
-        } else if (tx.linkedBankId) {
-            await updateBankBalance(tx.linkedBankId, -tx.amount);
-        }
-    } else if (tx.type === 'EXPENSE' && tx.linkedBankId) {
-        await updateBankBalance(tx.linkedBankId, tx.amount);
-    } else if (tx.type === 'CUSTOMER_PAYMENT') {
-        if (tx.linkedCustomerId) await updateBalanceOwed(tx.linkedCustomerId, tx.amount); 
-        if (tx.linkedBankId) await updateBankBalance(tx.linkedBankId, -tx.amount);
+async function executeChangeTransactionDate(user, originalTx, newDate) {
+    try {
+        await redateTransaction(user, originalTx._id, newDate);
+        await sendTextMessage(user.whatsappId, `✅ Date changed to ${describeEntryDate(newDate)}.`);
+    } catch (error) {
+        await sendTextMessage(user.whatsappId, `⛔ ${error.message}`);
     }
-
-    await deleteTransactionById(transactionId);
-    await sendTextMessage(user.whatsappId, "✅ Transaction deleted and balances reversed.");
     await sendMainMenu(user.whatsappId);
 }
 
@@ -193,62 +672,55 @@ async function executeUpdateTransaction(user, data) {
     const originalTx = await findTransactionById(transactionId);
     if (!originalTx) return;
 
-    if (originalTx.type === 'SALE' && originalTx.items.length > 1) {
-        if (changes.unitsSold || changes.amountPerUnit) {
-            await sendTextMessage(user.whatsappId, "⛔ This sale has multiple items. To edit it, please Delete it and Log it again to ensure accuracy.");
-            await sendMainMenu(user.whatsappId);
-            return;
-        }
+    // [NEW] Re-dating moves no money or stock, so any kind of entry can be corrected
+    if (changes.date) {
+        await executeChangeTransactionDate(user, originalTx, changes.date);
+        return;
     }
 
+    if (['RETURN', 'PURCHASE', 'SUPPLIER_PAYMENT', 'TRANSFER'].includes(originalTx.type) || FINANCING_TYPES[originalTx.type]) {
+        await sendTextMessage(user.whatsappId, "⛔ This kind of transaction cannot be edited. Please Delete it and log it again.");
+        await sendMainMenu(user.whatsappId);
+        return;
+    }
+
+    // [NEW] Sales are re-booked as a whole in one session (stock, money, customer, journal)
     if (originalTx.type === 'SALE') {
-        if (originalTx.items) {
-            for (const item of originalTx.items) {
-                if (item.productId && !item.isService) await updateStock(item.productId, item.quantity, 'EDIT_ROLLBACK');
-            }
-        }
-        if (originalTx.paymentMethod === 'CREDIT' && originalTx.linkedCustomerId) await updateBalanceOwed(originalTx.linkedCustomerId, -originalTx.amount);
-        else if (originalTx.linkedBankId) await updateBankBalance(originalTx.linkedBankId, -originalTx.amount);
-    }
-
-    let updatedTxData = { ...originalTx, ...changes };
-
-    if (changes.unitsSold || changes.amountPerUnit) {
-        const qty = parseFloat(changes.unitsSold || originalTx.items[0].quantity);
-        const price = parseFloat(changes.amountPerUnit || originalTx.items[0].pricePerUnit);
-        
-        if (updatedTxData.type === 'SALE' && !updatedTxData.items[0].isService) {
-             const productId = updatedTxData.items[0].productId;
-             
-             const product = await findProductById(productId);
-             
-             if (product && product.quantity < qty) {
-                 if (originalTx.items[0].productId && !originalTx.items[0].isService) {
-                      await updateStock(originalTx.items[0].productId, -originalTx.items[0].quantity, 'EDIT_ABORT_ROLLBACK');
-                 }
-                 
-                 await sendTextMessage(user.whatsappId, `⛔ **Insufficient Stock!**\n\nYou only have ${product.quantity} units available (including the ones from this sale).\nCannot increase quantity to ${qty}.`);
-                 return;
-             }
-        }
+        await executeEditSaleFigures(user, originalTx, changes);
+        return;
+    }
 
-        updatedTxData.amount = qty * price;
-        updatedTxData.items[0].quantity = qty;
-        updatedTxData.items[0].pricePerUnit = price;
+    try {
+        const savedTx = await amendTransaction(user, transactionId, changes);
+        await sendTextMessage(user.whatsappId, `✅ Transaction updated. New amount: ${savedTx.amount}`);
+    } catch (error) {
+        await sendTextMessage(user.whatsappId, `⛔ ${error.message}`);
     }
+    await sendMainMenu(user.whatsappId);
+}
 
-    await updateTransactionById(transactionId, updatedTxData);
-    
-    if (updatedTxData.type === 'SALE') {
-        if (updatedTxData.items) {
-            for (const item of updatedTxData.items) {
-                if (item.productId && !item.isService) await updateStock(item.productId, -item.quantity, 'EDIT_APPLY');
-            }
-        }
-        if (updatedTxData.paymentMethod === 'CREDIT' && updatedTxData.linkedCustomerId) await updateBalanceOwed(updatedTxData.linkedCustomerId, updatedTxData.amount);
-        else if (updatedTxData.linkedBankId) await updateBankBalance(updatedTxData.linkedBankId, updatedTxData.amount);
+// Quantity/price changes asked for in a message. Sales with several items go through
+// the item-by-item edit menu instead, so it's clear which line is meant.
+async function executeEditSaleFigures(user, sale, changes) {
+    if (sale.items.length > 1 && (changes.unitsSold || changes.amountPerUnit || changes.amount)) {
+        await sendTextMessage(user.whatsappId, "This sale has several items. Open it from *Edit a Transaction* and choose *Items & Payment* to change a specific item.");
+        await sendMainMenu(user.whatsappId);
+        return;
     }
 
-    await sendTextMessage(user.whatsappId, `✅ Transaction updated. New amount: ${updatedTxData.amount}`);
+    const customer = sale.linkedCustomerId ? await findCustomerById(sale.linkedCustomerId) : null;
+    const draft = saleToDraft(sale, customer?.customerName);
+    const item = draft.items[0];
+    if (changes.unitsSold) item.quantity = parseFloat(changes.unitsSold);
+    if (changes.amountPerUnit) item.pricePerUnit = parseFloat(changes.amountPerUnit);
+    else if (changes.amount) item.pricePerUnit = parseFloat(changes.amount) / item.quantity;
+
+    try {
+        const savedTx = await editSale(user, sale._id, draft);
+        await sendTextMessage(user.whatsappId, `✅ Transaction updated. New amount: ${savedTx.amount}`);
+    } catch (error) {
+        await sendTextMessage(user.whatsappId, `❌ ${error.message}`);
+    }
+    await updateUserState(user.whatsappId, USER_STATES.IDLE);
     await sendMainMenu(user.whatsappId);
 }
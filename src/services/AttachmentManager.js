@@ -0,0 +1,104 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import mime from 'mime-types';
+import { ObjectId } from 'mongodb';
+import { S3Client, PutObjectCommand, GetObjectCommand } from '@aws-sdk/client-s3';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { createAttachment, findAttachmentById, linkPendingAttachment } from '../db/attachmentService.js';
+import { uploadMedia, sendImage, sendDocument } from '../api/whatsappService.js';
+
+// Both stores keep bytes under a key; swap them with ATTACHMENT_STORE without touching callers.
+function createLocalStore({ localDir }) {
+    const root = path.resolve(localDir);
+    return {
+        async put(key, buffer) {
+            const filePath = path.join(root, key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, buffer);
+        },
+        async get(key) {
+            return await fs.readFile(path.join(root, key));
+        }
+    };
+}
+
+function createS3Store({ bucket, region, endpoint, accessKeyId, secretAccessKey }) {
+    const client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle: !!endpoint, // Most S3-compatible hosts expect bucket-in-path URLs
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+    return {
+        async put(key, buffer, mimeType) {
+            await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: mimeType }));
+        },
+        async get(key) {
+            const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            return Buffer.from(await result.Body.transformToByteArray());
+        }
+    };
+}
+
+let store = null;
+function getStore() {
+    if (!store) {
+        const settings = config.attachments;
+        store = settings.driver === 's3' ? createS3Store(settings.s3) : createLocalStore(settings);
+    }
+    return store;
+}
+
+/**
+ * Keeps an incoming photo or document. It waits unlinked until the sender's next sale or
+ * expense, which picks it up through `attachPendingReceipt`.
+ * @param {object} user - The effective user (business id, sender's whatsappId).
+ * @param {{buffer: Buffer, mimeType: string, filename?: string, mediaId?: string, extractedText?: string}} media
+ */
+export async function saveAttachment(user, { buffer, mimeType, filename, mediaId, extractedText }) {
+    const month = new Date().toISOString().slice(0, 7);
+    const key = `${user._id}/${month}/${new ObjectId()}.${mime.extension(mimeType) || 'bin'}`;
+
+    await getStore().put(key, buffer, mimeType);
+    return await createAttachment({
+        userId: user._id,
+        uploadedBy: user.whatsappId,
+        storageKey: key,
+        mimeType,
+        filename: filename || null,
+        size: buffer.length,
+        mediaId: mediaId || null,
+        extractedText: extractedText || null
+    });
+}
+
+// Called inside the session that creates a sale or expense
+export async function attachPendingReceipt(user, transactionId, options = {}) {
+    const attachment = await linkPendingAttachment(user._id, user.whatsappId, transactionId, options);
+    if (attachment) logger.info(`Attached ${attachment.storageKey} to transaction ${transactionId}`);
+    return attachment;
+}
+
+export async function loadAttachment(user, attachmentId) {
+    const attachment = await findAttachmentById(attachmentId);
+    if (!attachment || attachment.userId.toString() !== user._id.toString()) {
+        throw new Error("I couldn't find that receipt.");
+    }
+    return { attachment, buffer: await getStore().get(attachment.storageKey) };
+}
+
+// Re-uploads a stored receipt to WhatsApp and sends it back to the user
+export async function sendAttachment(user, attachmentId, caption) {
+    const { attachment, buffer } = await loadAttachment(user, attachmentId);
+    const filename = attachment.filename || path.basename(attachment.storageKey);
+    const mediaId = await uploadMedia(buffer, attachment.mimeType, filename);
+    if (!mediaId) throw new Error("I couldn't send the receipt right now. Please try again.");
+
+    if (attachment.mimeType.startsWith('image/')) await sendImage(user.whatsappId, mediaId, caption);
+    else await sendDocument(user.whatsappId, mediaId, filename, caption);
+}
+
+// What the export shows for an attachment: a link when the store is public, otherwise its key
+export const attachmentLink = (attachment) =>
+    config.attachments.publicBaseUrl ? `${config.attachments.publicBaseUrl.replace(/\/$/, '')}/${attachment.storageKey}` : attachment.storageKey;
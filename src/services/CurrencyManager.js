@@ -0,0 +1,56 @@
+import { getExchangeRate } from '../db/exchangeRateService.js';
+import { findBankAccountById } from '../db/bankService.js';
+import { findUserById } from '../db/userService.js';
+import { normalizeCurrencyCode, convertToBase, convertFromBase } from '../utils/currency.js';
+import { roundAmount } from '../utils/ledgerUtils.js';
+
+// Staff records don't carry the business currency, so read it from the owner
+export async function getBaseCurrency(user) {
+    if (user.isStaff) {
+        const owner = await findUserById(user._id);
+        return owner?.currency || 'NGN';
+    }
+    return user.currency || 'NGN';
+}
+
+/**
+ * Finds the rate to book a transaction at. Amounts in the base currency (or with no
+ * currency given) get a rate of 1.
+ * @returns {Promise<{currency: string, exchangeRate: number}>}
+ */
+export async function resolveExchangeRate(user, currency, date = new Date(), options = {}) {
+    const baseCurrency = await getBaseCurrency(user);
+    const code = normalizeCurrencyCode(currency);
+    if (!code || code === baseCurrency) return { currency: baseCurrency, exchangeRate: 1 };
+
+    const rate = await getExchangeRate(user._id, code, date, options);
+    if (!rate) {
+        throw new Error(`I don't have an exchange rate for ${code} yet. Tell me e.g. "1 ${code} = 1500 ${baseCurrency}" first.`);
+    }
+    return { currency: code, exchangeRate: rate.rate };
+}
+
+// Fields stored on a transaction booked in a foreign currency; nothing for base-currency ones.
+export function currencyFields({ currency, exchangeRate }, amount) {
+    if (!exchangeRate || exchangeRate === 1) return {};
+    return { currency, exchangeRate, baseAmount: convertToBase(amount, exchangeRate) };
+}
+
+/**
+ * How much of a bank's own currency an amount comes to, converting through the
+ * base currency when the bank and the transaction differ. `date` picks the bank's rate.
+ */
+export async function toBankAmount(user, bankId, amount, { currency, exchangeRate = 1, date = new Date() } = {}, options = {}) {
+    const bank = await findBankAccountById(bankId, options);
+    const baseCurrency = await getBaseCurrency(user);
+    const bankCurrency = bank?.currency || baseCurrency;
+    const txCurrency = exchangeRate === 1 ? baseCurrency : currency;
+
+    if (bankCurrency === txCurrency) return roundAmount(amount);
+
+    const baseAmount = convertToBase(amount, exchangeRate);
+    if (bankCurrency === baseCurrency) return baseAmount;
+
+    const bankRate = await resolveExchangeRate(user, bankCurrency, date, options);
+    return convertFromBase(baseAmount, bankRate.exchangeRate);
+}
@@ -35,15 +35,46 @@ export async function parseExcelImport(mediaId) {
         }
 
         const products = [];
+        const exchangeRates = [];
+        const counts = [];
         const errors = [];
 
+        // [NEW] A sheet with Currency and Rate columns is an exchange-rate table, not stock
+        const headers = Object.keys(rawRows[0] || {}).map(k => k.toLowerCase().trim());
+        const isRateSheet = headers.includes('currency') && (headers.includes('rate') || headers.includes('exchange rate'));
+        // [NEW] A sheet with a Counted column is a stock-take count sheet
+        const countHeaders = ['counted', 'counted qty', 'counted quantity', 'physical count', 'stock count'];
+        const isCountSheet = headers.some(h => countHeaders.includes(h));
+
         rawRows.forEach((row, index) => {
             const getCol = (keys) => {
                 const found = Object.keys(row).find(k => keys.includes(k.toLowerCase().trim()));
                 return found ? row[found] : null;
             };
 
+            if (isRateSheet) {
+                const currency = getCol(['currency']);
+                const rate = parseFloat(getCol(['rate', 'exchange rate']));
+                const date = getCol(['date', 'effective date']);
+                if (currency && /^[a-z]{3}$/i.test(currency.toString().trim()) && rate > 0) {
+                    exchangeRates.push({ currency: currency.toString().trim().toUpperCase(), rate, date: date ? new Date(date) : null });
+                } else {
+                    errors.push(`Row ${index + 2}: Missing Currency or Rate.`);
+                }
+                return;
+            }
+
             const name = getCol(['product name', 'name', 'item', 'product']);
+            if (isCountSheet) {
+                const counted = parseFloat(getCol(countHeaders));
+                if (name && counted >= 0) {
+                    counts.push({ productName: name.toString().trim(), counted, reason: getCol(['reason', 'note']) });
+                } else {
+                    errors.push(`Row ${index + 2}: Missing Name or Counted quantity.`);
+                }
+                return;
+            }
+
             const qty = getCol(['quantity', 'qty', 'count', 'units']);
             const cost = getCol(['cost price', 'cost', 'cp', 'buying price']);
             const sell = getCol(['selling price', 'price', 'sp', 'sell']);
@@ -60,7 +91,7 @@ export async function parseExcelImport(mediaId) {
             }
         });
 
-        return { products, errors };
+        return { products, exchangeRates, counts, errors };
 
     } catch (error) {
         if (error.code === 'ERR_FR_MAX_BODY_LENGTH_EXCEEDED' || error.message.includes('maxContentLength')) {
@@ -1,84 +1,376 @@
-import { upsertProduct } from '../db/productService.js';
-import { updateBankBalance } from '../db/bankService.js';
+import { upsertProduct, findProductByName, findProductWithUnit, updateStock, transferStock as moveProductStock } from '../db/productService.js';
+import { updateMoneyBalance } from '../db/bankService.js';
+import { postJournalEntry, postTransactionJournal } from '../db/ledgerService.js';
+import { findOrCreateSupplier, updateSupplierBalance, updateSupplierCurrency } from '../db/supplierService.js';
+import { createPurchaseTransaction } from '../db/transactionService.js';
+import { findPurchaseOrderById, recordPurchaseOrderReceipt, PO_STATUS } from '../db/purchaseOrderService.js';
+import { resolveLocation, getLocations } from '../db/locationService.js';
+import { buildStockPurchaseLines, buildShrinkageLines, roundAmount } from '../utils/ledgerUtils.js';
+import { convertToBase } from '../utils/currency.js';
+import { findUnit } from '../utils/units.js';
+import { parseExpiryDate } from '../utils/batches.js';
+import { matchLocation, stockLocationId } from '../utils/locations.js';
+import { resolveExchangeRate, currencyFields, toBankAmount, getBaseCurrency } from './CurrencyManager.js';
+import { getCostingMethod } from './TransactionManager.js';
 import logger from '../utils/logger.js';
 import { ObjectId } from 'mongodb';
+import { getDB } from '../db/connection.js';
+
+// A supplier's balance is kept in one currency; it can only switch once the account is settled
+async function matchSupplierCurrency(user, supplier, currencyInfo, options = {}) {
+    const supplierCurrency = supplier.currency || await getBaseCurrency(user);
+    if (supplierCurrency === currencyInfo.currency) return;
+    if ((supplier.balanceOwed || 0) !== 0) {
+        throw new Error(`What you owe ${supplier.supplierName} is in ${supplierCurrency}. Please record this purchase in ${supplierCurrency}.`);
+    }
+    await updateSupplierCurrency(supplier._id, currencyInfo.currency, options);
+}
+
+// Foreign credit purchases also track what the balance is worth in the base currency
+const supplierBalanceOptions = (currencyInfo, amount, options) => currencyInfo.exchangeRate !== 1
+    ? { ...options, baseAmountChange: convertToBase(amount, currencyInfo.exchangeRate) }
+    : options;
 
 export async function addProduct(user, productData) {
     // Destructure reorderLevel and linkedBankId
-    const { productName, quantityAdded, costPrice, sellingPrice, linkedBankId, reorderLevel } = productData;
+    const { productName, quantityAdded, costPrice, sellingPrice, linkedBankId, reorderLevel, supplierName, paymentType, loggedBy } = productData;
+    const isCreditPurchase = !!(paymentType && paymentType.toLowerCase().includes('credit'));
+    if (isCreditPurchase && !supplierName) throw new Error("Who is the supplier? I need a name to record what you owe.");
     
     const quantity = parseInt(quantityAdded, 10);
     const cost = parseFloat(costPrice);
     const sell = parseFloat(sellingPrice);
     const alertThreshold = reorderLevel ? parseInt(reorderLevel, 10) : 5; // Default 5
 
-    // Update/Create the product
-    const product = await upsertProduct(user._id, productName, quantity, cost, sell, alertThreshold);
+    // [NEW] Stock bought in a foreign currency is costed in the base currency at today's rate
+    const currencyInfo = await resolveExchangeRate(user, productData.currency);
+    const baseCost = convertToBase(cost, currencyInfo.exchangeRate);
+
+    // [NEW] Stock counted in packs ("10 cartons") is kept in the product's base unit
+    const existing = productData.unit ? await findProductByName(user._id, productName) : null;
+    const packUnit = existing ? findUnit(existing, productData.unit) : null;
+    if (existing && !packUnit) throw new Error(`"${existing.productName}" isn't set up to be counted in ${productData.unit}s yet.`);
+    const factor = packUnit?.factor || 1;
+    const packLabel = factor !== 1 ? ` (${packUnit.name})` : '';
+    // [NEW] Perishables come in as a dated batch so sales can use up the oldest stock first
+    const batch = { expiryDate: parseExpiryDate(productData.expiryDate), batchNumber: productData.batchNumber || null };
+    // [NEW] Restocks land at the location named, or the staff member's own location
+    const locationId = stockLocationId(await resolveLocation(user, productData.locationName));
+
+    const client = getDB().client;
+    const session = client.startSession();
+
+    try {
+        let product;
+
+        await session.withTransaction(async () => {
+            // Update/Create the product
+            product = await upsertProduct(user._id, productName, quantity * factor, baseCost / factor, factor !== 1 ? existing.sellingPrice : sell, alertThreshold, { session, batch, locationId });
+
+            const totalCost = quantity > 0 ? cost * quantity : 0;
+            const bankAmount = linkedBankId && totalCost > 0
+                ? await toBankAmount(user, linkedBankId, totalCost, currencyInfo, { session })
+                : totalCost;
+
+            // [NEW] Purchases from a named supplier are kept as PURCHASE transactions,
+            // so credit purchases build up an accounts payable balance.
+            if (supplierName && totalCost > 0) {
+                const supplier = await findOrCreateSupplier(user._id, supplierName, { session });
+                const bankId = !isCreditPurchase && linkedBankId ? new ObjectId(linkedBankId) : null;
+                if (isCreditPurchase) await matchSupplierCurrency(user, supplier, currencyInfo, { session });
+
+                const purchase = await createPurchaseTransaction({
+                    userId: user._id,
+                    amount: totalCost,
+                    description: `${quantity} x ${product.productName}${packLabel} bought from ${supplier.supplierName}`,
+                    items: [{ productId: product._id, productName: product.productName, quantity, unitCost: cost, ...(factor !== 1 && { unit: packUnit.name, unitFactor: factor }) }],
+                    linkedSupplierId: supplier._id,
+                    linkedBankId: bankId,
+                    paymentMethod: isCreditPurchase ? 'CREDIT' : (bankId ? 'BANK' : 'CASH'),
+                    loggedBy: loggedBy || 'Owner',
+                    locationId,
+                    ...currencyFields(currencyInfo, totalCost),
+                    ...(bankId && bankAmount !== totalCost && { bankAmount })
+                }, { session });
+
+                // Paid purchases leave the bank in its own currency, or cash in hand at the base value
+                if (isCreditPurchase) {
+                    await updateSupplierBalance(supplier._id, totalCost, supplierBalanceOptions(currencyInfo, totalCost, { session }));
+                } else {
+                    await updateMoneyBalance(user._id, bankId, -(bankId ? bankAmount : convertToBase(totalCost, currencyInfo.exchangeRate)), { session });
+                }
+
+                await postTransactionJournal(purchase, { session });
+                product.supplierName = supplier.supplierName;
+                return;
+            }
+
+            // Handle Bank Deduction for Stock Purchase (cash in hand when no bank was picked)
+            if (totalCost > 0 && linkedBankId) {
+                await updateMoneyBalance(user._id, new ObjectId(linkedBankId), -bankAmount, { session });
+                logger.info(`Deducted ${bankAmount} from bank ${linkedBankId} for inventory purchase.`);
+            } else if (totalCost > 0) {
+                await updateMoneyBalance(user._id, null, -convertToBase(totalCost, currencyInfo.exchangeRate), { session });
+            }
 
-    // Handle Bank Deduction for Stock Purchase
-    if (quantity > 0 && linkedBankId) {
-        const totalCost = cost * quantity;
-        if (totalCost > 0) {
-            await updateBankBalance(new ObjectId(linkedBankId), -totalCost);
-            logger.info(`Deducted ${totalCost} from bank ${linkedBankId} for inventory purchase.`);
-        }
+            if (totalCost > 0) {
+                await postJournalEntry(user._id, {
+                    description: `Stock purchase: ${quantity} x ${product.productName}${packLabel}`,
+                    sourceType: 'STOCK_PURCHASE',
+                    sourceId: product._id,
+                    lines: buildStockPurchaseLines(convertToBase(totalCost, currencyInfo.exchangeRate), linkedBankId ? new ObjectId(linkedBankId) : null)
+                }, { session });
+            }
+        });
+
+        return product;
+    } finally {
+        await session.endSession();
     }
+}
+
+/**
+ * Books goods received against a purchase order: stock comes in at the PO cost,
+ * and the supplier is either owed (credit) or paid from cash/bank.
+ * @param {Array<{productName: string, quantity: number}>} receivedLines
+ */
+export async function receivePurchaseOrder(user, poId, receivedLines, { paymentMethod = 'CREDIT', linkedBankId = null, loggedBy = 'Owner' } = {}) {
+    const session = getDB().client.startSession();
+
+    try {
+        let result;
+
+        await session.withTransaction(async () => {
+            const po = await findPurchaseOrderById(poId, { session });
+            if (!po || po.userId.toString() !== user._id.toString()) throw new Error("I couldn't find that purchase order.");
+            if (po.status === PO_STATUS.RECEIVED || po.status === PO_STATUS.CANCELLED) {
+                throw new Error(`${po.poNumber} is already ${po.status.toLowerCase()}.`);
+            }
+
+            const lines = [];
+            for (const line of receivedLines) {
+                const poItem = po.items.find(i => i.productName.toLowerCase() === line.productName.toLowerCase());
+                if (!poItem) throw new Error(`"${line.productName}" is not on ${po.poNumber}.`);
 
-    return product;
+                const quantity = Number(line.quantity) || 0;
+                const outstanding = poItem.quantity - (poItem.quantityReceived || 0);
+                if (quantity <= 0) continue;
+                if (quantity > outstanding) {
+                    throw new Error(`Only ${outstanding} ${poItem.productName} is still expected on ${po.poNumber}.`);
+                }
+                lines.push({ poItem, quantity });
+            }
+            if (lines.length === 0) throw new Error("Nothing to receive. Please tell me the quantities that arrived.");
+
+            const isCredit = paymentMethod === 'CREDIT';
+            const bankId = !isCredit && linkedBankId ? new ObjectId(linkedBankId) : null;
+            const totalCost = lines.reduce((sum, l) => sum + l.quantity * l.poItem.unitCost, 0);
+
+            // Orders placed in a foreign currency are costed at the rate on the day the goods arrive
+            const currencyInfo = await resolveExchangeRate(user, po.currency, new Date(), { session });
+            const baseUnitCost = (unitCost) => convertToBase(unitCost, currencyInfo.exchangeRate);
+            const bankAmount = bankId ? await toBankAmount(user, bankId, totalCost, currencyInfo, { session }) : totalCost;
+            if (isCredit) {
+                const supplier = await findOrCreateSupplier(user._id, po.supplierName, { session });
+                await matchSupplierCurrency(user, supplier, currencyInfo, { session });
+            }
+
+            // Items not yet in inventory are created empty; stock arrives through updateStock below.
+            const items = [];
+            for (const { poItem, quantity } of lines) {
+                let product = await findProductByName(user._id, poItem.productName, { session });
+                if (!product) {
+                    product = await upsertProduct(user._id, poItem.productName, 0, baseUnitCost(poItem.unitCost), 0, 5, { session });
+                }
+                items.push({ productId: product._id, productName: product.productName, quantity, unitCost: poItem.unitCost });
+            }
+
+            const purchase = await createPurchaseTransaction({
+                userId: user._id,
+                amount: totalCost,
+                description: `Goods received on ${po.poNumber} from ${po.supplierName}`,
+                items,
+                linkedSupplierId: po.supplierId,
+                linkedBankId: bankId,
+                linkedPurchaseOrderId: po._id,
+                paymentMethod: isCredit ? 'CREDIT' : (bankId ? 'BANK' : 'CASH'),
+                loggedBy,
+                ...currencyFields(currencyInfo, totalCost),
+                ...(bankId && bankAmount !== totalCost && { bankAmount })
+            }, { session });
+
+            for (const item of items) {
+                await updateStock(item.productId, item.quantity, 'PURCHASE_RECEIVED', purchase._id, { session, unitCost: baseUnitCost(item.unitCost) });
+            }
+
+            if (isCredit) {
+                await updateSupplierBalance(po.supplierId, totalCost, supplierBalanceOptions(currencyInfo, totalCost, { session }));
+            } else {
+                await updateMoneyBalance(user._id, bankId, -(bankId ? bankAmount : convertToBase(totalCost, currencyInfo.exchangeRate)), { session });
+            }
+
+            await postTransactionJournal(purchase, { session });
+
+            const updatedPO = await recordPurchaseOrderReceipt(po._id,
+                items.map(i => ({ productName: i.productName, quantity: i.quantity })), { session });
+
+            result = { purchaseOrder: updatedPO, transaction: purchase };
+        });
+
+        return result;
+    } finally {
+        await session.endSession();
+    }
 }
 
+/**
+ * Adds a list of products in one transaction: if any product, balance or ledger post fails,
+ * nothing is imported. Each payment source (a linked bank, or cash in hand) is paid and
+ * credited in the ledger with the cost of its own items.
+ */
 export async function addBulkProducts(user, productsList) {
-    const results = {
-        added: [],
-        errors: []
-    };
+    const results = { added: [] };
+    const session = getDB().client.startSession();
+
+    try {
+        await session.withTransaction(async () => {
+            results.added = [];
+            // What each payment source (a bank, or cash in hand) paid, so the balances and the ledger move alike
+            const paidFrom = new Map();
 
-    let totalCostToDeduct = 0;
-    let bankIdToDeduct = null;
-
-    for (const p of productsList) {
-        try {
-            const product = await upsertProduct(
-                user._id, 
-                p.productName, 
-                p.quantityAdded, 
-                p.costPrice, 
-                p.sellingPrice,
-                5 // Default reorder level for bulk
-            );
-            results.added.push(product);
-
-            // [FIX] Accumulate Cost for Bank Deduction
-            // Check if this specific item has a bank linked (passed from handler)
-            if (p.linkedBankId && p.quantityAdded > 0 && p.costPrice > 0) {
-                totalCostToDeduct += (p.quantityAdded * p.costPrice);
-                
-                // Capture the bank ID (assuming all items in one bulk batch use the same bank)
-                if (!bankIdToDeduct) {
-                    bankIdToDeduct = p.linkedBankId;
+            for (const p of productsList) {
+                let product;
+                try {
+                    product = await upsertProduct(
+                        user._id, 
+                        p.productName, 
+                        p.quantityAdded, 
+                        p.costPrice, 
+                        p.sellingPrice,
+                        5, // Default reorder level for bulk
+                        { session, batch: { expiryDate: parseExpiryDate(p.expiryDate) } }
+                    );
+                } catch (error) {
+                    throw new Error(`I couldn't add ${p.productName || 'one of the products'}, so nothing was imported: ${error.message}`);
                 }
+                results.added.push(product);
+
+                if (p.quantityAdded > 0 && p.costPrice > 0) {
+                    const key = p.linkedBankId ? p.linkedBankId.toString() : 'cash';
+                    paidFrom.set(key, (paidFrom.get(key) || 0) + p.quantityAdded * p.costPrice);
+                }
+            }
+
+            const lines = [];
+            for (const [key, total] of paidFrom) {
+                const bankId = key === 'cash' ? null : new ObjectId(key);
+                const moved = bankId ? await toBankAmount(user, bankId, total, {}, { session }) : total;
+                await updateMoneyBalance(user._id, bankId, -moved, { session });
+                lines.push(...buildStockPurchaseLines(total, bankId));
+                logger.info(`Bulk Import: Deducted total ${moved} from ${bankId ? `bank ${bankId}` : 'cash in hand'}`);
             }
 
-        } catch (error) {
-            logger.error(`Failed to add product ${p.productName} in bulk op`, error);
-            results.errors.push(p.productName);
-        }
+            if (lines.length > 0) {
+                await postJournalEntry(user._id, {
+                    description: `Bulk stock import: ${results.added.length} products`,
+                    sourceType: 'STOCK_PURCHASE',
+                    lines
+                }, { session });
+            }
+        });
+
+        return results;
+    } catch (error) {
+        logger.error('Bulk import failed (Rolled Back):', error);
+        throw error;
+    } finally {
+        await session.endSession();
     }
-    
-    // [FIX] Perform the Bank Deduction
-    if (bankIdToDeduct && totalCostToDeduct > 0) {
-        try {
-            // Ensure ID is in ObjectId format
-            const bankId = typeof bankIdToDeduct === 'string' ? new ObjectId(bankIdToDeduct) : bankIdToDeduct;
-            
-            await updateBankBalance(bankId, -totalCostToDeduct);
-            logger.info(`Bulk Import: Deducted total ${totalCostToDeduct} from bank ${bankId}`);
-        } catch (err) {
-            logger.error("Failed to deduct bulk cost from bank:", err);
-            // We don't stop the process here because products are already added, 
-            // but we log the error for review.
-        }
+}
+
+/**
+ * [NEW] Posts a stock-take: each counted difference is a stock adjustment logged with its reason,
+ * and the cost of what went missing (less anything found over the books) is written off to
+ * Stock Shrinkage, which the P&L reports as an expense.
+ * @param {Array<object>} variances - From computeVariances; shortfalls without a reason take `defaultReason`.
+ * @param {object} [options.locationId] - The location that was counted; null for the main location.
+ * @returns {Promise<{adjusted: number, shrinkage: number}>} shrinkage is the net cost written off.
+ */
+export async function postStockTake(user, variances, { defaultReason = 'COUNT_CORRECTION', locationId = null } = {}) {
+    const costing = await getCostingMethod(user);
+    const session = getDB().client.startSession();
+
+    try {
+        let result;
+
+        await session.withTransaction(async () => {
+            const lines = [];
+            let shrinkage = 0;
+            for (const v of variances) {
+                const reason = v.reason || defaultReason;
+                const product = await updateStock(v.productId, v.variance, reason, null, { session, costing, locationId });
+                // Missing stock leaves at the cost it was carried at (its own layers under FIFO)
+                const unitCost = product.drawnUnitCost ?? product.costPrice ?? 0;
+                const lost = roundAmount(-v.variance * unitCost);
+                shrinkage += lost;
+                lines.push(...buildShrinkageLines(lost, { reason, productId: product._id }));
+            }
+
+            await postJournalEntry(user._id, {
+                description: `Stock-take: ${variances.length} product${variances.length === 1 ? '' : 's'} adjusted`,
+                sourceType: 'STOCK_TAKE',
+                lines
+            }, { session });
+            result = { adjusted: variances.length, shrinkage: roundAmount(shrinkage) };
+        });
+
+        return result;
+    } catch (error) {
+        logger.error('Stock-take failed (Rolled Back):', error);
+        throw error;
+    } finally {
+        await session.endSession();
     }
+}
+
+/**
+ * Moves stock from one location to another. Either side may be left out to mean the main
+ * location; stock counted in packs ("5 cartons") is moved in the product's base unit.
+ * @returns {Promise<{product: object, quantity: number, from: object, to: object}>}
+ */
+export async function transferStock(user, { productName, quantity, unit, fromLocation, toLocation }) {
+    const locations = await getLocations(user._id);
+    if (locations.length < 2) throw new Error("You need at least two locations to move stock. Say *\"Add a location called Warehouse\"* first.");
 
-    return results;
+    const mainLocation = locations.find(l => l.isMain);
+    const pick = (name) => {
+        if (!name) return mainLocation;
+        const match = matchLocation(locations, name);
+        if (!match) throw new Error(`I don't have a location called "${name}". Your locations: ${locations.map(l => l.name).join(', ')}.`);
+        return match;
+    };
+    const from = pick(fromLocation);
+    const to = pick(toLocation);
+    if (from._id.toString() === to._id.toString()) throw new Error(`Both sides of the move are ${from.name}.`);
+
+    const found = await findProductWithUnit(user._id, productName, unit);
+    if (!found) throw new Error(`Product "${productName}" not found.`);
+    if (!found.unit) throw new Error(`"${found.product.productName}" isn't set up to be counted in ${unit}s yet.`);
+    const count = parseFloat(quantity);
+    if (!(count > 0)) throw new Error(`How many ${found.product.productName} are you moving?`);
+    const baseQty = count * found.unit.factor;
+
+    const session = getDB().client.startSession();
+    try {
+        let product;
+        await session.withTransaction(async () => {
+            product = await moveProductStock(found.product._id, baseQty, stockLocationId(from), stockLocationId(to), { session });
+        });
+        return { product, quantity: baseQty, from, to };
+    } catch (error) {
+        logger.error('Stock transfer failed (Rolled Back):', error);
+        throw error;
+    } finally {
+        await session.endSession();
+    }
 }
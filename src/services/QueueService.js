@@ -6,14 +6,25 @@ import {
     generateExpenseReport, 
     generatePnLReport, 
     generateInventoryReport,
-    generateCOGSReport // [NEW] Import
+    generateCOGSReport, // [NEW] Import
+    generateBalanceSheetReport,
+    generateCashFlowReport,
+    generateAgedPayablesReport,
+    generateVatReport
 } from './pdfService.js';
-import { sendDocument, sendTextMessage, uploadMedia } from '../api/whatsappService.js';
-import { getPnLData, getReportTransactions, getCOGSBreakdown } from './ReportManager.js'; // [NEW] Import
-import { findUserById } from '../db/userService.js';
+import { sendDocument, sendTextMessage, sendInteractiveButtons, uploadMedia } from '../api/whatsappService.js';
+import { getPnLData, getReportTransactions, getCOGSBreakdown, getBalanceSheetData, getCashFlowData, getAgedPayables, getVatData } from './ReportManager.js'; // [NEW] Import
+import { findUserById, checkSubscriptionAccess } from '../db/userService.js';
 import { getAllProducts } from '../db/productService.js';
+import { getLocations } from '../db/locationService.js';
+import { getExpiringBatches, getBatchesDueForExpiryAlert, markExpiryAlerted } from '../db/batchService.js';
 import { getTransactionsByDateRange, getDueTransactions } from '../db/transactionService.js';
 import { findCustomerById } from '../db/customerService.js';
+import { getDueSchedules, catchUpSchedule, restorePendingRun } from '../db/recurringService.js';
+import { logExpense } from './TransactionManager.js';
+import { describeSchedule } from '../utils/recurrence.js';
+import { describeExpiry, daysUntilExpiry } from '../utils/batches.js';
+import { COSTING_METHODS } from '../utils/constants.js';
 import redis from '../db/redisClient.js'; 
 
 const connection = redis; 
@@ -70,6 +81,7 @@ const dailyTaskWorker = new Worker('daily-tasks', async (job) => {
 
         await processDailyUserSummary(user);
         await processDueDebts(user);
+        await processExpiringStock(user);
 
     } catch (error) {
         logger.error(`Daily task failed for user ${userId}:`, error);
@@ -83,6 +95,36 @@ export async function queueDailyTask(userId) {
     });
 }
 
+// [NEW] Recurring expenses: one repeatable job sweeps every due schedule each hour
+const recurringQueue = new Queue('recurring-transactions', { connection });
+
+const recurringWorker = new Worker('recurring-transactions', async (job) => {
+    const dueSchedules = await getDueSchedules();
+    logger.info(`Recurring job ${job.id}: ${dueSchedules.length} schedule(s) due.`);
+
+    for (const schedule of dueSchedules) {
+        try {
+            await catchUpSchedule(schedule, bookRecurringRun);
+        } catch (error) {
+            logger.error(`Recurring schedule ${schedule._id} failed:`, error);
+        }
+    }
+}, { connection, concurrency: 1 });
+
+export async function startRecurringScheduler() {
+    try {
+        await recurringQueue.add('run-due-schedules', {}, {
+            repeat: { pattern: '5 * * * *' },
+            jobId: 'recurring-sweep',
+            removeOnComplete: true,
+            removeOnFail: true
+        });
+        logger.info('Recurring transactions job scheduled (hourly).');
+    } catch (error) {
+        logger.error('Failed to schedule recurring transactions job:', error);
+    }
+}
+
 // --- HELPER FUNCTIONS ---
 
 async function generateAndSend(user, reportType, dateRange, whatsappId) {
@@ -101,7 +143,7 @@ async function generateAndSend(user, reportType, dateRange, whatsappId) {
     } else if (reportType === 'SALES') {
         const txs = await getReportTransactions(user._id, 'SALE', startDate, endDate);
         filename = 'Sales_Report.pdf';
-        pdfBuffer = await generateSalesReport(user, txs, periodString);
+        pdfBuffer = await generateSalesReport(user, txs, periodString, await getLocations(user._id));
 
     } else if (reportType === 'EXPENSES') {
         const txs = await getReportTransactions(user._id, 'EXPENSE', startDate, endDate);
@@ -110,13 +152,41 @@ async function generateAndSend(user, reportType, dateRange, whatsappId) {
     
     } else if (reportType === 'INVENTORY') {
         const products = await getAllProducts(user._id);
+        const batches = await getExpiringBatches(user._id);
         filename = 'Inventory_Report.pdf';
-        pdfBuffer = await generateInventoryReport(user, products);
+        pdfBuffer = await generateInventoryReport(user, products, batches, await getLocations(user._id));
         
     } else if (reportType === 'COGS') { // [NEW] Handle COGS
         const items = await getCOGSBreakdown(user._id, startDate, endDate);
         filename = 'Cost_of_Sales_Report.pdf';
-        pdfBuffer = await generateCOGSReport(user, items, periodString);
+        // Line costs are whatever method was in force when each sale was made; say which one is current
+        const costing = user.costingMethod === COSTING_METHODS.FIFO ? 'FIFO' : 'Weighted average';
+        pdfBuffer = await generateCOGSReport(user, items, `${periodString} · ${costing}`);
+
+    } else if (reportType === 'BALANCE_SHEET') {
+        // A balance sheet is a snapshot, so only the end of the range matters
+        const sheet = await getBalanceSheetData(user._id, endDate);
+        filename = 'Balance_Sheet.pdf';
+        pdfBuffer = await generateBalanceSheetReport(user, sheet, `As of ${endDate.toLocaleDateString()}`);
+
+    } else if (reportType === 'CASHFLOW') {
+        const cashFlow = await getCashFlowData(user._id, startDate, endDate);
+        filename = 'Cash_Flow_Report.pdf';
+        pdfBuffer = await generateCashFlowReport(user, cashFlow, periodString);
+
+    } else if (reportType === 'PAYABLES') {
+        const aged = await getAgedPayables(user._id, endDate);
+        filename = 'Aged_Payables.pdf';
+        if (aged.suppliers.length > 0) {
+            pdfBuffer = await generateAgedPayablesReport(user, aged, `As of ${endDate.toLocaleDateString()}`);
+        }
+
+    } else if (reportType === 'VAT') {
+        const vat = await getVatData(user._id, startDate, endDate);
+        filename = 'VAT_Report.pdf';
+        if (vat.salesCount > 0 || vat.expenseCount > 0) {
+            pdfBuffer = await generateVatReport(user, vat, periodString);
+        }
     }
 
     if (pdfBuffer) {
@@ -174,7 +244,7 @@ async function processDueDebts(user) {
         const customer = await findCustomerById(tx.linkedCustomerId);
         if (customer && customer.balanceOwed > 0) {
             const currency = user.currency || '';
-            const amount = tx.amount.toLocaleString();
+            const amount = (tx.paymentMethod === 'PART_PAYMENT' ? tx.balanceDue : tx.amount).toLocaleString();
             
             await sendTextMessage(user.whatsappId, 
                 `🔔 *Payment Due Today:*\n\n` +
@@ -184,3 +254,60 @@ async function processDueDebts(user) {
         }
     }
 }
+
+// [NEW] Each dated batch is flagged once when it comes within the alert window and again once it expires
+async function processExpiringStock(user) {
+    const batches = await getBatchesDueForExpiryAlert(user._id, config.expiryAlertDays);
+    if (batches.length === 0) return;
+
+    const lines = batches.slice(0, 15).map(b =>
+        `${daysUntilExpiry(b.expiryDate) < 0 ? '❌' : '⏳'} ${b.quantity} x ${b.productName}${b.batchNumber ? ` (batch ${b.batchNumber})` : ''} — ${describeExpiry(b.expiryDate)}`
+    );
+    const more = batches.length > 15 ? `\n...and ${batches.length - 15} more. Send 'inventory report' for the full list.` : '';
+
+    await sendTextMessage(user.whatsappId,
+        `⚠️ *Expiring Stock*\n\n${lines.join('\n')}${more}\n\nSell these first, or return them to the supplier.`);
+    await markExpiryAlerted(batches.map(b => b._id));
+}
+
+// Books one claimed run; true when it was posted, false when it is left to the owner (or dropped)
+async function bookRecurringRun(schedule) {
+    const user = await findUserById(schedule.userId);
+    if (!user || !user.whatsappId) return false;
+    if (!checkSubscriptionAccess(user).allowed) return false;
+
+    const currency = schedule.currency || user.currency || '';
+    const label = schedule.description || schedule.category;
+    // Runs caught up late are still booked on the day they fell due
+    const dueDate = schedule.nextRunAt;
+
+    if (schedule.autoPost) {
+        try {
+            await logExpense(user, {
+                category: schedule.category,
+                amount: schedule.amount,
+                description: label,
+                linkedBankId: schedule.linkedBankId,
+                currency: schedule.currency,
+                date: dueDate,
+                loggedBy: 'Recurring'
+            });
+            await sendTextMessage(user.whatsappId, `🔁 Logged your recurring expense: *${label}* — ${currency} ${schedule.amount.toLocaleString()} (${dueDate.toDateString()}, ${describeSchedule(schedule)}).`);
+            return true;
+        } catch (error) {
+            // The schedule has already moved on, so keep this run as a confirmation rather than drop it
+            logger.error(`Recurring schedule ${schedule._id} could not be posted:`, error);
+            await restorePendingRun(schedule._id, dueDate);
+            await sendTextMessage(user.whatsappId, `⚠️ I couldn't log your recurring expense *${label}*: ${error.message}`);
+        }
+    }
+
+    await sendInteractiveButtons(user.whatsappId,
+        `🔁 *${label}* was due on ${dueDate.toDateString()}: ${currency} ${schedule.amount.toLocaleString()}.\n\nShall I log it as paid?`,
+        [
+            { id: `recurring_run:post:${schedule._id}`, title: 'Yes, log it' },
+            { id: `recurring_run:skip:${schedule._id}`, title: 'Skip this time' }
+        ]
+    );
+    return false;
+}
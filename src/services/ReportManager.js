@@ -1,8 +1,40 @@
 import { getDB } from '../db/connection.js';
 import logger from '../utils/logger.js';
 import { ObjectId } from 'mongodb'; 
+import { getAllBankAccounts } from '../db/bankService.js';
+import { getAllProducts } from '../db/productService.js';
+import { LEDGER_ACCOUNTS, CASH_FLOW_ACTIVITIES } from '../utils/constants.js';
+import { roundAmount } from '../utils/ledgerUtils.js';
+import { getSuppliersWithBalance } from '../db/supplierService.js';
+import { ageOutstanding } from '../utils/agingUtils.js';
+import { findUserById } from '../db/userService.js';
 
 const transactionsCollection = () => getDB().collection('transactions');
+const customersCollection = () => getDB().collection('customers');
+const journalCollection = () => getDB().collection('journal_entries');
+
+// Net (debit - credit) ledger movement per account and bank for journal entries matching dateFilter
+async function getLedgerMovements(userId, dateFilter) {
+    const rows = await journalCollection().aggregate([
+        { $match: { userId, date: dateFilter } },
+        { $unwind: '$lines' },
+        {
+            $group: {
+                _id: { accountCode: '$lines.accountCode', bankId: '$lines.bankId' },
+                net: { $sum: { $subtract: ['$lines.debit', '$lines.credit'] } }
+            }
+        }
+    ]).toArray();
+
+    const byAccount = (code) => rows
+        .filter(r => r._id.accountCode === code)
+        .reduce((sum, r) => sum + r.net, 0);
+    const byBank = (bankId) => rows
+        .filter(r => r._id.accountCode === LEDGER_ACCOUNTS.BANK.code && r._id.bankId && r._id.bankId.toString() === bankId.toString())
+        .reduce((sum, r) => sum + r.net, 0);
+
+    return { byAccount, byBank };
+}
 
 export async function getPnLData(userId, startDate, endDate) {
     try {
@@ -12,6 +44,7 @@ export async function getPnLData(userId, startDate, endDate) {
             { 
                 $match: { 
                     userId: validUserId, 
+                    voidedAt: null,
                     date: { $gte: startDate, $lte: endDate } 
                 } 
             },
@@ -23,8 +56,22 @@ export async function getPnLData(userId, startDate, endDate) {
                         {
                             $group: {
                                 _id: null,
-                                totalRevenue: { $sum: { $multiply: ["$items.quantity", "$items.pricePerUnit"] } },
-                                totalCOGS: { $sum: { $multiply: ["$items.quantity", "$items.costPrice"] } } 
+                                // Taxed lines carry their net value; VAT collected is not revenue.
+                                // Foreign-currency sales are converted at the rate they were booked at.
+                                totalRevenue: { $sum: { $multiply: [{ $ifNull: ["$items.netAmount", { $multiply: ["$items.quantity", "$items.pricePerUnit"] }] }, { $ifNull: ["$exchangeRate", 1] }] } },
+                                totalCOGS: { $sum: { $multiply: ["$items.quantity", "$items.costPrice"] } },
+                                totalDiscounts: { $sum: { $multiply: [{ $ifNull: ["$items.netDiscount", 0] }, { $ifNull: ["$exchangeRate", 1] }] } }
+                            }
+                        }
+                    ],
+                    returnsStats: [
+                        { $match: { type: 'RETURN' } },
+                        { $unwind: "$items" },
+                        {
+                            $group: {
+                                _id: null,
+                                totalReturned: { $sum: { $multiply: [{ $ifNull: ["$items.netAmount", { $multiply: ["$items.quantity", "$items.pricePerUnit"] }] }, { $ifNull: ["$exchangeRate", 1] }] } },
+                                returnedCost: { $sum: { $multiply: ["$items.quantity", "$items.costPrice"] } }
                             }
                         }
                     ],
@@ -33,14 +80,14 @@ export async function getPnLData(userId, startDate, endDate) {
                         {
                             $group: {
                                 _id: "$category",
-                                total: { $sum: "$amount" }
+                                total: { $sum: { $multiply: [{ $subtract: ["$amount", { $ifNull: ["$taxAmount", 0] }] }, { $ifNull: ["$exchangeRate", 1] }] } }
                             }
                         },
                         { $sort: { total: -1 } }
                     ],
                     totalExpenseSum: [
                         { $match: { type: 'EXPENSE' } },
-                        { $group: { _id: null, total: { $sum: "$amount" } } }
+                        { $group: { _id: null, total: { $sum: { $multiply: [{ $subtract: ["$amount", { $ifNull: ["$taxAmount", 0] }] }, { $ifNull: ["$exchangeRate", 1] }] } } } }
                     ]
                 }
             }
@@ -49,19 +96,33 @@ export async function getPnLData(userId, startDate, endDate) {
         const results = await transactionsCollection().aggregate(pipeline).toArray();
         const data = results[0];
 
-        const totalSales = data.salesStats[0]?.totalRevenue || 0;
-        const totalCogs = data.salesStats[0]?.totalCOGS || 0;
-        const totalExpenses = data.totalExpenseSum[0]?.total || 0;
+        // Returned goods come off revenue and their cost goes back into stock
+        const totalReturns = data.returnsStats[0]?.totalReturned || 0;
+        const totalSales = (data.salesStats[0]?.totalRevenue || 0) - totalReturns;
+        const totalCogs = (data.salesStats[0]?.totalCOGS || 0) - (data.returnsStats[0]?.returnedCost || 0);
+        // Revenue is already net of discounts; they are reported so the owner can see what they cost
+        const totalDiscounts = data.salesStats[0]?.totalDiscounts || 0;
         const topExpenses = data.expensesStats.map(e => ({ category: e._id, amount: e.total }));
 
+        // Realised exchange gains/losses and stock-take shrinkage only ever reach the ledger, so read them from there
+        const movements = await getLedgerMovements(validUserId, { $gte: startDate, $lte: endDate });
+        const fxGainLoss = roundAmount(-movements.byAccount(LEDGER_ACCOUNTS.FX_GAIN_LOSS.code));
+        const shrinkage = roundAmount(movements.byAccount(LEDGER_ACCOUNTS.INVENTORY_SHRINKAGE.code));
+        if (shrinkage !== 0) topExpenses.push({ category: LEDGER_ACCOUNTS.INVENTORY_SHRINKAGE.name, amount: shrinkage });
+        const totalExpenses = (data.totalExpenseSum[0]?.total || 0) + shrinkage;
+
         const grossProfit = totalSales - totalCogs;
-        const netProfit = grossProfit - totalExpenses;
+        const netProfit = grossProfit - totalExpenses + fxGainLoss;
 
         return {
             totalSales,
+            totalReturns,
+            totalDiscounts,
             totalCogs,
             totalExpenses,
             grossProfit,
+            shrinkage,
+            fxGainLoss,
             netProfit,
             topExpenses
         };
@@ -78,6 +139,7 @@ export async function getReportTransactions(userId, type, startDate, endDate) {
     const query = {
         userId: validUserId,
         type,
+        voidedAt: null,
         date: { $gte: startDate, $lte: endDate }
     };
 
@@ -102,6 +164,8 @@ export async function getReportTransactions(userId, type, startDate, endDate) {
                 date: 1,
                 type: 1,
                 amount: 1,
+                baseAmount: 1,
+                currency: 1,
                 description: 1,
                 category: 1,
                 items: 1,
@@ -119,6 +183,7 @@ export async function getCOGSBreakdown(userId, startDate, endDate) {
     const query = {
         userId: validUserId,
         type: 'SALE',
+        voidedAt: null,
         date: { $gte: startDate, $lte: endDate }
     };
 
@@ -146,3 +211,290 @@ export async function getCOGSBreakdown(userId, startDate, endDate) {
         { $sort: { date: 1 } }
     ]).toArray();
 }
+
+// [NEW] Balance Sheet as of a date.
+// Live balances (banks, customers, products) are rolled back by the ledger movements
+// posted after the as-of date, so records that pre-date the ledger still show up.
+export async function getBalanceSheetData(userId, asOfDate) {
+    try {
+        const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+
+        const after = await getLedgerMovements(validUserId, { $gt: asOfDate });
+        const upTo = await getLedgerMovements(validUserId, { $lte: asOfDate });
+
+        // --- ASSETS ---
+        const banks = await getAllBankAccounts(validUserId);
+        // Foreign-currency banks can only be set up empty, so the ledger holds their whole
+        // history and carries them at the base value they were booked at
+        const owner = await findUserById(validUserId);
+        const bankBalances = banks
+            .filter(b => !b.createdAt || new Date(b.createdAt) <= asOfDate)
+            .map(b => ({
+                name: b.bankName,
+                amount: b.currency && b.currency !== owner?.currency
+                    ? roundAmount(upTo.byBank(b._id))
+                    : roundAmount(b.balance - after.byBank(b._id))
+            }));
+
+        const cashInHand = roundAmount(upTo.byAccount(LEDGER_ACCOUNTS.CASH.code));
+
+        const customerTotals = await customersCollection().aggregate([
+            { $match: { userId: validUserId } },
+            {
+                $group: {
+                    _id: null,
+                    receivable: { $sum: { $cond: [{ $gt: ['$balanceOwed', 0] }, '$balanceOwed', 0] } },
+                    customerCredit: { $sum: { $add: [
+                        { $cond: [{ $lt: ['$balanceOwed', 0] }, { $abs: '$balanceOwed' }, 0] },
+                        { $ifNull: ['$storeCredit', 0] }
+                    ] } }
+                }
+            }
+        ]).toArray();
+        const receivables = roundAmount((customerTotals[0]?.receivable || 0) - after.byAccount(LEDGER_ACCOUNTS.ACCOUNTS_RECEIVABLE.code));
+        const customerCredits = roundAmount(customerTotals[0]?.customerCredit || 0);
+
+        const products = await getAllProducts(validUserId);
+        const stockValue = products.reduce((sum, p) => sum + (p.quantity || 0) * (p.costPrice || 0), 0);
+        const inventory = roundAmount(stockValue - after.byAccount(LEDGER_ACCOUNTS.INVENTORY.code));
+
+        const totalAssets = roundAmount(
+            bankBalances.reduce((sum, b) => sum + b.amount, 0) + cashInHand + receivables + inventory
+        );
+
+        // --- LIABILITIES --- (credit balances are negative nets)
+        const payables = roundAmount(-upTo.byAccount(LEDGER_ACCOUNTS.ACCOUNTS_PAYABLE.code));
+        const vatPayable = roundAmount(-upTo.byAccount(LEDGER_ACCOUNTS.VAT_PAYABLE.code));
+        const loansPayable = roundAmount(-upTo.byAccount(LEDGER_ACCOUNTS.LOANS_PAYABLE.code));
+        const totalLiabilities = roundAmount(payables + customerCredits + vatPayable + loansPayable);
+
+        // --- EQUITY --- (drawings carry a debit balance, so they reduce equity)
+        const ownerEquity = roundAmount(-upTo.byAccount(LEDGER_ACCOUNTS.OWNER_EQUITY.code));
+        const ownerDrawings = roundAmount(-upTo.byAccount(LEDGER_ACCOUNTS.OWNER_DRAWINGS.code));
+        const { netProfit } = await getPnLData(validUserId, new Date(0), asOfDate);
+        const retainedEarnings = roundAmount(netProfit);
+
+        const totalEquity = roundAmount(ownerEquity + ownerDrawings + retainedEarnings);
+        const totalLiabilitiesAndEquity = roundAmount(totalLiabilities + totalEquity);
+
+        // Whatever the ledger cannot explain (records logged before it existed, or a real mismatch)
+        // is reported as-is rather than folded into equity, so the sheet shows it doesn't balance.
+        const unreconciledDifference = roundAmount(totalAssets - totalLiabilitiesAndEquity);
+        if (unreconciledDifference !== 0) {
+            logger.warn(`Balance sheet for user ${userId} as of ${asOfDate.toISOString()} is out by ${unreconciledDifference}`);
+        }
+
+        return {
+            asOfDate,
+            assets: { bankBalances, cashInHand, receivables, inventory, totalAssets },
+            liabilities: { payables, customerCredits, vatPayable, loansPayable, totalLiabilities },
+            equity: { ownerEquity, ownerDrawings, retainedEarnings, totalEquity },
+            totalLiabilitiesAndEquity,
+            unreconciledDifference
+        };
+
+    } catch (error) {
+        logger.error(`Error building balance sheet for user ${userId}:`, error);
+        throw new Error('Could not calculate Balance Sheet data.');
+    }
+}
+
+// [NEW] VAT return for a period: output tax on sales (less returns) minus input tax on expenses.
+export async function getVatData(userId, startDate, endDate) {
+    try {
+        const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+
+        const rows = await transactionsCollection().aggregate([
+            {
+                $match: {
+                    userId: validUserId,
+                    date: { $gte: startDate, $lte: endDate },
+                    type: { $in: ['SALE', 'RETURN', 'EXPENSE'] },
+                    voidedAt: null,
+                    taxAmount: { $exists: true }
+                }
+            },
+            {
+                $group: {
+                    _id: '$type',
+                    gross: { $sum: { $ifNull: ['$baseAmount', '$amount'] } },
+                    tax: { $sum: { $multiply: ['$taxAmount', { $ifNull: ['$exchangeRate', 1] }] } },
+                    count: { $sum: 1 }
+                }
+            }
+        ]).toArray();
+
+        const byType = (type) => rows.find(r => r._id === type) || { gross: 0, tax: 0, count: 0 };
+        const sales = byType('SALE');
+        const returns = byType('RETURN');
+        const expenses = byType('EXPENSE');
+
+        const outputTax = roundAmount(sales.tax - returns.tax);
+        const inputTax = roundAmount(expenses.tax);
+
+        return {
+            taxableSales: roundAmount((sales.gross - sales.tax) - (returns.gross - returns.tax)),
+            salesTax: roundAmount(sales.tax),
+            returnsTax: roundAmount(returns.tax),
+            outputTax,
+            taxableExpenses: roundAmount(expenses.gross - expenses.tax),
+            inputTax,
+            netVatPayable: roundAmount(outputTax - inputTax),
+            salesCount: sales.count,
+            expenseCount: expenses.count
+        };
+    } catch (error) {
+        logger.error(`Error calculating VAT for user ${userId}:`, error);
+        throw new Error('Could not calculate VAT data.');
+    }
+}
+
+// [NEW] Cash Flow statement for a period.
+// Every journal line that touches Cash in Hand or a bank account is a cash movement;
+// the entry's sourceType decides whether it is operating, investing or financing.
+export async function getCashFlowData(userId, startDate, endDate) {
+    try {
+        const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+        const moneyCodes = [LEDGER_ACCOUNTS.CASH.code, LEDGER_ACCOUNTS.BANK.code];
+
+        const movements = await journalCollection().aggregate([
+            { $match: { userId: validUserId, date: { $gte: startDate, $lte: endDate } } },
+            // Reversals are classified like the entry they cancel
+            { $lookup: { from: 'journal_entries', localField: 'reversalOf', foreignField: '_id', as: 'original' } },
+            { $unwind: '$lines' },
+            { $match: { 'lines.accountCode': { $in: moneyCodes } } },
+            {
+                $project: {
+                    sourceType: { $ifNull: [{ $arrayElemAt: ['$original.sourceType', 0] }, '$sourceType'] },
+                    accountCode: '$lines.accountCode',
+                    bankId: '$lines.bankId',
+                    net: { $subtract: ['$lines.debit', '$lines.credit'] }
+                }
+            }
+        ]).toArray();
+
+        // --- ACTIVITIES ---
+        const activities = {
+            OPERATING: { items: {}, total: 0 },
+            INVESTING: { items: {}, total: 0 },
+            FINANCING: { items: {}, total: 0 }
+        };
+        movements.forEach(m => {
+            const mapping = CASH_FLOW_ACTIVITIES[m.sourceType] || { activity: 'OPERATING', label: 'Other movements' };
+            const group = activities[mapping.activity];
+            group.items[mapping.label] = (group.items[mapping.label] || 0) + m.net;
+            group.total += m.net;
+        });
+
+        const formatActivity = (group) => ({
+            items: Object.entries(group.items)
+                .map(([label, amount]) => ({ label, amount: roundAmount(amount) }))
+                .filter(item => item.amount !== 0),
+            total: roundAmount(group.total)
+        });
+
+        // --- PER ACCOUNT ---
+        const afterStart = await getLedgerMovements(validUserId, { $gte: startDate });
+        const afterEnd = await getLedgerMovements(validUserId, { $gt: endDate });
+
+        const sumFlows = (list) => ({
+            inflows: roundAmount(list.filter(m => m.net > 0).reduce((sum, m) => sum + m.net, 0)),
+            outflows: roundAmount(list.filter(m => m.net < 0).reduce((sum, m) => sum - m.net, 0))
+        });
+
+        const accounts = [];
+        const banks = await getAllBankAccounts(validUserId);
+        const owner = await findUserById(validUserId);
+        const cashBefore = await getLedgerMovements(validUserId, { $lt: startDate });
+        banks.forEach(bank => {
+            const flows = sumFlows(movements.filter(m =>
+                m.accountCode === LEDGER_ACCOUNTS.BANK.code && m.bankId && m.bankId.toString() === bank._id.toString()
+            ));
+            // Foreign-currency banks are reported at their booked base value, straight from the ledger
+            if (bank.currency && bank.currency !== owner?.currency) {
+                const opening = roundAmount(cashBefore.byBank(bank._id));
+                accounts.push({ name: `${bank.bankName} (${bank.currency})`, opening, ...flows, closing: roundAmount(opening + flows.inflows - flows.outflows) });
+                return;
+            }
+            accounts.push({
+                name: bank.bankName,
+                opening: roundAmount(bank.balance - afterStart.byBank(bank._id)),
+                ...flows,
+                closing: roundAmount(bank.balance - afterEnd.byBank(bank._id))
+            });
+        });
+
+        const cashFlows = sumFlows(movements.filter(m => m.accountCode === LEDGER_ACCOUNTS.CASH.code));
+        const cashOpening = roundAmount(cashBefore.byAccount(LEDGER_ACCOUNTS.CASH.code));
+        accounts.push({
+            name: LEDGER_ACCOUNTS.CASH.name,
+            opening: cashOpening,
+            ...cashFlows,
+            closing: roundAmount(cashOpening + cashFlows.inflows - cashFlows.outflows)
+        });
+
+        const operating = formatActivity(activities.OPERATING);
+        const investing = formatActivity(activities.INVESTING);
+        const financing = formatActivity(activities.FINANCING);
+
+        return {
+            operating,
+            investing,
+            financing,
+            netChange: roundAmount(operating.total + investing.total + financing.total),
+            accounts,
+            openingTotal: roundAmount(accounts.reduce((sum, a) => sum + a.opening, 0)),
+            closingTotal: roundAmount(accounts.reduce((sum, a) => sum + a.closing, 0))
+        };
+
+    } catch (error) {
+        logger.error(`Error building cash flow for user ${userId}:`, error);
+        throw new Error('Could not calculate Cash Flow data.');
+    }
+}
+
+// [NEW] Aged Payables: what we owe each supplier, split by how long it has been unpaid
+export async function getAgedPayables(userId, asOfDate = new Date()) {
+    try {
+        const validUserId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+        const suppliers = await getSuppliersWithBalance(validUserId);
+
+        const txs = await transactionsCollection().find({
+            userId: validUserId,
+            linkedSupplierId: { $in: suppliers.map(s => s._id) },
+            voidedAt: null,
+            date: { $lte: asOfDate },
+            $or: [
+                { type: 'PURCHASE', paymentMethod: 'CREDIT' },
+                { type: 'SUPPLIER_PAYMENT' }
+            ]
+        }).toArray();
+
+        const totals = { current: 0, days31to60: 0, days61to90: 0, over90: 0, total: 0 };
+        const rows = suppliers.map(supplier => {
+            const own = txs.filter(t => t.linkedSupplierId.toString() === supplier._id.toString());
+            // Foreign-currency suppliers are aged in their own currency, then reported at their booked base value
+            const toBase = supplier.currency && supplier.balanceOwedBase !== undefined && supplier.balanceOwed > 0
+                ? supplier.balanceOwedBase / supplier.balanceOwed
+                : 1;
+            const bills = own.filter(t => t.type === 'PURCHASE').map(t => ({ date: t.date, amount: t.amount }));
+            const paid = own.filter(t => t.type === 'SUPPLIER_PAYMENT').reduce((sum, t) => sum + t.amount, 0);
+
+            const aged = ageOutstanding(bills, paid, asOfDate);
+            // Balances carried in before purchases were tracked have no date, so they count as current
+            const untracked = Math.max(supplier.balanceOwed - aged.total, 0);
+            aged.current += untracked;
+            aged.total += untracked;
+            if (toBase !== 1) Object.keys(totals).forEach(key => { aged[key] = roundAmount(aged[key] * toBase); });
+
+            Object.keys(totals).forEach(key => { totals[key] += aged[key]; });
+            return { supplierName: supplier.supplierName, ...aged };
+        });
+
+        return { asOfDate, suppliers: rows, totals };
+
+    } catch (error) {
+        logger.error(`Error building aged payables for user ${userId}:`, error);
+        throw new Error('Could not calculate Aged Payables.');
+    }
+}
@@ -1,13 +1,81 @@
-import { findOrCreateCustomer, updateBalanceOwed } from '../db/customerService.js';
-import { findProductByName, updateStock } from '../db/productService.js';
-import { createSaleTransaction, createExpenseTransaction, createCustomerPaymentTransaction } from '../db/transactionService.js';
-import { updateBankBalance } from '../db/bankService.js';
+import { findOrCreateCustomer, findCustomerByName, findCustomerById, updateBalanceOwed, updateStoreCredit } from '../db/customerService.js';
+import { findProductByName, updateStock, restoreCostPrice, getStockAdjustmentsForMessage } from '../db/productService.js';
+import { createSaleTransaction, replaceSaleTransaction, setSaleItemCosts, createExpenseTransaction, createCustomerPaymentTransaction, createReturnTransaction, createSupplierPaymentTransaction, createTransferTransaction, createFinancingTransaction, findSaleForReturn, findTransactionById, getReturnsForSale, updateTransactionById, voidTransactionById } from '../db/transactionService.js';
+import { updateBankBalance, updateCashBalance, updateMoneyBalance, getCashAccount, findBankAccountById } from '../db/bankService.js';
+import { postTransactionJournal, reverseJournalEntries, reverseMessageJournalEntries } from '../db/ledgerService.js';
+import { getAuditLog, getAuditEntriesForMessage, recordAudit } from '../db/auditService.js';
+import { findSupplierByName, updateSupplierBalance } from '../db/supplierService.js';
+import { recordPurchaseOrderReceipt } from '../db/purchaseOrderService.js';
 import { sendTextMessage } from '../api/whatsappService.js'; 
 import logger from '../utils/logger.js';
 import { ObjectId } from 'mongodb';
 import { getDB } from '../db/connection.js'; 
+import { findUserById } from '../db/userService.js';
+import { computeSaleTotals, extractInclusiveTax } from '../utils/pricing.js';
+import { roundAmount } from '../utils/ledgerUtils.js';
+import { FINANCING_TYPES, COSTING_METHODS } from '../utils/constants.js';
+import { resolveExchangeRate, currencyFields, toBankAmount } from './CurrencyManager.js';
+import { convertToBase, settleForeignBalance } from '../utils/currency.js';
+import { parseEntryDate } from '../utils/dateUtils.js';
+import { pickUndoTarget } from '../utils/undo.js';
+import { attachPendingReceipt } from './AttachmentManager.js';
+import { findUnit, baseQuantity, describeQuantity } from '../utils/units.js';
+import { resolveLocation, findLocationById } from '../db/locationService.js';
+import { stockLocationId, stockAt } from '../utils/locations.js';
 
-export async function logSale(user, saleData) {
+// Staff act on the owner's books, so tax settings always come from the owner's record
+async function getTaxSettings(user) {
+    if (user.isStaff) {
+        const owner = await findUserById(user._id);
+        return owner?.taxSettings || null;
+    }
+    return user.taxSettings || null;
+}
+
+// [NEW] The costing method is the owner's setting too
+export async function getCostingMethod(user) {
+    const owner = user.isStaff ? await findUserById(user._id) : user;
+    return owner?.costingMethod || COSTING_METHODS.AVERAGE;
+}
+
+// Under FIFO, stock coming back re-enters at the cost it left at
+const returnCost = (item, costing) => costing === COSTING_METHODS.FIFO
+    ? { unitCost: (item.costPrice || 0) / (item.unitFactor || 1) }
+    : {};
+
+// [NEW] Entries default to now; a stated (back- or future-dated) date must be one we can read
+function resolveEntryDate(value) {
+    if (!value) return new Date();
+    const date = parseEntryDate(value);
+    if (!date) throw new Error("I couldn't understand the date for this entry. Please use a format like 2025-03-01.");
+    return date;
+}
+
+/**
+ * [NEW] Works out what a sale will come to once discounts and VAT are applied, before it is saved
+ * (e.g. to quote the total for a split payment).
+ */
+export async function previewSaleTotals(user, items, orderDiscount = 0) {
+    const taxSettings = await getTaxSettings(user);
+    const priced = [];
+    for (const item of items) {
+        let product = null;
+        if (!item.isService) {
+            product = item.productId
+                ? await getDB().collection('products').findOne({ _id: new ObjectId(item.productId) })
+                : await findProductByName(user._id, item.productName.trim());
+        }
+        priced.push({ ...item, taxRate: product?.taxRate });
+    }
+    return computeSaleTotals(priced, taxSettings, orderDiscount);
+}
+
+/**
+ * Prices a sale and books everything it touches (stock, money or customer debt, journal)
+ * inside the caller's session. With `replaceId` the existing sale document is rewritten
+ * in place instead of a new one being created.
+ */
+async function applySale(user, saleData, { session, taxSettings, costing, entryDate, currencyInfo, replaceId = null }) {
     const { items, customerName, saleType, linkedBankId, loggedBy } = saleData;
     if (!items || items.length === 0) throw new Error("No items found in the sale data.");
 
@@ -27,6 +95,197 @@ export async function logSale(user, saleData) {
         }
     }
 
+    // [NEW] Stock leaves the location the sale is made at; an edited sale keeps its own
+    const locationId = saleData.locationId !== undefined
+        ? saleData.locationId
+        : stockLocationId(await resolveLocation(user, saleData.locationName, { session }));
+
+    const customer = await findOrCreateCustomer(user._id, customerName, { session });
+    let totalAmount = 0;
+    let descriptionParts = [];
+    const processedItems = [];
+    const soldHere = new Map();
+
+    for (let i = 0; i < items.length; i++) {
+        const item = items[i];
+        
+        if (!item.productName || !item.quantity || isNaN(item.quantity) || item.pricePerUnit === undefined || isNaN(item.pricePerUnit)) {
+             throw new Error(`Item ${i+1} (${item.productName || 'Unknown'}) has invalid details.`);
+        }
+
+        const quantity = parseFloat(item.quantity);
+        const price = parseFloat(item.pricePerUnit);
+        totalAmount += quantity * price;
+
+        let product = null;
+        if (item.productId) {
+            try {
+                const productId = (typeof item.productId === 'string') ? new ObjectId(item.productId) : item.productId;
+                product = await getDB().collection('products').findOne({ _id: productId }, { session });
+                if (!product) product = { _id: productId };
+            } catch (e) {
+                logger.warn(`Invalid Product ID ignored: ${item.productId}`);
+            }
+        } 
+        else if (!item.isService) {
+            product = await findProductByName(user._id, item.productName.trim(), { session });
+        }
+
+        // [NEW] Lines can be sold in a bigger unit (a carton of 40 packs); cost is per unit sold
+        // Products without units ignore whatever unit word came with the line ("pieces", "bags")
+        const unit = product ? findUnit(product, product.units?.length ? item.unit : null) : null;
+        if (product && !unit) {
+            throw new Error(`"${product.productName}" isn't set up to sell by the ${item.unit}. Tell me e.g. "1 ${item.unit} of ${product.productName} = 12 ${product.baseUnit || 'unit'}s" first.`);
+        }
+        const unitFactor = unit ? unit.factor : 1;
+
+        // [NEW] A branch can only sell what it holds (the main location keeps the old behaviour);
+        // the same product on two lines draws on the same shelf
+        if (locationId && product?.productName && !item.isService) {
+            const key = product._id.toString();
+            const needed = (soldHere.get(key) || 0) + quantity * unitFactor;
+            const available = stockAt(product, locationId);
+            if (available < needed) {
+                const location = await findLocationById(locationId, { session });
+                throw new Error(`${location ? location.name : 'This location'} only has ${describeQuantity(product, available)} of ${product.productName}. Move stock there first.`);
+            }
+            soldHere.set(key, needed);
+        }
+
+        processedItems.push({
+            productId: product ? product._id : null,
+            productName: item.productName,
+            quantity: quantity,
+            pricePerUnit: price,
+            costPrice: product ? (product.costPrice || 0) * unitFactor : 0, 
+            isService: !!item.isService,
+            taxRate: product ? product.taxRate : undefined,
+            discount: item.discount,
+            ...(unitFactor !== 1 && { unit: unit.name, unitFactor })
+        });
+        
+        descriptionParts.push(`${quantity} x ${item.productName}${unitFactor !== 1 ? ` (${unit.name})` : ''}`);
+    }
+
+    // [NEW] VAT and discounts: the customer pays the discounted, taxed total;
+    // the tax itself is owed to the government
+    const taxEnabled = !!(taxSettings && taxSettings.enabled);
+    const hasDiscount = !!saleData.discount || items.some(i => i.discount);
+    let pricingBreakdown = {};
+    if (taxEnabled || hasDiscount) {
+        const totals = computeSaleTotals(processedItems, taxSettings, saleData.discount);
+        totals.items.forEach((line, idx) => {
+            processedItems[idx].netAmount = line.lineSubtotal;
+            if (taxEnabled) {
+                processedItems[idx].taxRate = line.taxRate;
+                processedItems[idx].taxAmount = line.taxAmount;
+            }
+            if (line.discountAmount > 0) {
+                processedItems[idx].lineDiscount = line.lineDiscount;
+                processedItems[idx].discountAmount = line.discountAmount;
+                processedItems[idx].netDiscount = line.netDiscount;
+            }
+        });
+        pricingBreakdown = { subtotal: totals.subtotal };
+        if (taxEnabled) pricingBreakdown.taxAmount = totals.taxAmount;
+        if (totals.discountTotal > 0) {
+            pricingBreakdown.orderDiscount = totals.orderDiscount;
+            pricingBreakdown.discountTotal = totals.discountTotal;
+        }
+        totalAmount = totals.total;
+    }
+
+    const description = `${descriptionParts.join(', ')} sold to ${customerName}`;
+
+    // [NEW] Split / part payment legs; whatever they don't cover is owed by the customer
+    const payments = (saleData.payments || []).map(leg => ({ ...leg, amount: parseFloat(leg.amount) }));
+    const amountPaid = payments.reduce((sum, leg) => sum + leg.amount, 0);
+    if (amountPaid - totalAmount > 0.01) throw new Error("Payments are more than the sale total.");
+    const balanceDue = payments.length > 0 ? Math.round((totalAmount - amountPaid) * 100) / 100 : 0;
+
+    let paymentMethod = isCredit ? 'CREDIT' : finalSaleType.toUpperCase();
+    if (payments.length > 0) paymentMethod = balanceDue > 0 ? 'PART_PAYMENT' : 'SPLIT';
+
+    // [NEW] Banks move in their own currency; customer balances are kept in the base currency
+    for (const leg of payments) {
+        if (!leg.bankId) continue;
+        const bankAmount = await toBankAmount(user, leg.bankId, leg.amount, { ...currencyInfo, date: entryDate }, { session });
+        if (bankAmount !== leg.amount) leg.bankAmount = bankAmount;
+    }
+    const currencyData = currencyFields(currencyInfo, totalAmount);
+    if (payments.length === 0 && !isCredit && safeBankId) {
+        const bankAmount = await toBankAmount(user, safeBankId, totalAmount, { ...currencyInfo, date: entryDate }, { session });
+        if (bankAmount !== roundAmount(totalAmount)) currencyData.bankAmount = bankAmount;
+    }
+
+    const transactionData = { 
+        userId: user._id, 
+        totalAmount, 
+        items: processedItems, 
+        date: entryDate, 
+        description, 
+        linkedCustomerId: customer._id, 
+        linkedBankId: safeBankId, 
+        paymentMethod, 
+        payments,
+        balanceDue,
+        dueDate: saleData.dueDate ? new Date(saleData.dueDate) : null,
+        loggedBy: loggedBy || 'Owner',
+        locationId,
+        ...(replaceId && { editedBy: saleData.editedBy }),
+        ...pricingBreakdown,
+        ...currencyData
+    };
+
+    const transaction = replaceId
+        ? await replaceSaleTransaction(replaceId, transactionData, { session })
+        : await createSaleTransaction(transactionData, { session });
+
+    for (const item of processedItems) {
+        if (item.productId && !item.isService) {
+             const updatedProduct = await updateStock(item.productId, -baseQuantity(item), replaceId ? 'SALE_EDIT' : 'SALE', transaction._id, { session, costing, locationId });
+             // [NEW] Under FIFO the line costs what its layers cost, not the average before the sale
+             if (updatedProduct.drawnUnitCost !== undefined) item.costPrice = updatedProduct.drawnUnitCost * (item.unitFactor || 1);
+             
+             if (updatedProduct.quantity <= (updatedProduct.reorderLevel || 5)) {
+                 transaction.lowStockAlert = updatedProduct;
+             }
+        }
+    }
+    if (costing === COSTING_METHODS.FIFO) {
+        const saved = await setSaleItemCosts(transaction._id, processedItems.map(i => i.costPrice), { session });
+        transaction.items = saved.items;
+    }
+       
+    if (payments.length > 0) {
+        for (const leg of payments) {
+            // Cash in hand is kept in the base currency
+            if (leg.bankId) await updateBankBalance(leg.bankId, leg.bankAmount ?? leg.amount, { session });
+            else await updateCashBalance(user._id, convertToBase(leg.amount, currencyInfo.exchangeRate), { session });
+        }
+        if (balanceDue > 0) await updateBalanceOwed(customer._id, convertToBase(balanceDue, currencyInfo.exchangeRate), { session });
+    } else if (isCredit) {
+        await updateBalanceOwed(customer._id, convertToBase(totalAmount, currencyInfo.exchangeRate), { session });
+    } else if (safeBankId && !isNaN(totalAmount) && totalAmount > 0) {
+        await updateBankBalance(safeBankId, currencyData.bankAmount ?? totalAmount, { session });
+    } else if (!isNaN(totalAmount) && totalAmount > 0) {
+        // [NEW] No bank picked means the customer paid cash
+        await updateCashBalance(user._id, convertToBase(totalAmount, currencyInfo.exchangeRate), { session });
+    }
+
+    await postTransactionJournal(transaction, { session });
+    return transaction;
+}
+
+export async function logSale(user, saleData) {
+    const { items } = saleData;
+    if (!items || items.length === 0) throw new Error("No items found in the sale data.");
+
+    const taxSettings = await getTaxSettings(user);
+    const costing = await getCostingMethod(user);
+    const entryDate = resolveEntryDate(saleData.date);
+    const currencyInfo = await resolveExchangeRate(user, saleData.currency, entryDate);
+
     const client = getDB().client;
     const session = client.startSession();
 
@@ -34,101 +293,321 @@ export async function logSale(user, saleData) {
         let transactionResult;
 
         await session.withTransaction(async () => {
-            const customer = await findOrCreateCustomer(user._id, customerName, { session });
-            let totalAmount = 0;
-            let descriptionParts = [];
-            const processedItems = [];
-
-            for (let i = 0; i < items.length; i++) {
-                const item = items[i];
-                
-                if (!item.productName || !item.quantity || isNaN(item.quantity) || item.pricePerUnit === undefined || isNaN(item.pricePerUnit)) {
-                     throw new Error(`Item ${i+1} (${item.productName || 'Unknown'}) has invalid details.`);
-                }
+            transactionResult = await applySale(user, saleData, { session, taxSettings, costing, entryDate, currencyInfo });
+            await attachPendingReceipt(user, transactionResult._id, { session });
+        });
 
-                const quantity = parseFloat(item.quantity);
-                const price = parseFloat(item.pricePerUnit);
-                totalAmount += quantity * price;
-
-                let costPriceSnapshot = 0;
-                let productId = null;
-
-                if (item.productId) {
-                    try {
-                        productId = (typeof item.productId === 'string') ? new ObjectId(item.productId) : item.productId;
-                        const product = await getDB().collection('products').findOne({ _id: productId }, { session });
-                        if (product) costPriceSnapshot = product.costPrice || 0;
-                    } catch (e) {
-                        logger.warn(`Invalid Product ID ignored: ${item.productId}`);
-                    }
-                } 
-                else if (!item.isService) {
-                    const cleanName = item.productName.trim(); 
-                    const product = await findProductByName(user._id, cleanName, { session });
-                    if (product) {
-                        productId = product._id;
-                        costPriceSnapshot = product.costPrice || 0;
-                    }
-                }
+        if (transactionResult?.lowStockAlert) {
+            const p = transactionResult.lowStockAlert;
+            await sendTextMessage(user.whatsappId, 
+                `⚠️ *Low Stock Alert:*\n"${p.productName}" is down to *${describeQuantity(p, p.quantity)}*.\n\nReply with 'Restock ${p.productName} ...' to add more.`
+            );
+        }
 
-                processedItems.push({
-                    productId: productId,
-                    productName: item.productName,
-                    quantity: quantity,
-                    pricePerUnit: price,
-                    costPrice: costPriceSnapshot, 
-                    isService: !!item.isService
-                });
-                
-                descriptionParts.push(`${quantity} x ${item.productName}`);
-            }
-
-            const description = `${descriptionParts.join(', ')} sold to ${customerName}`;
-
-            const transactionData = { 
-                userId: user._id, 
-                totalAmount, 
-                items: processedItems, 
-                date: new Date(), 
-                description, 
-                linkedCustomerId: customer._id, 
-                linkedBankId: safeBankId, 
-                paymentMethod: isCredit ? 'CREDIT' : finalSaleType.toUpperCase(), 
-                dueDate: saleData.dueDate ? new Date(saleData.dueDate) : null,
-                loggedBy: loggedBy || 'Owner' 
-            };
-
-            const transaction = await createSaleTransaction(transactionData, { session });
-            transactionResult = transaction;
+        return transactionResult;
 
-            for (const item of processedItems) {
-                if (item.productId && !item.isService) {
-                     const updatedProduct = await updateStock(item.productId, -item.quantity, 'SALE', transaction._id, { session });
-                     
-                     if (updatedProduct.quantity <= (updatedProduct.reorderLevel || 5)) {
-                         transactionResult.lowStockAlert = updatedProduct;
-                     }
-                }
+    } catch (error) {
+        logger.error('Transaction Failed (Rolled Back):', error);
+        throw error;
+    } finally {
+        await session.endSession();
+    }
+}
+
+// Banks move in their own currency, cash in hand in the base currency
+const moneyMoved = (tx) => tx.linkedBankId ? (tx.bankAmount ?? tx.amount) : (tx.baseAmount ?? tx.amount);
+
+// Who made a change, as recorded on the entry (matches `loggedBy`)
+const actorName = (user) => (user.isStaff ? user.staffName : 'Owner');
+
+/**
+ * Replays the stock, money and customer/supplier balance moves an entry made, at the
+ * amounts it was booked at. `direction` -1 undoes them (void / before an edit), 1 redoes them.
+ */
+async function applyTransactionEffects(user, tx, direction, { session }) {
+    const opts = { session };
+    const costing = await getCostingMethod(user);
+    const stockOpts = { session, costing, locationId: tx.locationId || null };
+
+    if (tx.type === 'SALE') {
+        for (const item of tx.items || []) {
+            if (item.productId && !item.isService) {
+                await updateStock(item.productId, -direction * baseQuantity(item), direction < 0 ? 'SALE_REVERSED' : 'SALE', tx._id, {
+                    ...stockOpts, ...(direction < 0 && returnCost(item, costing))
+                });
+            }
+        }
+        if (tx.payments && tx.payments.length > 0) {
+            for (const leg of tx.payments) {
+                const legAmount = leg.bankId ? (leg.bankAmount ?? leg.amount) : convertToBase(leg.amount, tx.exchangeRate);
+                await updateMoneyBalance(user._id, leg.bankId, direction * legAmount, opts);
             }
-           
-            if (isCredit) {
-                await updateBalanceOwed(customer._id, totalAmount, { session });
-            } else if (safeBankId && !isNaN(totalAmount) && totalAmount > 0) {
-                await updateBankBalance(safeBankId, totalAmount, { session });
+            if (tx.balanceDue > 0 && tx.linkedCustomerId) await updateBalanceOwed(tx.linkedCustomerId, direction * convertToBase(tx.balanceDue, tx.exchangeRate), opts);
+        } else if (tx.paymentMethod === 'CREDIT' && tx.linkedCustomerId) {
+            await updateBalanceOwed(tx.linkedCustomerId, direction * (tx.baseAmount ?? tx.amount), opts);
+        } else {
+            await updateMoneyBalance(user._id, tx.linkedBankId, direction * moneyMoved(tx), opts);
+        }
+    } else if (tx.type === 'EXPENSE') {
+        await updateMoneyBalance(user._id, tx.linkedBankId, -direction * moneyMoved(tx), opts);
+    } else if (tx.type === 'CUSTOMER_PAYMENT') {
+        if (tx.linkedCustomerId) await updateBalanceOwed(tx.linkedCustomerId, -direction * tx.amount, opts);
+        await updateMoneyBalance(user._id, tx.linkedBankId, direction * moneyMoved(tx), opts);
+    } else if (tx.type === 'PURCHASE') {
+        for (const item of tx.items || []) {
+            if (item.productId) await updateStock(item.productId, direction * baseQuantity(item), direction < 0 ? 'PURCHASE_REVERSED' : 'PURCHASE', tx._id, stockOpts);
+        }
+        if (tx.paymentMethod === 'CREDIT' && tx.linkedSupplierId) {
+            await updateSupplierBalance(tx.linkedSupplierId, direction * tx.amount, tx.exchangeRate ? { baseAmountChange: direction * tx.baseAmount, ...opts } : opts);
+        } else await updateMoneyBalance(user._id, tx.linkedBankId, -direction * moneyMoved(tx), opts);
+        // Goods received on a purchase order go back to "expected" on that order
+        if (tx.linkedPurchaseOrderId) {
+            await recordPurchaseOrderReceipt(tx.linkedPurchaseOrderId, (tx.items || []).map(i => ({ productName: i.productName, quantity: direction * i.quantity })), opts);
+        }
+    } else if (tx.type === 'SUPPLIER_PAYMENT') {
+        if (tx.linkedSupplierId) {
+            await updateSupplierBalance(tx.linkedSupplierId, -direction * tx.amount, tx.settledBaseAmount !== undefined ? { baseAmountChange: -direction * tx.settledBaseAmount, ...opts } : opts);
+        }
+        await updateMoneyBalance(user._id, tx.linkedBankId, -direction * moneyMoved(tx), opts);
+    } else if (tx.type === 'RETURN') {
+        for (const item of tx.items || []) {
+            if (item.productId && !item.isService) {
+                await updateStock(item.productId, direction * baseQuantity(item), direction < 0 ? 'RETURN_REVERSED' : 'RETURN', tx._id, {
+                    ...stockOpts, batchSourceId: tx.linkedSaleId, ...(direction > 0 && returnCost(item, costing))
+                });
             }
+        }
+        if (tx.refundMethod === 'DEBT' && tx.linkedCustomerId) await updateBalanceOwed(tx.linkedCustomerId, -direction * (tx.baseAmount ?? tx.amount), opts);
+        else if (tx.refundMethod === 'STORE_CREDIT' && tx.linkedCustomerId) await updateStoreCredit(tx.linkedCustomerId, direction * (tx.baseAmount ?? tx.amount), opts);
+        else await updateMoneyBalance(user._id, tx.linkedBankId, -direction * moneyMoved(tx), opts);
+    } else if (tx.type === 'TRANSFER') {
+        await updateMoneyBalance(user._id, tx.fromBankId, -direction * tx.amount, opts);
+        await updateMoneyBalance(user._id, tx.toBankId, direction * (tx.bankAmount ?? tx.amount), opts);
+    } else if (FINANCING_TYPES[tx.type]) {
+        await updateMoneyBalance(user._id, tx.linkedBankId, direction * FINANCING_TYPES[tx.type].direction * moneyMoved(tx), opts);
+    }
+}
+
+/**
+ * [NEW] Saves an edited sale (see utils/saleDraft.js). The old sale's stock, money and
+ * customer moves and its journal are undone and the draft is booked in their place, all in
+ * one session, so a failure part way leaves the original sale exactly as it was.
+ * The sale keeps its id, date and exchange rate.
+ */
+export async function editSale(user, saleId, draft) {
+    if (!draft.items || draft.items.length === 0) throw new Error("A sale needs at least one item. To remove it completely, delete it instead.");
+
+    const taxSettings = await getTaxSettings(user);
+    const costing = await getCostingMethod(user);
+    const client = getDB().client;
+    const session = client.startSession();
+
+    try {
+        let transactionResult;
+
+        await session.withTransaction(async () => {
+            const original = await findLiveTransaction(user, saleId, { session });
+            if (original.type !== 'SALE') throw new Error("I couldn't find that sale.");
+
+            const returns = await getReturnsForSale(original._id, { session });
+            if (returns.length > 0) throw new Error("Items from this sale have been returned, so it can't be edited. Delete the return first.");
+
+            const currencyInfo = original.exchangeRate
+                ? { currency: original.currency, exchangeRate: original.exchangeRate }
+                : await resolveExchangeRate(user, null, original.date, { session });
+
+            await applyTransactionEffects(user, original, -1, { session });
+            await reverseJournalEntries(user._id, original._id, { session }, { backdate: true });
+
+            transactionResult = await applySale(user, { ...draft, loggedBy: original.loggedBy, editedBy: actorName(user), locationId: original.locationId || null }, {
+                session, taxSettings, costing, entryDate: original.date, currencyInfo, replaceId: original._id
+            });
         });
 
         if (transactionResult?.lowStockAlert) {
             const p = transactionResult.lowStockAlert;
-            await sendTextMessage(user.whatsappId, 
-                `⚠️ *Low Stock Alert:*\n"${p.productName}" is down to *${p.quantity} units*.\n\nReply with 'Restock ${p.productName} ...' to add more.`
+            await sendTextMessage(user.whatsappId,
+                `⚠️ *Low Stock Alert:*\n"${p.productName}" is down to *${describeQuantity(p, p.quantity)}*.\n\nReply with 'Restock ${p.productName} ...' to add more.`
             );
         }
 
         return transactionResult;
 
     } catch (error) {
-        logger.error('Transaction Failed (Rolled Back):', error);
+        logger.error('Sale edit failed (Rolled Back):', error);
+        throw error;
+    } finally {
+        await session.endSession();
+    }
+}
+
+// Loads an entry for a reconciliation change, refusing ones that are gone or belong to someone else
+async function findLiveTransaction(user, transactionId, { session }) {
+    const tx = await findTransactionById(transactionId, { session });
+    if (!tx || String(tx.userId) !== String(user._id)) throw new Error("Transaction not found.");
+    if (tx.voidedAt) throw new Error("This transaction has already been deleted.");
+    return tx;
+}
+
+// Undoes a live entry's money and stock effects and marks it voided; runs inside the caller's session
+async function voidLiveTransaction(user, tx, session) {
+    // Returned goods are already back in stock, so the sale can't be unwound while returns point at it
+    if (tx.type === 'SALE' && (await getReturnsForSale(tx._id, { session })).length > 0) {
+        throw new Error("This sale has returns logged against it. Please delete the returns first.");
+    }
+
+    await applyTransactionEffects(user, tx, -1, { session });
+    await reverseJournalEntries(user._id, tx._id, { session });
+    const voided = await voidTransactionById(tx._id, actorName(user), { session });
+    if (!voided) throw new Error("This transaction has already been deleted.");
+    return voided;
+}
+
+/**
+ * [NEW] Deletes an entry the auditable way: its stock and balance moves are undone, its journal
+ * is cancelled by reversing entries and the document is kept, marked voided. All in one session.
+ */
+export async function voidTransaction(user, transactionId) {
+    const session = getDB().client.startSession();
+    try {
+        let voided;
+        await session.withTransaction(async () => {
+            const tx = await findLiveTransaction(user, transactionId, { session });
+            voided = await voidLiveTransaction(user, tx, session);
+        });
+        return voided;
+    } catch (error) {
+        logger.error('Void failed (Rolled Back):', error);
+        throw error;
+    } finally {
+        await session.endSession();
+    }
+}
+
+/**
+ * [NEW] Changes the figures on an expense or customer payment. The old amounts are undone and the
+ * new ones applied, with the journal re-posted, in one session.
+ */
+export async function amendTransaction(user, transactionId, changes) {
+    const session = getDB().client.startSession();
+    try {
+        let saved;
+        await session.withTransaction(async () => {
+            const original = await findLiveTransaction(user, transactionId, { session });
+            const update = { ...changes, editedAt: new Date(), editedBy: actorName(user) };
+
+            if (changes.amount !== undefined) {
+                const newAmount = parseFloat(changes.amount);
+                if (isNaN(newAmount) || newAmount <= 0) throw new Error("That doesn't look like a valid amount.");
+                update.amount = newAmount;
+                // Foreign-currency entries keep their booked rate; the base amount drives cash and the journal
+                if (original.exchangeRate) {
+                    Object.assign(update, currencyFields({ currency: original.currency, exchangeRate: original.exchangeRate }, newAmount));
+                }
+                // A foreign-currency bank moved at the same rate as before
+                if (original.bankAmount !== undefined) update.bankAmount = roundAmount(original.bankAmount * (newAmount / original.amount));
+                // Input VAT on an expense keeps the same share of the corrected amount
+                if (original.type === 'EXPENSE' && original.taxAmount > 0) {
+                    update.taxAmount = roundAmount(original.taxAmount * (newAmount / original.amount));
+                }
+            }
+
+            await applyTransactionEffects(user, original, -1, { session });
+            saved = await updateTransactionById(original._id, update, { session });
+            await applyTransactionEffects(user, saved, 1, { session });
+
+            // Replace the original journal entry with one that matches the edited figures
+            await reverseJournalEntries(user._id, original._id, { session }, { backdate: true });
+            await postTransactionJournal(saved, { session });
+        });
+        return saved;
+    } catch (error) {
+        logger.error('Transaction edit failed (Rolled Back):', error);
+        throw error;
+    } finally {
+        await session.endSession();
+    }
+}
+
+/**
+ * [NEW] Moves an entry to another date. No money or stock moves, but the journal is re-posted
+ * with a backdated reversal so the old period nets to zero.
+ */
+export async function redateTransaction(user, transactionId, newDate) {
+    const session = getDB().client.startSession();
+    try {
+        let saved;
+        await session.withTransaction(async () => {
+            const original = await findLiveTransaction(user, transactionId, { session });
+            saved = await updateTransactionById(original._id, { date: newDate, editedAt: new Date(), editedBy: actorName(user) }, { session });
+            await reverseJournalEntries(user._id, original._id, { session }, { backdate: true });
+            await postTransactionJournal(saved, { session });
+        });
+        return saved;
+    } catch (error) {
+        logger.error('Re-dating failed (Rolled Back):', error);
+        throw error;
+    } finally {
+        await session.endSession();
+    }
+}
+
+/**
+ * [NEW] Takes back the latest change the sender (owner or staff) made within the last
+ * `windowMinutes`. Entries it created are voided; stock added by a restock or bulk import is
+ * removed, with the bank and ledger put back, using the inventory logs of that message.
+ * @returns {Promise<{voided: object[], restocks: Array<{productName: string, quantity: number}>}|null>}
+ *   null when there is nothing recent to undo.
+ */
+export async function undoLastAction(user, { windowMinutes }) {
+    const since = new Date(Date.now() - windowMinutes * 60 * 1000);
+    const recent = await getAuditLog(user._id, { whatsappId: user.whatsappId, startDate: since, limit: 200 });
+    const { sourceMessageId, undoable } = pickUndoTarget(recent);
+    if (!sourceMessageId) return null;
+    if (!undoable) throw new Error("Your last change was an edit or a delete, which undo can't take back. Use 'Edit a transaction' instead.");
+
+    const session = getDB().client.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = { voided: [], restocks: [] };
+            const entries = await getAuditEntriesForMessage(user._id, sourceMessageId, { session });
+            const created = entries.filter(e => e.entity === 'TRANSACTION' && e.action === 'CREATE');
+
+            if (created.length > 0) {
+                for (const entry of created.reverse()) {
+                    const tx = await findLiveTransaction(user, entry.entityId, { session });
+                    result.voided.push(await voidLiveTransaction(user, tx, session));
+                }
+            } else {
+                const adjustments = await getStockAdjustmentsForMessage(user._id, sourceMessageId, { session });
+                for (const log of adjustments) {
+                    const product = await updateStock(log.productId, -log.quantityChange, 'UNDO', null, { session, batchId: log.batches?.[0]?.batchId, locationId: log.locationId });
+                    result.restocks.push({ productName: product.productName, quantity: log.quantityChange });
+                }
+
+                // The first snapshot of each product in the message holds the cost before the restock
+                const restored = new Set();
+                for (const entry of entries.filter(e => e.entity === 'PRODUCT' && e.note === 'STOCK_ADJUSTMENT')) {
+                    const key = entry.entityId.toString();
+                    if (restored.has(key)) continue;
+                    restored.add(key);
+                    if (entry.before) await restoreCostPrice(entry.entityId, entry.before.costPrice, { session });
+                }
+
+                for (const entry of entries.filter(e => e.entity === 'BANK_ACCOUNT' && e.action === 'UPDATE' && e.before)) {
+                    const moved = roundAmount((entry.after.balance || 0) - (entry.before.balance || 0));
+                    if (moved !== 0) await updateBankBalance(entry.entityId, -moved, { session });
+                }
+
+                await reverseMessageJournalEntries(user._id, sourceMessageId, 'STOCK_PURCHASE', { session });
+            }
+
+            await recordAudit(user._id, { action: 'UNDO', entity: 'MESSAGE', note: sourceMessageId }, { session });
+        });
+        return result;
+    } catch (error) {
+        logger.error('Undo failed (Rolled Back):', error);
         throw error;
     } finally {
         await session.endSession();
@@ -136,7 +615,16 @@ export async function logSale(user, saleData) {
 }
 
 export async function logExpense(user, expenseData) {
-    const { category, amount, description, linkedBankId, loggedBy } = expenseData;
+    const { category, amount, description, linkedBankId, loggedBy, includesVat, vatAmount } = expenseData;
+    const entryDate = resolveEntryDate(expenseData.date);
+    const currencyInfo = await resolveExchangeRate(user, expenseData.currency, entryDate);
+
+    // Input VAT on the expense can be reclaimed against output VAT on sales
+    let taxAmount = parseFloat(vatAmount) || 0;
+    if (!taxAmount && includesVat) {
+        const taxSettings = await getTaxSettings(user);
+        if (taxSettings && taxSettings.enabled) taxAmount = extractInclusiveTax(parseFloat(amount), taxSettings.rate);
+    }
     
     let safeBankId = null;
     if (linkedBankId) {
@@ -152,20 +640,33 @@ export async function logExpense(user, expenseData) {
         let transactionResult;
 
         await session.withTransaction(async () => {
+            const currencyData = currencyFields(currencyInfo, parseFloat(amount));
+            if (safeBankId) {
+                const bankAmount = await toBankAmount(user, safeBankId, parseFloat(amount), { ...currencyInfo, date: entryDate }, { session });
+                if (bankAmount !== roundAmount(parseFloat(amount))) currencyData.bankAmount = bankAmount;
+            }
+
             const transaction = await createExpenseTransaction({
                 userId: user._id,
                 amount: parseFloat(amount),
-                date: new Date(),
+                date: entryDate,
                 description,
                 category,
                 linkedBankId: safeBankId,
-                loggedBy: loggedBy || 'Owner'
+                taxAmount,
+                loggedBy: loggedBy || 'Owner',
+                ...currencyData
             }, { session });
 
             if (safeBankId) {
-                await updateBankBalance(safeBankId, -parseFloat(amount), { session });
+                await updateBankBalance(safeBankId, -(currencyData.bankAmount ?? parseFloat(amount)), { session });
+            } else {
+                await updateCashBalance(user._id, -(currencyData.baseAmount ?? parseFloat(amount)), { session });
             }
+
+            await postTransactionJournal(transaction, { session });
             
+            await attachPendingReceipt(user, transaction._id, { session });
             transactionResult = transaction;
         });
 
@@ -181,6 +682,7 @@ export async function logExpense(user, expenseData) {
 export async function logCustomerPayment(user, paymentData) {
     const { customerName, amount, linkedBankId, loggedBy } = paymentData;
     const paymentAmount = parseFloat(amount);
+    const entryDate = resolveEntryDate(paymentData.date);
     
     let safeBankId = null;
     if (linkedBankId) {
@@ -197,23 +699,29 @@ export async function logCustomerPayment(user, paymentData) {
 
         await session.withTransaction(async () => {
             const customer = await findOrCreateCustomer(user._id, customerName, { session });
+            const bankAmount = safeBankId ? await toBankAmount(user, safeBankId, paymentAmount, { date: entryDate }, { session }) : paymentAmount;
 
             const transaction = await createCustomerPaymentTransaction({
                 userId: user._id,
                 linkedCustomerId: customer._id,
                 amount: paymentAmount,
-                date: new Date(),
+                date: entryDate,
                 description: `Payment received from ${customer.customerName}`,
                 linkedBankId: safeBankId,
-                loggedBy: loggedBy || 'Owner'
+                loggedBy: loggedBy || 'Owner',
+                ...(bankAmount !== roundAmount(paymentAmount) && { bankAmount })
             }, { session });
 
             const updatedCustomer = await updateBalanceOwed(customer._id, -paymentAmount, { session });
             
             if (safeBankId) {
-                await updateBankBalance(safeBankId, paymentAmount, { session });
+                await updateBankBalance(safeBankId, bankAmount, { session });
+            } else {
+                await updateCashBalance(user._id, paymentAmount, { session });
             }
 
+            await postTransactionJournal(transaction, { session });
+
             resultData = { transaction, updatedCustomer };
         });
 
@@ -225,3 +733,372 @@ export async function logCustomerPayment(user, paymentData) {
         await session.endSession();
     }
 }
+
+export async function logSupplierPayment(user, paymentData) {
+    const { supplierName, amount, linkedBankId, loggedBy } = paymentData;
+    const paymentAmount = parseFloat(amount);
+
+    const supplier = supplierName ? await findSupplierByName(user._id, supplierName) : null;
+    if (!supplier) throw new Error(`I don't have a supplier called "${supplierName}".`);
+
+    // [NEW] Foreign-currency suppliers are paid in their currency at today's rate
+    const currencyInfo = await resolveExchangeRate(user, supplier.currency);
+    let settlement = {};
+    if (currencyInfo.exchangeRate !== 1) {
+        const { settledBaseAmount, fxGainLoss } = settleForeignBalance({
+            balance: supplier.balanceOwed || 0,
+            balanceBase: supplier.balanceOwedBase || 0,
+            paidAmount: paymentAmount,
+            exchangeRate: currencyInfo.exchangeRate
+        });
+        settlement = { settledBaseAmount, fxGainLoss };
+    }
+    
+    let safeBankId = null;
+    if (linkedBankId) {
+        try {
+            safeBankId = (typeof linkedBankId === 'string') ? new ObjectId(linkedBankId) : linkedBankId;
+        } catch(e) { safeBankId = null; }
+    }
+
+    const client = getDB().client;
+    const session = client.startSession();
+
+    try {
+        let resultData;
+
+        await session.withTransaction(async () => {
+            const currencyData = { ...currencyFields(currencyInfo, paymentAmount), ...settlement };
+            if (safeBankId) {
+                const bankAmount = await toBankAmount(user, safeBankId, paymentAmount, currencyInfo, { session });
+                if (bankAmount !== roundAmount(paymentAmount)) currencyData.bankAmount = bankAmount;
+            }
+
+            const transaction = await createSupplierPaymentTransaction({
+                userId: user._id,
+                linkedSupplierId: supplier._id,
+                amount: paymentAmount,
+                date: new Date(),
+                description: `Payment to ${supplier.supplierName}`,
+                linkedBankId: safeBankId,
+                loggedBy: loggedBy || 'Owner',
+                ...currencyData
+            }, { session });
+
+            const balanceOptions = settlement.settledBaseAmount !== undefined ? { session, baseAmountChange: -settlement.settledBaseAmount } : { session };
+            const updatedSupplier = await updateSupplierBalance(supplier._id, -paymentAmount, balanceOptions);
+            
+            if (safeBankId) {
+                await updateBankBalance(safeBankId, -(currencyData.bankAmount ?? paymentAmount), { session });
+            } else {
+                await updateCashBalance(user._id, -(currencyData.baseAmount ?? paymentAmount), { session });
+            }
+
+            await postTransactionJournal(transaction, { session });
+
+            resultData = { transaction, updatedSupplier };
+        });
+
+        return resultData;
+    } catch (error) {
+        logger.error('Supplier Payment Failed (Rolled Back):', error);
+        throw error;
+    } finally {
+        await session.endSession();
+    }
+}
+
+/**
+ * [NEW] Moves money between two of the business's own accounts in one go.
+ * A missing bank id on either side means cash in hand. The amount is in the
+ * sending account's currency.
+ */
+export async function logTransfer(user, transferData) {
+    const { fromBankId, toBankId, amount, loggedBy } = transferData;
+    const transferAmount = parseFloat(amount);
+    if (!transferAmount || transferAmount <= 0) throw new Error("How much was moved?");
+    if (String(fromBankId || 'cash') === String(toBankId || 'cash')) throw new Error("Please pick two different accounts.");
+
+    const client = getDB().client;
+    const session = client.startSession();
+
+    try {
+        let resultData;
+
+        await session.withTransaction(async () => {
+            const fromAccount = fromBankId ? await findBankAccountById(fromBankId, { session }) : await getCashAccount(user._id, { session });
+            const toAccount = toBankId ? await findBankAccountById(toBankId, { session }) : await getCashAccount(user._id, { session });
+            // Bank ids come from button replies, so both accounts must belong to this business
+            const isOwn = (account) => account && String(account.userId) === String(user._id);
+            if (!isOwn(fromAccount) || !isOwn(toAccount)) throw new Error("I couldn't find one of those accounts.");
+
+            const currencyInfo = await resolveExchangeRate(user, fromAccount.currency, new Date(), { session });
+            const receivedAmount = toBankId
+                ? await toBankAmount(user, toBankId, transferAmount, currencyInfo, { session })
+                : convertToBase(transferAmount, currencyInfo.exchangeRate);
+
+            const transaction = await createTransferTransaction({
+                userId: user._id,
+                amount: transferAmount,
+                date: new Date(),
+                description: `Transfer from ${fromAccount.bankName} to ${toAccount.bankName}`,
+                fromBankId: fromBankId || null,
+                toBankId: toBankId || null,
+                loggedBy: loggedBy || 'Owner',
+                ...currencyFields(currencyInfo, transferAmount),
+                ...(receivedAmount !== roundAmount(transferAmount) && { bankAmount: receivedAmount })
+            }, { session });
+
+            const updatedFrom = await updateBankBalance(fromAccount._id, -transferAmount, { session });
+            const updatedTo = await updateBankBalance(toAccount._id, receivedAmount, { session });
+
+            await postTransactionJournal(transaction, { session });
+
+            resultData = { transaction, fromAccount: updatedFrom, toAccount: updatedTo };
+        });
+
+        return resultData;
+    } catch (error) {
+        logger.error('Transfer Failed (Rolled Back):', error);
+        throw error;
+    } finally {
+        await session.endSession();
+    }
+}
+
+/**
+ * [NEW] Logs owner capital, drawings and loans. These move money in or out of an
+ * account and onto the balance sheet, but are never income or expenses.
+ * @param {string} financingData.type - One of CAPITAL_INJECTION, OWNER_DRAWING, LOAN_RECEIVED, LOAN_REPAYMENT.
+ */
+export async function logFinancing(user, financingData) {
+    const { type, amount, description, lenderName, linkedBankId, loggedBy } = financingData;
+    const financingAmount = parseFloat(amount);
+    if (!FINANCING_TYPES[type]) throw new Error(`Unknown financing type: ${type}`);
+    if (!financingAmount || financingAmount <= 0) throw new Error("What was the amount?");
+
+    const { direction } = FINANCING_TYPES[type];
+    const currencyInfo = await resolveExchangeRate(user, financingData.currency);
+
+    let safeBankId = null;
+    if (linkedBankId) {
+        try {
+            safeBankId = (typeof linkedBankId === 'string') ? new ObjectId(linkedBankId) : linkedBankId;
+        } catch(e) { safeBankId = null; }
+    }
+
+    const client = getDB().client;
+    const session = client.startSession();
+
+    try {
+        let transactionResult;
+
+        await session.withTransaction(async () => {
+            const currencyData = currencyFields(currencyInfo, financingAmount);
+            if (safeBankId) {
+                const bankAmount = await toBankAmount(user, safeBankId, financingAmount, currencyInfo, { session });
+                if (bankAmount !== roundAmount(financingAmount)) currencyData.bankAmount = bankAmount;
+            }
+
+            const transaction = await createFinancingTransaction({
+                userId: user._id,
+                type,
+                amount: financingAmount,
+                date: new Date(),
+                description,
+                lenderName,
+                linkedBankId: safeBankId,
+                loggedBy: loggedBy || 'Owner',
+                ...currencyData
+            }, { session });
+
+            if (safeBankId) {
+                await updateBankBalance(safeBankId, direction * (currencyData.bankAmount ?? financingAmount), { session });
+            } else {
+                await updateCashBalance(user._id, direction * (currencyData.baseAmount ?? financingAmount), { session });
+            }
+
+            await postTransactionJournal(transaction, { session });
+
+            transactionResult = transaction;
+        });
+
+        return transactionResult;
+    } catch (error) {
+        logger.error('Financing Transaction Failed (Rolled Back):', error);
+        throw error;
+    } finally {
+        await session.endSession();
+    }
+}
+
+// What the customer gets back for returned items, VAT included where the sale charged it
+const returnValue = (items) => roundAmount(items.reduce((sum, i) =>
+    sum + (i.netAmount !== undefined ? i.netAmount + (i.taxAmount || 0) : i.quantity * i.pricePerUnit), 0));
+
+// [NEW] Matches the returned items against the original sale so the refund uses
+// the price the customer actually paid and the stock goes back at its original cost.
+
+export async function prepareReturn(user, returnData) {
+    const { items, customerName } = returnData;
+    if (!items || items.length === 0) throw new Error("Tell me which items were returned.");
+
+    let customer = null;
+    if (customerName) customer = await findCustomerByName(user._id, customerName);
+
+    // A sale picked by id must still be this business's and not deleted
+    const originalSale = returnData.linkedSaleId
+        ? await findLiveTransaction(user, returnData.linkedSaleId, {})
+        : await findSaleForReturn(user._id, items.map(i => i.productName), customer?._id);
+    if (originalSale && originalSale.type !== 'SALE') throw new Error("Returns can only be logged against a sale.");
+
+    if (!originalSale) {
+        throw new Error(`I couldn't find a sale of ${items.map(i => i.productName).join(', ')}${customer ? ` to ${customer.customerName}` : ''}.`);
+    }
+
+    if (!customer && originalSale.linkedCustomerId) {
+        customer = await findCustomerById(originalSale.linkedCustomerId);
+    }
+
+    const preparedItems = [];
+    for (const item of items) {
+        const soldItem = originalSale.items.find(i => i.productName.toLowerCase() === item.productName.trim().toLowerCase());
+        if (!soldItem) throw new Error(`"${item.productName}" was not part of the original sale.`);
+
+        const quantity = parseFloat(item.quantity) || 1;
+        const prepared = {
+            productId: soldItem.productId,
+            productName: soldItem.productName,
+            quantity,
+            pricePerUnit: soldItem.pricePerUnit,
+            costPrice: soldItem.costPrice || 0,
+            isService: !!soldItem.isService,
+            ...(soldItem.unitFactor && { unit: soldItem.unit, unitFactor: soldItem.unitFactor })
+        };
+        // Discounted / taxed lines are refunded at what the customer actually paid, pro rata
+        if (soldItem.netAmount !== undefined) {
+            prepared.netAmount = roundAmount(soldItem.netAmount * quantity / soldItem.quantity);
+        }
+        if (soldItem.taxAmount !== undefined) {
+            prepared.taxRate = soldItem.taxRate;
+            prepared.taxAmount = roundAmount(soldItem.taxAmount * quantity / soldItem.quantity);
+        }
+        preparedItems.push(prepared);
+    }
+
+    return {
+        ...returnData,
+        items: preparedItems,
+        amount: returnValue(preparedItems),
+        linkedSaleId: originalSale._id,
+        saleDate: originalSale.date,
+        currency: originalSale.currency,
+        salePaymentMethod: originalSale.paymentMethod,
+        linkedCustomerId: customer ? customer._id : null,
+        customerName: customer ? customer.customerName : (customerName || 'Walk-in Customer'),
+        customerBalanceOwed: customer ? (customer.balanceOwed || 0) : 0
+    };
+}
+
+export async function logReturn(user, returnData) {
+    const { items, linkedSaleId, linkedCustomerId, refundMethod, linkedBankId, loggedBy } = returnData;
+
+    if ((refundMethod === 'DEBT' || refundMethod === 'STORE_CREDIT') && !linkedCustomerId) {
+        throw new Error("A named customer is needed to adjust their balance or give store credit.");
+    }
+
+    let safeBankId = null;
+    if (linkedBankId) {
+        try {
+            safeBankId = (typeof linkedBankId === 'string') ? new ObjectId(linkedBankId) : linkedBankId;
+        } catch(e) { safeBankId = null; }
+    }
+
+    const costing = await getCostingMethod(user);
+    const client = getDB().client;
+    const session = client.startSession();
+
+    try {
+        let transactionResult;
+
+        await session.withTransaction(async () => {
+            // The sale may have been deleted since the return card was shown
+            const originalSale = await findLiveTransaction(user, linkedSaleId, { session });
+            if (originalSale.type !== 'SALE') throw new Error("Returns can only be logged against a sale.");
+
+            // Never accept back more than was sold, counting earlier returns on the same sale
+            const previousReturns = await getReturnsForSale(originalSale._id, { session });
+            for (const item of items) {
+                const sold = originalSale.items
+                    .filter(i => i.productName === item.productName)
+                    .reduce((sum, i) => sum + i.quantity, 0);
+                const alreadyReturned = previousReturns
+                    .flatMap(r => r.items)
+                    .filter(i => i.productName === item.productName)
+                    .reduce((sum, i) => sum + i.quantity, 0);
+
+                if (item.quantity > sold - alreadyReturned) {
+                    throw new Error(`Only ${sold - alreadyReturned} x ${item.productName} can still be returned from that sale.`);
+                }
+            }
+
+            const amount = returnValue(items);
+            const taxAmount = roundAmount(items.reduce((sum, i) => sum + (i.taxAmount || 0), 0));
+            const method = refundMethod || (safeBankId ? 'BANK' : 'CASH');
+
+            // Refunds go back in the sale's currency, at the rate the sale was booked at
+            const currencyInfo = { currency: originalSale.currency, exchangeRate: originalSale.exchangeRate || 1 };
+            const currencyData = currencyFields(currencyInfo, amount);
+            if ((method === 'BANK' || method === 'CASH') && safeBankId) {
+                const bankAmount = await toBankAmount(user, safeBankId, amount, currencyInfo, { session });
+                if (bankAmount !== amount) currencyData.bankAmount = bankAmount;
+            }
+            const baseAmount = convertToBase(amount, currencyInfo.exchangeRate);
+
+            const transaction = await createReturnTransaction({
+                userId: user._id,
+                amount,
+                date: new Date(),
+                description: `Return of ${items.map(i => `${i.quantity} x ${i.productName}`).join(', ')}`,
+                items,
+                linkedSaleId: originalSale._id,
+                linkedCustomerId,
+                linkedBankId: method === 'BANK' || method === 'CASH' ? safeBankId : null,
+                refundMethod: method,
+                taxAmount,
+                loggedBy: loggedBy || 'Owner',
+                locationId: originalSale.locationId || null,
+                ...currencyData
+            }, { session });
+
+            // Returned goods go back to the location they were sold from
+            for (const item of transaction.items) {
+                if (item.productId && !item.isService) {
+                    await updateStock(item.productId, baseQuantity(item), 'RETURN', transaction._id, {
+                        session, batchSourceId: originalSale._id, locationId: transaction.locationId || null, ...returnCost(item, costing)
+                    });
+                }
+            }
+
+            if (method === 'DEBT') {
+                await updateBalanceOwed(linkedCustomerId, -baseAmount, { session });
+            } else if (method === 'STORE_CREDIT') {
+                await updateStoreCredit(linkedCustomerId, baseAmount, { session });
+            } else if (transaction.linkedBankId) {
+                await updateBankBalance(transaction.linkedBankId, -(currencyData.bankAmount ?? amount), { session });
+            } else {
+                await updateCashBalance(user._id, -baseAmount, { session });
+            }
+
+            await postTransactionJournal(transaction, { session });
+            transactionResult = transaction;
+        });
+
+        return transactionResult;
+    } catch (error) {
+        logger.error('Return Failed (Rolled Back):', error);
+        throw error;
+    } finally {
+        await session.endSession();
+    }
+}
@@ -2,11 +2,16 @@ import * as XLSX from 'xlsx';
 import { getTransactionsByDateRange, countTransactionsByDateRange } from '../db/transactionService.js'; // [FIX] Import Count
 import { getAllProducts } from '../db/productService.js';
 import { getCustomersWithBalance } from '../db/customerService.js';
+import { getAgedPayables } from './ReportManager.js';
+import { getAuditLog } from '../db/auditService.js';
+import { describeChanges } from '../utils/audit.js';
+import { getAttachmentsForTransactions } from '../db/attachmentService.js';
+import { attachmentLink } from './AttachmentManager.js';
 import logger from '../utils/logger.js';
 
 /**
  * Generates a comprehensive Excel export for the user.
- * Includes Sheets: Transactions, Inventory, Debtors.
+ * Includes Sheets: Transactions, Inventory, Debtors, Creditors.
  */
 export async function generateDataExport(userId, startDate, endDate) {
     try {
@@ -23,12 +28,21 @@ export async function generateDataExport(userId, startDate, endDate) {
 
         // --- SHEET 1: TRANSACTIONS ---
         // Fetch all types
-        const sales = await getTransactionsByDateRange(userId, 'SALE', startDate, endDate);
-        const expenses = await getTransactionsByDateRange(userId, 'EXPENSE', startDate, endDate);
-        const payments = await getTransactionsByDateRange(userId, 'CUSTOMER_PAYMENT', startDate, endDate);
+        // [NEW] Deleted entries are kept as voided; list them so the trail is complete
+        const opts = { includeVoided: true };
+        const sales = await getTransactionsByDateRange(userId, 'SALE', startDate, endDate, opts);
+        const expenses = await getTransactionsByDateRange(userId, 'EXPENSE', startDate, endDate, opts);
+        const payments = await getTransactionsByDateRange(userId, 'CUSTOMER_PAYMENT', startDate, endDate, opts);
+        const returns = await getTransactionsByDateRange(userId, 'RETURN', startDate, endDate, opts);
+        const purchases = await getTransactionsByDateRange(userId, 'PURCHASE', startDate, endDate, opts);
+        const supplierPayments = await getTransactionsByDateRange(userId, 'SUPPLIER_PAYMENT', startDate, endDate, opts);
 
         // Combine and Sort by Date
-        const allTx = [...sales, ...expenses, ...payments].sort((a, b) => new Date(a.date) - new Date(b.date));
+        const allTx = [...sales, ...expenses, ...payments, ...returns, ...purchases, ...supplierPayments].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+        // [NEW] Receipts kept with each entry
+        const attachments = await getAttachmentsForTransactions(allTx.map(tx => tx._id));
+        const receiptFor = new Map(attachments.map(a => [a.transactionId.toString(), attachmentLink(a)]));
 
         const txData = allTx.map(tx => ({
             Date: new Date(tx.date).toLocaleDateString('en-GB'), // DD/MM/YYYY
@@ -37,7 +51,9 @@ export async function generateDataExport(userId, startDate, endDate) {
             Description: tx.description,
             Category: tx.category || '-',
             PaymentMethod: tx.paymentMethod || '-',
-            LoggedBy: tx.loggedBy || 'Owner'
+            LoggedBy: tx.loggedBy || 'Owner',
+            Status: tx.voidedAt ? `Voided ${new Date(tx.voidedAt).toLocaleDateString('en-GB')} by ${tx.voidedBy || 'Owner'}` : 'Active',
+            Attachment: receiptFor.get(tx._id.toString()) || '-'
         }));
 
         const txSheet = XLSX.utils.json_to_sheet(txData);
@@ -68,6 +84,37 @@ export async function generateDataExport(userId, startDate, endDate) {
         const debtSheet = XLSX.utils.json_to_sheet(debtData);
         XLSX.utils.book_append_sheet(workbook, debtSheet, 'Debtors List');
 
+        // --- SHEET 4: CREDITORS (Aged Payables to suppliers) ---
+        const aged = await getAgedPayables(userId, endDate);
+        const credData = aged.suppliers.map(s => ({
+            Supplier: s.supplierName,
+            'Current (0-30)': s.current,
+            '31-60 Days': s.days31to60,
+            '61-90 Days': s.days61to90,
+            'Over 90 Days': s.over90,
+            TotalOwed: s.total
+        }));
+
+        const credSheet = XLSX.utils.json_to_sheet(credData);
+        XLSX.utils.book_append_sheet(workbook, credSheet, 'Creditors (Aged)');
+
+        // --- SHEET 5: ACTIVITY LOG (who changed what) ---
+        const activity = await getAuditLog(userId, { startDate, endDate, limit: 5000 });
+        const activityData = activity.reverse().map(entry => ({
+            Date: new Date(entry.createdAt).toLocaleString('en-GB'),
+            Actor: entry.actor?.name || 'System',
+            Role: entry.actor?.role || 'SYSTEM',
+            WhatsApp: entry.actor?.whatsappId || '-',
+            Action: entry.action,
+            Entity: entry.entity,
+            Note: entry.note || '-',
+            Changes: describeChanges(entry.before, entry.after).join('; ') || '-',
+            MessageId: entry.sourceMessageId || '-'
+        }));
+
+        const activitySheet = XLSX.utils.json_to_sheet(activityData);
+        XLSX.utils.book_append_sheet(workbook, activitySheet, 'Activity Log');
+
         // Generate Buffer
         return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
 
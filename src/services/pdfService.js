@@ -1,5 +1,7 @@
 import PDFDocument from 'pdfkit';
 import logger from '../utils/logger.js';
+import { describeExpiry } from '../utils/batches.js';
+import { stockByLocation, totalsByLocation } from '../utils/locations.js';
 
 const COLORS = {
     primary: '#2c3e50',    
@@ -152,7 +154,7 @@ const drawTableRow = (doc, y, columns, isHeader = false, isStriped = false, rowH
     doc.fillColor(COLORS.text);
 };
 
-export function generateSalesReport(user, transactions, periodTitle) {
+export function generateSalesReport(user, transactions, periodTitle, locations = []) {
     return new Promise(async (resolve, reject) => {
         try {
             const doc = new PDFDocument({ margin: 50, size: 'A4', bufferPages: true });
@@ -179,8 +181,10 @@ export function generateSalesReport(user, transactions, periodTitle) {
 
             let totalSales = 0;
             transactions.forEach((tx, i) => {
-                totalSales += tx.amount;
-                const formattedAmount = formatCurrency(tx.amount, user.currency);
+                // Reports are in the base currency; foreign sales show their original amount alongside
+                const amount = tx.baseAmount ?? tx.amount;
+                totalSales += amount;
+                const formattedAmount = formatCurrency(amount, user.currency);
                 const customerName = tx.customerName || 'Walk-in';
                 
                 let descriptionText = "";
@@ -189,6 +193,7 @@ export function generateSalesReport(user, transactions, periodTitle) {
                 } else {
                     descriptionText = tx.description.replace(/ sold to .*/i, '') || 'Sale';
                 }
+                if (tx.currency) descriptionText += `\n(${formatCurrency(tx.amount, tx.currency)})`;
 
                 const descHeight = doc.heightOfString(descriptionText, { width: colDesc.width });
                 const rowHeight = Math.max(descHeight, 20); 
@@ -223,6 +228,34 @@ export function generateSalesReport(user, transactions, periodTitle) {
             doc.font(FONTS.bold).fontSize(12).text('Total Sales:', 300, currentY, { align: 'right', width: 100 });
             doc.fillColor(COLORS.accent).text(formatCurrency(totalSales, user.currency), 410, currentY, { align: 'right', width: 110 });
 
+            // [NEW] Businesses with more than one shop see what each one sold
+            if (locations.length > 1) {
+                currentY += 40;
+                if (currentY > 700) { doc.addPage(); currentY = 50; }
+                doc.font(FONTS.bold).fontSize(12).fillColor(COLORS.primary).text('Sales by Location', 50, currentY);
+                currentY += 25;
+
+                const colLocation = { x: 50, width: 250 };
+                const colCount = { x: 310, width: 80, align: 'center' };
+                const colTotal = { x: 420, width: 100, align: 'right' };
+                drawTableRow(doc, currentY, [
+                    { text: 'LOCATION', ...colLocation },
+                    { text: 'SALES', ...colCount },
+                    { text: 'TOTAL', ...colTotal }
+                ], true);
+                currentY += 25;
+
+                totalsByLocation(transactions, locations).forEach((row, i) => {
+                    if (currentY > 750) { doc.addPage(); currentY = 50; }
+                    drawTableRow(doc, currentY, [
+                        { text: row.name, ...colLocation },
+                        { text: row.count.toString(), ...colCount },
+                        { text: formatCurrency(row.total, user.currency), ...colTotal }
+                    ], false, i % 2 === 0);
+                    currentY += 20;
+                });
+            }
+
             drawFooter(doc, timeZone);
             doc.end();
         } catch (error) {
@@ -258,13 +291,14 @@ export function generateExpenseReport(user, transactions, periodTitle) {
             transactions.forEach((tx, i) => {
                 if (currentY > 750) { doc.addPage(); currentY = 50; }
                 
-                totalExpenses += tx.amount;
+                const amount = tx.baseAmount ?? tx.amount;
+                totalExpenses += amount;
                 
                 drawTableRow(doc, currentY, [
                     { text: formatDate(tx.date, timeZone), ...cols[0] },
                     { text: tx.category || 'Uncategorized', ...cols[1] },
-                    { text: tx.description, ...cols[2] },
-                    { text: formatCurrency(tx.amount, user.currency), ...cols[3] }
+                    { text: tx.currency ? `${tx.description} (${formatCurrency(tx.amount, tx.currency)})` : tx.description, ...cols[2] },
+                    { text: formatCurrency(amount, user.currency), ...cols[3] }
                 ], false, i % 2 === 0);
                 currentY += 20;
             });
@@ -285,7 +319,7 @@ export function generateExpenseReport(user, transactions, periodTitle) {
     });
 }
 
-export function generateInventoryReport(user, products) {
+export function generateInventoryReport(user, products, batches = [], locations = []) {
     return new Promise((resolve, reject) => {
         try {
             const doc = new PDFDocument({ margin: 40, size: 'A4', bufferPages: true });
@@ -336,6 +370,75 @@ export function generateInventoryReport(user, products) {
                .text('Total Inventory Value:', 310, currentY, { width: 140, align: 'right' });
             doc.fillColor(COLORS.accent).text(formatCurrency(totalValue, user.currency), 460, currentY, { width: 90, align: 'right' });
 
+            // [NEW] Dated batches still in stock, soonest expiry first
+            if (batches.length > 0) {
+                currentY += 50;
+                if (currentY > 700) { doc.addPage(); currentY = 50; }
+                doc.font(FONTS.bold).fontSize(12).fillColor(COLORS.primary).text('Expiry Dates', 50, currentY);
+                currentY += 25;
+
+                const colProduct = { x: 50, width: 170 };
+                const colBatch = { x: 225, width: 70 };
+                const colBatchQty = { x: 300, width: 40, align: 'center' };
+                const colExpiry = { x: 345, width: 75 };
+                const colStatus = { x: 425, width: 125 };
+
+                drawTableRow(doc, currentY, [
+                    { text: 'PRODUCT', ...colProduct },
+                    { text: 'BATCH', ...colBatch },
+                    { text: 'QTY', ...colBatchQty },
+                    { text: 'EXPIRY', ...colExpiry },
+                    { text: 'STATUS', ...colStatus },
+                ], true);
+                currentY += 25;
+
+                batches.forEach((b, i) => {
+                    if (currentY > 750) { doc.addPage(); currentY = 50; }
+                    drawTableRow(doc, currentY, [
+                        { text: b.productName, ...colProduct },
+                        { text: b.batchNumber || '-', ...colBatch },
+                        { text: b.quantity.toString(), ...colBatchQty },
+                        { text: formatDate(b.expiryDate, timeZone), ...colExpiry },
+                        { text: describeExpiry(b.expiryDate), ...colStatus },
+                    ], false, i % 2 === 0);
+                    currentY += 20;
+                });
+            }
+
+            // [NEW] Where the stock sits when the business has more than one location
+            if (locations.length > 1) {
+                currentY += 40;
+                if (currentY > 700) { doc.addPage(); currentY = 50; }
+                doc.font(FONTS.bold).fontSize(12).fillColor(COLORS.primary).text('Stock by Location', 50, currentY);
+                currentY += 25;
+
+                const colProduct = { x: 50, width: 170 };
+                const colLocation = { x: 225, width: 150 };
+                const colLocQty = { x: 380, width: 60, align: 'center' };
+                const colLocVal = { x: 450, width: 100, align: 'right' };
+                drawTableRow(doc, currentY, [
+                    { text: 'PRODUCT', ...colProduct },
+                    { text: 'LOCATION', ...colLocation },
+                    { text: 'QTY', ...colLocQty },
+                    { text: 'VALUE', ...colLocVal },
+                ], true);
+                currentY += 25;
+
+                const rows = products.flatMap(p => stockByLocation(p, locations)
+                    .filter(l => l.quantity !== 0)
+                    .map(l => ({ productName: p.productName, location: l.name, quantity: l.quantity, value: l.quantity * (p.costPrice || 0) })));
+                rows.forEach((row, i) => {
+                    if (currentY > 750) { doc.addPage(); currentY = 50; }
+                    drawTableRow(doc, currentY, [
+                        { text: row.productName, ...colProduct },
+                        { text: row.location, ...colLocation },
+                        { text: row.quantity.toString(), ...colLocQty },
+                        { text: new Intl.NumberFormat('en-US').format(row.value), ...colLocVal },
+                    ], false, i % 2 === 0);
+                    currentY += 20;
+                });
+            }
+
             drawFooter(doc, timeZone);
             doc.end();
 
@@ -441,6 +544,12 @@ export function generatePnLReport(user, pnlData, periodTitle) {
             }
 
             drawSection('Revenue', pnlData.totalSales);
+            if (pnlData.totalDiscounts > 0) {
+                drawSubItem('Less: Discounts Given', -pnlData.totalDiscounts);
+            }
+            if (pnlData.totalReturns > 0) {
+                drawSubItem('Less: Sales Returns', -pnlData.totalReturns);
+            }
             drawLine();
 
             drawSection('Cost of Goods Sold', pnlData.totalCogs);
@@ -468,6 +577,11 @@ export function generatePnLReport(user, pnlData, periodTitle) {
             doc.text(formatCurrency(pnlData.totalExpenses, user.currency), rightX, y, { align: 'right', width: widthAmt });
             y += 30;
 
+            if (pnlData.fxGainLoss) {
+                drawSubItem('Foreign Exchange Gain / (Loss)', pnlData.fxGainLoss);
+                y += 10;
+            }
+
             if (y > 750) { doc.addPage(); y = 50; }
             const isLoss = pnlData.netProfit < 0;
             const bg = isLoss ? '#fce8e8' : '#e8fce8';
@@ -487,6 +601,327 @@ export function generatePnLReport(user, pnlData, periodTitle) {
     });
 }
 
+export function generateBalanceSheetReport(user, sheet, periodTitle) {
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({ margin: 50, size: 'A4', bufferPages: true });
+            const buffers = [];
+            doc.on('data', buffers.push.bind(buffers));
+            doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+            const timeZone = getTimeZone(user.currency);
+
+            let y = drawHeader(doc, user, 'Balance Sheet', periodTitle);
+            const rightX = 400;
+            const widthAmt = 140;
+
+            const drawHeading = (title) => {
+                if (y > 750) { doc.addPage(); y = 50; }
+                doc.font(FONTS.bold).fontSize(12).fillColor(COLORS.primary).text(title, 60, y);
+                y += 20;
+            };
+
+            const drawSubItem = (label, amount) => {
+                if (y > 750) { doc.addPage(); y = 50; }
+                doc.font(FONTS.regular).fontSize(10).fillColor(amount < 0 ? 'red' : COLORS.text).text(label, 80, y);
+                doc.text(formatCurrency(amount, user.currency), rightX, y, { align: 'right', width: widthAmt });
+                y += 20;
+            };
+
+            const drawTotal = (label, amount) => {
+                if (y > 750) { doc.addPage(); y = 50; }
+                doc.moveTo(350, y).lineTo(540, y).strokeColor(COLORS.border).stroke();
+                y += 10;
+                doc.font(FONTS.bold).fontSize(11).fillColor(COLORS.primary).text(label, 60, y);
+                doc.text(formatCurrency(amount, user.currency), rightX, y, { align: 'right', width: widthAmt });
+                y += 30;
+            };
+
+            // --- ASSETS ---
+            drawHeading('Assets');
+            sheet.assets.bankBalances.forEach(b => drawSubItem(`Bank: ${b.name}`, b.amount));
+            if (sheet.assets.cashInHand !== 0) drawSubItem('Cash in Hand', sheet.assets.cashInHand);
+            drawSubItem('Accounts Receivable (Debtors)', sheet.assets.receivables);
+            drawSubItem('Inventory (at cost)', sheet.assets.inventory);
+            drawTotal('Total Assets', sheet.assets.totalAssets);
+
+            // --- LIABILITIES ---
+            drawHeading('Liabilities');
+            drawSubItem('Accounts Payable (Creditors)', sheet.liabilities.payables);
+            drawSubItem('Customer Credits / Overpayments', sheet.liabilities.customerCredits);
+            if (sheet.liabilities.vatPayable) drawSubItem('VAT Payable', sheet.liabilities.vatPayable);
+            if (sheet.liabilities.loansPayable) drawSubItem('Loans Payable', sheet.liabilities.loansPayable);
+            drawTotal('Total Liabilities', sheet.liabilities.totalLiabilities);
+
+            // --- EQUITY ---
+            drawHeading("Owner's Equity");
+            drawSubItem('Owner Capital', sheet.equity.ownerEquity);
+            if (sheet.equity.ownerDrawings) drawSubItem("Less: Owner's Drawings", sheet.equity.ownerDrawings);
+            drawSubItem('Retained Earnings', sheet.equity.retainedEarnings);
+            drawTotal('Total Equity', sheet.equity.totalEquity);
+
+            if (y > 750) { doc.addPage(); y = 50; }
+            doc.rect(50, y - 10, 500, 40).fill('#e8f4fc');
+            doc.fillColor(COLORS.primary).fontSize(14).font(FONTS.bold).text('Total Liabilities & Equity', 60, y);
+            doc.text(formatCurrency(sheet.totalLiabilitiesAndEquity, user.currency), rightX, y, { align: 'right', width: widthAmt });
+
+            // Assets the ledger can't account for are shown, never hidden in equity
+            if (sheet.unreconciledDifference !== 0) {
+                y += 45;
+                if (y > 750) { doc.addPage(); y = 50; }
+                doc.font(FONTS.bold).fontSize(11).fillColor('red').text('Unreconciled Difference', 60, y);
+                doc.text(formatCurrency(sheet.unreconciledDifference, user.currency), rightX, y, { align: 'right', width: widthAmt });
+                y += 18;
+                doc.font(FONTS.regular).fontSize(9).text('Total assets minus liabilities and equity. Check for records logged before the ledger was kept.', 60, y, { width: 480 });
+            }
+
+            drawFooter(doc, timeZone);
+            doc.end();
+
+        } catch (error) {
+            logger.error('Error generating Balance Sheet PDF report:', error);
+            reject(error);
+        }
+    });
+}
+
+export function generateVatReport(user, vat, periodTitle) {
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({ margin: 50, size: 'A4', bufferPages: true });
+            const buffers = [];
+            doc.on('data', buffers.push.bind(buffers));
+            doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+            const timeZone = getTimeZone(user.currency);
+
+            let y = drawHeader(doc, user, 'VAT Report', periodTitle);
+            const rightX = 400;
+            const widthAmt = 140;
+
+            const taxSettings = user.taxSettings || {};
+            doc.font(FONTS.regular).fontSize(10).fillColor(COLORS.text);
+            if (taxSettings.taxId) {
+                doc.text(`Tax ID: ${taxSettings.taxId}`, 60, y);
+                y += 15;
+            }
+            doc.text(`Standard rate: ${taxSettings.rate || 0}% (${taxSettings.inclusive ? 'prices include VAT' : 'VAT added to prices'})`, 60, y);
+            y += 30;
+
+            const drawHeading = (title) => {
+                doc.font(FONTS.bold).fontSize(12).fillColor(COLORS.primary).text(title, 60, y);
+                y += 20;
+            };
+
+            const drawSubItem = (label, amount) => {
+                doc.font(FONTS.regular).fontSize(10).fillColor(COLORS.text).text(label, 80, y);
+                doc.text(formatCurrency(amount, user.currency), rightX, y, { align: 'right', width: widthAmt });
+                y += 20;
+            };
+
+            const drawTotal = (label, amount) => {
+                doc.moveTo(350, y).lineTo(540, y).strokeColor(COLORS.border).stroke();
+                y += 10;
+                doc.font(FONTS.bold).fontSize(11).fillColor(COLORS.primary).text(label, 60, y);
+                doc.text(formatCurrency(amount, user.currency), rightX, y, { align: 'right', width: widthAmt });
+                y += 30;
+            };
+
+            drawHeading('Output Tax (on Sales)');
+            drawSubItem(`Taxable sales, net of returns (${vat.salesCount} sales)`, vat.taxableSales);
+            drawSubItem('VAT charged on sales', vat.salesTax);
+            if (vat.returnsTax > 0) drawSubItem('Less: VAT refunded on returns', -vat.returnsTax);
+            drawTotal('Total Output Tax', vat.outputTax);
+
+            drawHeading('Input Tax (on Expenses)');
+            drawSubItem(`Expenses with VAT (${vat.expenseCount} expenses)`, vat.taxableExpenses);
+            drawTotal('Total Input Tax', vat.inputTax);
+
+            const isRefund = vat.netVatPayable < 0;
+            doc.rect(50, y - 10, 500, 40).fill(isRefund ? '#e8fce8' : '#fce8e8');
+            doc.fillColor(COLORS.primary).fontSize(14).font(FONTS.bold)
+               .text(isRefund ? 'VAT Reclaimable' : 'Net VAT Payable', 60, y);
+            doc.text(formatCurrency(Math.abs(vat.netVatPayable), user.currency), rightX, y, { align: 'right', width: widthAmt });
+
+            drawFooter(doc, timeZone);
+            doc.end();
+
+        } catch (error) {
+            logger.error('Error generating VAT PDF report:', error);
+            reject(error);
+        }
+    });
+}
+
+export function generateCashFlowReport(user, cashFlow, periodTitle) {
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({ margin: 50, size: 'A4', bufferPages: true });
+            const buffers = [];
+            doc.on('data', buffers.push.bind(buffers));
+            doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+            const timeZone = getTimeZone(user.currency);
+
+            let y = drawHeader(doc, user, 'Cash Flow', periodTitle);
+            const rightX = 400;
+            const widthAmt = 140;
+
+            const drawSubItem = (label, amount) => {
+                if (y > 750) { doc.addPage(); y = 50; }
+                doc.font(FONTS.regular).fontSize(10).fillColor(amount < 0 ? 'red' : COLORS.text).text(label, 80, y);
+                doc.text(formatCurrency(amount, user.currency), rightX, y, { align: 'right', width: widthAmt });
+                y += 20;
+            };
+
+            const drawActivity = (title, activity) => {
+                if (y > 750) { doc.addPage(); y = 50; }
+                doc.font(FONTS.bold).fontSize(12).fillColor(COLORS.primary).text(title, 60, y);
+                y += 20;
+
+                if (activity.items.length === 0) {
+                    doc.font(FONTS.italic).fontSize(10).fillColor(COLORS.text).text('No movements', 80, y);
+                    y += 20;
+                }
+                activity.items.forEach(item => drawSubItem(item.label, item.amount));
+
+                if (y > 750) { doc.addPage(); y = 50; }
+                doc.moveTo(350, y).lineTo(540, y).strokeColor(COLORS.border).stroke();
+                y += 10;
+                doc.font(FONTS.bold).fontSize(11).fillColor(activity.total < 0 ? 'red' : COLORS.primary)
+                   .text(`Net Cash from ${title}`, 60, y);
+                doc.text(formatCurrency(activity.total, user.currency), rightX, y, { align: 'right', width: widthAmt });
+                y += 30;
+            };
+
+            drawActivity('Operating Activities', cashFlow.operating);
+            drawActivity('Investing Activities', cashFlow.investing);
+            drawActivity('Financing Activities', cashFlow.financing);
+
+            if (y > 750) { doc.addPage(); y = 50; }
+            const isDrop = cashFlow.netChange < 0;
+            doc.rect(50, y - 10, 500, 40).fill(isDrop ? '#fce8e8' : '#e8fce8');
+            doc.fillColor(COLORS.primary).fontSize(14).font(FONTS.bold).text('Net Change in Cash', 60, y);
+            doc.fillColor(isDrop ? 'red' : 'green')
+               .text(formatCurrency(cashFlow.netChange, user.currency), rightX, y, { align: 'right', width: widthAmt });
+            y += 50;
+
+            // --- PER ACCOUNT MOVEMENT ---
+            const colName = { x: 50, width: 140, align: 'left' };
+            const colOpen = { x: 190, width: 85, align: 'right' };
+            const colIn = { x: 280, width: 85, align: 'right' };
+            const colOut = { x: 370, width: 85, align: 'right' };
+            const colClose = { x: 460, width: 85, align: 'right' };
+
+            if (y > 700) { doc.addPage(); y = 50; }
+            drawTableRow(doc, y, [
+                { text: 'ACCOUNT', ...colName },
+                { text: 'OPENING', ...colOpen },
+                { text: 'IN', ...colIn },
+                { text: 'OUT', ...colOut },
+                { text: 'CLOSING', ...colClose }
+            ], true);
+            y += 25;
+
+            cashFlow.accounts.forEach((acc, i) => {
+                if (y > 750) { doc.addPage(); y = 50; }
+                drawTableRow(doc, y, [
+                    { text: acc.name, ...colName },
+                    { text: formatCurrency(acc.opening, user.currency), ...colOpen },
+                    { text: formatCurrency(acc.inflows, user.currency), ...colIn },
+                    { text: formatCurrency(acc.outflows, user.currency), ...colOut },
+                    { text: formatCurrency(acc.closing, user.currency), ...colClose }
+                ], false, i % 2 === 0);
+                y += 25;
+            });
+
+            if (y > 750) { doc.addPage(); y = 50; }
+            doc.font(FONTS.bold).fontSize(10).fillColor(COLORS.primary);
+            doc.text('TOTAL', colName.x, y, { width: colName.width });
+            doc.text(formatCurrency(cashFlow.openingTotal, user.currency), colOpen.x, y, { width: colOpen.width, align: 'right' });
+            doc.text(formatCurrency(cashFlow.closingTotal, user.currency), colClose.x, y, { width: colClose.width, align: 'right' });
+
+            drawFooter(doc, timeZone);
+            doc.end();
+
+        } catch (error) {
+            logger.error('Error generating Cash Flow PDF report:', error);
+            reject(error);
+        }
+    });
+}
+
+export function generateAgedPayablesReport(user, aged, periodTitle) {
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({ margin: 50, size: 'A4', bufferPages: true });
+            const buffers = [];
+            doc.on('data', buffers.push.bind(buffers));
+            doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+            const timeZone = getTimeZone(user.currency);
+
+            let currentY = drawHeader(doc, user, 'Aged Payables', periodTitle);
+
+            const colName = { x: 50, width: 120, align: 'left' };
+            const colCur = { x: 170, width: 70, align: 'right' };
+            const col60 = { x: 245, width: 70, align: 'right' };
+            const col90 = { x: 320, width: 70, align: 'right' };
+            const colOver = { x: 395, width: 70, align: 'right' };
+            const colTotal = { x: 470, width: 75, align: 'right' };
+
+            const headerRow = [
+                { text: 'SUPPLIER', ...colName },
+                { text: '0-30', ...colCur },
+                { text: '31-60', ...col60 },
+                { text: '61-90', ...col90 },
+                { text: '90+', ...colOver },
+                { text: 'TOTAL', ...colTotal }
+            ];
+
+            drawTableRow(doc, currentY, headerRow, true);
+            currentY += 25;
+
+            const money = (amount) => formatCurrency(amount, user.currency);
+
+            aged.suppliers.forEach((s, i) => {
+                if (currentY > 750) {
+                    doc.addPage();
+                    currentY = 50;
+                    drawTableRow(doc, currentY, headerRow, true);
+                    currentY += 25;
+                }
+                drawTableRow(doc, currentY, [
+                    { text: s.supplierName, ...colName },
+                    { text: money(s.current), ...colCur },
+                    { text: money(s.days31to60), ...col60 },
+                    { text: money(s.days61to90), ...col90 },
+                    { text: money(s.over90), ...colOver },
+                    { text: money(s.total), ...colTotal }
+                ], false, i % 2 === 0);
+                currentY += 25;
+            });
+
+            currentY += 10;
+            if (currentY > 750) { doc.addPage(); currentY = 50; }
+            doc.font(FONTS.bold).fontSize(10).fillColor(COLORS.primary);
+            doc.text('TOTAL', colName.x, currentY, { width: colName.width });
+            doc.text(money(aged.totals.current), colCur.x, currentY, { width: colCur.width, align: 'right' });
+            doc.text(money(aged.totals.days31to60), col60.x, currentY, { width: col60.width, align: 'right' });
+            doc.text(money(aged.totals.days61to90), col90.x, currentY, { width: col90.width, align: 'right' });
+            doc.text(money(aged.totals.over90), colOver.x, currentY, { width: colOver.width, align: 'right' });
+            doc.text(money(aged.totals.total), colTotal.x, currentY, { width: colTotal.width, align: 'right' });
+
+            drawFooter(doc, timeZone);
+            doc.end();
+
+        } catch (error) {
+            logger.error('Error generating Aged Payables PDF report:', error);
+            reject(error);
+        }
+    });
+}
+
 // [FIX] Updated Generate Invoice with Pagination and Sticky Footer
 export function generateInvoice(user, transaction, customer) {
     return new Promise((resolve, reject) => {
@@ -497,6 +932,8 @@ export function generateInvoice(user, transaction, customer) {
             doc.on('end', () => resolve(Buffer.concat(buffers)));
 
             const timeZone = getTimeZone(user.currency);
+            // Invoices are issued in the currency the sale was made in
+            const currency = transaction.currency || user.currency;
 
             doc.rect(0, 0, 600, 120).fill(COLORS.primary);
             
@@ -546,12 +983,15 @@ export function generateInvoice(user, transaction, customer) {
                     y += 30;
                 }
 
-                const itemTotal = item.quantity * item.pricePerUnit;
+                const itemTotal = item.quantity * item.pricePerUnit - (item.lineDiscount || 0);
+                const itemLabel = item.lineDiscount > 0
+                    ? `${item.productName} (less ${formatCurrency(item.lineDiscount, currency)} discount)`
+                    : item.productName;
                 drawTableRow(doc, y, [
-                    { text: item.productName, ...colItem },
+                    { text: itemLabel, ...colItem },
                     { text: item.quantity.toString(), ...colQty },
-                    { text: formatCurrency(item.pricePerUnit, user.currency), ...colPrice },
-                    { text: formatCurrency(itemTotal, user.currency), ...colTotal },
+                    { text: formatCurrency(item.pricePerUnit, currency), ...colPrice },
+                    { text: formatCurrency(itemTotal, currency), ...colTotal },
                 ], false, i % 2 === 0);
                 y += 25;
             });
@@ -565,6 +1005,33 @@ export function generateInvoice(user, transaction, customer) {
             }
 
             const totalBoxX = 350;
+
+            if (transaction.orderDiscount > 0) {
+                doc.fillColor(COLORS.text).font(FONTS.regular).fontSize(10)
+                   .text('Discount', totalBoxX, y, { width: 80, align: 'left' })
+                   .text(`-${formatCurrency(transaction.orderDiscount, currency)}`, 440, y, { width: 100, align: 'right' });
+                y += 18;
+            }
+
+            // [NEW] VAT breakdown for taxed sales
+            if (transaction.taxAmount !== undefined) {
+                const taxSettings = user.taxSettings || {};
+                const rates = [...new Set(transaction.items.map(i => i.taxRate).filter(r => r > 0))];
+                const taxLabel = rates.length === 1 ? `VAT (${rates[0]}%)` : 'VAT';
+
+                doc.fillColor(COLORS.text).font(FONTS.regular).fontSize(10)
+                   .text('Subtotal', totalBoxX, y, { width: 80, align: 'left' })
+                   .text(formatCurrency(transaction.subtotal, currency), 440, y, { width: 100, align: 'right' });
+                y += 18;
+                doc.text(taxLabel, totalBoxX, y, { width: 80, align: 'left' })
+                   .text(formatCurrency(transaction.taxAmount, currency), 440, y, { width: 100, align: 'right' });
+                y += 18;
+                if (taxSettings.taxId) {
+                    doc.fontSize(8).fillColor('#999999').text(`Tax ID: ${taxSettings.taxId}`, totalBoxX, y, { width: 190, align: 'left' });
+                    y += 15;
+                }
+                y += 5;
+            }
             
             doc.moveTo(totalBoxX, y).lineTo(550, y).strokeColor(COLORS.accent).lineWidth(2).stroke();
             y += 15;
@@ -573,7 +1040,7 @@ export function generateInvoice(user, transaction, customer) {
                .text('Grand Total', totalBoxX, y, { width: 80, align: 'left' });
             
             doc.fillColor(COLORS.accent).fontSize(14)
-               .text(formatCurrency(transaction.amount, user.currency), 440, y, { width: 100, align: 'right' });
+               .text(formatCurrency(transaction.amount, currency), 440, y, { width: 100, align: 'right' });
 
             // [FIX] Dynamic Footer Placement (Attached to content)
             y += 40;
@@ -592,3 +1059,103 @@ export function generateInvoice(user, transaction, customer) {
         }
     });
 }
+
+export function generatePurchaseOrder(user, po) {
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({ margin: 50, size: 'A4', bufferPages: true });
+            const buffers = [];
+            doc.on('data', buffers.push.bind(buffers));
+            doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+            const timeZone = getTimeZone(user.currency);
+            const currency = po.currency || user.currency;
+
+            doc.rect(0, 0, 600, 120).fill(COLORS.primary);
+
+            doc.fillColor('#FFFFFF').fontSize(24).font(FONTS.bold)
+               .text(user.businessName, 50, 40);
+            doc.fontSize(10).font(FONTS.regular).text(user.email || '', 50, 70);
+
+            doc.fontSize(24).text('PURCHASE ORDER', 300, 40, { align: 'right', width: 250 });
+            doc.fontSize(10).text(po.poNumber, 400, 80, { align: 'right' });
+
+            let y = 150;
+
+            doc.fillColor(COLORS.text);
+            doc.fontSize(10).font(FONTS.bold).text('SUPPLIER:', 50, y);
+            doc.font(FONTS.regular).text(po.supplierName, 50, y + 15);
+
+            doc.font(FONTS.bold).text('DATE:', 400, y, { align: 'right', width: 50 });
+            doc.font(FONTS.regular).text(formatDate(po.createdAt, timeZone), 460, y, { align: 'right', width: 80 });
+            if (po.expectedDate) {
+                doc.font(FONTS.bold).text('DELIVER BY:', 370, y + 15, { align: 'right', width: 80 });
+                doc.font(FONTS.regular).text(formatDate(po.expectedDate, timeZone), 460, y + 15, { align: 'right', width: 80 });
+            }
+
+            y += 60;
+
+            const colItem = { x: 50, width: 250 };
+            const colQty = { x: 310, width: 50, align: 'center' };
+            const colCost = { x: 370, width: 80, align: 'right' };
+            const colTotal = { x: 460, width: 80, align: 'right' };
+            const headerRow = [
+                { text: 'ITEM DESCRIPTION', ...colItem },
+                { text: 'QTY', ...colQty },
+                { text: 'UNIT COST', ...colCost },
+                { text: 'TOTAL', ...colTotal },
+            ];
+
+            drawTableRow(doc, y, headerRow, true);
+            y += 30;
+
+            po.items.forEach((item, i) => {
+                if (y > 750) {
+                    doc.addPage();
+                    y = 50;
+                    drawTableRow(doc, y, headerRow, true);
+                    y += 30;
+                }
+
+                drawTableRow(doc, y, [
+                    { text: item.productName, ...colItem },
+                    { text: item.quantity.toString(), ...colQty },
+                    { text: formatCurrency(item.unitCost, currency), ...colCost },
+                    { text: formatCurrency(item.quantity * item.unitCost, currency), ...colTotal },
+                ], false, i % 2 === 0);
+                y += 25;
+            });
+
+            y += 20;
+
+            if (y + 150 > doc.page.height) {
+                doc.addPage();
+                y = 50;
+            }
+
+            const totalBoxX = 350;
+
+            doc.moveTo(totalBoxX, y).lineTo(550, y).strokeColor(COLORS.accent).lineWidth(2).stroke();
+            y += 15;
+
+            doc.fillColor(COLORS.primary).font(FONTS.bold).fontSize(14)
+               .text('Order Total', totalBoxX, y, { width: 90, align: 'left' });
+
+            doc.fillColor(COLORS.accent).fontSize(14)
+               .text(formatCurrency(po.totalAmount, currency), 440, y, { width: 100, align: 'right' });
+
+            y += 40;
+
+            doc.rect(0, y, 600, 60).fill('#f9f9f9');
+
+            doc.fillColor(COLORS.text).fontSize(10).font(FONTS.italic)
+               .text(`Please quote ${po.poNumber} on your delivery note and invoice.`, 50, y + 25, { align: 'center', width: 500 });
+
+            doc.end();
+
+        } catch (error) {
+            logger.error('Error generating purchase order PDF:', error);
+            reject(error);
+        }
+    });
+}
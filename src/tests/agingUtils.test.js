@@ -0,0 +1,26 @@
+import { ageOutstanding } from '../utils/agingUtils.js';
+
+describe('Aging Utilities', () => {
+    const asOf = new Date('2024-06-30');
+
+    test('buckets unpaid bills by age', () => {
+        const result = ageOutstanding([
+            { date: '2024-06-20', amount: 1000 },
+            { date: '2024-05-15', amount: 2000 },
+            { date: '2024-02-01', amount: 500 }
+        ], 0, asOf);
+
+        expect(result).toEqual({ current: 1000, days31to60: 2000, days61to90: 0, over90: 500, total: 3500 });
+    });
+
+    test('payments settle the oldest bills first', () => {
+        const result = ageOutstanding([
+            { date: '2024-06-20', amount: 1000 },
+            { date: '2024-02-01', amount: 500 }
+        ], 700, asOf);
+
+        expect(result.over90).toBe(0);
+        expect(result.current).toBe(800);
+        expect(result.total).toBe(800);
+    });
+});
@@ -0,0 +1,32 @@
+import { auditSnapshot, describeChanges, describeAuditEntry, getAuditContext, runWithAuditContext, setAuditActor } from '../utils/audit.js';
+
+describe('Audit Trail', () => {
+    test('snapshots drop chat state and OTPs; changes list only what differs', () => {
+        const before = { _id: 'p1', productName: 'Rice', quantity: 10, sellingPrice: 1500, updatedAt: new Date('2025-03-01') };
+        const after = { ...before, quantity: 8, updatedAt: new Date('2025-03-02') };
+        expect(describeChanges(before, after)).toEqual(['quantity: 10 → 8']);
+        expect(auditSnapshot({ whatsappId: '234', otp: '1234', stateContext: { memory: [] } })).toEqual({ whatsappId: '234' });
+    });
+
+    test('writes outside a message are the system; inside, the sender', async () => {
+        expect(getAuditContext().actor.role).toBe('SYSTEM');
+        await runWithAuditContext({ actor: { whatsappId: '234800' }, sourceMessageId: 'wamid.1' }, async () => {
+            setAuditActor({ role: 'STAFF', name: 'Musa' });
+            await Promise.resolve();
+            expect(getAuditContext()).toEqual({ actor: { whatsappId: '234800', role: 'STAFF', name: 'Musa' }, sourceMessageId: 'wamid.1' });
+        });
+    });
+
+    test('describes an entry for the activity log', () => {
+        const line = describeAuditEntry({
+            createdAt: new Date(2025, 2, 12, 14, 5),
+            actor: { role: 'STAFF', name: 'Musa' },
+            action: 'UPDATE',
+            entity: 'PRODUCT',
+            before: { productName: 'Rice', quantity: 10 },
+            after: { productName: 'Rice', quantity: 8 },
+            note: 'SALE'
+        });
+        expect(line).toBe('12/03 14:05 · Musa (staff) · changed product Rice — quantity: 10 → 8 [SALE]');
+    });
+});
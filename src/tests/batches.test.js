@@ -0,0 +1,70 @@
+import { sortFefo, allocateFefo, allocateFifo, untrackedStock, netBatchUsage, layerCost, parseExpiryDate, daysUntilExpiry, describeExpiry } from '../utils/batches.js';
+
+describe('Stock Batches', () => {
+    const batches = [
+        { _id: 'b1', quantity: 10, costPrice: 500, expiryDate: new Date(2026, 5, 30), createdAt: new Date(2026, 0, 1) },
+        { _id: 'b2', quantity: 5, costPrice: 450, expiryDate: null, createdAt: new Date(2025, 11, 1) },
+        { _id: 'b3', quantity: 4, costPrice: 400, expiryDate: new Date(2026, 2, 31), createdAt: new Date(2026, 1, 1) }
+    ];
+
+    test('orders batches by earliest expiry, undated last', () => {
+        expect(sortFefo(batches).map(b => b._id)).toEqual(['b3', 'b1', 'b2']);
+    });
+
+    test('draws stock from the batch that expires first', () => {
+        expect(allocateFefo(batches, 6)).toEqual({
+            allocations: [{ batchId: 'b3', quantity: 4, costPrice: 400 }, { batchId: 'b1', quantity: 2, costPrice: 500 }],
+            shortfall: 0
+        });
+        expect(allocateFefo(batches, 22).shortfall).toBe(3);
+    });
+
+    test('works out what a transaction still holds from each batch', () => {
+        const logs = [
+            { quantityChange: -6, batches: [{ batchId: 'b3', quantity: 4, costPrice: 400 }, { batchId: 'b1', quantity: 2, costPrice: 500 }] },
+            { quantityChange: 4, batches: [{ batchId: 'b3', quantity: 4, costPrice: 400 }] }
+        ];
+        expect(netBatchUsage(logs)).toEqual([{ _id: 'b1', quantity: 2, costPrice: 500 }]);
+    });
+
+    test('costs stock out at its own layers, the rest at the average', () => {
+        const { allocations } = allocateFefo(batches, 6);
+        expect(layerCost(allocations, 6, 480)).toBeCloseTo(433.33, 2);
+        expect(layerCost([{ batchId: 'b3', quantity: 4, costPrice: 400 }], 5, 480)).toBe(416);
+        expect(layerCost([], 3, 480)).toBe(480);
+    });
+
+    test('FIFO uses up stock from before batches first, then batches as they came in', () => {
+        // 10 on hand at 100 before batches were tracked, then a restock of 10 at 200 (average 150)
+        const restock = [{ _id: 'b4', quantity: 10, costPrice: 200, expiryDate: null, createdAt: new Date(2026, 3, 1) }];
+        const untracked = untrackedStock({ quantity: 20, costPrice: 150 }, restock);
+        expect(untracked).toEqual({ quantity: 10, unitCost: 100 });
+
+        const sale = allocateFifo(restock, 5, untracked.quantity);
+        expect(sale).toEqual({ allocations: [], shortfall: 5 });
+        expect(layerCost(sale.allocations, 5, untracked.unitCost)).toBe(100);
+
+        const bigSale = allocateFifo(restock, 14, untracked.quantity);
+        expect(bigSale.allocations).toEqual([{ batchId: 'b4', quantity: 4, costPrice: 200 }]);
+        expect(layerCost(bigSale.allocations, 14, untracked.unitCost)).toBeCloseTo(128.57, 2);
+
+        // Oldest batch first, whatever the expiry dates
+        expect(allocateFifo(batches, 6).allocations.map(a => a.batchId)).toEqual(['b2', 'b1']);
+    });
+
+    test('reads expiry dates as printed on packs', () => {
+        expect(parseExpiryDate('2027-05-12')).toEqual(new Date(2027, 4, 12, 12));
+        expect(parseExpiryDate('12/05/27')).toEqual(new Date(2027, 4, 12, 12));
+        expect(parseExpiryDate('02/2027')).toEqual(new Date(2027, 1, 28, 12));
+        expect(parseExpiryDate('31/02/2027')).toBeNull();
+        expect(parseExpiryDate('soon')).toBeNull();
+    });
+
+    test('describes how long is left', () => {
+        const now = new Date(2026, 2, 10, 18);
+        expect(daysUntilExpiry(new Date(2026, 2, 13), now)).toBe(3);
+        expect(describeExpiry(new Date(2026, 2, 11), now)).toBe('expires in 1 day');
+        expect(describeExpiry(new Date(2026, 2, 10, 9), now)).toBe('expires today');
+        expect(describeExpiry(new Date(2026, 2, 5), now)).toBe('expired 5 days ago');
+    });
+});
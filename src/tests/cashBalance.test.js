@@ -0,0 +1,140 @@
+import { jest } from '@jest/globals';
+import { ObjectId } from 'mongodb';
+import { buildTransactionLines, reverseLines, assertBalanced, roundAmount } from '../utils/ledgerUtils.js';
+import { LEDGER_ACCOUNTS } from '../utils/constants.js';
+
+// Restocks paid from cash in hand must move the tracked cash record exactly as far as the
+// ledger's Cash account, and deleting the purchase must put both back. The database layer is
+// replaced by small in-memory stand-ins; the inventory, transaction and ledger-line logic is real.
+process.env.MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost/test';
+process.env.WHATSAPP_TOKEN = process.env.WHATSAPP_TOKEN || 'test';
+process.env.LOG_LEVEL = 'error';
+
+const stubs = (...names) => Object.fromEntries(names.map(name => [name, jest.fn(async () => null)]));
+
+const cash = { balance: 0 };
+const journal = [];
+const transactions = new Map();
+
+const postJournalEntry = async (userId, entry) => {
+    const lines = (entry.lines || []).filter(l => l.debit || l.credit);
+    if (lines.length === 0) return null;
+    assertBalanced(lines);
+    const doc = { _id: new ObjectId(), userId, sourceId: entry.sourceId || null, sourceType: entry.sourceType, lines };
+    journal.push(doc);
+    return doc;
+};
+const getAccountBalance = async (userId, code) => roundAmount(journal
+    .flatMap(e => e.lines)
+    .filter(l => l.accountCode === code)
+    .reduce((sum, l) => sum + (l.debit || 0) - (l.credit || 0), 0));
+
+jest.unstable_mockModule('../db/connection.js', () => ({
+    getDB: () => ({ client: { startSession: () => ({ withTransaction: async (fn) => fn(), endSession: async () => {} }) } })
+}));
+jest.unstable_mockModule('../db/ledgerService.js', () => ({
+    postJournalEntry,
+    postTransactionJournal: async (tx) => postJournalEntry(tx.userId, { sourceType: tx.type, sourceId: tx._id, lines: buildTransactionLines(tx) }),
+    reverseJournalEntries: async (userId, sourceId) => {
+        const live = journal.filter(e => String(e.sourceId) === String(sourceId) && !e.reversed);
+        for (const entry of live) {
+            entry.reversed = true;
+            await postJournalEntry(userId, { sourceType: 'REVERSAL', lines: reverseLines(entry.lines) });
+        }
+    },
+    reverseMessageJournalEntries: jest.fn(),
+    getAccountBalance
+}));
+jest.unstable_mockModule('../db/bankService.js', () => {
+    const moveCash = async (userId, amountChange) => { cash.balance = roundAmount(cash.balance + amountChange); };
+    return {
+        ...stubs('getCashAccount', 'findBankAccountById'),
+        updateBankBalance: jest.fn(async () => { throw new Error('No bank was used in these tests.'); }),
+        updateCashBalance: moveCash,
+        updateMoneyBalance: async (userId, bankId, amountChange) => {
+            if (bankId) throw new Error('No bank was used in these tests.');
+            await moveCash(userId, amountChange);
+        }
+    };
+});
+jest.unstable_mockModule('../db/transactionService.js', () => ({
+    ...stubs('createSaleTransaction', 'replaceSaleTransaction', 'setSaleItemCosts', 'createExpenseTransaction', 'createCustomerPaymentTransaction',
+        'createReturnTransaction', 'createSupplierPaymentTransaction', 'createTransferTransaction', 'createFinancingTransaction', 'findSaleForReturn',
+        'updateTransactionById'),
+    createPurchaseTransaction: async (data) => {
+        const tx = { ...data, _id: new ObjectId(), type: 'PURCHASE', date: new Date() };
+        transactions.set(tx._id.toString(), tx);
+        return tx;
+    },
+    findTransactionById: async (id) => transactions.get(id.toString()) || null,
+    getReturnsForSale: async () => [],
+    voidTransactionById: async (id) => {
+        const tx = transactions.get(id.toString());
+        tx.voidedAt = new Date();
+        return tx;
+    }
+}));
+jest.unstable_mockModule('../db/productService.js', () => ({
+    ...stubs('findProductByName', 'findProductWithUnit', 'restoreCostPrice', 'getStockAdjustmentsForMessage', 'transferStock'),
+    upsertProduct: async (userId, productName, quantity, costPrice) => ({ _id: new ObjectId(), userId, productName, quantity, costPrice }),
+    updateStock: async (productId) => ({ _id: productId, productName: 'Rice', quantity: 0, reorderLevel: 0 })
+}));
+jest.unstable_mockModule('../db/supplierService.js', () => ({
+    ...stubs('findSupplierByName', 'updateSupplierBalance', 'updateSupplierCurrency'),
+    findOrCreateSupplier: async (userId, supplierName) => ({ _id: new ObjectId(), supplierName })
+}));
+jest.unstable_mockModule('../db/purchaseOrderService.js', () => ({
+    ...stubs('findPurchaseOrderById', 'recordPurchaseOrderReceipt'),
+    PO_STATUS: { DRAFT: 'DRAFT', SENT: 'SENT', PARTIALLY_RECEIVED: 'PARTIALLY_RECEIVED', RECEIVED: 'RECEIVED', CANCELLED: 'CANCELLED' }
+}));
+jest.unstable_mockModule('../db/locationService.js', () => ({
+    ...stubs('resolveLocation', 'findLocationById'),
+    getLocations: async () => []
+}));
+jest.unstable_mockModule('../db/customerService.js', () => stubs('findOrCreateCustomer', 'findCustomerByName', 'findCustomerById', 'updateBalanceOwed', 'updateStoreCredit'));
+jest.unstable_mockModule('../db/auditService.js', () => stubs('getAuditLog', 'getAuditEntriesForMessage', 'recordAudit'));
+jest.unstable_mockModule('../db/userService.js', () => stubs('findUserById'));
+jest.unstable_mockModule('../db/exchangeRateService.js', () => stubs('getExchangeRate'));
+jest.unstable_mockModule('../api/whatsappService.js', () => stubs('sendTextMessage'));
+jest.unstable_mockModule('../services/AttachmentManager.js', () => stubs('attachPendingReceipt'));
+
+const { addProduct, addBulkProducts } = await import('../services/InventoryManager.js');
+const { voidTransaction } = await import('../services/TransactionManager.js');
+
+describe('Cash in hand', () => {
+    const user = { _id: new ObjectId(), whatsappId: '2348000000000', currency: 'NGN' };
+    const cashLedger = () => getAccountBalance(user._id, LEDGER_ACCOUNTS.CASH.code);
+
+    beforeEach(() => {
+        cash.balance = 0;
+        journal.length = 0;
+        transactions.clear();
+    });
+
+    test('a restock paid in cash comes out of the cash record and the ledger alike', async () => {
+        await addProduct(user, { productName: 'Rice', quantityAdded: 10, costPrice: 500, sellingPrice: 700 });
+        expect(cash.balance).toBe(-5000);
+        expect(cash.balance).toBe(await cashLedger());
+    });
+
+    test('a cash purchase from a supplier matches the ledger, and deleting it puts both back', async () => {
+        await addProduct(user, { productName: 'Rice', quantityAdded: 4, costPrice: 500, sellingPrice: 700, supplierName: 'Alhaji' });
+        expect(cash.balance).toBe(-2000);
+        expect(cash.balance).toBe(await cashLedger());
+
+        const [purchase] = transactions.values();
+        await voidTransaction(user, purchase._id);
+        expect(cash.balance).toBe(0);
+        expect(cash.balance).toBe(await cashLedger());
+    });
+
+    test('a bulk import paid in cash moves the cash record and the ledger by the same total', async () => {
+        await addBulkProducts(user, [
+            { productName: 'Rice', quantityAdded: 10, costPrice: 500, sellingPrice: 700 },
+            { productName: 'Beans', quantityAdded: 4, costPrice: 300, sellingPrice: 450 }
+        ]);
+        expect(cash.balance).toBe(-6200);
+        expect(cash.balance).toBe(await cashLedger());
+        expect(journal).toHaveLength(1);
+    });
+});
@@ -0,0 +1,20 @@
+import { normalizeCurrencyCode, convertToBase, settleForeignBalance } from '../utils/currency.js';
+
+describe('Currency Utilities', () => {
+    test('normalizeCurrencyCode reads symbols, names and ISO codes', () => {
+        expect(normalizeCurrencyCode('$')).toBe('USD');
+        expect(normalizeCurrencyCode('naira')).toBe('NGN');
+        expect(normalizeCurrencyCode('gbp')).toBe('GBP');
+        expect(normalizeCurrencyCode('money')).toBeNull();
+    });
+
+    test('settleForeignBalance books a loss when the currency has strengthened', () => {
+        // Owed $1,000 booked at 1,500; paying $400 when the rate is 1,600
+        const result = settleForeignBalance({ balance: 1000, balanceBase: 1500000, paidAmount: 400, exchangeRate: 1600 });
+
+        expect(result.settledBaseAmount).toBe(600000);
+        expect(result.paidBaseAmount).toBe(640000);
+        expect(result.fxGainLoss).toBe(-40000);
+        expect(convertToBase(400, 1600)).toBe(result.paidBaseAmount);
+    });
+});
@@ -0,0 +1,20 @@
+import { parseEntryDate, describeEntryDate } from '../utils/dateUtils.js';
+
+describe('Entry Dates', () => {
+    const now = new Date(2025, 2, 5, 15, 30); // 5 March 2025, 3:30 PM
+
+    test('parseEntryDate reads relative words and written dates', () => {
+        expect(parseEntryDate('today', now).getTime()).toBe(now.getTime());
+        expect(parseEntryDate('yesterday', now)).toEqual(new Date(2025, 2, 4, 12));
+        expect(parseEntryDate('2025-02-28', now)).toEqual(new Date(2025, 1, 28, 12));
+        expect(parseEntryDate('01/03', now)).toEqual(new Date(2025, 2, 1, 12));
+        expect(describeEntryDate(parseEntryDate('yesterday', now), now)).toMatch(/^yesterday/);
+    });
+
+    test('parseEntryDate rejects impossible and far-future dates', () => {
+        expect(parseEntryDate('31/02/2025', now)).toBeNull();
+        expect(parseEntryDate('2030-01-01', now)).toBeNull();
+        expect(parseEntryDate('last week-ish', now)).toBeNull();
+        expect(parseEntryDate(null, now)).toBeNull();
+    });
+});
@@ -1,4 +1,4 @@
-import { parsePrice } from '../utils/helpers.js';
+import { parsePrice, parsePaymentLegs, parseReceivedQuantities } from '../utils/helpers.js';
 
 describe('Helper Functions', () => {
     test('parsePrice handles "k" suffix', () => {
@@ -23,4 +23,41 @@ describe('Helper Functions', () => {
     test('parsePrice returns NaN for invalid input', () => {
         expect(parsePrice('invalid')).toBe(NaN);
     });
+
+    test('parsePaymentLegs splits cash, named bank and credit remainder', () => {
+        const banks = [{ _id: 'b1', bankName: 'Opay' }, { _id: 'b2', bankName: 'GTBank' }];
+        const { legs, creditAmount } = parsePaymentLegs('20k cash, 30k opay, rest on credit', 100000, banks);
+
+        expect(legs).toEqual([
+            { method: 'CASH', bankId: null, bankName: null, amount: 20000 },
+            { method: 'BANK', bankId: 'b1', bankName: 'Opay', amount: 30000 }
+        ]);
+        expect(creditAmount).toBe(50000);
+    });
+
+    test('parsePaymentLegs rejects overpayment and ambiguous banks', () => {
+        const banks = [{ _id: 'b1', bankName: 'Opay' }, { _id: 'b2', bankName: 'GTBank' }];
+        expect(() => parsePaymentLegs('60k cash and 50k opay', 100000, banks)).toThrow('more than the sale total');
+        expect(() => parsePaymentLegs('50k transfer', 100000, banks)).toThrow('Which bank');
+    });
+
+    test('parseReceivedQuantities matches quantities to purchase order items', () => {
+        const items = [{ productName: 'Rice' }, { productName: 'Beans' }];
+        expect(parseReceivedQuantities('rice 30, 10 beans', items)).toEqual([
+            { productName: 'Rice', quantity: 30 },
+            { productName: 'Beans', quantity: 10 }
+        ]);
+        expect(() => parseReceivedQuantities('garri 5', items)).toThrow();
+    });
+
+    test('parseReceivedQuantities pairs each number with its own item and rejects guesses', () => {
+        const items = [{ productName: 'Rice' }, { productName: 'Beans' }];
+        expect(parseReceivedQuantities('rice 30 beans 10', items)).toEqual([
+            { productName: 'Rice', quantity: 30 },
+            { productName: 'Beans', quantity: 10 }
+        ]);
+        expect(() => parseReceivedQuantities('2 of 5 cartons of rice', items)).toThrow("can't tell");
+        expect(() => parseReceivedQuantities('rice beans 10', items)).toThrow("can't tell");
+        expect(() => parseReceivedQuantities('rice 10, rice 5', items)).toThrow('more than once');
+    });
 });
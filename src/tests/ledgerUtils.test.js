@@ -0,0 +1,143 @@
+import { buildTransactionLines, buildStockPurchaseLines, buildShrinkageLines, reverseLines, summarizeLines, assertBalanced } from '../utils/ledgerUtils.js';
+
+describe('Ledger Utilities', () => {
+    test('cash sale debits cash, credits revenue and moves cost into COGS', () => {
+        const lines = buildTransactionLines({
+            type: 'SALE',
+            amount: 5000,
+            paymentMethod: 'CASH',
+            items: [{ quantity: 2, pricePerUnit: 2500, costPrice: 1500 }]
+        });
+
+        expect(lines.find(l => l.accountCode === '1000').debit).toBe(5000);
+        expect(lines.find(l => l.accountCode === '4000').credit).toBe(5000);
+        expect(lines.find(l => l.accountCode === '5000').debit).toBe(3000);
+        expect(lines.find(l => l.accountCode === '1200').credit).toBe(3000);
+        expect(summarizeLines(lines).isBalanced).toBe(true);
+    });
+
+    test('credit sale debits receivables instead of cash', () => {
+        const lines = buildTransactionLines({
+            type: 'SALE',
+            amount: 1000,
+            paymentMethod: 'CREDIT',
+            linkedCustomerId: 'cust1',
+            items: [{ quantity: 1, pricePerUnit: 1000, costPrice: 0, isService: true }]
+        });
+
+        expect(lines).toHaveLength(2);
+        expect(lines[0]).toMatchObject({ accountCode: '1100', debit: 1000, customerId: 'cust1' });
+    });
+
+    test('part-paid sale debits each payment leg and receivables for the rest', () => {
+        const lines = buildTransactionLines({
+            type: 'SALE',
+            amount: 10000,
+            paymentMethod: 'PART_PAYMENT',
+            linkedCustomerId: 'cust1',
+            payments: [{ method: 'CASH', bankId: null, amount: 4000 }, { method: 'BANK', bankId: 'bank1', amount: 3000 }],
+            balanceDue: 3000,
+            items: [{ quantity: 1, pricePerUnit: 10000, costPrice: 0, isService: true }]
+        });
+
+        expect(lines.find(l => l.accountCode === '1000').debit).toBe(4000);
+        expect(lines.find(l => l.accountCode === '1010')).toMatchObject({ debit: 3000, bankId: 'bank1' });
+        expect(lines.find(l => l.accountCode === '1100').debit).toBe(3000);
+        expect(summarizeLines(lines).isBalanced).toBe(true);
+    });
+
+    test('taxed sale splits output VAT from revenue', () => {
+        const lines = buildTransactionLines({
+            type: 'SALE',
+            amount: 10750,
+            taxAmount: 750,
+            paymentMethod: 'CASH',
+            items: [{ quantity: 1, pricePerUnit: 10000, costPrice: 0, isService: true }]
+        });
+
+        expect(lines.find(l => l.accountCode === '1000').debit).toBe(10750);
+        expect(lines.find(l => l.accountCode === '4000').credit).toBe(10000);
+        expect(lines.find(l => l.accountCode === '2200').credit).toBe(750);
+        expect(summarizeLines(lines).isBalanced).toBe(true);
+    });
+
+    test('bank-linked expense credits the bank with its id', () => {
+        const lines = buildTransactionLines({ type: 'EXPENSE', amount: 700, linkedBankId: 'bank1', category: 'Transportation' });
+        expect(lines[1]).toMatchObject({ accountCode: '1010', credit: 700, bankId: 'bank1' });
+        expect(summarizeLines(lines).isBalanced).toBe(true);
+    });
+
+    test('store credit return books a liability and puts stock back at cost', () => {
+        const lines = buildTransactionLines({
+            type: 'RETURN',
+            amount: 2500,
+            refundMethod: 'STORE_CREDIT',
+            linkedCustomerId: 'cust1',
+            items: [{ quantity: 1, pricePerUnit: 2500, costPrice: 1500 }]
+        });
+
+        expect(lines.find(l => l.accountCode === '4100').debit).toBe(2500);
+        expect(lines.find(l => l.accountCode === '2100')).toMatchObject({ credit: 2500, customerId: 'cust1' });
+        expect(lines.find(l => l.accountCode === '1200').debit).toBe(1500);
+        expect(summarizeLines(lines).isBalanced).toBe(true);
+    });
+
+    test('foreign supplier payment books the exchange difference', () => {
+        // $400 of a balance booked at 1,500 paid when the rate is 1,600
+        const lines = buildTransactionLines({
+            type: 'SUPPLIER_PAYMENT',
+            amount: 400,
+            currency: 'USD',
+            exchangeRate: 1600,
+            settledBaseAmount: 600000,
+            linkedSupplierId: 'sup1'
+        });
+
+        expect(lines.find(l => l.accountCode === '2000').debit).toBe(600000);
+        expect(lines.find(l => l.accountCode === '1000').credit).toBe(640000);
+        expect(lines.find(l => l.accountCode === '4900').debit).toBe(40000);
+        expect(summarizeLines(lines).isBalanced).toBe(true);
+    });
+
+    test('transfer moves money between accounts without touching income', () => {
+        const lines = buildTransactionLines({ type: 'TRANSFER', amount: 50000, fromBankId: 'opay', toBankId: null });
+
+        expect(lines.find(l => l.accountCode === '1000').debit).toBe(50000);
+        expect(lines.find(l => l.accountCode === '1010')).toMatchObject({ credit: 50000, bankId: 'opay' });
+        expect(lines).toHaveLength(2);
+    });
+
+    test('owner drawings and loans stay off the income statement', () => {
+        const drawing = buildTransactionLines({ type: 'OWNER_DRAWING', amount: 20000, linkedBankId: null });
+        expect(drawing.find(l => l.accountCode === '3100').debit).toBe(20000);
+        expect(drawing.find(l => l.accountCode === '1000').credit).toBe(20000);
+
+        const loan = buildTransactionLines({ type: 'LOAN_RECEIVED', amount: 100000, linkedBankId: 'gtb', lenderName: 'LAPO' });
+        expect(loan.find(l => l.accountCode === '1010')).toMatchObject({ debit: 100000, bankId: 'gtb' });
+        expect(loan.find(l => l.accountCode === '2300')).toMatchObject({ credit: 100000, lenderName: 'LAPO' });
+    });
+
+    test('stock-take losses go to shrinkage, stock found over the books comes back out', () => {
+        expect(buildShrinkageLines(3000)).toEqual([
+            expect.objectContaining({ accountCode: '5100', debit: 3000 }),
+            expect.objectContaining({ accountCode: '1200', credit: 3000 })
+        ]);
+        expect(buildShrinkageLines(-500)).toEqual([
+            expect.objectContaining({ accountCode: '1200', debit: 500 }),
+            expect.objectContaining({ accountCode: '5100', credit: 500 })
+        ]);
+    });
+
+    test('reverseLines cancels the original entry', () => {
+        const lines = buildStockPurchaseLines(12000, null);
+        const combined = [...lines, ...reverseLines(lines)];
+        const net = combined.reduce((sum, l) => sum + l.debit - l.credit, 0);
+        expect(net).toBe(0);
+        expect(reverseLines(lines)[0].credit).toBe(12000);
+    });
+
+    test('assertBalanced throws on unbalanced lines', () => {
+        expect(() => assertBalanced([{ debit: 100, credit: 0 }, { debit: 0, credit: 90 }])).toThrow('Unbalanced');
+        expect(() => assertBalanced([{ debit: 0.1 + 0.2, credit: 0 }, { debit: 0, credit: 0.3 }])).not.toThrow();
+    });
+});
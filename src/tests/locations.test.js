@@ -0,0 +1,43 @@
+import { stockLocationId, stockAt, stockByLocation, matchLocation, locationName, totalsByLocation } from '../utils/locations.js';
+
+describe('Locations', () => {
+    const locations = [
+        { _id: 'w1', name: 'Warehouse', isMain: false },
+        { _id: 'm1', name: 'Main Shop', isMain: true },
+        { _id: 's2', name: 'Ikeja Shop', isMain: false }
+    ];
+    const rice = { productName: 'Rice', quantity: 100, locationStock: { w1: 60, s2: 15 } };
+
+    test('the main location is tracked as whatever is not held elsewhere', () => {
+        expect(stockLocationId(locations[1])).toBeNull();
+        expect(stockLocationId(locations[0])).toBe('w1');
+        expect(stockAt(rice, null)).toBe(25);
+        expect(stockAt(rice, 'w1')).toBe(60);
+        expect(stockAt({ quantity: 8 }, null)).toBe(8);
+        expect(stockByLocation(rice, locations)).toEqual([
+            { name: 'Main Shop', quantity: 25 },
+            { name: 'Warehouse', quantity: 60 },
+            { name: 'Ikeja Shop', quantity: 15 }
+        ]);
+    });
+
+    test('matches a location by name', () => {
+        expect(matchLocation(locations, 'warehouse')._id).toBe('w1');
+        expect(matchLocation(locations, 'the ikeja shop')._id).toBe('s2');
+        expect(matchLocation(locations, 'ikeja')._id).toBe('s2');
+        expect(matchLocation(locations, 'Lekki')).toBeNull();
+    });
+
+    test('totals sales per location, main for those without one', () => {
+        const sales = [
+            { amount: 5000, locationId: 's2' },
+            { amount: 2000, locationId: null },
+            { amount: 100, baseAmount: 150000, currency: 'USD', locationId: null }
+        ];
+        expect(locationName(locations, null)).toBe('Main Shop');
+        expect(totalsByLocation(sales, locations)).toEqual([
+            { name: 'Main Shop', count: 2, total: 152000 },
+            { name: 'Ikeja Shop', count: 1, total: 5000 }
+        ]);
+    });
+});
@@ -0,0 +1,50 @@
+import { computeSaleTotals, extractInclusiveTax, parseDiscount } from '../utils/pricing.js';
+
+describe('Sale tax totals', () => {
+    const items = [
+        { productName: 'Rice', quantity: 2, pricePerUnit: 1000 },
+        { productName: 'Bread', quantity: 1, pricePerUnit: 500, taxRate: 0 }
+    ];
+
+    test('adds tax on top of exclusive prices and honours product overrides', () => {
+        const totals = computeSaleTotals(items, { enabled: true, rate: 7.5, inclusive: false });
+
+        expect(totals.subtotal).toBe(2500);
+        expect(totals.taxAmount).toBe(150);
+        expect(totals.total).toBe(2650);
+        expect(totals.items[1].taxAmount).toBe(0);
+    });
+
+    test('backs tax out of inclusive prices without changing the total', () => {
+        const totals = computeSaleTotals(items, { enabled: true, rate: 7.5, inclusive: true });
+
+        expect(totals.total).toBe(2500);
+        expect(totals.taxAmount).toBe(139.53);
+        expect(extractInclusiveTax(10750, 7.5)).toBe(750);
+    });
+
+    test('charges no tax when the business has tax turned off', () => {
+        const totals = computeSaleTotals(items, { enabled: false, rate: 7.5 });
+        expect(totals.taxAmount).toBe(0);
+        expect(totals.total).toBe(2500);
+    });
+
+    test('applies line and order discounts before tax', () => {
+        const shoes = [{ productName: 'Shoe', quantity: 3, pricePerUnit: 10000, discount: '2k' }];
+        const totals = computeSaleTotals(shoes, { enabled: true, rate: 10, inclusive: false }, '10%');
+
+        expect(totals.lineDiscountTotal).toBe(2000);
+        expect(totals.orderDiscount).toBe(2800);
+        expect(totals.subtotal).toBe(25200);
+        expect(totals.total).toBe(27720);
+    });
+});
+
+describe('parseDiscount', () => {
+    test('reads amounts and percentages and caps at the base', () => {
+        expect(parseDiscount('2k', 30000)).toBe(2000);
+        expect(parseDiscount('10%', 30000)).toBe(3000);
+        expect(parseDiscount(50000, 30000)).toBe(30000);
+        expect(parseDiscount(null, 30000)).toBe(0);
+    });
+});
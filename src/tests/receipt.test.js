@@ -0,0 +1,44 @@
+import { normalizeReceipt, receiptToExpenses, receiptToProducts, applyProductListToReceipt, RECEIPT_KINDS } from '../utils/receipt.js';
+
+describe('Receipt Extraction', () => {
+    const fuelReceipt = normalizeReceipt({
+        documentType: 'receipt',
+        vendor: 'Total Lekki',
+        date: '2025-03-01',
+        currency: '₦',
+        items: [
+            { description: 'PMS Fuel', quantity: 20, unitPrice: '650' },
+            { description: 'Car wash', amount: '2,000' }
+        ],
+        tax: 1125
+    });
+
+    test('fills in missing amounts and the total', () => {
+        expect(fuelReceipt.kind).toBe(RECEIPT_KINDS.RECEIPT);
+        expect(fuelReceipt.currency).toBe('NGN');
+        expect(fuelReceipt.items.map(i => i.amount)).toEqual([13000, 2000]);
+        expect(fuelReceipt.total).toBe(16125);
+        expect(fuelReceipt.taxIncluded).toBe(false);
+        expect(normalizeReceipt({ documentType: 'RECEIPT', items: [] }).kind).toBe(RECEIPT_KINDS.OTHER);
+    });
+
+    test('splits tax across itemised expenses so they add up to the total', () => {
+        const expenses = receiptToExpenses(fuelReceipt);
+        expect(expenses).toHaveLength(2);
+        expect(expenses[0]).toMatchObject({ description: '20 x PMS Fuel (Total Lekki)', amount: 13975, vatAmount: 975, includesVat: true, date: '2025-03-01' });
+        expect(expenses.reduce((sum, e) => sum + e.amount, 0)).toBe(16125);
+    });
+
+    test('supplier invoice lines become stock at their cost including tax', () => {
+        const invoice = normalizeReceipt({
+            documentType: 'SUPPLIER_INVOICE',
+            items: [{ description: 'Rice 50kg', quantity: 10, unitPrice: 20000, amount: 200000 }],
+            tax: 15000,
+            total: 215000
+        });
+        expect(receiptToProducts(invoice)).toEqual([{ productName: 'Rice 50kg', quantityAdded: 10, costPrice: 21500 }]);
+
+        const corrected = applyProductListToReceipt(invoice, [{ productName: 'Rice 50kg', quantityAdded: 8, costPrice: 20000 }]);
+        expect(corrected.total).toBe(175000);
+    });
+});
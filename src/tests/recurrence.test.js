@@ -0,0 +1,20 @@
+import { computeNextRun, describeSchedule } from '../utils/recurrence.js';
+
+describe('Recurring Schedules', () => {
+    test('monthly schedules roll to next month and clamp to short months', () => {
+        const rent = { frequency: 'MONTHLY', dayOfMonth: 1 };
+        expect(computeNextRun(rent, new Date('2025-03-01T06:00:00Z')).toISOString()).toBe('2025-03-01T07:00:00.000Z');
+        expect(computeNextRun(rent, new Date('2025-03-01T07:00:00Z')).toISOString()).toBe('2025-04-01T07:00:00.000Z');
+
+        const endOfMonth = { frequency: 'MONTHLY', dayOfMonth: 31 };
+        expect(computeNextRun(endOfMonth, new Date('2025-02-10T00:00:00Z')).toISOString()).toBe('2025-02-28T07:00:00.000Z');
+        expect(describeSchedule(rent)).toBe('every 1st of the month');
+    });
+
+    test('weekly schedules land on the requested weekday', () => {
+        // 2025-03-05 is a Wednesday
+        const wages = { frequency: 'WEEKLY', dayOfWeek: 5 };
+        expect(computeNextRun(wages, new Date('2025-03-05T12:00:00Z')).toISOString()).toBe('2025-03-07T07:00:00.000Z');
+        expect(computeNextRun(wages, new Date('2025-03-07T08:00:00Z')).toISOString()).toBe('2025-03-14T07:00:00.000Z');
+    });
+});
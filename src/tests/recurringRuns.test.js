@@ -0,0 +1,62 @@
+import { jest } from '@jest/globals';
+import { ObjectId } from 'mongodb';
+
+// Claiming runs against a single in-memory schedule: a worker that was down catches up one
+// period at a time, and a run waiting for the owner is never claimed over.
+process.env.MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost/test';
+process.env.WHATSAPP_TOKEN = process.env.WHATSAPP_TOKEN || 'test';
+process.env.LOG_LEVEL = 'error';
+
+const stored = { doc: null };
+const sameValue = (a, b) => (a instanceof Date || b instanceof Date)
+    ? new Date(a).getTime() === new Date(b).getTime()
+    : String(a ?? null) === String(b ?? null);
+
+jest.unstable_mockModule('../db/connection.js', () => ({
+    getDB: () => ({
+        collection: () => ({
+            findOneAndUpdate: async (filter, update) => {
+                const doc = stored.doc;
+                if (!doc || !Object.entries(filter).every(([key, value]) => sameValue(doc[key], value))) return null;
+                const before = { ...doc };
+                Object.assign(doc, update.$set);
+                return before;
+            }
+        })
+    })
+}));
+
+const { catchUpSchedule } = await import('../db/recurringService.js');
+
+describe('Recurring runs', () => {
+    const rent = (autoPost) => ({
+        _id: new ObjectId(), frequency: 'MONTHLY', dayOfMonth: 1, autoPost,
+        nextRunAt: new Date('2025-01-01T07:00:00Z'), pendingRunAt: null, isActive: true
+    });
+    const now = new Date('2025-03-15T10:00:00Z');
+
+    test('books every run missed while the worker was down, each on its own date', async () => {
+        stored.doc = rent(true);
+        const booked = [];
+        await catchUpSchedule({ ...stored.doc }, async (run) => { booked.push(run.nextRunAt.toISOString()); return true; }, now);
+
+        expect(booked).toEqual(['2025-01-01T07:00:00.000Z', '2025-02-01T07:00:00.000Z', '2025-03-01T07:00:00.000Z']);
+        expect(stored.doc.nextRunAt.toISOString()).toBe('2025-04-01T07:00:00.000Z');
+    });
+
+    test('waits for the owner before claiming the next missed run', async () => {
+        stored.doc = rent(false);
+        const asked = [];
+        const ask = async (run) => { asked.push(run.nextRunAt.toISOString()); return false; };
+
+        await catchUpSchedule({ ...stored.doc }, ask, now);
+        await catchUpSchedule({ ...stored.doc }, ask, now);
+        expect(asked).toEqual(['2025-01-01T07:00:00.000Z']);
+        expect(stored.doc.pendingRunAt.toISOString()).toBe('2025-01-01T07:00:00.000Z');
+
+        // Answered: the next missed run comes up
+        stored.doc.pendingRunAt = null;
+        await catchUpSchedule({ ...stored.doc }, ask, now);
+        expect(asked).toEqual(['2025-01-01T07:00:00.000Z', '2025-02-01T07:00:00.000Z']);
+    });
+});
@@ -0,0 +1,34 @@
+import { saleToDraft, describeDraftItems, describeDraftPayment, draftListTotal } from '../utils/saleDraft.js';
+
+describe('Sale Edit Drafts', () => {
+    const sale = {
+        _id: 'sale1',
+        paymentMethod: 'PART_PAYMENT',
+        items: [
+            { productId: 'p1', productName: 'Rice', quantity: 2, pricePerUnit: 1500, lineDiscount: 300 },
+            { productId: null, productName: 'Delivery', quantity: 1, pricePerUnit: 500, isService: true, lineDiscount: 0 }
+        ],
+        payments: [{ method: 'CASH', bankId: null, amount: 1000 }],
+        orderDiscount: 0,
+        date: new Date('2025-03-01T12:00:00Z'),
+        loggedBy: 'Owner'
+    };
+
+    test('keeps items, discounts given and payment legs', () => {
+        const draft = saleToDraft(sale, 'John');
+        expect(draft.items[0]).toEqual({ productId: 'p1', productName: 'Rice', quantity: 2, pricePerUnit: 1500, isService: false, unit: null, discount: 300 });
+        expect(draft.items[1].discount).toBeNull();
+        expect(draft.saleType).toBe('split');
+        expect(draft.discount).toBeNull();
+        expect(draft.payments).toEqual([{ method: 'CASH', bankId: null, amount: 1000 }]);
+        expect(describeDraftPayment(draft)).toBe('Split payment');
+    });
+
+    test('describes the draft for the edit menu', () => {
+        const draft = saleToDraft({ ...sale, paymentMethod: 'CREDIT', payments: [] }, null);
+        expect(draft.customerName).toBe('Walk-in Customer');
+        expect(describeDraftPayment(draft)).toBe('On credit');
+        expect(draftListTotal(draft)).toBe(3500);
+        expect(describeDraftItems(draft)).toBe('1. 2 x Rice @ 1,500\n2. 1 x Delivery @ 500');
+    });
+});
@@ -0,0 +1,66 @@
+import { detectAdjustmentReason, findCountedProduct, parseStockCounts, matchSheetCounts, mergeCounts, computeVariances, describeVariances } from '../utils/stockTake.js';
+
+describe('Stock-take', () => {
+    const products = [
+        { _id: 'p1', productName: 'Rice', quantity: 48, costPrice: 500 },
+        { _id: 'p2', productName: 'Rice 50kg', quantity: 4, costPrice: 40000 },
+        { _id: 'p3', productName: 'Beans', quantity: 20, costPrice: 300 }
+    ];
+
+    test('picks the most specific product named in a count', () => {
+        expect(findCountedProduct(products, 'rice 50kg 3')._id).toBe('p2');
+        expect(findCountedProduct(products, 'rice')._id).toBe('p1');
+        expect(findCountedProduct(products, 'garri 5')).toBeNull();
+    });
+
+    test('reads counts and the reason given for them', () => {
+        expect(parseStockCounts('Rice 45 damaged, rice 50kg: 3\nbeans 22', products)).toEqual([
+            { productId: 'p1', productName: 'Rice', counted: 45, reason: 'DAMAGED' },
+            { productId: 'p2', productName: 'Rice 50kg', counted: 3, reason: null },
+            { productId: 'p3', productName: 'Beans', counted: 22, reason: null }
+        ]);
+        expect(() => parseStockCounts('garri 5', products)).toThrow("doesn't match");
+        expect(() => parseStockCounts('beans', products)).toThrow('How many Beans');
+        expect(detectAdjustmentReason('2 went missing')).toBe('THEFT');
+        expect(detectAdjustmentReason('expired')).toBe('EXPIRED');
+        expect(detectAdjustmentReason('count_correction')).toBe('COUNT_CORRECTION');
+    });
+
+    test('matches count sheet rows to products', () => {
+        const rows = [{ productName: 'BEANS', counted: 19, reason: 'Stolen' }, { productName: 'Garri', counted: 5, reason: null }];
+        expect(matchSheetCounts(rows, products)).toEqual({
+            counts: [{ productId: 'p3', productName: 'Beans', counted: 19, reason: 'THEFT' }],
+            unmatched: ['Garri']
+        });
+    });
+
+    test('a recount replaces the earlier count', () => {
+        const merged = mergeCounts([{ productId: 'p1', counted: 40 }, { productId: 'p3', counted: 22 }], [{ productId: 'p1', counted: 45 }]);
+        expect(merged).toEqual([{ productId: 'p1', counted: 45 }, { productId: 'p3', counted: 22 }]);
+    });
+
+    test('only differences become variances, gains are count corrections', () => {
+        const variances = computeVariances(products, [
+            { productId: 'p1', counted: 45, reason: 'DAMAGED' },
+            { productId: 'p2', counted: 4, reason: null },
+            { productId: 'p3', counted: 22, reason: 'THEFT' }
+        ]);
+        expect(variances).toEqual([
+            { productId: 'p1', productName: 'Rice', systemQty: 48, countedQty: 45, variance: -3, costPrice: 500, value: -1500, reason: 'DAMAGED' },
+            { productId: 'p3', productName: 'Beans', systemQty: 20, countedQty: 22, variance: 2, costPrice: 300, value: 600, reason: 'COUNT_CORRECTION' }
+        ]);
+        expect(describeVariances(variances, 'NGN')).toBe(
+            '• Rice: counted 45, books say 48 → 3 short (NGN 1,500, damaged)\n' +
+            '• Beans: counted 22, books say 20 → 2 over (NGN 600, count correction)'
+        );
+    });
+
+    test('compares counts with the stock at the location being counted', () => {
+        const stocked = [{ _id: 'p1', productName: 'Rice', quantity: 48, costPrice: 500, locationStock: { w1: 30 } }];
+        const counts = [{ productId: 'p1', counted: 16, reason: null }];
+        expect(computeVariances(stocked, counts)).toEqual([
+            { productId: 'p1', productName: 'Rice', systemQty: 18, countedQty: 16, variance: -2, costPrice: 500, value: -1000, reason: null }
+        ]);
+        expect(computeVariances(stocked, counts, 'w1')[0]).toMatchObject({ systemQty: 30, variance: -14 });
+    });
+});
@@ -0,0 +1,24 @@
+import { pickUndoTarget } from '../utils/undo.js';
+
+describe('Undo Target', () => {
+    const sale = { sourceMessageId: 'm1', action: 'CREATE', entity: 'TRANSACTION' };
+    const stockOut = { sourceMessageId: 'm1', action: 'UPDATE', entity: 'PRODUCT', note: 'SALE' };
+
+    test('picks the latest message and knows whether it can be undone', () => {
+        const restock = { sourceMessageId: 'm2', action: 'UPDATE', entity: 'PRODUCT', note: 'STOCK_ADJUSTMENT' };
+        expect(pickUndoTarget([restock, stockOut, sale])).toEqual({ sourceMessageId: 'm2', undoable: true });
+
+        const edit = { sourceMessageId: 'm3', action: 'UPDATE', entity: 'TRANSACTION' };
+        expect(pickUndoTarget([edit, stockOut, sale])).toEqual({ sourceMessageId: 'm3', undoable: false });
+        expect(pickUndoTarget([])).toEqual({ sourceMessageId: null, undoable: false });
+    });
+
+    test('skips undo commands and the messages they took back', () => {
+        const undoWrites = [
+            { sourceMessageId: 'm3', action: 'UNDO', entity: 'MESSAGE', note: 'm2' },
+            { sourceMessageId: 'm3', action: 'VOID', entity: 'TRANSACTION' }
+        ];
+        const second = { sourceMessageId: 'm2', action: 'CREATE', entity: 'TRANSACTION' };
+        expect(pickUndoTarget([...undoWrites, second, stockOut, sale])).toEqual({ sourceMessageId: 'm1', undoable: true });
+    });
+});
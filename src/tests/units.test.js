@@ -0,0 +1,55 @@
+import { findUnit, baseQuantity, splitUnitFromName, describeQuantity, variantName, matchVariant } from '../utils/units.js';
+
+describe('Units of Measure', () => {
+    const indomie = { productName: 'Indomie', baseUnit: 'pack', sellingPrice: 250, units: [{ name: 'carton', factor: 40, sellingPrice: 9000 }, { name: 'half carton', factor: 20 }] };
+
+    test('finds a unit by name or plural and falls back to the base unit', () => {
+        expect(findUnit(indomie, 'Cartons')).toEqual({ name: 'carton', factor: 40, sellingPrice: 9000 });
+        expect(findUnit(indomie, 'half carton')).toEqual({ name: 'half carton', factor: 20, sellingPrice: 5000 });
+        expect(findUnit(indomie, null)).toEqual({ name: 'pack', factor: 1, sellingPrice: 250 });
+        expect(findUnit(indomie, 'packs').factor).toBe(1);
+        expect(findUnit(indomie, 'bag')).toBeNull();
+    });
+
+    test('converts line quantities to the base unit', () => {
+        expect(baseQuantity({ quantity: 3, unitFactor: 40 })).toBe(120);
+        expect(baseQuantity({ quantity: 3 })).toBe(3);
+    });
+
+    test('splits a unit off the product name', () => {
+        expect(splitUnitFromName('cartons of Indomie')).toEqual([
+            { name: 'Indomie', unit: 'cartons' },
+            { name: 'cartons of', unit: 'indomie' }
+        ]);
+        expect(splitUnitFromName('Indomie Carton')).toEqual([{ name: 'Indomie', unit: 'carton' }]);
+        expect(splitUnitFromName('Indomie')).toEqual([]);
+    });
+
+    test('describes stock in the biggest whole units first', () => {
+        expect(describeQuantity(indomie, 85)).toBe('2 cartons + 5 packs');
+        expect(describeQuantity(indomie, 60)).toBe('1 carton + 1 half carton');
+        expect(describeQuantity(indomie, 1)).toBe('1 pack');
+        expect(describeQuantity({ productName: 'Rice' }, 7)).toBe('7 units');
+    });
+});
+
+describe('Product Variants', () => {
+    const variants = [
+        { productName: 'T-shirt (Red, L)', variant: { colour: 'Red', size: 'L' } },
+        { productName: 'T-shirt (Red, M)', variant: { colour: 'Red', size: 'M' } },
+        { productName: 'T-shirt (Blue, L)', variant: { colour: 'Blue', size: 'L' } }
+    ];
+
+    test('names a variant after its colour and size', () => {
+        expect(variantName('T-shirt', { colour: 'Red', size: 'L' })).toBe('T-shirt (Red, L)');
+        expect(variantName('T-shirt', { size: 'XL' })).toBe('T-shirt (XL)');
+        expect(variantName('T-shirt', {})).toBe('T-shirt');
+    });
+
+    test('only matches a variant when exactly one fits', () => {
+        expect(matchVariant(variants, 'red L')).toBe(variants[0]);
+        expect(matchVariant(variants, 'T-shirt (Blue, L)')).toBe(variants[2]);
+        expect(matchVariant(variants, 'red')).toBeNull();
+        expect(matchVariant(variants, '')).toBeNull();
+    });
+});
@@ -0,0 +1,35 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const AGING_BUCKETS = [
+    { key: 'current', label: '0-30 days', maxDays: 30 },
+    { key: 'days31to60', label: '31-60 days', maxDays: 60 },
+    { key: 'days61to90', label: '61-90 days', maxDays: 90 },
+    { key: 'over90', label: '90+ days', maxDays: Infinity }
+];
+
+/**
+ * Ages an outstanding balance. Payments settle the oldest bills first (FIFO),
+ * and whatever is left of each bill is bucketed by how old it is.
+ * @param {Array<{date: Date|string, amount: number}>} bills - Credit purchases (or credit sales).
+ * @param {number} totalPaid - Everything paid against those bills so far.
+ * @param {Date} asOfDate
+ * @returns {{current: number, days31to60: number, days61to90: number, over90: number, total: number}}
+ */
+export function ageOutstanding(bills, totalPaid = 0, asOfDate = new Date()) {
+    const result = { current: 0, days31to60: 0, days61to90: 0, over90: 0, total: 0 };
+    let remainingPayment = totalPaid;
+
+    const sorted = [...bills].sort((a, b) => new Date(a.date) - new Date(b.date));
+    for (const bill of sorted) {
+        const settled = Math.min(bill.amount, Math.max(remainingPayment, 0));
+        remainingPayment -= settled;
+        const outstanding = bill.amount - settled;
+        if (outstanding <= 0) continue;
+
+        const ageDays = Math.floor((asOfDate - new Date(bill.date)) / DAY_MS);
+        const bucket = AGING_BUCKETS.find(b => ageDays <= b.maxDays);
+        result[bucket.key] += outstanding;
+        result.total += outstanding;
+    }
+    return result;
+}
@@ -0,0 +1,76 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// Who is behind the writes made while handling one incoming message. The webhook opens a
+// context per message; anything outside one (scheduled jobs, payment webhooks) is the system.
+const auditStorage = new AsyncLocalStorage();
+
+const SYSTEM_ACTOR = { whatsappId: null, role: 'SYSTEM', name: 'System' };
+
+export const runWithAuditContext = (context, fn) =>
+    auditStorage.run({ actor: { ...SYSTEM_ACTOR, ...context.actor }, sourceMessageId: context.sourceMessageId || null }, fn);
+
+export function getAuditContext() {
+    return auditStorage.getStore() || { actor: SYSTEM_ACTOR, sourceMessageId: null };
+}
+
+// Fills in the actor's role and name once the user record has been loaded
+export function setAuditActor(details) {
+    const store = auditStorage.getStore();
+    if (store) store.actor = { ...store.actor, ...details };
+}
+
+// Chat state changes on every message and isn't business data; OTPs must never be copied
+const SKIPPED_FIELDS = ['state', 'stateContext', 'updatedAt', 'otp', 'otpExpires'];
+
+export function auditSnapshot(doc) {
+    if (!doc) return null;
+    const copy = { ...doc };
+    SKIPPED_FIELDS.forEach(field => delete copy[field]);
+    return copy;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const shortValue = (value) => {
+    if (value === null || value === undefined) return '-';
+    if (value instanceof Date) return value.toISOString().split('T')[0];
+    if (typeof value === 'number') return value.toLocaleString();
+    if (typeof value === 'object') return '(changed)';
+    return String(value);
+};
+
+/**
+ * Lists the top-level fields that differ between two snapshots, e.g. "quantity: 10 → 8".
+ * @returns {string[]}
+ */
+export function describeChanges(before, after) {
+    if (!before || !after) return [];
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    keys.delete('_id');
+    SKIPPED_FIELDS.forEach(field => keys.delete(field));
+
+    return [...keys]
+        .filter(key => !same(before[key], after[key]))
+        .map(key => `${key}: ${shortValue(before[key])} → ${shortValue(after[key])}`);
+}
+
+const ENTITY_LABELS = { TRANSACTION: 'entry', PRODUCT: 'product', CUSTOMER: 'customer', BANK_ACCOUNT: 'account', USER: 'profile', MESSAGE: 'last change' };
+const ACTION_VERBS = { CREATE: 'added', UPDATE: 'changed', VOID: 'deleted', UNDO: 'undid' };
+
+const recordName = (doc) => doc && (doc.productName || doc.customerName || doc.bankName || doc.description || doc.businessName);
+
+/**
+ * One line of the activity log, e.g.
+ * "12/03 14:05 · Musa (staff) · changed product Rice — quantity: 10 → 8 [SALE]"
+ */
+export function describeAuditEntry(entry) {
+    const when = new Date(entry.createdAt);
+    const stamp = `${when.toLocaleDateString('en-GB', { day: '2-digit', month: '2-digit' })} ${when.toTimeString().slice(0, 5)}`;
+    const actor = entry.actor?.role === 'STAFF' ? `${entry.actor.name} (staff)` : (entry.actor?.name || 'System');
+    const name = recordName(entry.after) || recordName(entry.before);
+    const subject = `${ACTION_VERBS[entry.action] || entry.action.toLowerCase()} ${ENTITY_LABELS[entry.entity] || entry.entity.toLowerCase()}${name ? ` ${name}` : ''}`;
+    const changes = entry.action === 'UPDATE' ? describeChanges(entry.before, entry.after).slice(0, 3) : [];
+    // An undo's note is the id of the message it took back, which means nothing to the reader
+    const note = entry.action === 'UNDO' ? null : entry.note;
+
+    return `${stamp} · ${actor} · ${subject}${changes.length ? ` — ${changes.join(', ')}` : ''}${note ? ` [${note}]` : ''}`;
+}
@@ -0,0 +1,138 @@
+// Perishable stock is kept in batches (lots), each with its own quantity, cost and expiry date.
+// Sales draw from the batch that expires first (FEFO); batches without an expiry go last, oldest
+// first. Businesses costing FIFO use stock up in the order it came in instead: whatever was on
+// hand before batches were tracked first, then batches oldest first.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const expiryTime = (batch) => batch.expiryDate ? new Date(batch.expiryDate).getTime() : Infinity;
+
+export function sortFefo(batches) {
+    return [...batches].sort((a, b) =>
+        expiryTime(a) - expiryTime(b) || new Date(a.createdAt || 0) - new Date(b.createdAt || 0)
+    );
+}
+
+export function sortFifo(batches) {
+    return [...batches].sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+}
+
+function allocateInOrder(batches, quantity) {
+    const allocations = [];
+    let remaining = quantity;
+    for (const batch of batches) {
+        if (remaining <= 0) break;
+        const take = Math.min(batch.quantity, remaining);
+        if (take <= 0) continue;
+        allocations.push({ batchId: batch._id, quantity: take, costPrice: batch.costPrice || 0 });
+        remaining -= take;
+    }
+    return { allocations, shortfall: Math.max(remaining, 0) };
+}
+
+/**
+ * Takes `quantity` out of the batches, earliest expiry first.
+ * @returns {{allocations: Array<{batchId: any, quantity: number, costPrice: number}>, shortfall: number}} `shortfall`
+ *   is stock that wasn't in any batch (e.g. counted before batches were tracked).
+ */
+export function allocateFefo(batches, quantity) {
+    return allocateInOrder(sortFefo(batches), quantity);
+}
+
+/**
+ * Takes `quantity` out in FIFO order: the `untracked` stock outside any batch is the oldest and
+ * goes first, then batches in the order they came in.
+ * @returns {{allocations: Array<{batchId: any, quantity: number, costPrice: number}>, shortfall: number}} `shortfall`
+ *   is what came from untracked stock (or wasn't there at all).
+ */
+export function allocateFifo(batches, quantity, untracked = 0) {
+    const fromUntracked = Math.min(Math.max(untracked, 0), quantity);
+    const { allocations, shortfall } = allocateInOrder(sortFifo(batches), quantity - fromUntracked);
+    return { allocations, shortfall: shortfall + fromUntracked };
+}
+
+/**
+ * Stock held outside any batch (on hand before batches were tracked) and its cost per unit: the
+ * product's value at its average cost, less what its open batches carry.
+ * @returns {{quantity: number, unitCost: number}}
+ */
+export function untrackedStock(product, batches) {
+    const onHand = Math.max(product.quantity || 0, 0);
+    const inBatches = batches.reduce((sum, b) => sum + b.quantity, 0);
+    const quantity = Math.max(onHand - inBatches, 0);
+    if (quantity === 0) return { quantity, unitCost: product.costPrice || 0 };
+    const batchValue = batches.reduce((sum, b) => sum + b.quantity * (b.costPrice || 0), 0);
+    return { quantity, unitCost: Math.max(onHand * (product.costPrice || 0) - batchValue, 0) / quantity };
+}
+
+/**
+ * What a transaction still holds from each batch, from its inventory logs: draws are negative
+ * log entries, put-backs positive. Used to return reversed or refunded stock to its own batches.
+ * @returns {Array<{_id: any, quantity: number, costPrice: number}>}
+ */
+export function netBatchUsage(logs) {
+    const held = new Map();
+    for (const log of logs) {
+        const sign = log.quantityChange < 0 ? 1 : -1;
+        for (const part of log.batches || []) {
+            const key = part.batchId.toString();
+            const current = held.get(key) || { _id: part.batchId, quantity: 0, costPrice: part.costPrice || 0 };
+            current.quantity += sign * part.quantity;
+            held.set(key, current);
+        }
+    }
+    return [...held.values()].filter(b => b.quantity > 0);
+}
+
+/**
+ * Cost per unit of stock taken from these layers; whatever wasn't in a layer (stock counted before
+ * batches were tracked) is costed at `fallbackCost`, that stock's own cost (see untrackedStock).
+ */
+export function layerCost(allocations, quantity, fallbackCost) {
+    if (quantity <= 0) return fallbackCost;
+    const fromLayers = allocations.reduce((sum, part) => sum + part.quantity, 0);
+    const value = allocations.reduce((sum, part) => sum + part.quantity * part.costPrice, 0);
+    return (value + Math.max(quantity - fromLayers, 0) * fallbackCost) / quantity;
+}
+
+/**
+ * Reads an expiry date as printed on packs: "2026-05-12", "12/05/2026" (day first) or "05/2026"
+ * (end of that month). Unlike entry dates these are expected to lie in the future.
+ * @returns {Date|null}
+ */
+export function parseExpiryDate(input) {
+    if (!input) return null;
+    if (input instanceof Date) return isNaN(input.getTime()) ? null : input;
+
+    const text = String(input).trim();
+    let match;
+    let date = null;
+    if ((match = text.match(/^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?$/))) {
+        date = match[3]
+            ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+            : new Date(Number(match[1]), Number(match[2]), 0);
+    } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/))) {
+        const year = Number(match[3].length === 2 ? `20${match[3]}` : match[3]);
+        date = new Date(year, Number(match[2]) - 1, Number(match[1]));
+        if (date.getDate() !== Number(match[1])) return null;
+    } else if ((match = text.match(/^(\d{1,2})[/.-](\d{4})$/))) {
+        date = new Date(Number(match[2]), Number(match[1]), 0);
+    }
+    if (!date || isNaN(date.getTime())) return null;
+    date.setHours(12, 0, 0, 0);
+    return date;
+}
+
+// Whole days from today to the expiry date; negative once it has passed
+export function daysUntilExpiry(expiryDate, now = new Date()) {
+    const start = new Date(now); start.setHours(0, 0, 0, 0);
+    const end = new Date(expiryDate); end.setHours(0, 0, 0, 0);
+    return Math.round((end - start) / DAY_MS);
+}
+
+export function describeExpiry(expiryDate, now = new Date()) {
+    const days = daysUntilExpiry(expiryDate, now);
+    if (days < 0) return `expired ${-days} day${days === -1 ? '' : 's'} ago`;
+    if (days === 0) return 'expires today';
+    return `expires in ${days} day${days === 1 ? '' : 's'}`;
+}
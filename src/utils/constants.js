@@ -17,6 +17,15 @@ export const USER_STATES = {
   LOGGING_EXPENSE: 'LOGGING_EXPENSE',
   ADDING_PRODUCT: 'ADDING_PRODUCT',
   LOGGING_CUSTOMER_PAYMENT: 'LOGGING_CUSTOMER_PAYMENT',
+  LOGGING_RETURN: 'LOGGING_RETURN',
+  AWAITING_REFUND_METHOD: 'AWAITING_REFUND_METHOD',
+  AWAITING_SPLIT_PAYMENT: 'AWAITING_SPLIT_PAYMENT',
+  LOGGING_SUPPLIER_PAYMENT: 'LOGGING_SUPPLIER_PAYMENT',
+  CREATING_PURCHASE_ORDER: 'CREATING_PURCHASE_ORDER',
+  AWAITING_PO_RECEIPT_QUANTITIES: 'AWAITING_PO_RECEIPT_QUANTITIES',
+  AWAITING_PO_RECEIPT_PAYMENT: 'AWAITING_PO_RECEIPT_PAYMENT',
+  LOGGING_FINANCING: 'LOGGING_FINANCING',
+  CREATING_RECURRING_EXPENSE: 'CREATING_RECURRING_EXPENSE',
   
   ADDING_BANK_ACCOUNT: 'ADDING_BANK_ACCOUNT', 
   AWAITING_BANK_MENU_SELECTION: 'AWAITING_BANK_MENU_SELECTION',
@@ -26,15 +35,35 @@ export const USER_STATES = {
   AWAITING_BANK_SELECTION_PURCHASE: 'AWAITING_BANK_SELECTION_PURCHASE', 
   AWAITING_BANK_SELECTION_CUST_PAYMENT: 'AWAITING_BANK_SELECTION_CUST_PAYMENT', 
   AWAITING_BANK_SELECTION_BULK: 'AWAITING_BANK_SELECTION_BULK', 
+  AWAITING_BANK_SELECTION_RETURN: 'AWAITING_BANK_SELECTION_RETURN',
+  AWAITING_BANK_SELECTION_SUPPLIER_PAYMENT: 'AWAITING_BANK_SELECTION_SUPPLIER_PAYMENT',
+  AWAITING_BANK_SELECTION_PO_RECEIPT: 'AWAITING_BANK_SELECTION_PO_RECEIPT',
+  AWAITING_BANK_SELECTION_FINANCING: 'AWAITING_BANK_SELECTION_FINANCING',
+  AWAITING_BANK_SELECTION_RECURRING: 'AWAITING_BANK_SELECTION_RECURRING',
+  AWAITING_BANK_SELECTION_SALE_EDIT: 'AWAITING_BANK_SELECTION_SALE_EDIT',
+
+  // [NEW] Back- or future-dated entries are read back before saving
+  AWAITING_ENTRY_DATE_CONFIRMATION: 'AWAITING_ENTRY_DATE_CONFIRMATION',
+  AWAITING_ENTRY_DATE: 'AWAITING_ENTRY_DATE',
 
   AWAITING_BULK_PRODUCT_CONFIRMATION: 'AWAITING_BULK_PRODUCT_CONFIRMATION',
+  // [NEW] A photographed receipt waiting to be saved, or a supplier invoice's lines being corrected
+  AWAITING_RECEIPT_CONFIRMATION: 'AWAITING_RECEIPT_CONFIRMATION',
+  AWAITING_RECEIPT_EDIT: 'AWAITING_RECEIPT_EDIT',
   AWAITING_INVOICE_CONFIRMATION: 'AWAITING_INVOICE_CONFIRMATION',
+  // [NEW] Stock-take: counts come in by text or count sheet, then a reason is picked for the shortfalls
+  AWAITING_STOCK_TAKE_LOCATION: 'AWAITING_STOCK_TAKE_LOCATION',
+  AWAITING_STOCK_COUNT: 'AWAITING_STOCK_COUNT',
+  AWAITING_STOCK_TAKE_REASON: 'AWAITING_STOCK_TAKE_REASON',
 
   // Reconciliation States
   AWAITING_TRANSACTION_SELECTION: 'AWAITING_TRANSACTION_SELECTION',
   AWAITING_RECONCILE_ACTION: 'AWAITING_RECONCILE_ACTION',
   AWAITING_EDIT_FIELD_SELECTION: 'AWAITING_EDIT_FIELD_SELECTION',
   AWAITING_EDIT_VALUE: 'AWAITING_EDIT_VALUE',
+  AWAITING_SALE_EDIT_MENU: 'AWAITING_SALE_EDIT_MENU',
+  AWAITING_PAYMENT_METHOD: 'AWAITING_PAYMENT_METHOD',
+  AWAITING_SALE_EDIT_VALUE: 'AWAITING_SALE_EDIT_VALUE',
   AWAITING_DELETE_CONFIRMATION: 'AWAITING_DELETE_CONFIRMATION',
 
   AWAITING_REPORT_TYPE_SELECTION: 'AWAITING_REPORT_TYPE_SELECTION',
@@ -58,12 +87,17 @@ export const INTENTS = {
     GENERATE_REPORT: 'GENERATE_REPORT',
     
     LOG_CUSTOMER_PAYMENT: 'LOG_CUSTOMER_PAYMENT',
+    LOG_RETURN: 'LOG_RETURN',
+    LOG_SUPPLIER_PAYMENT: 'LOG_SUPPLIER_PAYMENT',
+    CREATE_PURCHASE_ORDER: 'CREATE_PURCHASE_ORDER',
+    RECEIVE_PURCHASE_ORDER: 'RECEIVE_PURCHASE_ORDER',
     ADD_BANK_ACCOUNT: 'ADD_BANK_ACCOUNT', 
     CHECK_BANK_BALANCE: 'CHECK_BANK_BALANCE',
     
     RECONCILE_TRANSACTION: 'RECONCILE_TRANSACTION',
     GET_FINANCIAL_INSIGHT: 'GET_FINANCIAL_INSIGHT',
     GET_CUSTOMER_BALANCES: 'GET_CUSTOMER_BALANCES',
+    GET_SUPPLIER_BALANCES: 'GET_SUPPLIER_BALANCES',
     SHOW_MAIN_MENU: 'SHOW_MAIN_MENU',
     GENERAL_CONVERSATION: 'GENERAL_CONVERSATION',
     
@@ -71,7 +105,52 @@ export const INTENTS = {
     EXPORT_DATA: 'EXPORT_DATA',
     
     CHECK_SUBSCRIPTION: 'CHECK_SUBSCRIPTION',
-    UPGRADE_SUBSCRIPTION: 'UPGRADE_SUBSCRIPTION'
+    UPGRADE_SUBSCRIPTION: 'UPGRADE_SUBSCRIPTION',
+
+    GET_TRIAL_BALANCE: 'GET_TRIAL_BALANCE',
+    SET_TAX_SETTINGS: 'SET_TAX_SETTINGS',
+    SET_EXCHANGE_RATE: 'SET_EXCHANGE_RATE',
+    SET_BANK_CURRENCY: 'SET_BANK_CURRENCY',
+    TRANSFER_FUNDS: 'TRANSFER_FUNDS',
+
+    LOG_OWNER_DRAWING: 'LOG_OWNER_DRAWING',
+    LOG_CAPITAL_INJECTION: 'LOG_CAPITAL_INJECTION',
+    LOG_LOAN_RECEIVED: 'LOG_LOAN_RECEIVED',
+    LOG_LOAN_REPAYMENT: 'LOG_LOAN_REPAYMENT',
+
+    CREATE_RECURRING_EXPENSE: 'CREATE_RECURRING_EXPENSE',
+    MANAGE_RECURRING: 'MANAGE_RECURRING',
+
+    SHOW_ACTIVITY_LOG: 'SHOW_ACTIVITY_LOG',
+    UNDO_LAST_ACTION: 'UNDO_LAST_ACTION',
+    SHOW_RECEIPT: 'SHOW_RECEIPT',
+
+    SET_PRODUCT_UNITS: 'SET_PRODUCT_UNITS',
+    ADD_PRODUCT_VARIANT: 'ADD_PRODUCT_VARIANT',
+    SET_COSTING_METHOD: 'SET_COSTING_METHOD',
+    START_STOCK_TAKE: 'START_STOCK_TAKE',
+    MANAGE_LOCATIONS: 'MANAGE_LOCATIONS',
+    TRANSFER_STOCK: 'TRANSFER_STOCK'
+};
+
+// How sold stock is costed: one running average per product, or first-in-first-out layers
+export const COSTING_METHODS = { AVERAGE: 'AVERAGE', FIFO: 'FIFO' };
+
+// Why counted stock differs from the books; each one is the reason logged on the stock adjustment
+export const STOCK_ADJUSTMENT_REASONS = {
+    DAMAGED: 'Damaged',
+    EXPIRED: 'Expired',
+    THEFT: 'Theft',
+    COUNT_CORRECTION: 'Count correction'
+};
+
+// Owner/lender money movements. These never touch the P&L — only the
+// money accounts, equity, loans and the financing section of the cash flow.
+export const FINANCING_TYPES = {
+    OWNER_DRAWING: { intent: INTENTS.LOG_OWNER_DRAWING, direction: -1, label: 'Owner drawing' },
+    CAPITAL_INJECTION: { intent: INTENTS.LOG_CAPITAL_INJECTION, direction: 1, label: 'Capital injection' },
+    LOAN_RECEIVED: { intent: INTENTS.LOG_LOAN_RECEIVED, direction: 1, label: 'Loan received' },
+    LOAN_REPAYMENT: { intent: INTENTS.LOG_LOAN_REPAYMENT, direction: -1, label: 'Loan repayment' }
 };
 
 export const EXPENSE_CATEGORIES = [
@@ -85,3 +164,41 @@ export const EXPENSE_CATEGORIES = [
     "Restocking (Inventory)", 
     "Miscellaneous"         
 ];
+
+// Default chart of accounts seeded for every business in the ledger.
+// Bank lines also carry a bankId so balances can be split per account.
+export const LEDGER_ACCOUNTS = {
+    CASH: { code: '1000', name: 'Cash in Hand', type: 'ASSET' },
+    BANK: { code: '1010', name: 'Bank Accounts', type: 'ASSET' },
+    ACCOUNTS_RECEIVABLE: { code: '1100', name: 'Accounts Receivable', type: 'ASSET' },
+    INVENTORY: { code: '1200', name: 'Inventory', type: 'ASSET' },
+    ACCOUNTS_PAYABLE: { code: '2000', name: 'Accounts Payable', type: 'LIABILITY' },
+    CUSTOMER_CREDITS: { code: '2100', name: 'Customer Store Credit', type: 'LIABILITY' },
+    VAT_PAYABLE: { code: '2200', name: 'VAT Payable', type: 'LIABILITY' },
+    LOANS_PAYABLE: { code: '2300', name: 'Loans Payable', type: 'LIABILITY' },
+    OWNER_EQUITY: { code: '3000', name: "Owner's Equity", type: 'EQUITY' },
+    OWNER_DRAWINGS: { code: '3100', name: "Owner's Drawings", type: 'EQUITY' },
+    SALES_REVENUE: { code: '4000', name: 'Sales Revenue', type: 'INCOME' },
+    SALES_RETURNS: { code: '4100', name: 'Sales Returns', type: 'INCOME' },
+    FX_GAIN_LOSS: { code: '4900', name: 'Foreign Exchange Gain/Loss', type: 'INCOME' },
+    COST_OF_GOODS_SOLD: { code: '5000', name: 'Cost of Goods Sold', type: 'EXPENSE' },
+    INVENTORY_SHRINKAGE: { code: '5100', name: 'Stock Shrinkage', type: 'EXPENSE' },
+    OPERATING_EXPENSES: { code: '6000', name: 'Operating Expenses', type: 'EXPENSE' }
+};
+
+// Cash Flow statement grouping for each journal sourceType
+export const CASH_FLOW_ACTIVITIES = {
+    SALE: { activity: 'OPERATING', label: 'Cash received from sales' },
+    CUSTOMER_PAYMENT: { activity: 'OPERATING', label: 'Debts collected from customers' },
+    EXPENSE: { activity: 'OPERATING', label: 'Expenses paid' },
+    RETURN: { activity: 'OPERATING', label: 'Refunds paid to customers' },
+    TRANSFER: { activity: 'OPERATING', label: 'Transfers between accounts' },
+    STOCK_PURCHASE: { activity: 'INVESTING', label: 'Stock purchases' },
+    PURCHASE: { activity: 'INVESTING', label: 'Stock purchases' },
+    SUPPLIER_PAYMENT: { activity: 'INVESTING', label: 'Payments to suppliers' },
+    OPENING_BALANCE: { activity: 'FINANCING', label: 'Opening balances' },
+    CAPITAL_INJECTION: { activity: 'FINANCING', label: 'Owner capital' },
+    OWNER_DRAWING: { activity: 'FINANCING', label: 'Owner drawings' },
+    LOAN_RECEIVED: { activity: 'FINANCING', label: 'Loans received' },
+    LOAN_REPAYMENT: { activity: 'FINANCING', label: 'Loan repayments' }
+};
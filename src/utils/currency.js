@@ -0,0 +1,42 @@
+import { roundAmount } from './ledgerUtils.js';
+
+const CURRENCY_ALIASES = {
+    '$': 'USD', 'US$': 'USD', 'DOLLAR': 'USD', 'DOLLARS': 'USD',
+    '£': 'GBP', 'POUND': 'GBP', 'POUNDS': 'GBP',
+    '€': 'EUR', 'EURO': 'EUR', 'EUROS': 'EUR',
+    '₦': 'NGN', 'NAIRA': 'NGN',
+    '₵': 'GHS', 'CEDI': 'GHS', 'CEDIS': 'GHS',
+    'KSH': 'KES', 'SHILLING': 'KES', 'SHILLINGS': 'KES',
+    'R': 'ZAR', 'RAND': 'ZAR'
+};
+
+// Turns "$", "usd", "Dollars" etc. into an ISO code; returns null when it can't tell.
+export const normalizeCurrencyCode = (value) => {
+    if (!value || typeof value !== 'string') return null;
+    const text = value.trim().toUpperCase();
+    if (CURRENCY_ALIASES[text]) return CURRENCY_ALIASES[text];
+    return /^[A-Z]{3}$/.test(text) ? text : null;
+};
+
+// Exchange rates are stored as base-currency units per 1 unit of the foreign currency.
+export const convertToBase = (amount, exchangeRate = 1) => roundAmount((Number(amount) || 0) * (Number(exchangeRate) || 1));
+
+export const convertFromBase = (baseAmount, exchangeRate = 1) => roundAmount((Number(baseAmount) || 0) / (Number(exchangeRate) || 1));
+
+/**
+ * Works out the realised FX gain or loss when a foreign-currency balance is paid off.
+ * The settled part of the balance leaves the books at the rate it was booked at
+ * (balanceBase / balance); the payment itself costs today's rate.
+ * @param {{balance: number, balanceBase: number, paidAmount: number, exchangeRate: number}} params
+ * @returns {{ settledBaseAmount: number, paidBaseAmount: number, fxGainLoss: number }} fxGainLoss is positive for a gain.
+ */
+export const settleForeignBalance = ({ balance, balanceBase, paidAmount, exchangeRate }) => {
+    const paidBaseAmount = convertToBase(paidAmount, exchangeRate);
+    const settled = Math.min(paidAmount, Math.max(balance, 0));
+    const bookedRate = balance > 0 ? balanceBase / balance : exchangeRate;
+
+    // Anything paid beyond the balance is a prepayment, carried at today's rate
+    const settledBaseAmount = roundAmount(settled * bookedRate + (paidAmount - settled) * exchangeRate);
+
+    return { settledBaseAmount, paidBaseAmount, fxGainLoss: roundAmount(settledBaseAmount - paidBaseAmount) };
+};
@@ -68,3 +68,55 @@ export function getDateRange(periodOrRange) {
 
     return { startDate, endDate };
 }
+
+// How far ahead a future-dated entry may go (e.g. a sale invoiced for next week)
+export const MAX_FUTURE_DAYS = 366;
+
+export const isSameDay = (a, b) =>
+    a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate();
+
+/**
+ * [NEW] Reads the date a transaction happened on: a Date, "YYYY-MM-DD", "DD/MM/YYYY", "DD/MM",
+ * "today", "yesterday" or "tomorrow". Today keeps the current time so entries stay in order;
+ * other days are pinned to midday so a timezone shift can't push them into the next day.
+ * @returns {Date|null} null when the input isn't a date or is too far in the future.
+ */
+export function parseEntryDate(input, now = new Date()) {
+    if (input === null || input === undefined || input === '') return null;
+
+    let date = null;
+    if (input instanceof Date) {
+        date = new Date(input);
+    } else {
+        const text = String(input).trim().toLowerCase();
+        const offsets = { today: 0, yesterday: -1, tomorrow: 1 };
+        let match;
+        if (text in offsets) {
+            date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offsets[text]);
+        } else if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+            date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2,4}))?$/))) {
+            // Day first, as written in Nigeria and the UK
+            const year = match[3] ? Number(match[3].length === 2 ? `20${match[3]}` : match[3]) : now.getFullYear();
+            date = new Date(year, Number(match[2]) - 1, Number(match[1]));
+            if (date.getDate() !== Number(match[1])) return null; // 31/02 and the like
+        }
+    }
+
+    if (!date || isNaN(date.getTime())) return null;
+    if (isSameDay(date, now)) return new Date(now);
+
+    date.setHours(12, 0, 0, 0);
+    const latest = new Date(now.getFullYear(), now.getMonth(), now.getDate() + MAX_FUTURE_DAYS);
+    return date > latest ? null : date;
+}
+
+// "yesterday (Mon Mar 03 2025)" — spelled out so the user can spot a wrong date before saving
+export function describeEntryDate(date, now = new Date()) {
+    const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+    const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    if (isSameDay(date, now)) return `today (${date.toDateString()})`;
+    if (isSameDay(date, yesterday)) return `yesterday (${date.toDateString()})`;
+    if (isSameDay(date, tomorrow)) return `tomorrow (${date.toDateString()})`;
+    return date.toDateString();
+}
@@ -4,7 +4,7 @@ export const parsePrice = (priceInput) => {
     if (typeof priceInput === 'number') return priceInput;
     if (typeof priceInput !== 'string') return NaN;
 
-    const cleaned = priceInput.replace(/₦|,/g, '').toLowerCase().trim();
+    const cleaned = priceInput.replace(/₦|\$|£|€|,/g, '').toLowerCase().trim();
     let multiplier = 1;
     let numericPart = cleaned;
 
@@ -28,6 +28,102 @@ export const escapeRegex = (string) => {
     return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 };
 
+/**
+ * [NEW] Reads a split payment like "20k cash, 30k Opay, rest on credit" into payment legs.
+ * Whatever is not covered by the legs stays unpaid and goes on the customer's credit.
+ * @param {string} text - The user's reply.
+ * @param {number} totalAmount - The sale total.
+ * @param {Array<object>} banks - The business's bank accounts ({ _id, bankName }).
+ * @returns {{ legs: Array<{method: string, bankId: any, bankName: string|null, amount: number}>, creditAmount: number }}
+ */
+export const parsePaymentLegs = (text, totalAmount, banks = []) => {
+    const segments = String(text).toLowerCase().split(/,|\+|\band\b|\n/).map(s => s.trim()).filter(Boolean);
+    const legs = [];
+
+    for (const segment of segments) {
+        if (/credit|owe|rest|balance|later|unpaid/.test(segment)) continue;
+
+        const amountMatch = segment.match(/₦?\d[\d,]*(\.\d+)?\s*[km]?\b/);
+        const amount = amountMatch ? parsePrice(amountMatch[0].replace(/\s/g, '')) : NaN;
+        if (isNaN(amount) || amount <= 0) throw new Error(`I couldn't find an amount in "${segment}".`);
+
+        const bank = banks.find(b => segment.includes(b.bankName.toLowerCase()));
+        if (bank) {
+            legs.push({ method: 'BANK', bankId: bank._id, bankName: bank.bankName, amount });
+        } else if (segment.includes('cash')) {
+            legs.push({ method: 'CASH', bankId: null, bankName: null, amount });
+        } else if (/bank|transfer|pos/.test(segment)) {
+            if (banks.length > 1) throw new Error(`Which bank received ${amount.toLocaleString()}? Please name it.`);
+            const onlyBank = banks[0];
+            legs.push({ method: 'BANK', bankId: onlyBank ? onlyBank._id : null, bankName: onlyBank ? onlyBank.bankName : null, amount });
+        } else {
+            throw new Error(`How was ${amount.toLocaleString()} paid? Say cash or the bank name.`);
+        }
+    }
+
+    const paid = legs.reduce((sum, leg) => sum + leg.amount, 0);
+    if (paid - totalAmount > 0.01) {
+        throw new Error(`The payments add up to ${paid.toLocaleString()}, which is more than the sale total of ${totalAmount.toLocaleString()}.`);
+    }
+
+    return { legs, creditAmount: Math.round((totalAmount - paid) * 100) / 100 };
+};
+
+/**
+ * Reads a goods-received reply like "rice 30, beans 10" against the items on a purchase order.
+ * Each quantity is paired with the item name next to it; a reply that doesn't pair up cleanly
+ * ("2 of 5 cartons of rice") is rejected rather than guessed.
+ * @param {string} text - The user's reply.
+ * @param {Array<object>} items - Purchase order items ({ productName, quantity, quantityReceived }).
+ * @returns {Array<{productName: string, quantity: number}>}
+ */
+export const parseReceivedQuantities = (text, items = []) => {
+    const segments = String(text).toLowerCase().split(/,|\band\b|\n/).map(s => s.trim()).filter(Boolean);
+    // Longest names first, so "rice flour" isn't read as "rice"
+    const names = [...items].sort((a, b) => b.productName.length - a.productName.length);
+
+    const lines = segments.flatMap(segment => {
+        let rest = segment;
+        const tokens = [];
+        names.forEach(item => {
+            const name = item.productName.toLowerCase();
+            let at = rest.indexOf(name);
+            while (at !== -1) {
+                tokens.push({ at, item });
+                rest = rest.slice(0, at) + ' '.repeat(name.length) + rest.slice(at + name.length);
+                at = rest.indexOf(name);
+            }
+        });
+        for (const match of rest.matchAll(/\d+/g)) tokens.push({ at: match.index, quantity: parseInt(match[0], 10) });
+        tokens.sort((a, b) => a.at - b.at);
+
+        const found = tokens.filter(t => t.item);
+        if (found.length === 0) throw new Error(`"${segment}" doesn't match anything on this order.`);
+        const quantities = tokens.filter(t => !t.item);
+        if (quantities.length === 0) throw new Error(`How many ${found[0].item.productName} arrived?`);
+
+        // Names and numbers must alternate one-for-one ("rice 30 beans 10" or "30 rice 10 beans")
+        const alternates = tokens.every((t, i) => i === 0 || !!t.item !== !!tokens[i - 1].item);
+        if (found.length !== quantities.length || !alternates) {
+            throw new Error(`I can't tell how many arrived from "${segment}". Give one number per item.`);
+        }
+        const pairs = [];
+        for (let i = 0; i < tokens.length; i += 2) {
+            const [first, second] = [tokens[i], tokens[i + 1]];
+            const item = first.item || second.item;
+            pairs.push({ productName: item.productName, quantity: first.item ? second.quantity : first.quantity });
+        }
+        return pairs;
+    });
+
+    const seen = new Set();
+    lines.forEach(line => {
+        if (seen.has(line.productName)) throw new Error(`${line.productName} is listed more than once. Give one total for it.`);
+        seen.add(line.productName);
+    });
+    return lines;
+};
+
 export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 export const toObjectId = (id) => {
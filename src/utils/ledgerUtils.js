@@ -0,0 +1,262 @@
+import { LEDGER_ACCOUNTS } from './constants.js';
+
+// Ledger amounts are kept to 2 decimal places so floating point noise
+// never makes a balanced entry look unbalanced.
+export const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+export const debitLine = (account, amount, refs = {}) => ({
+    accountCode: account.code,
+    accountName: account.name,
+    debit: roundAmount(amount),
+    credit: 0,
+    ...refs
+});
+
+export const creditLine = (account, amount, refs = {}) => ({
+    accountCode: account.code,
+    accountName: account.name,
+    debit: 0,
+    credit: roundAmount(amount),
+    ...refs
+});
+
+// Money moves through a specific bank account when one is linked, otherwise through cash in hand.
+const moneyAccount = (bankId) => bankId
+    ? { account: LEDGER_ACCOUNTS.BANK, refs: { bankId } }
+    : { account: LEDGER_ACCOUNTS.CASH, refs: {} };
+
+function buildSaleLines(tx) {
+    const lines = [];
+    const amount = tx.amount || 0;
+
+    if (tx.payments && tx.payments.length > 0) {
+        // Split / part payment: each leg lands in its own account, the unpaid rest is a receivable
+        tx.payments.forEach(leg => {
+            const { account, refs } = moneyAccount(leg.bankId);
+            lines.push(debitLine(account, leg.amount, refs));
+        });
+        if (tx.balanceDue > 0) {
+            lines.push(debitLine(LEDGER_ACCOUNTS.ACCOUNTS_RECEIVABLE, tx.balanceDue, { customerId: tx.linkedCustomerId }));
+        }
+    } else if (tx.paymentMethod === 'CREDIT') {
+        lines.push(debitLine(LEDGER_ACCOUNTS.ACCOUNTS_RECEIVABLE, amount, { customerId: tx.linkedCustomerId }));
+    } else {
+        const { account, refs } = moneyAccount(tx.linkedBankId);
+        lines.push(debitLine(account, amount, refs));
+    }
+    // Output VAT collected on the sale belongs to the tax authority, not to revenue
+    const taxAmount = tx.taxAmount || 0;
+    lines.push(creditLine(LEDGER_ACCOUNTS.SALES_REVENUE, amount - taxAmount));
+    if (taxAmount > 0) lines.push(creditLine(LEDGER_ACCOUNTS.VAT_PAYABLE, taxAmount));
+
+    const totalCost = (tx.items || [])
+        .filter(item => !item.isService)
+        .reduce((sum, item) => sum + (item.quantity || 0) * (item.costPrice || 0), 0);
+
+    if (totalCost > 0) {
+        lines.push(debitLine(LEDGER_ACCOUNTS.COST_OF_GOODS_SOLD, totalCost));
+        lines.push(creditLine(LEDGER_ACCOUNTS.INVENTORY, totalCost));
+    }
+    return lines;
+}
+
+function buildExpenseLines(tx) {
+    const { account, refs } = moneyAccount(tx.linkedBankId);
+    const taxAmount = tx.taxAmount || 0;
+    const lines = [debitLine(LEDGER_ACCOUNTS.OPERATING_EXPENSES, tx.amount - taxAmount, { category: tx.category || 'Miscellaneous' })];
+    // Input VAT is reclaimable, so it reduces what is owed rather than adding to expenses
+    if (taxAmount > 0) lines.push(debitLine(LEDGER_ACCOUNTS.VAT_PAYABLE, taxAmount));
+    lines.push(creditLine(account, tx.amount, refs));
+    return lines;
+}
+
+function buildCustomerPaymentLines(tx) {
+    const { account, refs } = moneyAccount(tx.linkedBankId);
+    return [
+        debitLine(account, tx.amount, refs),
+        creditLine(LEDGER_ACCOUNTS.ACCOUNTS_RECEIVABLE, tx.amount, { customerId: tx.linkedCustomerId })
+    ];
+}
+
+// A return reverses revenue through the Sales Returns contra account and puts the
+// goods back into inventory at the cost they left with.
+function buildReturnLines(tx) {
+    const taxAmount = tx.taxAmount || 0;
+    const lines = [debitLine(LEDGER_ACCOUNTS.SALES_RETURNS, tx.amount - taxAmount)];
+    if (taxAmount > 0) lines.push(debitLine(LEDGER_ACCOUNTS.VAT_PAYABLE, taxAmount));
+
+    if (tx.refundMethod === 'DEBT') {
+        lines.push(creditLine(LEDGER_ACCOUNTS.ACCOUNTS_RECEIVABLE, tx.amount, { customerId: tx.linkedCustomerId }));
+    } else if (tx.refundMethod === 'STORE_CREDIT') {
+        lines.push(creditLine(LEDGER_ACCOUNTS.CUSTOMER_CREDITS, tx.amount, { customerId: tx.linkedCustomerId }));
+    } else {
+        const { account, refs } = moneyAccount(tx.linkedBankId);
+        lines.push(creditLine(account, tx.amount, refs));
+    }
+
+    const totalCost = (tx.items || [])
+        .filter(item => !item.isService)
+        .reduce((sum, item) => sum + (item.quantity || 0) * (item.costPrice || 0), 0);
+
+    if (totalCost > 0) {
+        lines.push(debitLine(LEDGER_ACCOUNTS.INVENTORY, totalCost));
+        lines.push(creditLine(LEDGER_ACCOUNTS.COST_OF_GOODS_SOLD, totalCost));
+    }
+    return lines;
+}
+
+// Stock bought from a supplier: paid purchases move money, credit purchases create a payable.
+function buildPurchaseLines(tx) {
+    const lines = [debitLine(LEDGER_ACCOUNTS.INVENTORY, tx.amount)];
+    if (tx.paymentMethod === 'CREDIT') {
+        lines.push(creditLine(LEDGER_ACCOUNTS.ACCOUNTS_PAYABLE, tx.amount, { supplierId: tx.linkedSupplierId }));
+    } else {
+        const { account, refs } = moneyAccount(tx.linkedBankId);
+        lines.push(creditLine(account, tx.amount, refs));
+    }
+    return lines;
+}
+
+function buildSupplierPaymentLines(tx) {
+    const { account, refs } = moneyAccount(tx.linkedBankId);
+    if (tx.settledBaseAmount === undefined) {
+        return [
+            debitLine(LEDGER_ACCOUNTS.ACCOUNTS_PAYABLE, tx.amount, { supplierId: tx.linkedSupplierId }),
+            creditLine(account, tx.amount, refs)
+        ];
+    }
+
+    // Foreign-currency payable: it leaves the books at its booked value, the money at
+    // today's value, and the difference is a realised exchange gain or loss.
+    const fx = roundAmount(tx.settledBaseAmount - tx.amount);
+    const lines = [
+        debitLine(LEDGER_ACCOUNTS.ACCOUNTS_PAYABLE, tx.settledBaseAmount, { supplierId: tx.linkedSupplierId }),
+        creditLine(account, tx.amount, refs)
+    ];
+    if (fx > 0) lines.push(creditLine(LEDGER_ACCOUNTS.FX_GAIN_LOSS, fx));
+    if (fx < 0) lines.push(debitLine(LEDGER_ACCOUNTS.FX_GAIN_LOSS, -fx));
+    return lines;
+}
+
+// Moving money between two of the business's own accounts: no income or expense
+function buildTransferLines(tx) {
+    const to = moneyAccount(tx.toBankId);
+    const from = moneyAccount(tx.fromBankId);
+    return [
+        debitLine(to.account, tx.amount, to.refs),
+        creditLine(from.account, tx.amount, from.refs)
+    ];
+}
+
+// Owner and lender movements sit between a money account and the balance sheet only
+const FINANCING_COUNTER_ACCOUNTS = {
+    CAPITAL_INJECTION: LEDGER_ACCOUNTS.OWNER_EQUITY,
+    OWNER_DRAWING: LEDGER_ACCOUNTS.OWNER_DRAWINGS,
+    LOAN_RECEIVED: LEDGER_ACCOUNTS.LOANS_PAYABLE,
+    LOAN_REPAYMENT: LEDGER_ACCOUNTS.LOANS_PAYABLE
+};
+
+function buildFinancingLines(tx) {
+    const { account, refs } = moneyAccount(tx.linkedBankId);
+    const counter = FINANCING_COUNTER_ACCOUNTS[tx.type];
+    const counterRefs = tx.lenderName ? { lenderName: tx.lenderName } : {};
+    const moneyIn = tx.type === 'CAPITAL_INJECTION' || tx.type === 'LOAN_RECEIVED';
+    return moneyIn
+        ? [debitLine(account, tx.amount, refs), creditLine(counter, tx.amount, counterRefs)]
+        : [debitLine(counter, tx.amount, counterRefs), creditLine(account, tx.amount, refs)];
+}
+
+/**
+ * Restates a foreign-currency transaction in the base currency so every journal
+ * line is in one currency. Item cost prices are already kept in base currency.
+ */
+export function toBaseCurrency(tx) {
+    const rate = Number(tx.exchangeRate) || 1;
+    if (rate === 1) return tx;
+
+    const amount = roundAmount(tx.amount * rate);
+    const converted = { ...tx, amount };
+    if (tx.taxAmount) converted.taxAmount = roundAmount(tx.taxAmount * rate);
+    if (tx.payments && tx.payments.length > 0) {
+        converted.payments = tx.payments.map(leg => ({ ...leg, amount: roundAmount(leg.amount * rate) }));
+        // The unpaid rest absorbs rounding so the entry still balances
+        converted.balanceDue = tx.balanceDue > 0
+            ? roundAmount(amount - converted.payments.reduce((sum, leg) => sum + leg.amount, 0))
+            : 0;
+    }
+    return converted;
+}
+
+/**
+ * Builds the double-entry lines for a stored transaction document.
+ * @param {object} tx - A document from the transactions collection.
+ * @returns {Array<object>} Journal lines (may be empty for unknown types).
+ */
+export function buildTransactionLines(transaction) {
+    const tx = toBaseCurrency(transaction);
+    switch (tx.type) {
+        case 'SALE':
+            return buildSaleLines(tx);
+        case 'EXPENSE':
+            return buildExpenseLines(tx);
+        case 'CUSTOMER_PAYMENT':
+            return buildCustomerPaymentLines(tx);
+        case 'RETURN':
+            return buildReturnLines(tx);
+        case 'PURCHASE':
+            return buildPurchaseLines(tx);
+        case 'SUPPLIER_PAYMENT':
+            return buildSupplierPaymentLines(tx);
+        case 'TRANSFER':
+            return buildTransferLines(tx);
+        case 'CAPITAL_INJECTION':
+        case 'OWNER_DRAWING':
+        case 'LOAN_RECEIVED':
+        case 'LOAN_REPAYMENT':
+            return buildFinancingLines(tx);
+        default:
+            return [];
+    }
+}
+
+export function buildStockPurchaseLines(totalCost, linkedBankId) {
+    const { account, refs } = moneyAccount(linkedBankId);
+    return [
+        debitLine(LEDGER_ACCOUNTS.INVENTORY, totalCost),
+        creditLine(account, totalCost, refs)
+    ];
+}
+
+// Stock found missing at a stock-take is written off as shrinkage; a positive value is a
+// loss, a negative one stock found over the books, which comes back out of shrinkage.
+// `refs` (e.g. the reason) are kept on the shrinkage line.
+export function buildShrinkageLines(value, refs = {}) {
+    return value >= 0
+        ? [debitLine(LEDGER_ACCOUNTS.INVENTORY_SHRINKAGE, value, refs), creditLine(LEDGER_ACCOUNTS.INVENTORY, value)]
+        : [debitLine(LEDGER_ACCOUNTS.INVENTORY, -value), creditLine(LEDGER_ACCOUNTS.INVENTORY_SHRINKAGE, -value, refs)];
+}
+
+export function buildOpeningBalanceLines(amount, bankId) {
+    return [
+        debitLine(LEDGER_ACCOUNTS.BANK, amount, { bankId }),
+        creditLine(LEDGER_ACCOUNTS.OWNER_EQUITY, amount)
+    ];
+}
+
+// Swaps debits and credits so the new entry cancels the original one.
+export function reverseLines(lines) {
+    return lines.map(line => ({ ...line, debit: line.credit, credit: line.debit }));
+}
+
+export function summarizeLines(lines) {
+    const totalDebits = roundAmount(lines.reduce((sum, l) => sum + (l.debit || 0), 0));
+    const totalCredits = roundAmount(lines.reduce((sum, l) => sum + (l.credit || 0), 0));
+    return { totalDebits, totalCredits, isBalanced: Math.abs(totalDebits - totalCredits) < 0.01 };
+}
+
+export function assertBalanced(lines) {
+    const { totalDebits, totalCredits, isBalanced } = summarizeLines(lines);
+    if (!isBalanced) {
+        throw new Error(`Unbalanced journal entry: debits ${totalDebits} != credits ${totalCredits}`);
+    }
+}
@@ -0,0 +1,62 @@
+// A business can keep stock in several places (shops, a warehouse). The first location added is
+// the main one: a product's `quantity` stays its total across all locations, `locationStock` holds
+// what sits at each other location, and whatever isn't held elsewhere is at the main location.
+// Stock moves and transactions at the main location therefore carry no locationId.
+
+const idOf = (id) => (id ? id.toString() : null);
+
+// The id stock is tracked under for a location: null for the main location
+export function stockLocationId(location) {
+    if (!location || location.isMain) return null;
+    return location._id;
+}
+
+// How much of a product is at one location (null = the main location)
+export function stockAt(product, locationId) {
+    const held = product.locationStock || {};
+    if (locationId) return held[idOf(locationId)] || 0;
+    const elsewhere = Object.values(held).reduce((sum, qty) => sum + (qty || 0), 0);
+    return (product.quantity || 0) - elsewhere;
+}
+
+// A product's stock at every location, main location first
+export function stockByLocation(product, locations) {
+    return [...locations]
+        .sort((a, b) => (b.isMain ? 1 : 0) - (a.isMain ? 1 : 0))
+        .map(location => ({ name: location.name, quantity: stockAt(product, stockLocationId(location)) }));
+}
+
+// The location named in some text: an exact name first, otherwise the longest name mentioned
+export function matchLocation(locations, text) {
+    const lower = String(text || '').toLowerCase().trim();
+    if (!lower) return null;
+    const exact = locations.find(l => l.name.toLowerCase() === lower);
+    if (exact) return exact;
+    return locations
+        .filter(l => lower.includes(l.name.toLowerCase()) || l.name.toLowerCase().includes(lower))
+        .sort((a, b) => b.name.length - a.name.length)[0] || null;
+}
+
+// The name of the location a transaction or log happened at
+export function locationName(locations, locationId) {
+    const location = locationId
+        ? locations.find(l => idOf(l._id) === idOf(locationId))
+        : locations.find(l => l.isMain);
+    return location ? location.name : 'Main';
+}
+
+/**
+ * Totals transactions per location, in the base currency.
+ * @returns {Array<{name: string, count: number, total: number}>} Biggest total first.
+ */
+export function totalsByLocation(transactions, locations) {
+    const totals = new Map();
+    transactions.forEach(tx => {
+        const name = locationName(locations, tx.locationId);
+        const current = totals.get(name) || { name, count: 0, total: 0 };
+        current.count += 1;
+        current.total += tx.baseAmount ?? tx.amount ?? 0;
+        totals.set(name, current);
+    });
+    return [...totals.values()].sort((a, b) => b.total - a.total);
+}
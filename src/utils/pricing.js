@@ -0,0 +1,96 @@
+import { roundAmount } from './ledgerUtils.js';
+import { parsePrice } from './helpers.js';
+
+// Nigerian standard VAT rate; used when a business turns tax on without naming a rate.
+export const DEFAULT_VAT_RATE = 7.5;
+
+/**
+ * Resolves the rate (in percent) that applies to one item.
+ * A product's own taxRate wins over the business rate, so 0 marks an exempt product.
+ */
+export const resolveTaxRate = (item, taxSettings) => {
+    if (!taxSettings || !taxSettings.enabled) return 0;
+    if (item.taxRate !== undefined && item.taxRate !== null) return Number(item.taxRate) || 0;
+    return Number(taxSettings.rate) || 0;
+};
+
+/**
+ * [NEW] Turns a discount as the user said it ("2k", "10%", 500) into an amount off baseAmount.
+ * Never returns more than the base, so a discount cannot make a line negative.
+ */
+export const parseDiscount = (value, baseAmount) => {
+    if (value === undefined || value === null || value === '' || value === 0) return 0;
+    const text = String(value).trim();
+
+    let amount;
+    if (text.endsWith('%')) {
+        amount = baseAmount * (parseFloat(text) || 0) / 100;
+    } else {
+        amount = parsePrice(text);
+    }
+    if (isNaN(amount) || amount <= 0) return 0;
+    return roundAmount(Math.min(amount, baseAmount));
+};
+
+/**
+ * Splits sale items into net, tax and gross amounts after discounts.
+ * Line discounts (item.discount) come off their own line; an order discount is shared across
+ * lines in proportion to their value, so tax is always charged on what the customer really pays.
+ * With inclusive pricing the quoted price already contains the tax; otherwise tax is added on top.
+ * @param {Array<{quantity: number, pricePerUnit: number, taxRate?: number, discount?: string|number}>} items
+ * @param {{enabled: boolean, rate: number, inclusive: boolean}} taxSettings
+ * @param {string|number} [orderDiscount] - Discount on the whole sale.
+ * @returns {{ items: Array<object>, subtotal: number, taxAmount: number, total: number, lineDiscountTotal: number, orderDiscount: number, discountTotal: number }}
+ */
+export const computeSaleTotals = (items, taxSettings, orderDiscount = 0) => {
+    const inclusive = !!(taxSettings && taxSettings.inclusive);
+
+    const discounted = items.map(item => {
+        const listAmount = (Number(item.quantity) || 0) * (Number(item.pricePerUnit) || 0);
+        const lineDiscount = parseDiscount(item.discount, listAmount);
+        return { item, listAmount, lineDiscount, afterLine: listAmount - lineDiscount };
+    });
+
+    const afterLineTotal = discounted.reduce((sum, d) => sum + d.afterLine, 0);
+    const orderDiscountAmount = parseDiscount(orderDiscount, afterLineTotal);
+
+    const lines = discounted.map(({ item, lineDiscount, afterLine }) => {
+        const orderShare = afterLineTotal > 0 ? orderDiscountAmount * afterLine / afterLineTotal : 0;
+        const gross = afterLine - orderShare;
+        const rate = resolveTaxRate(item, taxSettings);
+        const net = inclusive ? gross / (1 + rate / 100) : gross;
+        const taxAmount = inclusive ? gross - net : net * rate / 100;
+        const discountAmount = lineDiscount + orderShare;
+
+        return {
+            ...item,
+            taxRate: rate,
+            lineDiscount: roundAmount(lineDiscount),
+            discountAmount: roundAmount(discountAmount),
+            // Discount in the same (ex-tax) terms as revenue, for the P&L
+            netDiscount: roundAmount(inclusive ? discountAmount / (1 + rate / 100) : discountAmount),
+            lineSubtotal: roundAmount(net),
+            taxAmount: roundAmount(taxAmount)
+        };
+    });
+
+    const subtotal = roundAmount(lines.reduce((sum, l) => sum + l.lineSubtotal, 0));
+    const taxAmount = roundAmount(lines.reduce((sum, l) => sum + l.taxAmount, 0));
+    const lineDiscountTotal = roundAmount(lines.reduce((sum, l) => sum + l.lineDiscount, 0));
+    return {
+        items: lines,
+        subtotal,
+        taxAmount,
+        total: roundAmount(subtotal + taxAmount),
+        lineDiscountTotal,
+        orderDiscount: roundAmount(orderDiscountAmount),
+        discountTotal: roundAmount(lineDiscountTotal + orderDiscountAmount)
+    };
+};
+
+// Tax already contained in a gross amount, e.g. the VAT inside a receipt total.
+export const extractInclusiveTax = (grossAmount, rate) => {
+    const r = Number(rate) || 0;
+    if (r <= 0) return 0;
+    return roundAmount(grossAmount - grossAmount / (1 + r / 100));
+};
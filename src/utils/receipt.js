@@ -0,0 +1,121 @@
+import { parsePrice } from './helpers.js';
+import { roundAmount } from './ledgerUtils.js';
+import { normalizeCurrencyCode } from './currency.js';
+
+// What a photo turned out to be. Receipts become expenses, supplier invoices become stock.
+export const RECEIPT_KINDS = { RECEIPT: 'RECEIPT', SUPPLIER_INVOICE: 'SUPPLIER_INVOICE', OTHER: 'OTHER' };
+
+const toNumber = (value) => {
+    const n = parsePrice(typeof value === 'string' ? value : Number(value));
+    return isNaN(n) ? 0 : n;
+};
+
+/**
+ * Cleans up what the vision model read off a photo. Missing line amounts are worked out from
+ * quantity x price and a missing total from the lines plus tax.
+ * @returns {object|null} { kind, vendor, date, currency, items, tax, total, summary, taxIncluded }
+ */
+export function normalizeReceipt(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const items = (raw.items || [])
+        .filter(item => item && item.description)
+        .map(item => {
+            const quantity = toNumber(item.quantity) || 1;
+            const unitPrice = toNumber(item.unitPrice);
+            const amount = toNumber(item.amount) || roundAmount(quantity * unitPrice);
+            return { description: String(item.description).trim(), quantity, unitPrice: unitPrice || roundAmount(amount / quantity), amount };
+        })
+        .filter(item => item.amount > 0);
+
+    const linesTotal = roundAmount(items.reduce((sum, item) => sum + item.amount, 0));
+    const tax = toNumber(raw.tax);
+    const total = toNumber(raw.total) || roundAmount(linesTotal + tax);
+    // Lines that already add up to the total were printed with tax in them
+    const taxIncluded = tax > 0 && Math.abs(linesTotal - total) < 0.01;
+
+    let kind = RECEIPT_KINDS[String(raw.documentType || '').toUpperCase()] || RECEIPT_KINDS.OTHER;
+    if (total <= 0) kind = RECEIPT_KINDS.OTHER;
+
+    return {
+        kind,
+        vendor: raw.vendor ? String(raw.vendor).trim() : null,
+        date: /^\d{4}-\d{2}-\d{2}$/.test(raw.date || '') ? raw.date : null,
+        currency: normalizeCurrencyCode(raw.currency),
+        items,
+        tax,
+        taxIncluded,
+        total,
+        summary: raw.summary || null
+    };
+}
+
+// Splits the tax over the lines by value; the last line takes the rounding difference
+function shareTax(receipt) {
+    if (receipt.tax <= 0 || receipt.items.length === 0) return receipt.items.map(() => 0);
+    const linesTotal = receipt.items.reduce((sum, item) => sum + item.amount, 0);
+    const shares = receipt.items.map(item => roundAmount(receipt.tax * item.amount / linesTotal));
+    shares[shares.length - 1] = roundAmount(receipt.tax - shares.slice(0, -1).reduce((a, b) => a + b, 0));
+    return shares;
+}
+
+/**
+ * One expense per line, in the shape `gatherExpenseDetails` returns. A receipt without
+ * readable lines becomes a single expense for the total.
+ */
+export function receiptToExpenses(receipt) {
+    const common = { currency: receipt.currency, date: receipt.date };
+    const from = receipt.vendor ? ` (${receipt.vendor})` : '';
+
+    if (receipt.items.length === 0) {
+        return [{ ...common, description: `${receipt.vendor || 'Receipt'} purchase`, amount: receipt.total, includesVat: receipt.tax > 0, vatAmount: receipt.tax }];
+    }
+
+    const shares = shareTax(receipt);
+    return receipt.items.map((item, idx) => ({
+        ...common,
+        description: `${item.quantity > 1 ? `${item.quantity} x ` : ''}${item.description}${from}`,
+        amount: roundAmount(receipt.taxIncluded ? item.amount : item.amount + shares[idx]),
+        includesVat: shares[idx] > 0,
+        vatAmount: shares[idx]
+    }));
+}
+
+// Stock lines for `addBulkProducts`. Unit costs carry their share of the tax so the
+// money paid out matches the invoice total.
+export function receiptToProducts(receipt) {
+    const shares = shareTax(receipt);
+    return receipt.items.map((item, idx) => {
+        const lineCost = receipt.taxIncluded ? item.amount : item.amount + shares[idx];
+        return { productName: item.description, quantityAdded: item.quantity, costPrice: roundAmount(lineCost / item.quantity) };
+    });
+}
+
+// Products parsed from a corrected list replace the receipt's lines; the tax is kept
+export function applyProductListToReceipt(receipt, products) {
+    const items = products.map(p => {
+        const quantity = Number(p.quantityAdded) || 1;
+        const unitPrice = Number(p.costPrice) || 0;
+        return { description: p.productName, quantity, unitPrice, amount: roundAmount(quantity * unitPrice) };
+    });
+    const linesTotal = roundAmount(items.reduce((sum, item) => sum + item.amount, 0));
+    return { ...receipt, items, taxIncluded: false, total: roundAmount(linesTotal + receipt.tax) };
+}
+
+// The card shown before anything is saved; also fed to the expense assistant when editing
+export function describeReceipt(receipt, defaultCurrency) {
+    const currency = receipt.currency || defaultCurrency;
+    const heading = receipt.kind === RECEIPT_KINDS.SUPPLIER_INVOICE ? '📦 *Supplier Invoice*' : '🧾 *Receipt*';
+    const lines = receipt.items.map(item =>
+        `• ${item.quantity} x ${item.description} @ ${item.unitPrice.toLocaleString()} = ${item.amount.toLocaleString()}`
+    );
+
+    return [
+        heading,
+        receipt.vendor ? `From: ${receipt.vendor}` : null,
+        receipt.date ? `Date: ${receipt.date}` : null,
+        lines.length ? `\n${lines.join('\n')}` : null,
+        receipt.tax > 0 ? `\nTax: ${currency} ${receipt.tax.toLocaleString()}${receipt.taxIncluded ? ' (included)' : ''}` : null,
+        `${receipt.tax > 0 ? '' : '\n'}*Total: ${currency} ${receipt.total.toLocaleString()}*`
+    ].filter(Boolean).join('\n');
+}
@@ -0,0 +1,62 @@
+// Date maths for recurring schedules. Runs happen at a fixed hour (UTC) on the due day
+// so a "1st of the month" rent lands in the morning, Lagos time.
+
+export const RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+export const RUN_HOUR_UTC = 7;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const ordinal = (n) => {
+    const rem = n % 100;
+    if (rem >= 11 && rem <= 13) return `${n}th`;
+    return `${n}${{ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'}`;
+};
+
+// A schedule asking for the 31st runs on the last day of shorter months
+function monthlyRun(year, month, dayOfMonth) {
+    const day = Math.min(dayOfMonth, daysInMonth(year, month));
+    return new Date(Date.UTC(year, month, day, RUN_HOUR_UTC));
+}
+
+/**
+ * Works out when a schedule should next run, strictly after `after`.
+ * @param {{frequency: string, dayOfMonth?: number, dayOfWeek?: number}} schedule
+ * @param {Date} [after=new Date()]
+ * @returns {Date}
+ */
+export function computeNextRun(schedule, after = new Date()) {
+    const from = new Date(after);
+    const { frequency } = schedule;
+
+    if (frequency === 'DAILY') {
+        const run = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate(), RUN_HOUR_UTC));
+        if (run <= from) run.setUTCDate(run.getUTCDate() + 1);
+        return run;
+    }
+
+    if (frequency === 'WEEKLY') {
+        const target = Number(schedule.dayOfWeek) || 0;
+        const run = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate(), RUN_HOUR_UTC));
+        run.setUTCDate(run.getUTCDate() + ((target - run.getUTCDay() + 7) % 7));
+        if (run <= from) run.setUTCDate(run.getUTCDate() + 7);
+        return run;
+    }
+
+    if (frequency === 'MONTHLY') {
+        const dayOfMonth = Math.min(Math.max(Number(schedule.dayOfMonth) || 1, 1), 31);
+        let run = monthlyRun(from.getUTCFullYear(), from.getUTCMonth(), dayOfMonth);
+        if (run <= from) run = monthlyRun(from.getUTCFullYear(), from.getUTCMonth() + 1, dayOfMonth);
+        return run;
+    }
+
+    throw new Error(`Unknown frequency: ${frequency}`);
+}
+
+// "every 1st of the month", "every Friday", "every day"
+export function describeSchedule(schedule) {
+    if (schedule.frequency === 'MONTHLY') return `every ${ordinal(Number(schedule.dayOfMonth) || 1)} of the month`;
+    if (schedule.frequency === 'WEEKLY') return `every ${DAY_NAMES[Number(schedule.dayOfWeek) || 0]}`;
+    return 'every day';
+}
@@ -0,0 +1,51 @@
+// An editable copy of a saved sale. Edits are made on the draft and only hit the books
+// when the whole draft is saved, so a half-finished edit never leaves balances out of step.
+
+const SPLIT_METHODS = ['SPLIT', 'PART_PAYMENT'];
+
+/**
+ * Turns a stored sale into the shape `logSale` takes. Line and order discounts come back
+ * as the amounts that were actually given.
+ * @param {object} sale - A SALE document.
+ * @param {string} customerName - Name of the linked customer.
+ */
+export function saleToDraft(sale, customerName) {
+    return {
+        saleId: sale._id,
+        items: sale.items.map(item => ({
+            productId: item.productId || null,
+            productName: item.productName,
+            quantity: item.quantity,
+            pricePerUnit: item.pricePerUnit,
+            isService: !!item.isService,
+            unit: item.unit || null,
+            discount: item.lineDiscount > 0 ? item.lineDiscount : null
+        })),
+        customerName: customerName || 'Walk-in Customer',
+        saleType: SPLIT_METHODS.includes(sale.paymentMethod) ? 'split' : (sale.paymentMethod || 'CASH').toLowerCase(),
+        linkedBankId: sale.linkedBankId || null,
+        payments: (sale.payments || []).map(leg => ({ method: leg.method, bankId: leg.bankId || null, amount: leg.amount })),
+        discount: sale.orderDiscount > 0 ? sale.orderDiscount : null,
+        currency: sale.currency || null,
+        date: sale.date,
+        dueDate: sale.dueDate || null,
+        loggedBy: sale.loggedBy
+    };
+}
+
+// Gross total before VAT/discounts, for showing the user where the draft stands
+export const draftListTotal = (draft) =>
+    draft.items.reduce((sum, item) => sum + (Number(item.quantity) || 0) * (Number(item.pricePerUnit) || 0), 0);
+
+// "1. 2 x Rice @ 1,500" lines for the edit menu
+export function describeDraftItems(draft) {
+    return draft.items
+        .map((item, idx) => `${idx + 1}. ${item.quantity} x ${item.productName}${item.unit ? ` (${item.unit})` : ''} @ ${Number(item.pricePerUnit).toLocaleString()}`)
+        .join('\n');
+}
+
+export function describeDraftPayment(draft) {
+    if (draft.payments && draft.payments.length > 0) return 'Split payment';
+    if (draft.saleType && draft.saleType.toLowerCase().includes('credit')) return 'On credit';
+    return draft.linkedBankId ? 'Bank transfer' : 'Cash';
+}
@@ -0,0 +1,113 @@
+import { STOCK_ADJUSTMENT_REASONS } from './constants.js';
+import { roundAmount } from './ledgerUtils.js';
+import { stockAt } from './locations.js';
+
+// A stock-take compares what is physically on the shelf with what the books say. Counts come in
+// as text ("rice 45, beans 22") or a count sheet; only the differences are posted as adjustments.
+
+// Words people use for why stock is short, so "rice 45 damaged" carries its own reason
+const REASON_WORDS = {
+    DAMAGED: ['damaged', 'broken', 'spoil'],
+    EXPIRED: ['expire'],
+    THEFT: ['stole', 'theft', 'missing'],
+    COUNT_CORRECTION: ['miscount', 'correction', 'recount', 'wrong count']
+};
+
+export function detectAdjustmentReason(text) {
+    const lower = String(text || '').toLowerCase();
+    if (STOCK_ADJUSTMENT_REASONS[lower.trim().toUpperCase()]) return lower.trim().toUpperCase();
+    return Object.keys(REASON_WORDS).find(reason => REASON_WORDS[reason].some(word => lower.includes(word))) || null;
+}
+
+// The product a count is for: an exact name first, otherwise the longest name mentioned in the text
+export function findCountedProduct(products, text) {
+    const lower = String(text || '').toLowerCase().trim();
+    const exact = products.find(p => p.productName.toLowerCase() === lower);
+    if (exact) return exact;
+    return products
+        .filter(p => lower.includes(p.productName.toLowerCase()))
+        .sort((a, b) => b.productName.length - a.productName.length)[0] || null;
+}
+
+/**
+ * Reads a count reply like "rice 45, beans 22" or one product per line.
+ * @param {string} text - The user's reply.
+ * @param {Array<object>} products - The products being counted.
+ * @returns {Array<{productId: any, productName: string, counted: number, reason: string|null}>}
+ */
+export function parseStockCounts(text, products = []) {
+    const segments = String(text).split(/,|;|\n/).map(s => s.trim()).filter(Boolean);
+
+    return segments.map(segment => {
+        const product = findCountedProduct(products, segment);
+        if (!product) throw new Error(`"${segment}" doesn't match any product in your stock.`);
+
+        const rest = segment.toLowerCase().replace(product.productName.toLowerCase(), ' ');
+        const qtyMatch = rest.match(/\d+(?:\.\d+)?/);
+        if (!qtyMatch) throw new Error(`How many ${product.productName} did you count?`);
+        return { productId: product._id, productName: product.productName, counted: Number(qtyMatch[0]), reason: detectAdjustmentReason(rest) };
+    });
+}
+
+/**
+ * Matches the rows of a count sheet ({ productName, counted, reason }) to products.
+ * @returns {{counts: Array<object>, unmatched: string[]}} `unmatched` names rows that fit no product.
+ */
+export function matchSheetCounts(rows, products = []) {
+    const counts = [];
+    const unmatched = [];
+    rows.forEach(row => {
+        const product = findCountedProduct(products, row.productName);
+        if (!product) {
+            unmatched.push(row.productName);
+            return;
+        }
+        counts.push({ productId: product._id, productName: product.productName, counted: row.counted, reason: detectAdjustmentReason(row.reason) });
+    });
+    return { counts, unmatched };
+}
+
+// Adds new counts to a stock-take in progress; a product counted again keeps its latest count
+export function mergeCounts(existing = [], incoming = []) {
+    const merged = new Map(existing.map(c => [c.productId.toString(), c]));
+    incoming.forEach(c => merged.set(c.productId.toString(), c));
+    return [...merged.values()];
+}
+
+/**
+ * Differences between counted and recorded stock at the location being counted (null = the main
+ * location). Stock found over the books is always a count correction; a shortfall keeps the
+ * reason given with its count, or null until one is picked.
+ * @returns {Array<{productId, productName: string, systemQty: number, countedQty: number,
+ *   variance: number, costPrice: number, value: number, reason: string|null}>} `value` is the
+ *   cost of the difference, negative for a loss.
+ */
+export function computeVariances(products, counts, locationId = null) {
+    return counts.map(count => {
+        const product = products.find(p => p._id.toString() === count.productId.toString());
+        if (!product) return null;
+        const systemQty = stockAt(product, locationId);
+        const variance = count.counted - systemQty;
+        if (variance === 0) return null;
+        const costPrice = product.costPrice || 0;
+        return {
+            productId: product._id,
+            productName: product.productName,
+            systemQty,
+            countedQty: count.counted,
+            variance,
+            costPrice,
+            value: roundAmount(variance * costPrice),
+            reason: variance > 0 ? 'COUNT_CORRECTION' : (count.reason || null)
+        };
+    }).filter(Boolean);
+}
+
+export function describeVariances(variances, currency = '') {
+    const prefix = currency ? `${currency} ` : '';
+    return variances.map(v => {
+        const diff = v.variance < 0 ? `${-v.variance} short` : `${v.variance} over`;
+        const reason = v.reason ? `, ${STOCK_ADJUSTMENT_REASONS[v.reason].toLowerCase()}` : '';
+        return `• ${v.productName}: counted ${v.countedQty}, books say ${v.systemQty} → ${diff} (${prefix}${Math.abs(v.value).toLocaleString()}${reason})`;
+    }).join('\n');
+}
@@ -0,0 +1,22 @@
+// "Undo" takes back everything one WhatsApp message wrote. These are the writes it knows how to
+// reverse: new entries (sales, expenses, payments, purchases) and stock added by a restock or import.
+const isUndoable = (entry) =>
+    (entry.entity === 'TRANSACTION' && entry.action === 'CREATE') ||
+    (entry.entity === 'PRODUCT' && entry.note === 'STOCK_ADJUSTMENT');
+
+/**
+ * Finds the message behind a person's latest change, skipping undo commands and what they undid.
+ * @param {object[]} entries - That person's audit entries, newest first.
+ * @returns {{sourceMessageId: string|null, undoable: boolean}} `undoable` is false when the
+ *   latest change is something undo can't reverse (an edit, a delete, a settings change).
+ */
+export function pickUndoTarget(entries) {
+    const undoMessages = entries.filter(e => e.action === 'UNDO');
+    const skipped = new Set([...undoMessages.map(e => e.sourceMessageId), ...undoMessages.map(e => e.note)]);
+
+    const latest = entries.find(e => e.sourceMessageId && !skipped.has(e.sourceMessageId));
+    if (!latest) return { sourceMessageId: null, undoable: false };
+
+    const undoable = entries.some(e => e.sourceMessageId === latest.sourceMessageId && isUndoable(e));
+    return { sourceMessageId: latest.sourceMessageId, undoable };
+}
@@ -0,0 +1,95 @@
+import { roundAmount } from './ledgerUtils.js';
+
+// Stock, cost price and selling price are always kept in a product's base unit (the smallest
+// one it is sold in, e.g. "pack"). Bigger units are listed with how many base units they hold:
+//   { baseUnit: 'pack', units: [{ name: 'carton', factor: 40, sellingPrice: 9000 }] }
+
+const DEFAULT_BASE_UNIT = 'unit';
+
+// "Cartons", "carton" and "CARTON" are the same unit
+export const sameUnit = (a, b) => {
+    const x = String(a || '').trim().toLowerCase();
+    const y = String(b || '').trim().toLowerCase();
+    return !!x && (x === y || `${x}s` === y || `${y}s` === x || `${x}es` === y || `${y}es` === x);
+};
+
+/**
+ * Looks up a unit on a product. No unit (or the base unit) gives factor 1.
+ * @returns {{name: string, factor: number, sellingPrice: number}|null} null when the product
+ *   isn't sold in that unit.
+ */
+export function findUnit(product, unitName) {
+    const baseUnit = product.baseUnit || DEFAULT_BASE_UNIT;
+    if (!unitName || sameUnit(unitName, baseUnit)) {
+        return { name: baseUnit, factor: 1, sellingPrice: product.sellingPrice || 0 };
+    }
+    const unit = (product.units || []).find(u => sameUnit(u.name, unitName));
+    if (!unit) return null;
+    return { name: unit.name, factor: unit.factor, sellingPrice: unit.sellingPrice || roundAmount((product.sellingPrice || 0) * unit.factor) };
+}
+
+// A sale, return or purchase line's quantity in the product's base unit
+export const baseQuantity = (item) => (Number(item.quantity) || 0) * (Number(item.unitFactor) || 1);
+
+/**
+ * Splits a unit off a product name as the user typed it:
+ * "Indomie carton" / "Indomie cartons" / "cartons of Indomie" -> { name: 'Indomie', unit: 'carton' }.
+ * @returns {Array<{name: string, unit: string}>} Every reading worth looking up, most likely first.
+ */
+export function splitUnitFromName(text) {
+    const words = String(text || '').trim().split(/\s+/);
+    if (words.length < 2) return [];
+
+    const readings = [];
+    const ofIndex = words.findIndex(w => w.toLowerCase() === 'of');
+    if (ofIndex === 1 && words.length > 2) {
+        readings.push({ name: words.slice(2).join(' '), unit: words[0].toLowerCase() });
+    }
+    readings.push({ name: words.slice(0, -1).join(' '), unit: words[words.length - 1].toLowerCase() });
+    return readings;
+}
+
+/**
+ * Stock in the biggest whole units first: 85 packs with 1 carton = 40 packs -> "2 cartons + 5 packs".
+ */
+export function describeQuantity(product, quantity) {
+    const baseUnit = product.baseUnit || DEFAULT_BASE_UNIT;
+    const plural = (n, name) => `${n} ${name}${n === 1 ? '' : 's'}`;
+    const units = [...(product.units || [])].filter(u => u.factor > 1).sort((a, b) => b.factor - a.factor);
+    if (units.length === 0 || quantity <= 0) return plural(quantity, baseUnit);
+
+    const parts = [];
+    let remaining = quantity;
+    for (const unit of units) {
+        const whole = Math.floor(remaining / unit.factor);
+        if (whole > 0) {
+            parts.push(plural(whole, unit.name));
+            remaining = roundAmount(remaining - whole * unit.factor);
+        }
+    }
+    if (remaining > 0 || parts.length === 0) parts.push(plural(remaining, baseUnit));
+    return parts.join(' + ');
+}
+
+// --- VARIANTS ---
+// A variant (size, colour) is its own product with its own stock, linked to a parent product.
+
+export function variantName(baseName, variant) {
+    const labels = [variant.colour, variant.size].filter(Boolean);
+    return labels.length ? `${baseName} (${labels.join(', ')})` : baseName;
+}
+
+/**
+ * Picks the variant whose size and colour are all mentioned, e.g. "red large" -> the Red / Large one.
+ * @returns {object|null} null when none or several match, so the user can be asked.
+ */
+export function matchVariant(variants, text) {
+    const words = String(text || '').toLowerCase().split(/[\s,/()-]+/).filter(Boolean);
+    if (words.length === 0) return null;
+
+    const matches = variants.filter(v => {
+        const labels = [v.variant?.colour, v.variant?.size].filter(Boolean).map(l => l.toLowerCase());
+        return labels.length > 0 && labels.every(label => label.split(/\s+/).every(part => words.includes(part)));
+    });
+    return matches.length === 1 ? matches[0] : null;
+}
@@ -6,6 +6,7 @@ import { handleMessage, handleFlowResponse } from '../handlers/messageHandler.js
 import { handleInteractiveMessage } from '../handlers/interactiveHandler.js';
 import { sendTextMessage } from '../api/whatsappService.js';
 import redis from '../db/redisClient.js'; // [FIX] Use Singleton
+import { runWithAuditContext } from '../utils/audit.js';
 
 const router = express.Router();
 
@@ -73,17 +74,20 @@ router.post('/', async (req, res) => {
               logger.warn(`Rate limit hit for ${whatsappId}. Dropping message.`);
               return; 
           }
-          if (['text', 'image', 'audio', 'document'].includes(message.type)) {
-              await handleMessage(message);
-          } 
-          else if (message.type === 'interactive') {
-              const interactive = message.interactive;
-              if (interactive.type === 'nfm_reply') {
-                  await handleFlowResponse(message);
-              } else {
-                  await handleInteractiveMessage(message);
+          // [NEW] Every write made while handling this message is attributed to its sender
+          await runWithAuditContext({ actor: { whatsappId }, sourceMessageId: message.id }, async () => {
+              if (['text', 'image', 'audio', 'document'].includes(message.type)) {
+                  await handleMessage(message);
+              } 
+              else if (message.type === 'interactive') {
+                  const interactive = message.interactive;
+                  if (interactive.type === 'nfm_reply') {
+                      await handleFlowResponse(message);
+                  } else {
+                      await handleInteractiveMessage(message);
+                  }
               }
-          }
+          });
       }
     }
   } catch (error) {